@@ -10,7 +10,7 @@ import {
   getPrivateKeyByNpub,
   importKeyFromNsec,
 } from "./src/services/identity.service.js";
-import { nip19, finalizeEvent } from "nostr-tools";
+import { nip19, nip98, finalizeEvent } from "nostr-tools";
 import connectDB from "./src/config/db.js";
 import { buildTextNote } from "./src/services/nostr.service.js";
 import { mineEventPow } from "./src/services/pow.service.js";
@@ -20,6 +20,34 @@ import logUpdate from "log-update";
 const API_BASE = process.env.API_URL || "http://localhost:3000";
 const IGNORE_OLD_MS = Number(process.env.IGNORE_OLD) || Infinity;
 
+// NIP-98: API requests are signed by the identity they act on,
+// falling back to the selected session identity
+let authNpub = null;
+
+async function nip98Authorization(npub, url, method, payload) {
+  const nsec = await getPrivateKeyByNpub(npub);
+  const { data: privKey } = nip19.decode(nsec);
+  return nip98.getToken(
+    url,
+    method.toUpperCase(),
+    (event) => finalizeEvent(event, privKey),
+    true,
+    payload
+  );
+}
+
+axios.interceptors.request.use(async (config) => {
+  if (!authNpub) return config;
+  const actingNpub = config.data?.senderNpub || config.data?.npub || authNpub;
+  config.headers.Authorization = await nip98Authorization(
+    actingNpub,
+    axios.getUri(config),
+    config.method,
+    config.data
+  );
+  return config;
+});
+
 // Buffer and renderer for streaming messages
 let logBuffer = [];
 function output(line) {
@@ -51,7 +79,7 @@ async function chooseKey() {
     
     if (choice.toLowerCase() === "n") {
       const name = await prompt("Enter a name for the new user: ");
-      return generateKeyPair(name, "61487097701@c.us");
+      return generateKeyPair(name, "default");
     }
     
     if (choice.toLowerCase() === "i") {
@@ -108,7 +136,7 @@ async function chooseKey() {
   }
   console.log("\nNo users found. Creating a new user.");
   const name = await prompt("Enter a name for the new user: ");
-  return generateKeyPair(name, "61487097701@c.us");
+  return generateKeyPair(name, "default");
 }
 
 async function tailEvents(sessionKey) {
@@ -125,7 +153,17 @@ async function tailEvents(sessionKey) {
     return;
   }
   output(`🕑 Subscribed for ${targetNpub} – press Ctrl+C to stop`);
-  const es = new EventSource(`${API_BASE}/stream/events/${sessionId}`);
+  const eventsUrl = `${API_BASE}/stream/events/${sessionId}`;
+  const es = new EventSource(eventsUrl, {
+    fetch: async (input, init) =>
+      fetch(input, {
+        ...init,
+        headers: {
+          ...init.headers,
+          Authorization: await nip98Authorization(targetNpub, eventsUrl, "GET"),
+        },
+      }),
+  });
   es.onmessage = async (ev) => {
     let line;
     try {
@@ -627,6 +665,7 @@ async function main() {
   }
 
   const sessionKey = await chooseKey();
+  authNpub = sessionKey.npub;
   tailEvents(sessionKey);
 
   while (true) {
@@ -643,13 +682,14 @@ async function main() {
 
     try {
       if (choice === "a") {
-        const name = await prompt("Name: ");
-        const about = await prompt("About: ");
-        const picture = await prompt("Picture (url): ");
+        // Empty answers keep the current value (an empty string would remove it)
+        const name = await prompt("Name (empty to keep): ");
+        const about = await prompt("About (empty to keep): ");
+        const picture = await prompt("Picture (url, empty to keep): ");
         const resp = await axios.post(`${API_BASE}/profile/update`, {
-          name,
-          about,
-          picture,
+          name: name || undefined,
+          about: about || undefined,
+          picture: picture || undefined,
           npub: sessionKey.npub,
         });
         console.log("Profile updated:", resp.data);
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: encrypt stored private keys at rest
+ *
+ * Encrypts NostrIdentity privkey/nsec and CashuWallet p2pk_privkey values
+ * in place using the master key configured via NCTOOL_MASTER_KEY or the
+ * keyfile. Records already encrypted with an older master key version are
+ * re-wrapped with the current one. Safe to run repeatedly.
+ *
+ * Usage: npm run migrate:encrypt-keys
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../src/config/db.js";
+import { encryptStoredIdentities } from "../src/services/identity.service.js";
+import walletRepositoryService from "../src/services/walletRepository.service.js";
+
+async function run() {
+  await connectDB();
+
+  try {
+    const identities = await encryptStoredIdentities();
+    console.log(
+      `🔐 Identities: ${identities.encrypted} of ${identities.scanned} encrypted`
+    );
+
+    const wallets = await walletRepositoryService.encryptStoredWalletKeys();
+    console.log(
+      `🔐 Cashu wallets: ${wallets.encrypted} of ${wallets.scanned} encrypted`
+    );
+  } catch (error) {
+    console.error("❌ Key encryption migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
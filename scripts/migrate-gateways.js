@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: map legacy wa_gate_id values into NostrIdentity.gateways
+ *
+ * Creates the unique (gateways.type, gateways.externalId) index and adds a
+ * { type: "whatsapp", externalId: <wa_gate_id> } gateway to every identity
+ * with a real wa_gate_id. Identities sharing a wa_gate_id are reported as
+ * conflicts; only the oldest active one is linked. Safe to run repeatedly.
+ *
+ * Usage: npm run migrate:gateways
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../src/config/db.js";
+import { migrateWaGateIds } from "../src/services/identity.service.js";
+
+async function run() {
+  await connectDB();
+
+  try {
+    const result = await migrateWaGateIds();
+    console.log(
+      `🔗 Identities: ${result.migrated} of ${result.scanned} linked to their WhatsApp gateway`
+    );
+    for (const conflict of result.conflicts) {
+      console.warn(
+        `⚠️  ${conflict.npub}: wa_gate_id ${conflict.wa_gate_id} is already linked to another identity`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Gateway migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: re-encrypt wallet metadata events (kind 17375) with NIP-44
+ *
+ * For every active identity with a Cashu wallet, fetches its latest kind
+ * 17375 event and, when it is still NIP-04 encrypted, publishes a NIP-44
+ * encrypted replacement with the same content and tags. Wallets already on
+ * NIP-44 are left alone, so the migration is safe to run repeatedly.
+ *
+ * Usage: npm run migrate:wallet-encryption
+ */
+
+import WebSocket from "ws";
+globalThis.WebSocket = WebSocket;
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../src/config/db.js";
+import CashuWallet from "../src/models/CashuWallet.model.js";
+import { getAllKeys } from "../src/services/identity.service.js";
+import { connect } from "../src/services/nostr.service.js";
+import { reencryptWalletEvent } from "../src/services/cashu.service.js";
+import { closeAllPools } from "../src/services/ndkPool.service.js";
+
+async function run() {
+  await connectDB();
+
+  try {
+    const walletNpubs = new Set(await CashuWallet.distinct("npub"));
+    const identities = (await getAllKeys()).filter(
+      (identity) => walletNpubs.has(identity.npub) || identity.wallet?.mint
+    );
+
+    const counts = { migrated: 0, already_nip44: 0, missing: 0, failed: 0 };
+    for (const identity of identities) {
+      try {
+        const { ndk } = await connect(identity);
+        const result = await reencryptWalletEvent(ndk, {
+          npub: identity.npub,
+          nsec: identity.nsec,
+        });
+        counts[result.status]++;
+        if (result.status === "migrated") {
+          console.log(`🔐 ${identity.npub}: re-encrypted as ${result.eventId}`);
+        }
+      } catch (error) {
+        counts.failed++;
+        console.warn(`⚠️  ${identity.npub}: ${error.message}`);
+      }
+    }
+
+    console.log(
+      `🔐 Wallets: ${counts.migrated} migrated, ${counts.already_nip44} already NIP-44, ${counts.missing} without a wallet event, ${counts.failed} failed (of ${identities.length})`
+    );
+    if (counts.failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error("❌ Wallet encryption migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    closeAllPools();
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -7,11 +7,28 @@ import actionRoutes from "./routes/action.routes.js";
 import powRoutes from "./routes/pow.routes.js";
 import streamRoutes from "./routes/stream.routes.js";
 import walletRoutes from "./routes/wallet.routes.js";
+import relayRoutes from "./routes/relay.routes.js";
+import outboxRoutes from "./routes/outbox.routes.js";
+import dmRoutes from "./routes/dm.routes.js";
+import articleRoutes from "./routes/article.routes.js";
+import queryRoutes from "./routes/query.routes.js";
+import searchRoutes from "./routes/search.routes.js";
+import nip05Routes from "./routes/nip05.routes.js";
+import wellKnownRoutes from "./routes/wellKnown.routes.js";
 import { errorHandler } from "./middlewares/errorHandler.js";
+import { nip98Auth } from "./middlewares/nip98Auth.js";
 
 export const app = express();
-app.use(express.json());
+// Keep the raw body so NIP-98 payload hashes can be verified
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(morgan("dev"));
+app.use(nip98Auth);
 
 app.use("/id", idRoutes);
 app.use("/profile", profileRoutes);
@@ -20,5 +37,13 @@ app.use("/action", actionRoutes);
 app.use("/pow", powRoutes);
 app.use("/stream", streamRoutes);
 app.use("/api/wallet", walletRoutes);
+app.use("/relays", relayRoutes);
+app.use("/outbox", outboxRoutes);
+app.use("/dm", dmRoutes);
+app.use("/article", articleRoutes);
+app.use("/query", queryRoutes);
+app.use("/search", searchRoutes);
+app.use("/nip05", nip05Routes);
+app.use("/.well-known", wellKnownRoutes);
 
 app.use(errorHandler);
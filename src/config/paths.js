@@ -0,0 +1,16 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Path of this file, from the V8 call site: import.meta is not available when
+// Jest runs the sources as CommonJS, where the file name is a plain path
+function currentFile() {
+    const { prepareStackTrace } = Error;
+    Error.prepareStackTrace = (_, callSites) => callSites;
+    const [site] = new Error().stack;
+    Error.prepareStackTrace = prepareStackTrace;
+    const file = site.getFileName();
+    return file.startsWith('file:') ? fileURLToPath(file) : file;
+}
+
+// Repository root, for files kept with the app whatever the working directory
+export const ROOT_DIR = path.resolve(path.dirname(currentFile()), '..', '..');
@@ -4,6 +4,10 @@ import { NDKEvent } from '@nostr-dev-kit/ndk';
 import { mineEventPow } from '../services/pow.service.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
 import { publishEncryptedEvent } from '../services/nostr.service.js';
+import { publishWithReport } from '../services/relayPublish.service.js';
+import { getAuthorWriteRelays } from '../services/relayList.service.js';
+import { cachedQuery } from '../services/query.service.js';
+import { resolvePowDifficulty } from '../services/relayInfo.service.js';
 
 const DEFAULT_POW = Number(process.env.POW_BITS) || 0;
 const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 5000;
@@ -21,12 +25,14 @@ export async function takeActionController(req, res) {
     const { target, amount } = payload;
     const { data: pubHex } = nip19.decode(target);
 
-    const { ndk } = await connect();
-    // Fetch the latest metadata event (kind 0) for this pubkey
+    // Read the target's latest metadata event (kind 0) from their NIP-65
+    // write relays, or from the event store when recently fetched
     const filter = { authors: [pubHex], kinds: [0], limit: 1 };
-    const events = await ndk.fetchEvents(filter, { timeoutSec: 5 });
-    const sorted = [...events].sort((a, b) => b.created_at - a.created_at);
-    const evt = sorted[0];
+    const { events } = await cachedQuery([filter], {
+        relayUrls: await getAuthorWriteRelays(pubHex),
+        timeoutMs: DEFAULT_TIMEOUT,
+    });
+    const evt = events[0];
 
     let profileName = 'Unknown';
     if (evt && evt.content) {
@@ -46,6 +52,7 @@ export async function takeActionController(req, res) {
 
 /**
  * HTTP handler to publish encrypted action event (kind 30078).
+ * Responds 202 when the event missed its quorum and was queued in the outbox.
  */
 export const publishEncryptedActionController = asyncHandler(async (req, res) => {
     const {
@@ -54,7 +61,9 @@ export const publishEncryptedActionController = asyncHandler(async (req, res) =>
         responseNpub,
         payload,
         powBits = DEFAULT_POW,
-        timeoutMs = DEFAULT_TIMEOUT
+        timeoutMs = DEFAULT_TIMEOUT,
+        minAccepted,
+        encryption
     } = req.body;
 
     if (!senderNpub || !callNpub || !responseNpub || !payload) {
@@ -69,21 +78,23 @@ export const publishEncryptedActionController = asyncHandler(async (req, res) =>
         responseNpub,
         payload,
         powBits,
-        timeoutMs
+        timeoutMs,
+        { minAccepted, encryption }
     );
-    return res.json(result);
+    return res.status(result.queued ? 202 : 200).json(result);
 });
 
 /**
  * HTTP handler to publish action event (kind 30078).
+ * Responds with the accepting relays and a per-relay publish report.
  */
 export const publishActionController = asyncHandler(async (req, res) => {
-    const { dTag, payload, powBits = DEFAULT_POW, timeoutMs = DEFAULT_TIMEOUT } = req.body;
+    const { dTag, payload, powBits = DEFAULT_POW, timeoutMs = DEFAULT_TIMEOUT, minAccepted } = req.body;
     if (!dTag || !payload) {
         return res.status(400).json({ error: 'dTag and payload are required' });
     }
 
-    const { ndk, signer } = await connect();
+    const { ndk, signer, relayUrls } = await connect();
     const baseEvent = new NDKEvent(ndk, {
         kind: 30078,
         tags: [['d', dTag]],
@@ -91,14 +102,15 @@ export const publishActionController = asyncHandler(async (req, res) => {
     });
     await baseEvent.sign(signer);
 
+    const difficulty = await resolvePowDifficulty(relayUrls, powBits);
     const minedRaw =
-        powBits > 0 ? await mineEventPow(baseEvent, powBits) : baseEvent.rawEvent();
-    const finalEv = powBits > 0 ? new NDKEvent(ndk, minedRaw) : baseEvent;
+        difficulty > 0 ? await mineEventPow(baseEvent, difficulty) : baseEvent.rawEvent();
+    const finalEv = difficulty > 0 ? new NDKEvent(ndk, minedRaw) : baseEvent;
 
-    if (powBits > 0) {
+    if (difficulty > 0) {
         await finalEv.sign(signer);
     }
 
-    const okRelays = await finalEv.publish(undefined, timeoutMs);
-    return res.json({ id: finalEv.id, relays: [...okRelays].map(r => r.url) });
+    const result = await publishWithReport(finalEv, { timeoutMs, minAccepted });
+    return res.json(result);
 });
@@ -0,0 +1,63 @@
+import {
+    saveArticle,
+    getArticle,
+    listArticles,
+    listArticleRevisions
+} from '../services/article.service.js';
+
+const STATUSES = ['published', 'draft'];
+
+/**
+ * POST /article
+ * Body: { npub, identifier?, title?, summary?, image?, publishedAt?, hashtags?, content?, draft?, minAccepted? }
+ * Publishes a NIP-23 article (kind 30023) or saves a draft (kind 30024).
+ * Responds 202 when the event missed its quorum and was queued in the outbox.
+ */
+export async function saveArticleController(req, res) {
+    const { npub, identifier, title, summary, image, publishedAt, hashtags, content, draft, minAccepted } = req.body ?? {};
+    if (!npub) {
+        return res.status(400).json({ error: 'npub is required' });
+    }
+    const result = await saveArticle({
+        npub,
+        identifier,
+        title,
+        summary,
+        image,
+        publishedAt,
+        hashtags,
+        content,
+        draft: draft === true,
+        minAccepted
+    });
+    res.status(result.queued ? 202 : 200).json(result);
+}
+
+/**
+ * GET /article/:npub?status=
+ * Lists the identity's articles and drafts with their latest revision.
+ */
+export async function listArticlesController(req, res) {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    res.json({ npub: req.params.npub, articles: await listArticles(req.params.npub, { status }) });
+}
+
+/**
+ * GET /article/:npub/:identifier
+ * Returns the article's current published version and draft.
+ */
+export async function getArticleController(req, res) {
+    res.json(await getArticle(req.params.npub, req.params.identifier));
+}
+
+/**
+ * GET /article/:npub/:identifier/revisions
+ * Returns the article's revision history, newest first.
+ */
+export async function listRevisionsController(req, res) {
+    const { npub, identifier } = req.params;
+    res.json({ npub, identifier, revisions: await listArticleRevisions(npub, identifier) });
+}
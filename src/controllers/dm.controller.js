@@ -0,0 +1,60 @@
+import {
+    sendDirectMessage,
+    fetchInbox,
+    listMessages,
+    listConversations
+} from '../services/dm.service.js';
+
+function toUnixTime(value) {
+    if (value === undefined) return undefined;
+    const time = parseInt(value, 10);
+    if (!Number.isFinite(time) || time < 0) {
+        throw Object.assign(new Error('since and until must be unix timestamps'), { status: 400 });
+    }
+    return time;
+}
+
+/**
+ * POST /dm/send
+ * Body: { fromNpub, to: npub | npub[], content, subject?, replyTo?, minAccepted? }
+ * Sends a NIP-17 direct message; each recipient gets its own gift wrap on
+ * their DM inbox relays.
+ */
+export async function sendDirectMessageController(req, res) {
+    const { fromNpub, to, content, subject, replyTo, minAccepted } = req.body ?? {};
+    if (!fromNpub || !to || !content) {
+        return res.status(400).json({ error: 'fromNpub, to and content are required' });
+    }
+    res.json(await sendDirectMessage({ fromNpub, to, content, subject, replyTo, minAccepted }));
+}
+
+/**
+ * GET /dm/:npub/inbox?with=&conversationId=&since=&until=&limit=&refresh=
+ * Lists the identity's messages, newest first. With refresh=true the
+ * identity's gift wraps are fetched from its DM relays first.
+ */
+export async function getInboxController(req, res) {
+    const { npub } = req.params;
+    const since = toUnixTime(req.query.since);
+    const until = toUnixTime(req.query.until);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const fetched = req.query.refresh === 'true' ? await fetchInbox(npub, { since }) : null;
+    const messages = await listMessages(npub, {
+        with: req.query.with,
+        conversationId: req.query.conversationId,
+        since,
+        until,
+        limit
+    });
+    res.json({ npub, fetched, messages });
+}
+
+/**
+ * GET /dm/:npub/conversations?limit=
+ * Lists the identity's conversations with their latest message.
+ */
+export async function listConversationsController(req, res) {
+    const { npub } = req.params;
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    res.json({ npub, conversations: await listConversations(npub, { limit }) });
+}
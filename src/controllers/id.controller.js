@@ -1,41 +1,163 @@
 import {
     generateKeyPair,
+    generateMnemonicKeyPair,
+    recoverFromMnemonic,
+    importIdentity,
+    exportNcryptsec,
+    toPublicIdentity,
+    updateIdentity,
+    setIdentityArchived,
+    deleteIdentity,
     getAllKeys,
-    getIdentityByWaGateId
+    getPublicIdentities,
+    getIdentityByWaGateId,
+    getIdentityByGateway,
+    addGateway,
+    removeGateway
 } from '../services/identity.service.js';
+import { rotateIdentity } from '../services/identityRotation.service.js';
+import { getIdentityRelayList, updateIdentityRelayList } from '../services/relayList.service.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * POST /id/generateKey
- * Body: { name: string, wa_gate_id: string }
+ * Body: { name: string, wa_gate_id: string, mnemonic?: boolean, accountIndex?: number, passphrase?: string }
+ * With `mnemonic: true` the key is derived from a new BIP-39 mnemonic (NIP-06),
+ * which is included in this response only.
  */
 export async function generateKey(req, res) {
-    const { name, wa_gate_id } = req.body;
+    const { name, wa_gate_id, mnemonic, accountIndex, passphrase } = req.body;
     if (!name || !wa_gate_id) {
         return res.status(400).json({
             error: 'BadRequest',
             message: 'Both name and wa_gate_id are required'
         });
     }
+    if (mnemonic) {
+        const result = await generateMnemonicKeyPair(name, wa_gate_id, {
+            accountIndex: accountIndex === undefined ? 0 : Number(accountIndex),
+            passphrase
+        });
+        return res.json({ ...result.identity, mnemonic: result.mnemonic, accountIndex: result.identity.derivation.account });
+    }
     const newIdentity = await generateKeyPair(name, wa_gate_id);
     res.json(newIdentity);
 }
 
+/**
+ * POST /id/recover
+ * Body: { mnemonic: string, passphrase?: string, startIndex?: number, count?: number, name?: string, wa_gate_id?: string }
+ * Re-derives NIP-06 accounts from the mnemonic and imports the ones not yet stored.
+ */
+export async function recoverKeys(req, res) {
+    const { mnemonic, passphrase, startIndex, count, name, wa_gate_id } = req.body;
+    if (!mnemonic) {
+        return res.status(400).json({
+            error: 'BadRequest',
+            message: 'mnemonic is required'
+        });
+    }
+    const result = await recoverFromMnemonic(mnemonic, {
+        passphrase,
+        startIndex: startIndex === undefined ? 0 : Number(startIndex),
+        count: count === undefined ? 1 : Number(count),
+        name,
+        wa_gate_id
+    });
+    res.json(result);
+}
+
+/**
+ * POST /id/import
+ * Body: { name: string, key: string, passphrase?: string, wa_gate_id?: string }
+ * `key` may be an nsec, a 64-char hex private key or a NIP-49 ncryptsec
+ * (which requires `passphrase`). `nsec` is accepted as an alias for `key`.
+ */
+export async function importKey(req, res) {
+    const { name, passphrase, wa_gate_id } = req.body;
+    const key = req.body.key ?? req.body.nsec;
+    if (!name || !key) {
+        return res.status(400).json({
+            error: 'BadRequest',
+            message: 'Both name and key are required'
+        });
+    }
+    const identity = await importIdentity(name, key, { wa_gate_id, passphrase });
+    res.status(201).json(toPublicIdentity(identity));
+}
+
+/**
+ * GET /id/:npub/export?format=ncryptsec
+ * Returns the identity's private key encrypted with the passphrase
+ * sent in the `X-Export-Passphrase` header (NIP-49).
+ */
+export async function exportKeyController(req, res) {
+    const { npub } = req.params;
+    const format = req.query.format || 'ncryptsec';
+    if (format !== 'ncryptsec') {
+        return res.status(400).json({
+            error: 'BadRequest',
+            message: `Unsupported export format: ${format}`
+        });
+    }
+    const passphrase = req.get('x-export-passphrase');
+    if (!passphrase) {
+        return res.status(400).json({
+            error: 'BadRequest',
+            message: 'X-Export-Passphrase header is required'
+        });
+    }
+    const ncryptsec = await exportNcryptsec(npub, passphrase);
+    if (!ncryptsec) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for npub ${npub}`
+        });
+    }
+    logger.warn('Exported encrypted private key', { npub, format, ip: req.ip });
+    res.json({ npub, format, ncryptsec });
+}
+
 /**
  * GET /id/getKeys
+ * Returns the public view of all identities (no private keys).
+ * Query: { includeArchived?: "true" } to also list archived identities
  */
 export async function getKeysController(req, res) {
-    const keys = await getAllKeys();
-    if (!keys || keys.length === 0) {
+    const identities = await getPublicIdentities({ includeArchived: req.query.includeArchived === 'true' });
+    if (!identities || identities.length === 0) {
         return res.status(404).json({
             error: 'NotFound',
             message: 'No identities found'
         });
     }
-    res.json(keys);
+    res.json(identities);
+}
+
+/**
+ * GET /id/export
+ * Privileged: returns all identities including private keys.
+ * Query: { npub?: string } to export a single identity
+ * Archived identities are included so backups stay complete.
+ */
+export async function exportKeysController(req, res) {
+    const { npub } = req.query;
+    const keys = (await getAllKeys({ includeArchived: true })).filter(k => !npub || k.npub === npub);
+    if (keys.length === 0) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: npub ? `Identity not found for npub ${npub}` : 'No identities found'
+        });
+    }
+    logger.warn('Exported private keys', { count: keys.length, npub: npub || 'all', ip: req.ip });
+    res.json(keys.map(({ name, npub, pubkey, privkey, nsec, wa_gate_id, gateways, createdAt }) => ({
+        name, npub, pubkey, privkey, nsec, wa_gate_id, gateways, createdAt
+    })));
 }
 
 /**
  * GET /id/gate/:wa_gate_id
+ * Legacy lookup, equivalent to GET /id/gateway/whatsapp/:wa_gate_id.
  */
 export async function getIdentityByGateId(req, res) {
     const { wa_gate_id } = req.params;
@@ -56,7 +178,140 @@ export async function getIdentityByGateId(req, res) {
         pubkey: identity.pubkey,
         npub: identity.npub,
         name: identity.name,
-        wa_gate_id: identity.wa_gate_id
+        wa_gate_id: identity.wa_gate_id,
+        gateways: toPublicIdentity(identity).gateways
     };
     res.json(publicIdentity);
 }
+
+/**
+ * GET /id/gateway/:type/:externalId
+ * Looks up the active identity linked to a chat gateway account.
+ */
+export async function getIdentityByGatewayController(req, res) {
+    const { type, externalId } = req.params;
+    const identity = await getIdentityByGateway(type, externalId);
+    if (!identity) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for gateway ${type}:${externalId}`
+        });
+    }
+    res.json(toPublicIdentity(identity));
+}
+
+/**
+ * POST /id/:npub/gateways
+ * Body: { type: string, externalId: string }
+ */
+export async function addGatewayController(req, res) {
+    const { npub } = req.params;
+    const { type, externalId } = req.body;
+    const identity = await addGateway(npub, { type, externalId });
+    if (!identity) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for npub ${npub}`
+        });
+    }
+    res.json(identity);
+}
+
+/**
+ * DELETE /id/:npub/gateways/:type/:externalId
+ */
+export async function removeGatewayController(req, res) {
+    const { npub, type, externalId } = req.params;
+    const identity = await removeGateway(npub, { type, externalId });
+    if (!identity) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for npub ${npub}`
+        });
+    }
+    res.json(identity);
+}
+
+/**
+ * PATCH /id/:npub
+ * Body: { name?: string, wa_gate_id?: string }
+ */
+export async function updateIdentityController(req, res) {
+    const { npub } = req.params;
+    const { name, wa_gate_id } = req.body;
+    const identity = await updateIdentity(npub, { name, wa_gate_id });
+    if (!identity) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for npub ${npub}`
+        });
+    }
+    res.json(identity);
+}
+
+/**
+ * POST /id/:npub/archive and POST /id/:npub/unarchive
+ */
+export function archiveIdentityController(archived) {
+    return async function (req, res) {
+        const { npub } = req.params;
+        const identity = await setIdentityArchived(npub, archived);
+        if (!identity) {
+            return res.status(404).json({
+                error: 'NotFound',
+                message: `Identity not found for npub ${npub}`
+            });
+        }
+        res.json(identity);
+    };
+}
+
+/**
+ * DELETE /id/:npub
+ * Permanently removes the identity and its keys.
+ */
+export async function deleteIdentityController(req, res) {
+    const { npub } = req.params;
+    const deleted = await deleteIdentity(npub);
+    if (!deleted) {
+        return res.status(404).json({
+            error: 'NotFound',
+            message: `Identity not found for npub ${npub}`
+        });
+    }
+    res.json({ deleted: true, npub });
+}
+
+/**
+ * POST /id/:npub/rotate
+ * Body: { name?: string, reason?: string }
+ * Replaces the identity's key with a new one and archives the old identity.
+ */
+export async function rotateIdentityController(req, res) {
+    const { npub } = req.params;
+    const { name, reason } = req.body;
+    const result = await rotateIdentity(npub, { name, reason });
+    res.json(result);
+}
+
+/**
+ * GET /id/:npub/relays
+ * Returns the identity's NIP-65 relay list.
+ */
+export async function getRelayListController(req, res) {
+    res.json(await getIdentityRelayList(req.params.npub));
+}
+
+/**
+ * PUT /id/:npub/relays
+ * Body: { relays: Array<string|{ url, read?, write? }>, publish?: boolean, minAccepted?: number }
+ * Replaces the relay list and publishes it as kind 10002 (unless `publish: false`).
+ */
+export async function updateRelayListController(req, res) {
+    const { npub } = req.params;
+    const { relays, publish = true, minAccepted } = req.body;
+    if (relays === undefined) {
+        return res.status(400).json({ error: 'relays is required' });
+    }
+    res.json(await updateIdentityRelayList(npub, relays, { publish: publish !== false, minAccepted }));
+}
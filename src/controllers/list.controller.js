@@ -0,0 +1,87 @@
+import {
+    CONTACTS_KIND,
+    MUTE_LIST_KIND,
+    getList,
+    listSets,
+    updateList,
+    parseSetKind
+} from '../services/list.service.js';
+
+/**
+ * GET /id/:npub/contacts
+ * Returns the identity's contact list (kind 3).
+ */
+export async function getContactsController(req, res) {
+    res.json(await getList(req.params.npub, CONTACTS_KIND));
+}
+
+/**
+ * PATCH /id/:npub/contacts
+ * Body: { add?: Array<string|{ pubkey, relay?, petname? }>, remove?: string[], minAccepted? }
+ * Follows and unfollows, keeping the other entries of the newest list found.
+ * Responds 202 when the event missed its quorum and was queued in the outbox.
+ */
+export async function updateContactsController(req, res) {
+    const { add, remove, minAccepted } = req.body ?? {};
+    const result = await updateList({ npub: req.params.npub, kind: CONTACTS_KIND, add, remove, minAccepted });
+    res.status(result.queued ? 202 : 200).json(result);
+}
+
+/**
+ * GET /id/:npub/mutes
+ * Returns the identity's mute list (kind 10000) with its private entries.
+ */
+export async function getMutesController(req, res) {
+    res.json(await getList(req.params.npub, MUTE_LIST_KIND));
+}
+
+/**
+ * PATCH /id/:npub/mutes
+ * Body: { add?: Array<{ type, value, private? }>, remove?: Array<{ type, value }>, minAccepted? }
+ * Mutes and unmutes pubkeys (p), hashtags (t), words and threads (e).
+ */
+export async function updateMutesController(req, res) {
+    const { add, remove, minAccepted } = req.body ?? {};
+    const result = await updateList({ npub: req.params.npub, kind: MUTE_LIST_KIND, add, remove, minAccepted });
+    res.status(result.queued ? 202 : 200).json(result);
+}
+
+/**
+ * GET /id/:npub/sets/:kind
+ * Lists the identity's follow sets (30000) or bookmark sets (30003).
+ */
+export async function listSetsController(req, res) {
+    const kind = parseSetKind(req.params.kind);
+    res.json({ npub: req.params.npub, kind, sets: await listSets(req.params.npub, kind) });
+}
+
+/**
+ * GET /id/:npub/sets/:kind/:identifier
+ * Returns one set with its private entries.
+ */
+export async function getSetController(req, res) {
+    const kind = parseSetKind(req.params.kind);
+    res.json(await getList(req.params.npub, kind, { identifier: req.params.identifier }));
+}
+
+/**
+ * PATCH /id/:npub/sets/:kind/:identifier
+ * Body: { add?, remove?, title?, description?, image?, minAccepted? }
+ * Creates or updates a set.
+ */
+export async function updateSetController(req, res) {
+    const kind = parseSetKind(req.params.kind);
+    const { add, remove, title, description, image, minAccepted } = req.body ?? {};
+    const result = await updateList({
+        npub: req.params.npub,
+        kind,
+        identifier: req.params.identifier,
+        add,
+        remove,
+        title,
+        description,
+        image,
+        minAccepted
+    });
+    res.status(result.queued ? 202 : 200).json(result);
+}
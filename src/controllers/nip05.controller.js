@@ -0,0 +1,62 @@
+import {
+    listNames,
+    claimName,
+    releaseName,
+    getNostrJson,
+    verifyAddress
+} from '../services/nip05.service.js';
+
+/**
+ * GET /.well-known/nostr.json?name=
+ * NIP-05 lookup of a name claimed for one of our identities, with relay
+ * hints. Public and readable from any origin, as NIP-05 requires.
+ */
+export async function nostrJsonController(req, res) {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.json(await getNostrJson(req.query.name));
+}
+
+/**
+ * GET /nip05/names?npub=
+ * Lists claimed names (admin).
+ */
+export async function listNamesController(req, res) {
+    res.json({ names: await listNames({ npub: req.query.npub }) });
+}
+
+/**
+ * PUT /nip05/names/:name
+ * Body: { npub }
+ * Claims a name for an identity (admin). Responds 201 when the name was
+ * claimed now and 200 when the identity already held it.
+ */
+export async function claimNameController(req, res) {
+    const { npub } = req.body ?? {};
+    if (!npub) {
+        return res.status(400).json({ error: 'npub is required' });
+    }
+    const { entry, created } = await claimName(req.params.name, npub, { claimedBy: req.nostrAuth?.npub });
+    res.status(created ? 201 : 200).json(entry);
+}
+
+/**
+ * DELETE /nip05/names/:name
+ * Releases a name (admin).
+ */
+export async function releaseNameController(req, res) {
+    res.json(await releaseName(req.params.name));
+}
+
+/**
+ * GET /nip05/verify?address=&npub=
+ * Resolves an external `name@domain` and checks it against the `nip05`
+ * field of the profile it resolves to (and, with `npub`, that it resolves
+ * to that pubkey).
+ */
+export async function verifyAddressController(req, res) {
+    const { address, npub } = req.query;
+    if (!address) {
+        return res.status(400).json({ error: 'address is required' });
+    }
+    res.json(await verifyAddress(address, { npub }));
+}
@@ -0,0 +1,66 @@
+import { canActOn } from '../middlewares/nip98Auth.js';
+import {
+    listOutbox,
+    getOutboxEntry,
+    retryOutboxEntry,
+    cancelOutboxEntry,
+    toOutboxJSON
+} from '../services/outbox.service.js';
+
+const STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+function forbidden(res, npub) {
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: `Authenticated pubkey may not act on ${npub}`
+    });
+}
+
+/**
+ * GET /outbox?status=&npub=&limit=&skip=
+ * Lists outbox entries, newest first. Non-admin callers must filter by their own npub.
+ */
+export async function listOutboxController(req, res) {
+    const { status, npub } = req.query;
+    if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (req.nostrAuth && !req.nostrAuth.isAdmin) {
+        if (!npub) {
+            return res.status(400).json({ error: 'npub query parameter is required' });
+        }
+        if (!canActOn(req, npub)) return forbidden(res, npub);
+    }
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 50);
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    res.json(await listOutbox({ status, npub, limit, skip }));
+}
+
+/**
+ * GET /outbox/:eventId
+ */
+export async function getOutboxController(req, res) {
+    const entry = await getOutboxEntry(req.params.eventId);
+    if (!canActOn(req, entry.npub)) return forbidden(res, entry.npub);
+    res.json(toOutboxJSON(entry));
+}
+
+/**
+ * POST /outbox/:eventId/retry
+ * Retries the relays that have not accepted the event yet, right away.
+ */
+export async function retryOutboxController(req, res) {
+    const entry = await getOutboxEntry(req.params.eventId);
+    if (!canActOn(req, entry.npub)) return forbidden(res, entry.npub);
+    res.json(await retryOutboxEntry(entry.event_id));
+}
+
+/**
+ * POST /outbox/:eventId/cancel
+ * Stops further delivery attempts.
+ */
+export async function cancelOutboxController(req, res) {
+    const entry = await getOutboxEntry(req.params.eventId);
+    if (!canActOn(req, entry.npub)) return forbidden(res, entry.npub);
+    res.json(await cancelOutboxEntry(entry.event_id));
+}
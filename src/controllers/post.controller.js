@@ -4,40 +4,65 @@ import {
   buildTextNote,
 } from "../services/nostr.service.js";
 import { mineEventPow } from "../services/pow.service.js";
+import { publishWithReport } from "../services/relayPublish.service.js";
+import { resolvePowDifficulty } from "../services/relayInfo.service.js";
+import { publishOrQueue } from "../services/outbox.service.js";
 import { NDKEvent, NDKKind } from "@nostr-dev-kit/ndk";
 import { nip19 } from "nostr-tools";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
-import { getAllKeys } from "../services/identity.service.js";
+import { canActOn } from "../middlewares/nip98Auth.js";
+import {
+  getSigningKey,
+  getDefaultSigningKey,
+} from "../services/identity.service.js";
+import { getAuthorWriteRelays } from "../services/relayList.service.js";
+import { cachedQuery } from "../services/query.service.js";
+import { composeNote, getThread } from "../services/thread.service.js";
+import {
+  publishReaction,
+  publishRepost,
+  publishDeletion,
+} from "../services/interaction.service.js";
 import { v4 as uuidv4 } from "uuid";
 
 const DEFAULT_POW = Number(process.env.POW_BITS) || 20;
 const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
 
 /**
- * Creates and publishes a new post (kind 1 by default).
+ * Creates and publishes a new post (kind 1 by default), optionally as a
+ * reply to `replyTo` and/or quoting `quote`.
+ * Responds with the accepting relays and a per-relay publish report.
  */
 export const createPost = asyncHandler(async (req, res) => {
-  const { content, kind = 1 } = req.body;
+  const { content, kind = 1, minAccepted, replyTo, quote } = req.body;
   const powBits = DEFAULT_POW;
   const timeout = DEFAULT_TIMEOUT;
 
-  const { ndk } = await connect();
-  const evt = new NDKEvent(ndk, { kind, content });
+  const { ndk, relayUrls } = await connect();
+  const note = await composeNote({ content, replyTo, quote });
+  const evt = new NDKEvent(ndk, { kind, ...note });
   await evt.sign();
 
-  const minedRaw = await mineEventPow(evt, powBits);
+  const minedRaw = await mineEventPow(
+    evt,
+    await resolvePowDifficulty(relayUrls, powBits)
+  );
   const minedEvt = new NDKEvent(ndk, minedRaw);
   await minedEvt.sign();
 
-  const okRelays = await minedEvt.publish(undefined, timeout);
-  res.json({ id: minedEvt.id, relays: [...okRelays].map((r) => r.url) });
+  const result = await publishWithReport(minedEvt, {
+    timeoutMs: timeout,
+    minAccepted,
+  });
+  res.json({ ...result, tags: minedEvt.tags });
 });
 
 /**
- * Retrieves the latest 10 posts by the current keypair.
+ * Retrieves the latest 10 posts by the current keypair (or `npub`), read
+ * from the author's NIP-65 write relays through the event store (see
+ * cachedQuery()).
  */
 export const viewPosts = asyncHandler(async (req, res) => {
-  const timeoutSec = DEFAULT_TIMEOUT / 1000;
   let kinds;
   if (req.query.kind) {
     kinds = [parseInt(req.query.kind, 10)];
@@ -45,20 +70,25 @@ export const viewPosts = asyncHandler(async (req, res) => {
     kinds = [0, 1];
   }
 
-  const { ndk, npub: defaultNpub } = await connect();
   let pubHex;
   if (req.query.npub) {
     pubHex = nip19.decode(req.query.npub).data;
   } else {
-    pubHex = nip19.decode(defaultNpub).data;
+    const defaultKey = await getDefaultSigningKey();
+    if (!defaultKey) {
+      throw new Error("No keys available; generate keys first");
+    }
+    pubHex = defaultKey.pubkey;
   }
 
   const filter = { authors: [pubHex], kinds, limit: 10 };
-  const events = await ndk.fetchEvents(filter, { timeoutSec });
-  const sorted = [...events].sort((a, b) => b.created_at - a.created_at);
+  const { events } = await cachedQuery([filter], {
+    relayUrls: await getAuthorWriteRelays(pubHex),
+    timeoutMs: DEFAULT_TIMEOUT,
+  });
 
   res.json(
-    sorted.map((e) => ({
+    events.map((e) => ({
       id: e.id,
       kind: e.kind,
       content: e.content,
@@ -69,58 +99,66 @@ export const viewPosts = asyncHandler(async (req, res) => {
 
 /**
  * Core service to post a note. Reused by HTTP controller and NostrMQ.
- * @param {{ npub: string, content: string, powBits?: number, timeoutMs?: number }} params
- * @returns {Promise<{ relays: string[], latestEvents: Array<{id:string,kind:number,content:string,created_at:number}> }>}
+ * Mentions and hashtags in `content` are tagged; `replyTo` and `quote` make
+ * the note a NIP-10 reply and/or a quote (see composeNote()).
+ * When fewer than `minAccepted` relays accept the note, the signed note is
+ * queued in the outbox for retry and `queued` is true.
+ * @param {{ npub: string, content: string, replyTo?: string, quote?: string, powBits?: number, timeoutMs?: number, minAccepted?: number }} params
+ * @returns {Promise<{ id: string, relays: string[], report: Object, queued: boolean, outbox?: Object, tags: string[][], latestEvents: Array<{id:string,kind:number,content:string,created_at:number}> }>}
  */
-export async function postNoteService({ npub, content, powBits = DEFAULT_POW, timeoutMs = DEFAULT_TIMEOUT }) {
+export async function postNoteService({ npub, content, replyTo, quote, powBits = DEFAULT_POW, timeoutMs = DEFAULT_TIMEOUT, minAccepted }) {
   if (!npub || !content) {
     throw Object.assign(new Error("npub and content are required"), { status: 400 });
   }
 
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
+  const keyObj = await getSigningKey(npub);
   if (!keyObj) {
     throw Object.assign(new Error("Unknown npub for note"), { status: 400 });
   }
 
-  const { ndk } = await connect(keyObj);
-  const noteEvent = new NDKEvent(ndk, { kind: NDKKind.Text, content });
+  const { ndk, relayUrls } = await connect(keyObj);
+  const note = await composeNote({ content, replyTo, quote });
+  const noteEvent = new NDKEvent(ndk, { kind: NDKKind.Text, ...note });
   await noteEvent.sign();
 
-  const minedRaw = await mineEventPow(noteEvent, powBits);
+  // Mine to the highest difficulty the relays' NIP-11 documents ask for
+  const minedRaw = await mineEventPow(
+    noteEvent,
+    await resolvePowDifficulty(relayUrls, powBits)
+  );
   const minedEv = new NDKEvent(ndk, minedRaw);
   await minedEv.sign();
 
-  let okRelays;
-  try {
-    okRelays = await minedEv.publish(undefined, timeoutMs);
-  } catch (err) {
-    err.status = err.status || 500;
-    throw err;
-  }
+  const published = await publishOrQueue(minedEv, {
+    npub,
+    source: "post_note",
+    timeoutMs,
+    minAccepted,
+  });
 
   const { data: pubHex } = nip19.decode(npub);
   const filter = { authors: [pubHex], kinds: [0, 1], limit: 10 };
-  const events = await ndk.fetchEvents(filter, {
-    timeoutSec: DEFAULT_TIMEOUT / 1000,
+  const { events } = await cachedQuery([filter], {
+    relayUrls,
+    timeoutMs: DEFAULT_TIMEOUT,
   });
-  const latestEvents = [...events]
-    .sort((a, b) => b.created_at - a.created_at)
-    .map((e) => ({
-      id: e.id,
-      kind: e.kind,
-      content: e.content,
-      created_at: e.created_at,
-    }));
+  const latestEvents = events.map((e) => ({
+    id: e.id,
+    kind: e.kind,
+    content: e.content,
+    created_at: e.created_at,
+  }));
 
   return {
-    relays: [...okRelays].map((r) => r.url),
+    ...published,
+    tags: minedEv.tags,
     latestEvents,
   };
 }
 
 /**
  * HTTP handler to send a note (kind=Text) via API.
+ * Responds 202 when the note missed its quorum and was queued in the outbox.
  */
 export const sendNoteController = asyncHandler(async (req, res) => {
   const {
@@ -128,13 +166,24 @@ export const sendNoteController = asyncHandler(async (req, res) => {
     powBits = DEFAULT_POW,
     timeoutMs = DEFAULT_TIMEOUT,
     content,
+    replyTo,
+    quote,
+    minAccepted,
   } = req.body;
   console.log(
     `DEBUG sendNoteController: received npub=${npub}, content length=${content?.length}`
   );
 
-  const result = await postNoteService({ npub, content, powBits, timeoutMs });
-  res.json(result);
+  const result = await postNoteService({
+    npub,
+    content,
+    replyTo,
+    quote,
+    powBits,
+    timeoutMs,
+    minAccepted,
+  });
+  res.status(result.queued ? 202 : 200).json(result);
 });
 
 /**
@@ -200,19 +249,84 @@ export const sendNoteRemoteController = asyncHandler(async (req, res) => {
     responseNpub,
     message,
     powBits,
-    timeoutMs
+    timeoutMs,
+    { minAccepted: req.body.minAccepted, encryption: req.body.encryption }
   );
-  res.json({ callID, id: result.id, relays: result.relays });
+  res.status(result.queued ? 202 : 200).json({ callID, ...result });
 });
 
-// Broadcast a fully signed event to relays
+/**
+ * Returns the thread an event belongs to as a tree of replies under its
+ * root, read from relays.
+ */
+export const getThreadController = asyncHandler(async (req, res) => {
+  res.json(await getThread(req.params.eventId));
+});
+
+/**
+ * HTTP handler to react to an event (NIP-25). `content` is "+" by default;
+ * `:shortcode:` reactions need `emojiUrl`.
+ */
+export const reactController = asyncHandler(async (req, res) => {
+  const { npub, eventId, content, emojiUrl, minAccepted } = req.body;
+  if (!npub || !eventId) {
+    return res.status(400).json({ error: "npub and eventId are required" });
+  }
+  const result = await publishReaction({ npub, eventId, content, emojiUrl, minAccepted });
+  res.status(result.queued ? 202 : 200).json(result);
+});
+
+/**
+ * HTTP handler to repost an event (NIP-18). With `comment`, publishes a
+ * quote repost: a note quoting the event.
+ */
+export const repostController = asyncHandler(async (req, res) => {
+  const { npub, eventId, comment, minAccepted } = req.body;
+  if (!npub || !eventId) {
+    return res.status(400).json({ error: "npub and eventId are required" });
+  }
+  const result = comment
+    ? await postNoteService({ npub, content: comment, quote: eventId, minAccepted })
+    : await publishRepost({ npub, eventId, minAccepted });
+  res.status(result.queued ? 202 : 200).json(result);
+});
+
+/**
+ * HTTP handler to request deletion of the identity's own events (NIP-09)
+ * and mark them deleted locally.
+ */
+export const deleteController = asyncHandler(async (req, res) => {
+  const { npub, eventIds, addresses, reason, minAccepted } = req.body;
+  if (!npub) {
+    return res.status(400).json({ error: "npub is required" });
+  }
+  const result = await publishDeletion({ npub, eventIds, addresses, reason, minAccepted });
+  res.status(result.queued ? 202 : 200).json(result);
+});
+
+// Broadcast a fully signed event of an identity the caller may act on
 export const broadcastEvent = asyncHandler(async (req, res) => {
-  const { event } = req.body;
+  const { event, minAccepted } = req.body;
   if (!event) {
     return res.status(400).json({ error: "event is required" });
   }
+  let author;
+  try {
+    author = nip19.npubEncode(event.pubkey);
+  } catch {
+    return res.status(400).json({ error: "event.pubkey must be a hex pubkey" });
+  }
+  if (!canActOn(req, author)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: `Authenticated pubkey may not act on ${author}`,
+    });
+  }
   const { ndk } = await connect();
   const ndkEvent = new NDKEvent(ndk, event);
-  const okRelays = await ndkEvent.publish(undefined, DEFAULT_TIMEOUT);
-  res.json({ id: ndkEvent.id, relays: [...okRelays].map((r) => r.url) });
+  const result = await publishWithReport(ndkEvent, {
+    timeoutMs: DEFAULT_TIMEOUT,
+    minAccepted,
+  });
+  res.json(result);
 });
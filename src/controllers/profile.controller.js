@@ -1,38 +1,26 @@
-import { connect } from '../services/nostr.service.js';
-import { getAllKeys } from '../services/identity.service.js';
-import { mineEventPow } from '../services/pow.service.js';
-import { NDKEvent, NDKKind } from '@nostr-dev-kit/ndk';
+import { getProfile, updateProfile } from '../services/profile.service.js';
 
-const DEFAULT_POW = Number(process.env.POW_BITS) || 20;
-const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
-
-export async function updateProfile(req, res) {
-    const { name, about, picture, npub } = req.body;
-    const powBits = DEFAULT_POW;
-    const timeout = DEFAULT_TIMEOUT;
-
-    const keys = await getAllKeys();
-    const keyObj = keys.find(k => k.npub === npub);
-    if (!keyObj) {
-        throw new Error("Unknown npub for profile update");
-    }
-    const { ndk } = await connect(keyObj);
-    const profileData = { name, about, ...(picture ? { picture } : {}) };
-    const evt = new NDKEvent(ndk, {
-        kind: NDKKind.Metadata,
-        content: JSON.stringify(profileData)
-    });
-    await evt.sign();
-
-    const minedRaw = await mineEventPow(evt, powBits);
-    const minedEvt = new NDKEvent(ndk, minedRaw);
-    await minedEvt.sign();
+/**
+ * GET /profile/:npub
+ * Returns the newest kind 0 profile of any author (npub or hex), read from
+ * their write relays, the indexer relays and the event store.
+ */
+export async function getProfileController(req, res) {
+    res.json(await getProfile(req.params.npub));
+}
 
-    try {
-        const okRelays = await minedEvt.publish(undefined, timeout);
-        res.json({ id: minedEvt.id, relays: [...okRelays].map(r => r.url) });
-    } catch (err) {
-        err.status = err.status || 500;
-        throw err;
+/**
+ * POST /profile/update
+ * Body: { npub, replace?, minAccepted?, name?, display_name?, about?, picture?, banner?, website?, nip05?, lud16?, lud06?, bot?, birthday? }
+ * Merges the given fields into the newest published profile; `null` or ""
+ * removes a field and `replace: true` publishes only the given fields.
+ * Responds 202 when the event missed its quorum and was queued in the outbox.
+ */
+export async function updateProfileController(req, res) {
+    const { npub, replace, minAccepted, ...fields } = req.body ?? {};
+    if (replace !== undefined && typeof replace !== 'boolean') {
+        return res.status(400).json({ error: 'replace must be a boolean' });
     }
+    const result = await updateProfile({ npub, fields, replace, minAccepted });
+    res.status(result.queued ? 202 : 200).json(result);
 }
@@ -0,0 +1,22 @@
+import { queryEvents } from '../services/query.service.js';
+
+/**
+ * POST /query
+ * Body: { filters: Object | Object[], relays?: string[], limit?: number, cursor?: string, verify?: boolean }
+ * Runs NIP-01 filters against relays and returns one page of events, newest
+ * first, each with the relays it was seen on. Pass `nextCursor` back as
+ * `cursor` for the next page. Only admins may name the relays.
+ */
+export async function queryController(req, res) {
+    const { filters, relays, limit, cursor, verify } = req.body ?? {};
+    if (filters === undefined) {
+        return res.status(400).json({ error: 'filters is required' });
+    }
+    if (relays !== undefined && req.nostrAuth && !req.nostrAuth.isAdmin) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Admin pubkey required to query relays of your choice'
+        });
+    }
+    res.json(await queryEvents({ filters, relays, limit, cursor, verify: verify === true }));
+}
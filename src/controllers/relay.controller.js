@@ -0,0 +1,89 @@
+import { normalizeRelayUrl } from '@nostr-dev-kit/ndk';
+import { getPoolStatus } from '../services/ndkPool.service.js';
+import { getAuthorRelayList, toHexPubkey } from '../services/relayList.service.js';
+import { listRelays, updateRelays } from '../services/relayRegistry.service.js';
+import { getConfiguredRelayUrls } from '../services/nostr.service.js';
+import { getRelayInfo, isPublicRelayUrl } from '../services/relayInfo.service.js';
+
+/**
+ * GET /relays
+ * Lists known relays with their health stats; `configured` marks the
+ * current configured relay set.
+ */
+export async function listRelaysController(req, res) {
+    const configured = getConfiguredRelayUrls();
+    res.json({ relays: listRelays(configured), configured });
+}
+
+/**
+ * POST /relays
+ * Adds relays to or removes relays from the configured relay set at runtime.
+ * Body: { add?: string[], remove?: string[] }
+ */
+export async function updateRelaysController(req, res) {
+    const { add, remove } = req.body || {};
+    const changed = await updateRelays({ add, remove });
+    res.json({ changed, configured: getConfiguredRelayUrls() });
+}
+
+function isConfiguredRelay(url) {
+    try {
+        const normalized = normalizeRelayUrl(url);
+        return getConfiguredRelayUrls().some((relayUrl) => normalizeRelayUrl(relayUrl) === normalized);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * GET /relays/info?url=wss://...&refresh=true
+ * Returns the cached NIP-11 document and derived publishing limits of one
+ * relay, or of every configured relay when `url` is omitted. Relays outside
+ * the configured set are only looked up for admins, and only on public
+ * hostnames, since the lookup makes the server fetch the URL.
+ */
+export async function getRelayInfoController(req, res) {
+    const { url } = req.query;
+    const refresh = req.query.refresh === 'true';
+    if (url) {
+        if (typeof url !== 'string' || !/^wss?:\/\/[^\s/]+/i.test(url)) {
+            return res.status(400).json({ error: 'url must be a ws:// or wss:// relay URL' });
+        }
+        if (!isConfiguredRelay(url)) {
+            if (req.nostrAuth && !req.nostrAuth.isAdmin) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Admin pubkey required to look up relays outside the configured set'
+                });
+            }
+            if (!isPublicRelayUrl(url)) {
+                return res.status(400).json({ error: 'url must be a relay on a public hostname' });
+            }
+        }
+        return res.json(await getRelayInfo(url, { refresh }));
+    }
+    const relays = await Promise.all(
+        getConfiguredRelayUrls().map((relayUrl) => getRelayInfo(relayUrl, { refresh }))
+    );
+    res.json({ relays });
+}
+
+/**
+ * GET /relays/pool
+ * Reports the pooled NDK connections and the state of each relay.
+ */
+export async function getPoolStatusController(req, res) {
+    const pools = getPoolStatus();
+    res.json({ pools });
+}
+
+/**
+ * GET /relays/author/:pubkey?refresh=true
+ * Returns an author's NIP-65 relay list (npub or hex), as used for reading
+ * their events.
+ */
+export async function getAuthorRelayListController(req, res) {
+    const pubkey = toHexPubkey(req.params.pubkey);
+    const relayList = await getAuthorRelayList(pubkey, { refresh: req.query.refresh === 'true' });
+    res.json(relayList);
+}
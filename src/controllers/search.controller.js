@@ -0,0 +1,59 @@
+import { searchEvents } from '../services/search.service.js';
+
+// Accepts repeated parameters and comma-separated values
+function listParam(value) {
+    if (value === undefined) return undefined;
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+function toUnixTime(value) {
+    if (value === undefined) return undefined;
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isFinite(time) || time < 0) {
+        throw Object.assign(new Error('since and until must be unix timestamps or ISO dates'), { status: 400 });
+    }
+    return time;
+}
+
+/**
+ * GET /search?q=&author=&kind=&since=&until=&sort=&limit=&skip=&nip50=&relay=
+ * Full-text search over stored events, newest first or by relevance
+ * (sort=relevance). `author` and `kind` take several values. With
+ * nip50=true the first page also asks NIP-50 relays (`relay`, else
+ * NOSTR_SEARCH_RELAYS) and returns their matches under `nip50`. Only
+ * admins may pass `relay`.
+ */
+export async function searchController(req, res) {
+    const { q, sort } = req.query;
+    if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+    }
+    if (req.query.relay !== undefined && req.nostrAuth && !req.nostrAuth.isAdmin) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Admin pubkey required to search relays of your choice'
+        });
+    }
+    const kinds = listParam(req.query.kind)?.map(kind => {
+        const value = Number(kind);
+        if (!Number.isInteger(value)) {
+            throw Object.assign(new Error(`Invalid kind: ${kind}`), { status: 400 });
+        }
+        return value;
+    });
+    res.json(await searchEvents({
+        q,
+        authors: listParam(req.query.author),
+        kinds,
+        since: toUnixTime(req.query.since),
+        until: toUnixTime(req.query.until),
+        sort,
+        limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50)),
+        skip: Math.max(0, parseInt(req.query.skip, 10) || 0),
+        nip50: req.query.nip50 === 'true',
+        relays: listParam(req.query.relay)
+    }));
+}
@@ -1,20 +1,32 @@
 
 import { asyncHandler } from '../middlewares/asyncHandler.js';
 import { startSession, getSession, stopSession } from '../services/stream.service.js';
-import { nip19, nip04 } from 'nostr-tools';
-import { getAllKeys } from '../services/identity.service.js';
+import { nip19 } from 'nostr-tools';
+import { getSigningKey } from '../services/identity.service.js';
+import { decryptPayload, detectEncryption } from '../services/encryption.service.js';
+
+/**
+ * Checks that the authenticated caller owns a stream session (or is an admin).
+ * Always true when NIP-98 authentication is disabled.
+ */
+function canAccessSession(req, session) {
+    return !req.nostrAuth || req.nostrAuth.isAdmin || session.owner === req.nostrAuth.pubkey;
+}
 
 export const startStream = asyncHandler(async (req, res) => {
     // Expect an array of npubs in the request body
-    const { npubs } = req.body ?? {};
+    const { npubs, dms } = req.body ?? {};
 
     // Validate that npubs is an array if provided
     if (npubs && !Array.isArray(npubs)) {
         return res.status(400).json({ error: 'npubs must be an array of strings' });
     }
+    if (dms && !(npubs && npubs.length)) {
+        return res.status(400).json({ error: 'dms requires npubs' });
+    }
 
     // Pass the array (or undefined if not provided) to the service
-    const sessionId = await startSession(npubs);
+    const sessionId = await startSession(npubs, req.nostrAuth?.pubkey ?? null, { dms: dms === true });
     res.json({ sessionId });
 });
 
@@ -24,14 +36,19 @@ export const streamEvents = async (req, res) => {
     if (!session) {
         return res.status(404).json({ error: 'Session not found' });
     }
+    if (!canAccessSession(req, session)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Session belongs to another pubkey' });
+    }
     res.set({
         'Cache-Control': 'no-cache',
         'Content-Type': 'text/event-stream',
         'Connection': 'keep-alive'
     }).flushHeaders();
 
-    const { sub, clients, npubs } = session;
-    const keys = await getAllKeys();
+    // Listen on the session's emitter: its NDK subscription is replaced after relay re-auth
+    const { events, clients, npubs } = session;
+    // Signing keys are loaded on first use per recipient npub
+    const signingKeys = new Map();
 
     const push = async (ev) => {
         try {
@@ -41,14 +58,17 @@ export const streamEvents = async (req, res) => {
             // Only process if this event is addressed to one of the session npubs
             if (!npubs.includes(call)) return;
             // Find key object for this call NPub
-            const keyObj = keys.find(k => k.npub === call);
+            if (!signingKeys.has(call)) {
+                signingKeys.set(call, await getSigningKey(call));
+            }
+            const keyObj = signingKeys.get(call);
             if (!keyObj) {
                 console.error(`No key found for npub ${call}`);
                 return;
             }
-            // Decrypt payload
+            // Decrypt payload (NIP-44 or NIP-04, detected from the payload)
             const { data: privHex } = nip19.decode(keyObj.nsec);
-            const decrypted = await nip04.decrypt(privHex, ev.pubkey, encrypted);
+            const decrypted = await decryptPayload(privHex, ev.pubkey, encrypted);
             let payloadObj;
             try {
                 payloadObj = JSON.parse(decrypted);
@@ -63,6 +83,7 @@ export const streamEvents = async (req, res) => {
                     payload: payloadObj,
                     senderNpub,
                     responseNpub: response,
+                    encryption: detectEncryption(encrypted),
                     timestamp: ev.created_at
                 }
             };
@@ -72,11 +93,19 @@ export const streamEvents = async (req, res) => {
         }
     };
 
-    sub.on('event', push);
+    // Direct messages arrive already unwrapped and stored by the session
+    const pushDm = (dm) => {
+        if (!npubs.includes(dm.owner)) return;
+        res.write(`data:${JSON.stringify({ type: 'directMessage', data: dm })}\n\n`);
+    };
+
+    events.on('event', push);
+    events.on('dm', pushDm);
     clients.push({ res, push });
 
     req.on('close', () => {
-        sub.off('event', push);
+        events.off('event', push);
+        events.off('dm', pushDm);
         const idx = clients.findIndex(c => c.push === push);
         if (idx !== -1) clients.splice(idx, 1);
     });
@@ -84,6 +113,10 @@ export const streamEvents = async (req, res) => {
 
 export const stopStream = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const session = getSession(id);
+    if (session && !canAccessSession(req, session)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Session belongs to another pubkey' });
+    }
     const stopped = stopSession(id);
     res.json({ stopped });
 });
@@ -1,12 +1,16 @@
-import { nip04, nip19 } from "nostr-tools";
-import { NDKEvent } from "@nostr-dev-kit/ndk";
+import { nip19 } from "nostr-tools";
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import { connect } from "../services/nostr.service.js";
-import { getAllKeys, updateWalletInfo } from "../services/identity.service.js";
+import {
+  getSigningKey,
+  getIdentityByNpub,
+  updateWalletInfo,
+} from "../services/identity.service.js";
 import {
   generateP2PKKeypair,
   checkWalletExists,
   getWalletDetails,
+  publishWalletEvents,
   getBalance as cashuGetBalance,
   mintTokens as cashuMintTokens,
   completeMinting,
@@ -15,6 +19,7 @@ import {
   meltTokens as cashuMeltTokens,
   checkProofStates as cashuCheckProofStates,
 } from "../services/cashu.service.js";
+import { resolveEncryption } from "../services/encryption.service.js";
 import walletRepositoryService from "../services/walletRepository.service.js";
 import ValidationService from "../services/validation.service.js";
 import MonitoringService from "../services/monitoring.service.js";
@@ -37,6 +42,14 @@ export const create = asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "npub is required" });
   }
 
+  // Wallet metadata is NIP-44 encrypted unless "nip04" is requested
+  let encryption;
+  try {
+    encryption = resolveEncryption(req.body.encryption);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   // Validate npub format
   try {
     nip19.decode(npub);
@@ -47,8 +60,7 @@ export const create = asyncHandler(async (req, res) => {
 
   try {
     // Look up user's key object
-    const keys = await getAllKeys();
-    const keyObj = keys.find((k) => k.npub === npub);
+    const keyObj = await getSigningKey(npub);
     if (!keyObj) {
       logger.error("Wallet creation failed: User not found", { npub });
       return res.status(404).json({ error: "User not found" });
@@ -102,7 +114,7 @@ export const create = asyncHandler(async (req, res) => {
       npub,
       mint_url: MINT_URL,
       p2pk_pubkey: p2pkPub,
-      p2pk_privkey: p2pkPriv, // In production, this should be encrypted
+      p2pk_privkey: p2pkPriv, // Encrypted at rest by the repository
       wallet_config: {
         unit: "sat",
         created_via: "api",
@@ -112,42 +124,15 @@ export const create = asyncHandler(async (req, res) => {
     const wallet = await walletRepositoryService.createWallet(walletData);
     logger.info("Created wallet in database", { npub, walletId: wallet._id });
 
-    // Decode Nostr keys for encryption
-    const { data: privHex } = nip19.decode(nsec);
-    const { data: pubHex } = nip19.decode(npub);
-
-    // Build and encrypt wallet metadata event (kind 17375)
-    const walletContent = JSON.stringify({ mint: MINT_URL, p2pkPriv });
-    const encryptedContent = await nip04.encrypt(
-      privHex,
-      pubHex,
-      walletContent
-    );
-    const walletEvent = new NDKEvent(ndk, {
-      kind: 17375,
-      content: encryptedContent,
-      tags: [["mint", MINT_URL]],
-    });
-    await walletEvent.sign();
-    const walletRelays = await walletEvent.publish();
-    logger.info("Published wallet metadata event", {
+    // Publish wallet metadata (kind 17375) and Nutzap info (kind 10019)
+    const events = await publishWalletEvents(ndk, {
       npub,
-      eventId: walletEvent.id,
-    });
-
-    // Build Nutzap info event (kind 10019)
-    const infoEvent = new NDKEvent(ndk, {
-      kind: 10019,
-      content: "",
-      tags: [
-        ["relay", process.env.RELAYS?.split(",")[0] || "wss://relay.damus.io"],
-        ["mint", MINT_URL],
-        ["pubkey", "02" + p2pkPub],
-      ],
+      nsec,
+      mintUrl: MINT_URL,
+      p2pkPriv,
+      p2pkPub,
+      encryption,
     });
-    await infoEvent.sign();
-    const infoRelays = await infoEvent.publish();
-    logger.info("Published Nutzap info event", { npub, eventId: infoEvent.id });
 
     // Store wallet info in keys.json
     keyObj.wallet = { mint: MINT_URL, p2pkPub };
@@ -167,16 +152,7 @@ export const create = asyncHandler(async (req, res) => {
         mint: MINT_URL,
         p2pkPub,
       },
-      events: {
-        wallet: {
-          id: walletEvent.id,
-          relays: [...walletRelays].map((r) => r.url),
-        },
-        info: {
-          id: infoEvent.id,
-          relays: [...infoRelays].map((r) => r.url),
-        },
-      },
+      events,
     });
   } catch (error) {
     logger.error("Failed to create wallet", {
@@ -212,9 +188,8 @@ export const getBalance = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -299,9 +274,8 @@ export const mintTokens = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists (additional check)
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -390,9 +364,8 @@ export const completeMintTokens = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -529,9 +502,8 @@ export const sendTokens = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -598,9 +570,8 @@ export const receiveTokens = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -665,9 +636,8 @@ export const meltTokens = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -723,9 +693,8 @@ export const checkProofStates = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -796,9 +765,8 @@ export const getTransactionHistory = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -873,8 +841,7 @@ export const getWalletInfo = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
+  const keyObj = await getSigningKey(npub);
   if (!keyObj) {
     return res.status(404).json({ error: "User not found" });
   }
@@ -957,9 +924,8 @@ export const checkPendingReceipts = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -1141,9 +1107,8 @@ export const cleanupStuckTransactions = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
@@ -1197,9 +1162,8 @@ export const getRecoveryStats = asyncHandler(async (req, res) => {
   }
 
   // Validate user exists
-  const keys = await getAllKeys();
-  const keyObj = keys.find((k) => k.npub === npub);
-  if (!keyObj) {
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
     return res.status(404).json({ error: "User not found" });
   }
 
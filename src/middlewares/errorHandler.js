@@ -2,12 +2,15 @@ import { logger } from '../utils/logger.js';
 
 /**
  * Error-handling middleware for Express.
+ * Errors may carry a `details` object (e.g. a relay publish report) that is
+ * returned alongside the message.
  */
 export function errorHandler(err, req, res, next) {
     logger.error(err);
     const status = err.status || 500;
     res.status(status).json({
         error: err.name || 'Error',
-        message: err.message || 'An unexpected error occurred'
+        message: err.message || 'An unexpected error occurred',
+        ...(err.details ? { details: err.details } : {})
     });
 }
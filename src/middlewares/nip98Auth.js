@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { nip19, verifyEvent } from 'nostr-tools';
+import { logger } from '../utils/logger.js';
+
+/**
+ * NIP-98 HTTP authentication.
+ *
+ * Every request must carry `Authorization: Nostr <base64 event>`, where the
+ * event is a kind 27235 event signed by the caller with `u` (absolute URL),
+ * `method` and, for requests with a body, `payload` (sha256 of the body) tags.
+ * The authenticated pubkey is exposed as `req.nostrAuth` and bound to the
+ * identity a route acts on by requireNpubAccess(). Routes guarded by the
+ * ADMIN_API_KEY credential (requireAdmin) are left to that middleware.
+ *
+ * Configuration:
+ *  - NIP98_AUTH_ENABLED: set to "false" to disable authentication (local development only)
+ *  - NIP98_ADMIN_PUBKEYS: comma-separated npubs or hex pubkeys allowed to act on any identity
+ *  - NIP98_MAX_AGE_SECONDS: allowed clock skew for `created_at` (default 60)
+ *  - NIP98_BASE_URL: public base URL of the API when running behind a proxy
+ */
+
+const HTTP_AUTH_KIND = 27235;
+const SCHEME = 'Nostr ';
+
+// Paths that are reachable without authentication (NIP-05 lookups)
+const PUBLIC_PATHS = ['/.well-known/'];
+
+// Paths authenticated by requireAdmin with the ADMIN_API_KEY credential
+// instead, whose `Authorization: Bearer` header cannot carry a NIP-98 event
+const ADMIN_KEY_PATHS = ['/id/export'];
+
+function isAdminKeyPath(path) {
+    return ADMIN_KEY_PATHS.includes(path.toLowerCase().replace(/\/+$/, ''));
+}
+
+// Signatures already used, kept for the freshness window to prevent replays.
+// Keyed by signature rather than id: two honest requests signed in the same
+// second share an id, but never a signature.
+const seenSignatures = new Map();
+
+export function isNip98Enabled() {
+    return process.env.NIP98_AUTH_ENABLED !== 'false';
+}
+
+function getMaxAgeSeconds() {
+    return Number(process.env.NIP98_MAX_AGE_SECONDS) || 60;
+}
+
+function toHexPubkey(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('npub1')) {
+        return nip19.decode(trimmed).data;
+    }
+    return trimmed.toLowerCase();
+}
+
+/**
+ * Returns the set of admin pubkeys (hex) allowed to act on any identity.
+ * @returns {Set<string>}
+ */
+export function getAdminPubkeys() {
+    const raw = process.env.NIP98_ADMIN_PUBKEYS || '';
+    const pubkeys = new Set();
+    for (const entry of raw.split(',').filter(e => e.trim())) {
+        try {
+            pubkeys.add(toHexPubkey(entry));
+        } catch (error) {
+            logger.warn('Ignoring invalid NIP98_ADMIN_PUBKEYS entry', { entry, error: error.message });
+        }
+    }
+    return pubkeys;
+}
+
+function getRequestUrl(req) {
+    const base = process.env.NIP98_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return new URL(req.originalUrl, base).href;
+}
+
+function normalizeUrl(url) {
+    try {
+        return new URL(url).href;
+    } catch {
+        return null;
+    }
+}
+
+function getTag(event, name) {
+    const tag = event.tags.find(t => t[0] === name);
+    return tag ? tag[1] : undefined;
+}
+
+function rememberSignature(sig, createdAt) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [seenSig, expiresAt] of seenSignatures) {
+        if (expiresAt < now) seenSignatures.delete(seenSig);
+    }
+    if (seenSignatures.has(sig)) return false;
+    seenSignatures.set(sig, createdAt + getMaxAgeSeconds());
+    return true;
+}
+
+/**
+ * Validates a NIP-98 authorization event against the request.
+ * @param {Object} event - Decoded kind 27235 event
+ * @param {import('express').Request} req
+ * @returns {string|null} Failure reason, or null if the event is valid
+ */
+export function validateAuthEvent(event, req) {
+    if (!event || event.kind !== HTTP_AUTH_KIND || !Array.isArray(event.tags)) {
+        return `Authorization event must be kind ${HTTP_AUTH_KIND}`;
+    }
+    if (!verifyEvent(event)) {
+        return 'Invalid authorization event signature';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - event.created_at) > getMaxAgeSeconds()) {
+        return 'Authorization event is expired or from the future';
+    }
+
+    const url = getTag(event, 'u');
+    if (!url || normalizeUrl(url) !== getRequestUrl(req)) {
+        return 'Authorization URL does not match request';
+    }
+
+    const method = getTag(event, 'method');
+    if (!method || method.toUpperCase() !== req.method) {
+        return 'Authorization method does not match request';
+    }
+
+    if (req.rawBody && req.rawBody.length > 0) {
+        const expectedHash = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+        if (getTag(event, 'payload') !== expectedHash) {
+            return 'Authorization payload hash does not match request body';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Express middleware verifying the NIP-98 `Authorization: Nostr` header.
+ * On success sets `req.nostrAuth = { pubkey, npub, isAdmin }`.
+ */
+export function nip98Auth(req, res, next) {
+    if (!isNip98Enabled() || PUBLIC_PATHS.some(p => req.path.startsWith(p)) || isAdminKeyPath(req.path)) {
+        return next();
+    }
+
+    const header = req.get('authorization') || '';
+    if (!header.startsWith(SCHEME)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'NIP-98 Authorization header required'
+        });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(Buffer.from(header.slice(SCHEME.length).trim(), 'base64').toString('utf8'));
+    } catch {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Malformed NIP-98 Authorization header'
+        });
+    }
+
+    const failure = validateAuthEvent(event, req) || (rememberSignature(event.sig, event.created_at) ? null : 'Authorization event already used');
+    if (failure) {
+        logger.warn('Rejected NIP-98 authorization', { method: req.method, path: req.originalUrl, reason: failure });
+        return res.status(401).json({ error: 'Unauthorized', message: failure });
+    }
+
+    req.nostrAuth = {
+        pubkey: event.pubkey,
+        npub: nip19.npubEncode(event.pubkey),
+        isAdmin: getAdminPubkeys().has(event.pubkey)
+    };
+    next();
+}
+
+/**
+ * Checks whether the authenticated caller may act on the given npub.
+ * Always true when authentication is disabled.
+ * @param {import('express').Request} req
+ * @param {string} npub
+ * @returns {boolean}
+ */
+export function canActOn(req, npub) {
+    if (!req.nostrAuth || req.nostrAuth.isAdmin) return true;
+    try {
+        const { type, data } = nip19.decode(npub);
+        return type === 'npub' && data === req.nostrAuth.pubkey;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Binds the authenticated pubkey to the identity a route acts on.
+ * Looks up `field` in the route params, then in the body; array values
+ * (e.g. `npubs`) require every entry to match. Admin pubkeys may act on any identity.
+ * Can also be registered with `router.param(field, requireNpubAccess(field))`.
+ * @param {string} [field='npub'] - Param or body field holding the npub
+ * @returns {import('express').RequestHandler}
+ */
+export function requireNpubAccess(field = 'npub') {
+    return function (req, res, next) {
+        const value = req.params?.[field] ?? req.body?.[field];
+        if (value === undefined || value === null || value === '') {
+            return next();
+        }
+        const npubs = Array.isArray(value) ? value : [value];
+        const denied = npubs.find(npub => !canActOn(req, npub));
+        if (denied !== undefined) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Authenticated pubkey may not act on ${denied}`
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Restricts a route to admin pubkeys (cross-identity or system operations).
+ * No-op when authentication is disabled.
+ */
+export function requireNostrAdmin(req, res, next) {
+    if (!req.nostrAuth || req.nostrAuth.isAdmin) {
+        return next();
+    }
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin pubkey required for this operation'
+    });
+}
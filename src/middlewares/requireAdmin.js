@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Guards privileged routes with the admin credential from ADMIN_API_KEY.
+ * The credential is accepted as `X-Admin-Key: <key>` or `Authorization: Bearer <key>`.
+ * When ADMIN_API_KEY is not configured, privileged routes are disabled.
+ */
+export function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_KEY;
+    if (!expected) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Privileged endpoints are disabled (ADMIN_API_KEY not configured)'
+        });
+    }
+
+    const authHeader = req.get('authorization') || '';
+    const provided = req.get('x-admin-key')
+        || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '');
+
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+        logger.warn('Rejected privileged request', { method: req.method, path: req.originalUrl, ip: req.ip });
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Valid admin credential required'
+        });
+    }
+
+    next();
+}
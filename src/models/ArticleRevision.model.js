@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+/**
+ * ArticleRevision Schema
+ *
+ * One saved version of a long-form article (NIP-23): every publish (kind
+ * 30023) or draft save (kind 30024) of an identity's article adds a
+ * revision (see article.service.js). The newest revision of each kind is the
+ * article's current published version or draft.
+ *
+ * @typedef {Object} ArticleRevision
+ * @property {string} owner - Author's npub
+ * @property {string} identifier - The article's `d` tag
+ * @property {number} revision - Sequence number per article, starting at 1
+ * @property {number} kind - 30023 (published) or 30024 (draft)
+ * @property {string} event_id - Id of the signed event
+ * @property {Object} event - Signed raw event
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} image - Header image URL
+ * @property {number} published_at - Unix time the article was first published
+ * @property {string[]} hashtags - `t` tags
+ * @property {string} content - Markdown body
+ * @property {string[]} relays - Relays that accepted the event
+ * @property {boolean} queued - Whether the event was queued in the outbox instead of reaching its quorum
+ */
+const ArticleRevisionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: String,
+      required: [true, "Owner npub is required"],
+    },
+    identifier: { type: String, required: true },
+    revision: { type: Number, required: true },
+    kind: {
+      type: Number,
+      enum: [30023, 30024],
+      required: true,
+    },
+    event_id: { type: String, required: true },
+    event: { type: mongoose.Schema.Types.Mixed, required: true },
+    title: { type: String },
+    summary: { type: String },
+    image: { type: String },
+    published_at: { type: Number },
+    hashtags: { type: [String], default: [] },
+    content: { type: String, default: "" },
+    relays: { type: [String], default: [] },
+    queued: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+    collection: "article_revisions",
+  }
+);
+
+ArticleRevisionSchema.index({ owner: 1, identifier: 1, revision: -1 }, { unique: true });
+ArticleRevisionSchema.index({ owner: 1, kind: 1, createdAt: -1 });
+
+const ArticleRevision = mongoose.model("ArticleRevision", ArticleRevisionSchema);
+export default ArticleRevision;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+/**
+ * AuthorRelayList Schema
+ *
+ * Cached NIP-65 relay list (kind 10002) of any author, fetched from indexer
+ * relays. Used to read an author's events from the relays they write to.
+ *
+ * @typedef {Object} AuthorRelayList
+ * @property {string} pubkey - Author's hex public key
+ * @property {Array<{url: string, read: boolean, write: boolean}>} relays - Relay list entries
+ * @property {string} event_id - Id of the kind 10002 event (absent when none was found)
+ * @property {number} event_created_at - created_at of the kind 10002 event
+ * @property {Date} fetched_at - When the list was last fetched from indexers
+ */
+const AuthorRelayListSchema = new mongoose.Schema(
+  {
+    pubkey: {
+      type: String,
+      required: [true, "Pubkey is required"],
+      unique: true,
+      validate: {
+        validator: function (v) {
+          return /^[0-9a-f]{64}$/.test(v);
+        },
+        message: "Invalid hex pubkey",
+      },
+    },
+    relays: [
+      {
+        _id: false,
+        url: { type: String, required: true },
+        read: { type: Boolean, default: true },
+        write: { type: Boolean, default: true },
+      },
+    ],
+    event_id: { type: String },
+    event_created_at: { type: Number },
+    fetched_at: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+    collection: "author_relay_lists",
+  }
+);
+
+const AuthorRelayList = mongoose.model("AuthorRelayList", AuthorRelayListSchema);
+export default AuthorRelayList;
@@ -11,6 +11,9 @@ import mongoose from "mongoose";
  * @property {string} mint_url - URL of the Cashu mint
  * @property {string} p2pk_pubkey - Public key for P2PK transactions
  * @property {string} p2pk_privkey - Encrypted private key for P2PK transactions
+ * @property {Object} encryption - Envelope encryption metadata for p2pk_privkey
+ * @property {number} encryption.key_version - Master key version that wrapped the data key
+ * @property {string} encryption.wrapped_key - Data key wrapped by the master key
  * @property {Object} wallet_config - Wallet configuration options
  * @property {string} wallet_config.unit - Currency unit (default: 'sat')
  * @property {string} wallet_config.created_via - Creation method ('api' or 'nostr')
@@ -61,7 +64,11 @@ const CashuWalletSchema = new mongoose.Schema(
       type: String,
       required: [true, "P2PK private key is required"],
       trim: true,
-      // Note: This should be encrypted before storage in production
+      // Encrypted by walletRepositoryService.createWallet (see keyEncryption.service.js)
+    },
+    encryption: {
+      key_version: { type: Number },
+      wrapped_key: { type: String },
     },
     wallet_config: {
       unit: {
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * DirectMessage Schema
+ *
+ * A NIP-17 private direct message (kind 14 rumor) as seen by one of our
+ * identities, stored after unwrapping its gift wrap (see dm.service.js).
+ * A message sent to several recipients is stored once per local
+ * participant.
+ *
+ * @typedef {Object} DirectMessage
+ * @property {string} owner - npub of the identity whose inbox holds the message
+ * @property {string} rumor_id - Id of the unsigned kind 14 event
+ * @property {string} wrap_id - Id of the kind 1059 gift wrap it arrived in (for sent messages, the sender's own copy)
+ * @property {string} conversation_id - Hash of the sorted participant pubkeys
+ * @property {string} sender - Sender's hex pubkey
+ * @property {string[]} participants - Sorted hex pubkeys of the sender and all recipients
+ * @property {string} content - Message text
+ * @property {string} subject - Conversation subject, if set
+ * @property {string} reply_to - Id of the message this one replies to
+ * @property {number} created_at - created_at of the kind 14 event
+ * @property {string} direction - 'in' (received) or 'out' (sent by the owner)
+ */
+const DirectMessageSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: String,
+      required: [true, "Owner npub is required"],
+    },
+    rumor_id: { type: String, required: true },
+    wrap_id: { type: String },
+    conversation_id: { type: String, required: true },
+    sender: { type: String, required: true },
+    participants: { type: [String], default: [] },
+    content: { type: String, default: "" },
+    subject: { type: String },
+    reply_to: { type: String },
+    created_at: { type: Number, required: true },
+    direction: {
+      type: String,
+      enum: ["in", "out"],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "direct_messages",
+  }
+);
+
+// One copy per inbox; gift wraps of the same message are deduplicated
+DirectMessageSchema.index({ owner: 1, rumor_id: 1 }, { unique: true });
+DirectMessageSchema.index({ owner: 1, conversation_id: 1, created_at: -1 });
+
+const DirectMessage = mongoose.model("DirectMessage", DirectMessageSchema);
+export default DirectMessage;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+/**
+ * Nip05Name Schema
+ *
+ * A NIP-05 name claimed for one of our identities, served from
+ * /.well-known/nostr.json (see nip05.service.js).
+ *
+ * @typedef {Object} Nip05Name
+ * @property {string} name - Local part of the address, lowercase
+ * @property {string} npub - Identity the name points to
+ * @property {string} pubkey - Hex pubkey of that identity
+ * @property {string} claimed_by - npub of the admin who claimed it, when authenticated
+ */
+const Nip05NameSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    npub: { type: String, required: true, index: true },
+    pubkey: { type: String, required: true },
+    claimed_by: { type: String },
+  },
+  {
+    timestamps: true,
+    collection: "nip05_names",
+  }
+);
+
+const Nip05Name = mongoose.model("Nip05Name", Nip05NameSchema);
+export default Nip05Name;
@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+const GatewaySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Gateway type is required'],
+        trim: true,
+        lowercase: true
+    },
+    externalId: {
+        type: String,
+        required: [true, 'Gateway external ID is required'],
+        trim: true
+    }
+}, { _id: false });
+
+const RelayListEntrySchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Relay URL is required'],
+        trim: true
+    },
+    read: { type: Boolean, default: true },
+    write: { type: Boolean, default: true }
+}, { _id: false });
+
 const NostrIdentitySchema = new mongoose.Schema({
     name: {
         type: String,
@@ -28,14 +52,61 @@ const NostrIdentitySchema = new mongoose.Schema({
         unique: true,
         index: true
     },
+    // Legacy WhatsApp gateway ID, mirrored into `gateways` as type "whatsapp"
     wa_gate_id: {
         type: String,
         required: [true, 'WhatsApp Gate ID is required'],
         index: true
+    },
+    // Chat gateway accounts routed to this identity; each (type, externalId)
+    // pair belongs to at most one identity
+    gateways: {
+        type: [GatewaySchema],
+        default: []
+    },
+    // NIP-65 relay list (kind 10002): events are published to the write relays
+    relayList: {
+        relays: { type: [RelayListEntrySchema], default: undefined },
+        eventId: { type: String },
+        updatedAt: { type: Date }
+    },
+    // NIP-06 derivation path of mnemonic-based identities (the mnemonic itself is never stored)
+    derivation: {
+        scheme: { type: String, enum: ['nip06'] },
+        account: { type: Number }
+    },
+    // Summary of the identity's Cashu wallet, set on wallet creation
+    wallet: {
+        mint: { type: String },
+        p2pkPub: { type: String }
+    },
+    // Archived identities are kept for history but are not used as default signers
+    archived: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    archivedAt: {
+        type: Date
+    },
+    // npub of the identity that replaced this one after a key rotation
+    rotatedTo: {
+        type: String
+    },
+    // Envelope encryption metadata for privkey/nsec (see keyEncryption.service.js)
+    encryption: {
+        key_version: { type: Number },
+        wrapped_key: { type: String }
     }
 }, {
     timestamps: true
 });
 
+// Partial so identities without gateways do not collide on a missing key
+NostrIdentitySchema.index(
+    { 'gateways.type': 1, 'gateways.externalId': 1 },
+    { unique: true, partialFilterExpression: { 'gateways.type': { $exists: true } } }
+);
+
 const NostrIdentity = mongoose.model('NostrIdentity', NostrIdentitySchema);
 export default NostrIdentity;
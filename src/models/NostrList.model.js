@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+/**
+ * NostrList Schema
+ *
+ * Last known version of an identity's contact list (kind 3), mute list
+ * (kind 10000) or NIP-51 set (kind 30000/30003), as published by us or
+ * found on relays (see list.service.js). Updates merge into the newest of
+ * this copy and the versions on relays.
+ *
+ * @typedef {Object} NostrList
+ * @property {string} owner - Owner's npub
+ * @property {number} kind - 3, 10000, 30000 or 30003
+ * @property {string} identifier - `d` tag of sets; empty for replaceable lists
+ * @property {string} event_id - Id of the list event
+ * @property {number} event_created_at - created_at of the list event
+ * @property {Object} event - Signed raw event
+ */
+const NostrListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: String,
+      required: [true, "Owner npub is required"],
+    },
+    kind: {
+      type: Number,
+      enum: [3, 10000, 30000, 30003],
+      required: true,
+    },
+    identifier: { type: String, default: "" },
+    event_id: { type: String, required: true },
+    event_created_at: { type: Number, required: true },
+    event: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  {
+    timestamps: true,
+    collection: "nostr_lists",
+  }
+);
+
+NostrListSchema.index({ owner: 1, kind: 1, identifier: 1 }, { unique: true });
+
+const NostrList = mongoose.model("NostrList", NostrListSchema);
+export default NostrList;
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+/**
+ * OutboxEvent Schema
+ *
+ * A signed Nostr event that did not reach its acceptance quorum when first
+ * published. The outbox worker (see outbox.service.js) keeps retrying the
+ * relays that have not accepted it until the quorum is met, the attempts
+ * run out or the entry is cancelled.
+ *
+ * @typedef {Object} OutboxEvent
+ * @property {string} event_id - Nostr event id
+ * @property {Object} event - Signed raw event (id, pubkey, sig, kind, tags, content, created_at)
+ * @property {string} npub - Author's npub
+ * @property {number} kind - Event kind
+ * @property {string} source - What produced the event (e.g. 'post_note', 'encrypted_event')
+ * @property {string} status - 'pending', 'delivered', 'failed' or 'cancelled'
+ * @property {number} min_accepted - Relays that must accept the event
+ * @property {number} attempts - Publish attempts so far, including the first one
+ * @property {Date} next_attempt_at - When the worker may retry next
+ * @property {string} last_error - Summary of the last failed attempt
+ * @property {Array<Object>} relays - Delivery status per relay
+ * @property {Date} delivered_at - When the quorum was reached
+ * @property {Date} cancelled_at - When the entry was cancelled
+ * @property {Date} deleted_at - When the author requested deletion of the event (NIP-09)
+ * @property {string} deletion_id - Id of the kind 5 deletion request
+ */
+const RelayDeliverySchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "timed_out", "not_connected", "skipped"],
+      default: "pending",
+    },
+    reason: { type: String },
+    prefix: { type: String },
+    attempts: { type: Number, default: 0 },
+    last_attempt_at: { type: Date },
+    accepted_at: { type: Date },
+  },
+  { _id: false }
+);
+
+const OutboxEventSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Signed event is required"],
+    },
+    npub: {
+      type: String,
+      required: [true, "NPUB is required for outbox event"],
+      index: true,
+    },
+    kind: { type: Number, required: true },
+    source: { type: String, default: "api" },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed", "cancelled"],
+      default: "pending",
+    },
+    min_accepted: { type: Number, default: 1 },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    last_error: { type: String },
+    relays: { type: [RelayDeliverySchema], default: [] },
+    delivered_at: { type: Date },
+    cancelled_at: { type: Date },
+    deleted_at: { type: Date },
+    deletion_id: { type: String },
+  },
+  {
+    timestamps: true,
+    collection: "outbox_events",
+  }
+);
+
+// Worker query: due pending entries, oldest first
+OutboxEventSchema.index({ status: 1, next_attempt_at: 1 });
+
+/**
+ * Number of relays that have accepted the event
+ * @returns {number}
+ */
+OutboxEventSchema.methods.acceptedCount = function () {
+  return this.relays.filter((r) => r.status === "accepted").length;
+};
+
+const OutboxEvent = mongoose.model("OutboxEvent", OutboxEventSchema);
+export default OutboxEvent;
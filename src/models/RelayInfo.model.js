@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+/**
+ * RelayInfo Schema
+ *
+ * Cached NIP-11 relay information document (see relayInfo.service.js). The
+ * `limitation` object drives limit-aware publishing.
+ *
+ * @typedef {Object} RelayInfo
+ * @property {string} url - Normalized relay URL
+ * @property {Object} document - NIP-11 document as served by the relay (null when the fetch failed)
+ * @property {Date} fetched_at - When the document was last fetched
+ * @property {string} error - Why the last fetch failed
+ */
+const RelayInfoSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Relay URL is required"],
+      unique: true,
+    },
+    document: { type: mongoose.Schema.Types.Mixed, default: null },
+    fetched_at: { type: Date, default: Date.now },
+    error: { type: String },
+  },
+  {
+    timestamps: true,
+    collection: "relay_info",
+  }
+);
+
+// Relays nobody fetched the document of for 30 days are forgotten
+RelayInfoSchema.index({ fetched_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const RelayInfo = mongoose.model("RelayInfo", RelayInfoSchema);
+export default RelayInfo;
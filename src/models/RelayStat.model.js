@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+/**
+ * RelayStat Schema
+ *
+ * Health statistics and runtime configuration of one relay, kept by the
+ * relay registry (see relayRegistry.service.js). Counters are collected in
+ * memory and flushed periodically.
+ *
+ * @typedef {Object} RelayStat
+ * @property {string} url - Normalized relay URL
+ * @property {string} origin - 'config' (from .env or seen in use) or 'runtime' (added through POST /relays)
+ * @property {boolean} removed - Removed at runtime; excluded from publishing sets
+ * @property {number} connect_attempts - Connection attempts
+ * @property {number} connect_successes - Successful connections
+ * @property {number} connect_latency_ms - Moving average of the time to connect
+ * @property {Date} last_connected_at - Last successful connection
+ * @property {number} publish_attempts - Events sent to the relay
+ * @property {number} publish_accepted - Events the relay accepted
+ * @property {number} publish_latency_ms - Moving average of the time to an OK message
+ * @property {Date} last_accepted_at - Last accepted event
+ * @property {string} last_error - Last connection or publish failure
+ * @property {Date} last_error_at - When the last failure happened
+ * @property {number} consecutive_failures - Failures since the last success
+ * @property {Date} demoted_until - Excluded from publishing sets until then
+ * @property {number} demotions - Times the relay was demoted
+ */
+const RelayStatSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Relay URL is required"],
+      unique: true,
+    },
+    origin: {
+      type: String,
+      enum: ["config", "runtime"],
+      default: "config",
+    },
+    removed: { type: Boolean, default: false },
+    connect_attempts: { type: Number, default: 0 },
+    connect_successes: { type: Number, default: 0 },
+    connect_latency_ms: { type: Number, default: null },
+    last_connected_at: { type: Date },
+    publish_attempts: { type: Number, default: 0 },
+    publish_accepted: { type: Number, default: 0 },
+    publish_latency_ms: { type: Number, default: null },
+    last_accepted_at: { type: Date },
+    last_error: { type: String },
+    last_error_at: { type: Date },
+    consecutive_failures: { type: Number, default: 0 },
+    demoted_until: { type: Date, default: null },
+    demotions: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+    collection: "relay_stats",
+  }
+);
+
+const RelayStat = mongoose.model("RelayStat", RelayStatSchema);
+export default RelayStat;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+/**
+ * StoredEvent Schema
+ *
+ * Local copy of a Nostr event we published or received from a relay (see
+ * eventStore.service.js). Replaceable and addressable events keep only the
+ * current version per `coordinate`.
+ *
+ * @typedef {Object} StoredEvent
+ * @property {string} event_id - Event id
+ * @property {string} pubkey - Author's hex public key
+ * @property {number} kind
+ * @property {number} created_at
+ * @property {string[][]} tags
+ * @property {string} content
+ * @property {string} sig
+ * @property {string} coordinate - `kind:pubkey:d` of replaceable and addressable events
+ * @property {string[]} tag_index - Single-letter tags as "name:value", for tag filters
+ * @property {string[]} search_tags - Values of the tags covered by full-text search (hashtags, titles, summaries...)
+ * @property {string[]} relays - Relays the event was seen on or accepted by
+ * @property {boolean} published - Whether one of our identities published it through this service
+ * @property {Date} deleted_at - When its author's NIP-09 deletion request was published through this service
+ * @property {string} deletion_id - Id of that kind 5 event
+ */
+const StoredEventSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: String,
+      required: [true, "Event id is required"],
+      unique: true,
+    },
+    pubkey: { type: String, required: true },
+    kind: { type: Number, required: true },
+    created_at: { type: Number, required: true },
+    tags: { type: mongoose.Schema.Types.Mixed, default: [] },
+    content: { type: String, default: "" },
+    sig: { type: String, required: true },
+    coordinate: { type: String },
+    tag_index: { type: [String], default: [] },
+    search_tags: { type: [String], default: [] },
+    relays: { type: [String], default: [] },
+    published: { type: Boolean, default: false },
+    deleted_at: { type: Date },
+    deletion_id: { type: String },
+  },
+  {
+    timestamps: true,
+    collection: "events",
+  }
+);
+
+StoredEventSchema.index(
+  { coordinate: 1 },
+  { unique: true, partialFilterExpression: { coordinate: { $exists: true } } }
+);
+StoredEventSchema.index({ pubkey: 1, kind: 1, created_at: -1 });
+StoredEventSchema.index({ kind: 1, created_at: -1 });
+StoredEventSchema.index({ tag_index: 1, created_at: -1 });
+// Full-text search (see searchStoredEvents()). Nostr content is written in
+// any language, so no stemming or stop words
+StoredEventSchema.index(
+  { content: "text", search_tags: "text" },
+  { name: "event_text", weights: { search_tags: 2 }, default_language: "none" }
+);
+
+const StoredEvent = mongoose.model("StoredEvent", StoredEventSchema);
+export default StoredEvent;
@@ -1,11 +1,12 @@
 import express from 'express';
 import { takeActionController, publishActionController, publishEncryptedActionController } from '../controllers/action.controller.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNpubAccess, requireNostrAdmin } from '../middlewares/nip98Auth.js';
 
 const router = express.Router();
 
-router.post('/take', asyncHandler(takeActionController));
-router.post('/', asyncHandler(publishActionController));
-router.post('/encrypted', asyncHandler(publishEncryptedActionController));
+router.post('/take', requireNostrAdmin, asyncHandler(takeActionController));
+router.post('/', requireNostrAdmin, asyncHandler(publishActionController));
+router.post('/encrypted', requireNpubAccess('senderNpub'), asyncHandler(publishEncryptedActionController));
 
 export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    saveArticleController,
+    listArticlesController,
+    getArticleController,
+    listRevisionsController
+} from '../controllers/article.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNpubAccess } from '../middlewares/nip98Auth.js';
+
+const router = express.Router();
+
+// Drafts and revision history are only readable by the author (or an admin)
+router.param('npub', requireNpubAccess('npub'));
+
+router.post('/', requireNpubAccess('npub'), asyncHandler(saveArticleController));
+router.get('/:npub', asyncHandler(listArticlesController));
+router.get('/:npub/:identifier', asyncHandler(getArticleController));
+router.get('/:npub/:identifier/revisions', asyncHandler(listRevisionsController));
+
+export default router;
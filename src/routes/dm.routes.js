@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    sendDirectMessageController,
+    getInboxController,
+    listConversationsController
+} from '../controllers/dm.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNpubAccess } from '../middlewares/nip98Auth.js';
+
+const router = express.Router();
+
+// An identity's messages are only readable by its owner (or an admin)
+router.param('npub', requireNpubAccess('npub'));
+
+router.post('/send', requireNpubAccess('fromNpub'), asyncHandler(sendDirectMessageController));
+router.get('/:npub/inbox', asyncHandler(getInboxController));
+router.get('/:npub/conversations', asyncHandler(listConversationsController));
+
+export default router;
@@ -1,11 +1,62 @@
 import express from 'express';
-import { generateKey, getKeysController, getIdentityByGateId } from '../controllers/id.controller.js';
+import {
+    generateKey,
+    recoverKeys,
+    importKey,
+    getKeysController,
+    exportKeysController,
+    exportKeyController,
+    getIdentityByGateId,
+    updateIdentityController,
+    archiveIdentityController,
+    deleteIdentityController,
+    rotateIdentityController,
+    getIdentityByGatewayController,
+    addGatewayController,
+    removeGatewayController,
+    getRelayListController,
+    updateRelayListController
+} from '../controllers/id.controller.js';
+import {
+    getContactsController,
+    updateContactsController,
+    getMutesController,
+    updateMutesController,
+    listSetsController,
+    getSetController,
+    updateSetController
+} from '../controllers/list.controller.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireAdmin } from '../middlewares/requireAdmin.js';
+import { requireNpubAccess, requireNostrAdmin } from '../middlewares/nip98Auth.js';
 
 const router = express.Router();
 
-router.post('/generateKey', asyncHandler(generateKey));
+router.param('npub', requireNpubAccess('npub'));
+
+router.post('/generateKey', requireNostrAdmin, asyncHandler(generateKey));
+router.post('/import', requireNostrAdmin, asyncHandler(importKey));
+router.post('/recover', requireNostrAdmin, asyncHandler(recoverKeys));
 router.get('/getKeys', asyncHandler(getKeysController));
+router.get('/export', requireAdmin, asyncHandler(exportKeysController));
+router.get('/:npub/export', asyncHandler(exportKeyController));
+router.patch('/:npub', asyncHandler(updateIdentityController));
+router.post('/:npub/archive', asyncHandler(archiveIdentityController(true)));
+router.post('/:npub/unarchive', asyncHandler(archiveIdentityController(false)));
+router.post('/:npub/rotate', asyncHandler(rotateIdentityController));
+router.delete('/:npub', asyncHandler(deleteIdentityController));
+router.post('/:npub/gateways', asyncHandler(addGatewayController));
+router.delete('/:npub/gateways/:type/:externalId', asyncHandler(removeGatewayController));
+router.get('/:npub/relays', asyncHandler(getRelayListController));
+router.put('/:npub/relays', asyncHandler(updateRelayListController));
+router.get('/:npub/contacts', asyncHandler(getContactsController));
+router.patch('/:npub/contacts', asyncHandler(updateContactsController));
+router.get('/:npub/mutes', asyncHandler(getMutesController));
+router.patch('/:npub/mutes', asyncHandler(updateMutesController));
+router.get('/:npub/sets/:kind', asyncHandler(listSetsController));
+router.get('/:npub/sets/:kind/:identifier', asyncHandler(getSetController));
+router.patch('/:npub/sets/:kind/:identifier', asyncHandler(updateSetController));
+router.get('/gateway/:type/:externalId', asyncHandler(getIdentityByGatewayController));
 router.get('/gate/:wa_gate_id', asyncHandler(getIdentityByGateId));
 
 export default router;
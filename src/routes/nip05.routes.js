@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+    listNamesController,
+    claimNameController,
+    releaseNameController,
+    verifyAddressController
+} from '../controllers/nip05.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNostrAdmin } from '../middlewares/nip98Auth.js';
+
+const router = express.Router();
+
+router.get('/names', requireNostrAdmin, asyncHandler(listNamesController));
+router.put('/names/:name', requireNostrAdmin, asyncHandler(claimNameController));
+router.delete('/names/:name', requireNostrAdmin, asyncHandler(releaseNameController));
+router.get('/verify', asyncHandler(verifyAddressController));
+
+export default router;
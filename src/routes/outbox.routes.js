@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+    listOutboxController,
+    getOutboxController,
+    retryOutboxController,
+    cancelOutboxController
+} from '../controllers/outbox.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+
+const router = express.Router();
+
+router.get('/', asyncHandler(listOutboxController));
+router.get('/:eventId', asyncHandler(getOutboxController));
+router.post('/:eventId/retry', asyncHandler(retryOutboxController));
+router.post('/:eventId/cancel', asyncHandler(cancelOutboxController));
+
+export default router;
@@ -1,13 +1,28 @@
 import express from 'express';
-import { createPost, viewPosts, sendNoteController, sendNoteRemoteController, broadcastEvent } from '../controllers/post.controller.js';
+import {
+    createPost,
+    viewPosts,
+    sendNoteController,
+    sendNoteRemoteController,
+    broadcastEvent,
+    getThreadController,
+    reactController,
+    repostController,
+    deleteController
+} from '../controllers/post.controller.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNpubAccess, requireNostrAdmin } from '../middlewares/nip98Auth.js';
 
 const router = express.Router();
 
-router.post('/', asyncHandler(createPost));
-router.post('/note', asyncHandler(sendNoteController));
-router.post('/note_remote', asyncHandler(sendNoteRemoteController));
+router.post('/', requireNostrAdmin, asyncHandler(createPost));
+router.post('/note', requireNpubAccess('npub'), asyncHandler(sendNoteController));
+router.post('/note_remote', requireNpubAccess('senderNpub'), asyncHandler(sendNoteRemoteController));
+router.post('/react', requireNpubAccess('npub'), asyncHandler(reactController));
+router.post('/repost', requireNpubAccess('npub'), asyncHandler(repostController));
+router.post('/delete', requireNpubAccess('npub'), asyncHandler(deleteController));
 router.post('/broadcast', asyncHandler(broadcastEvent));
 router.get('/view10', asyncHandler(viewPosts));
+router.get('/thread/:eventId', asyncHandler(getThreadController));
 
 export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
-import { updateProfile } from '../controllers/profile.controller.js';
+import { getProfileController, updateProfileController } from '../controllers/profile.controller.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNpubAccess } from '../middlewares/nip98Auth.js';
 
 const router = express.Router();
 
-router.post('/update', asyncHandler(updateProfile));
+router.post('/update', requireNpubAccess('npub'), asyncHandler(updateProfileController));
+router.get('/:npub', asyncHandler(getProfileController));
 
 export default router;
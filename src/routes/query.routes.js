@@ -0,0 +1,9 @@
+import express from 'express';
+import { queryController } from '../controllers/query.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+
+const router = express.Router();
+
+router.post('/', asyncHandler(queryController));
+
+export default router;
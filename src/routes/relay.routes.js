@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+    listRelaysController,
+    updateRelaysController,
+    getRelayInfoController,
+    getPoolStatusController,
+    getAuthorRelayListController
+} from '../controllers/relay.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { requireNostrAdmin } from '../middlewares/nip98Auth.js';
+
+const router = express.Router();
+
+router.get('/', requireNostrAdmin, asyncHandler(listRelaysController));
+router.post('/', requireNostrAdmin, asyncHandler(updateRelaysController));
+router.get('/info', asyncHandler(getRelayInfoController));
+router.get('/pool', requireNostrAdmin, asyncHandler(getPoolStatusController));
+router.get('/author/:pubkey', asyncHandler(getAuthorRelayListController));
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { searchController } from '../controllers/search.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+
+const router = express.Router();
+
+router.get('/', asyncHandler(searchController));
+
+export default router;
@@ -1,9 +1,10 @@
 import express from 'express';
 import { startStream, streamEvents, stopStream } from '../controllers/stream.controller.js';
+import { requireNpubAccess } from '../middlewares/nip98Auth.js';
 
 const router = express.Router();
 
-router.post('/start', startStream);
+router.post('/start', requireNpubAccess('npubs'), startStream);
 router.get('/events/:id', streamEvents);
 router.delete('/stop/:id', stopStream);
 
@@ -1,8 +1,15 @@
 import express from "express";
 import * as walletController from "../controllers/wallet.controller.js";
+import {
+  requireNpubAccess,
+  requireNostrAdmin,
+} from "../middlewares/nip98Auth.js";
 
 const router = express.Router();
 
+// Every :npub route only acts on the authenticated identity (or an admin)
+router.param("npub", requireNpubAccess("npub"));
+
 // ==================== WALLET CREATION ====================
 
 /**
@@ -13,7 +20,7 @@ const router = express.Router();
  *   "npub": "npub1..."
  * }
  */
-router.post("/create", walletController.create);
+router.post("/create", requireNpubAccess("npub"), walletController.create);
 
 // ==================== NPUB-BASED WALLET OPERATIONS ====================
 
@@ -115,13 +122,17 @@ router.get("/:npub/info", walletController.getWalletInfo);
  * Get system health and monitoring metrics
  * GET /api/wallet/system/health
  */
-router.get("/system/health", walletController.getSystemHealth);
+router.get("/system/health", requireNostrAdmin, walletController.getSystemHealth);
 
 /**
  * Manual alert check for stuck transactions
  * POST /api/wallet/system/check-alerts
  */
-router.post("/system/check-alerts", walletController.checkAlerts);
+router.post(
+  "/system/check-alerts",
+  requireNostrAdmin,
+  walletController.checkAlerts
+);
 
 /**
  * Clean up stuck pending transactions
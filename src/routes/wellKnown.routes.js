@@ -0,0 +1,9 @@
+import express from 'express';
+import { nostrJsonController } from '../controllers/nip05.controller.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+
+const router = express.Router();
+
+router.get('/nostr.json', asyncHandler(nostrJsonController));
+
+export default router;
@@ -5,10 +5,24 @@ import 'dotenv/config';
 import { app } from './app.js';
 import connectDB from './config/db.js';
 import NostrMQService from './services/nostrmq.service.js';
+import { startOutboxWorker } from './services/outbox.service.js';
+import { startRelayRegistry } from './services/relayRegistry.service.js';
+import { loadRelayInfoCache } from './services/relayInfo.service.js';
+import { checkMasterKey } from './services/keyEncryption.service.js';
+
+// Refuse to start without the master key that protects stored private keys
+checkMasterKey();
 
 // Connect to MongoDB
 connectDB();
 
+// Load relay stats and runtime relay changes
+startRelayRegistry();
+loadRelayInfoCache();
+
+// Retry queued events that missed their relay quorum
+startOutboxWorker();
+
 // Attempt to start NostrMQ Remote API (graceful degradation on failure)
 (async () => {
   try {
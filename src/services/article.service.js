@@ -0,0 +1,296 @@
+import { randomBytes } from "crypto";
+import { nip19 } from "nostr-tools";
+import ArticleRevision from "../models/ArticleRevision.model.js";
+import { signAndPublish } from "./nostr.service.js";
+import { getSigningKey } from "./identity.service.js";
+import { parseContentTags, dedupeTags } from "./thread.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Long-form articles (NIP-23).
+ *
+ * Articles are addressable events identified by their author and `d` tag:
+ * kind 30023 when published, kind 30024 for drafts. Each save publishes a
+ * new version to the author's write relays and adds a revision to the local
+ * history (see ArticleRevision.model.js). Saving an existing article only
+ * changes the fields given; `published_at` keeps the time of the first
+ * publish.
+ */
+
+export const ARTICLE_KIND = 30023;
+export const DRAFT_KIND = 30024;
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const MAX_IDENTIFIER_LENGTH = 128;
+// Relay hints embedded in naddr links
+const MAX_NADDR_RELAYS = 3;
+
+async function loadIdentity(npub) {
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), { status: 404 });
+  }
+  return keyObj;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Derives a `d` identifier from a title.
+ * @param {string} title
+ * @returns {string} Lowercase ASCII slug (empty when the title has no letters or digits)
+ */
+export function slugify(title = "") {
+  return title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+/**
+ * Tags of an article event.
+ * @param {Object} article
+ * @param {string} article.identifier - `d` tag
+ * @param {string} [article.title]
+ * @param {string} [article.summary]
+ * @param {string} [article.image]
+ * @param {number} [article.publishedAt] - Unix time of the first publish
+ * @param {string[]} [article.hashtags]
+ * @param {string} article.content - Markdown; its mentions and hashtags are tagged too
+ * @returns {string[][]}
+ */
+export function buildArticleTags({ identifier, title, summary, image, publishedAt, hashtags = [], content }) {
+  const tags = [["d", identifier]];
+  if (title) tags.push(["title", title]);
+  if (summary) tags.push(["summary", summary]);
+  if (image) tags.push(["image", image]);
+  if (publishedAt) tags.push(["published_at", String(publishedAt)]);
+  for (const hashtag of hashtags) tags.push(["t", hashtag]);
+  return dedupeTags([...tags, ...parseContentTags(content)]);
+}
+
+/**
+ * `naddr` link to an article.
+ * @param {{ kind: number, pubkey: string, identifier: string, relays?: string[] }} address
+ * @returns {string}
+ */
+export function toNaddr({ kind, pubkey, identifier, relays = [] }) {
+  return nip19.naddrEncode({
+    kind,
+    pubkey,
+    identifier,
+    relays: relays.slice(0, MAX_NADDR_RELAYS),
+  });
+}
+
+/**
+ * Public representation of an article revision.
+ * @param {ArticleRevision} revision
+ * @returns {Object}
+ */
+export function toArticleJSON(revision) {
+  return {
+    identifier: revision.identifier,
+    status: revision.kind === DRAFT_KIND ? "draft" : "published",
+    kind: revision.kind,
+    revision: revision.revision,
+    eventId: revision.event_id,
+    naddr: toNaddr({
+      kind: revision.kind,
+      pubkey: revision.event.pubkey,
+      identifier: revision.identifier,
+      relays: revision.relays,
+    }),
+    title: revision.title || null,
+    summary: revision.summary || null,
+    image: revision.image || null,
+    publishedAt: revision.published_at || null,
+    hashtags: revision.hashtags,
+    content: revision.content,
+    queued: revision.queued,
+    createdAt: revision.createdAt,
+  };
+}
+
+function normalizeHashtags(hashtags) {
+  if (!Array.isArray(hashtags) || hashtags.some((t) => typeof t !== "string")) {
+    throw badRequest("hashtags must be an array of strings");
+  }
+  return [...new Set(hashtags.map((t) => t.replace(/^#/, "").trim().toLowerCase()).filter(Boolean))];
+}
+
+async function resolveIdentifier(npub, identifier, title) {
+  if (identifier !== undefined) {
+    if (typeof identifier !== "string" || !identifier || identifier.length > MAX_IDENTIFIER_LENGTH) {
+      throw badRequest(`identifier must be a string of 1 to ${MAX_IDENTIFIER_LENGTH} characters`);
+    }
+    return identifier;
+  }
+  // New article: derive the identifier from the title, without taking over
+  // an existing article's
+  const slug = slugify(title) || "article";
+  const taken = await ArticleRevision.exists({ owner: npub, identifier: slug });
+  return taken ? `${slug}-${randomBytes(3).toString("hex")}` : slug;
+}
+
+/**
+ * Publishes an article or saves a draft, and records the revision.
+ * @param {Object} params
+ * @param {string} params.npub - Author
+ * @param {string} [params.identifier] - `d` tag of the article to update; derived from the title for new articles
+ * @param {string} [params.title]
+ * @param {string} [params.summary]
+ * @param {string} [params.image] - Header image URL
+ * @param {number} [params.publishedAt] - Unix time of the first publish (defaults to now on the first publish)
+ * @param {string[]} [params.hashtags]
+ * @param {string} [params.content] - Markdown body (required for new articles)
+ * @param {boolean} [params.draft=false] - Save as a kind 30024 draft instead of publishing
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @returns {Promise<Object>} Publish result with the signed `event`, the `article` revision and its `naddr`
+ * @throws {Error} 400 for invalid input, 404 for unknown identities
+ */
+export async function saveArticle({
+  npub,
+  identifier,
+  title,
+  summary,
+  image,
+  publishedAt,
+  hashtags,
+  content,
+  draft = false,
+  timeoutMs = DEFAULT_TIMEOUT,
+  minAccepted,
+}) {
+  const keyObj = await loadIdentity(npub);
+  const d = await resolveIdentifier(npub, identifier, title);
+  const [latest, lastPublished] = await Promise.all([
+    ArticleRevision.findOne({ owner: npub, identifier: d }).sort({ revision: -1 }).lean(),
+    ArticleRevision.findOne({ owner: npub, identifier: d, kind: ARTICLE_KIND })
+      .sort({ revision: -1 })
+      .lean(),
+  ]);
+
+  const fields = {
+    title: title ?? latest?.title,
+    summary: summary ?? latest?.summary,
+    image: image ?? latest?.image,
+    hashtags: hashtags !== undefined ? normalizeHashtags(hashtags) : latest?.hashtags || [],
+    content: content ?? latest?.content,
+  };
+  for (const name of ["title", "summary", "image"]) {
+    if (fields[name] !== undefined && typeof fields[name] !== "string") {
+      throw badRequest(`${name} must be a string`);
+    }
+  }
+  if (typeof fields.content !== "string" || fields.content.trim() === "") {
+    throw badRequest("content is required");
+  }
+  if (fields.image && !/^https?:\/\/\S+$/.test(fields.image)) {
+    throw badRequest("image must be an http(s) URL");
+  }
+  if (publishedAt !== undefined && !(Number.isInteger(publishedAt) && publishedAt > 0)) {
+    throw badRequest("publishedAt must be a unix timestamp");
+  }
+
+  // published_at is the first publish; drafts of published articles keep it
+  let firstPublished = publishedAt ?? lastPublished?.published_at;
+  if (!draft && !firstPublished) firstPublished = Math.floor(Date.now() / 1000);
+
+  const kind = draft ? DRAFT_KIND : ARTICLE_KIND;
+  const tags = buildArticleTags({
+    identifier: d,
+    ...fields,
+    publishedAt: firstPublished,
+  });
+  const published = await signAndPublish(
+    keyObj,
+    { kind, content: fields.content, tags },
+    { source: draft ? "article_draft" : "article", timeoutMs, minAccepted }
+  );
+
+  const revision = await ArticleRevision.create({
+    owner: npub,
+    identifier: d,
+    revision: (latest?.revision || 0) + 1,
+    kind,
+    event_id: published.event.id,
+    event: published.event,
+    ...fields,
+    published_at: firstPublished,
+    relays: published.relays,
+    queued: published.queued,
+  });
+  const article = toArticleJSON(revision);
+  logger.info("Saved article", { npub, identifier: d, kind, revision: revision.revision });
+  return { ...published, naddr: article.naddr, article };
+}
+
+/**
+ * Returns an article's current published version and draft.
+ * @param {string} npub - Author
+ * @param {string} identifier - `d` tag
+ * @returns {Promise<{ identifier: string, published: Object|null, draft: Object|null, revisions: number }>}
+ * @throws {Error} 404 when the article has no revisions
+ */
+export async function getArticle(npub, identifier) {
+  const [published, draft, revisions] = await Promise.all([
+    ArticleRevision.findOne({ owner: npub, identifier, kind: ARTICLE_KIND }).sort({ revision: -1 }).lean(),
+    ArticleRevision.findOne({ owner: npub, identifier, kind: DRAFT_KIND }).sort({ revision: -1 }).lean(),
+    ArticleRevision.countDocuments({ owner: npub, identifier }),
+  ]);
+  if (revisions === 0) {
+    throw Object.assign(new Error(`Article ${identifier} not found`), { status: 404 });
+  }
+  return {
+    identifier,
+    published: published ? toArticleJSON(published) : null,
+    draft: draft ? toArticleJSON(draft) : null,
+    revisions,
+  };
+}
+
+/**
+ * Lists an identity's articles with their latest revision, most recently
+ * saved first.
+ * @param {string} npub - Author
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - "published" or "draft"
+ * @returns {Promise<Object[]>}
+ */
+export async function listArticles(npub, { status } = {}) {
+  const match = { owner: npub };
+  if (status === "published") match.kind = ARTICLE_KIND;
+  if (status === "draft") match.kind = DRAFT_KIND;
+  const latest = await ArticleRevision.aggregate([
+    { $match: match },
+    { $sort: { revision: -1 } },
+    { $group: { _id: { identifier: "$identifier", kind: "$kind" }, latest: { $first: "$$ROOT" } } },
+    { $replaceRoot: { newRoot: "$latest" } },
+    { $sort: { createdAt: -1 } },
+  ]);
+  return latest.map(toArticleJSON);
+}
+
+/**
+ * Lists the revision history of an article, newest first.
+ * @param {string} npub - Author
+ * @param {string} identifier - `d` tag
+ * @returns {Promise<Object[]>}
+ * @throws {Error} 404 when the article has no revisions
+ */
+export async function listArticleRevisions(npub, identifier) {
+  const revisions = await ArticleRevision.find({ owner: npub, identifier })
+    .sort({ revision: -1 })
+    .lean();
+  if (revisions.length === 0) {
+    throw Object.assign(new Error(`Article ${identifier} not found`), { status: 404 });
+  }
+  return revisions.map(toArticleJSON);
+}
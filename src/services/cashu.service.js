@@ -1,7 +1,20 @@
 import crypto from "crypto";
-import { getPublicKey, nip19, nip04 } from "nostr-tools";
-import { CashuMint, CashuWallet, getEncodedToken } from "@cashu/cashu-ts";
+import { getPublicKey, nip19 } from "nostr-tools";
+import {
+  CashuMint,
+  CashuWallet,
+  getEncodedToken,
+  getDecodedToken,
+} from "@cashu/cashu-ts";
+import { NDKEvent } from "@nostr-dev-kit/ndk";
 import walletRepositoryService from "./walletRepository.service.js";
+import {
+  ENCRYPTION,
+  encryptPayload,
+  decryptPayload,
+  detectEncryption,
+} from "./encryption.service.js";
+import { publishWithReport } from "./relayPublish.service.js";
 import { logger } from "../utils/logger.js";
 import https from "https";
 import fetch from "node-fetch";
@@ -165,8 +178,8 @@ export async function getWalletDetails(npub, nsec, ndk) {
       return null;
     }
     const [event] = [...walletEvents];
-    // Decrypt the content
-    const decrypted = await nip04.decrypt(privHex, pubHex, event.content);
+    // Decrypt the content (NIP-44, or NIP-04 for wallets not yet migrated)
+    const decrypted = await decryptPayload(privHex, pubHex, event.content);
     const { mint, p2pkPriv } = JSON.parse(decrypted);
 
     // Fetch Nutzap info event (kind 10019) to get the public receiving key
@@ -191,6 +204,110 @@ export async function getWalletDetails(npub, nsec, ndk) {
   }
 }
 
+/**
+ * Publishes the wallet metadata (kind 17375, encrypted to the owner) and
+ * Nutzap info (kind 10019) events for a wallet.
+ * @param {NDK} ndk - Connected NDK instance whose signer is the wallet owner.
+ * @param {Object} wallet
+ * @param {string} wallet.npub - Owner's npub.
+ * @param {string} wallet.nsec - Owner's nsec, used to encrypt the metadata.
+ * @param {string} wallet.mintUrl - Mint URL.
+ * @param {string} wallet.p2pkPriv - P2PK private key (hex).
+ * @param {string} wallet.p2pkPub - P2PK public key (hex without prefix).
+ * @param {string} [wallet.encryption] - "nip44" (default) or "nip04".
+ * @returns {Promise<{ wallet: { id: string, relays: string[], encryption: string }, info: { id: string, relays: string[] } }>}
+ */
+export async function publishWalletEvents(
+  ndk,
+  { npub, nsec, mintUrl, p2pkPriv, p2pkPub, encryption }
+) {
+  const { data: privHex } = nip19.decode(nsec);
+  const { data: pubHex } = nip19.decode(npub);
+
+  // Build and encrypt wallet metadata event (kind 17375)
+  const walletContent = JSON.stringify({ mint: mintUrl, p2pkPriv });
+  const encryptedContent = await encryptPayload(
+    privHex,
+    pubHex,
+    walletContent,
+    encryption
+  );
+  const walletEvent = new NDKEvent(ndk, {
+    kind: 17375,
+    content: encryptedContent,
+    tags: [["mint", mintUrl]],
+  });
+  await walletEvent.sign();
+  const walletRelays = await walletEvent.publish();
+  logger.info("Published wallet metadata event", {
+    npub,
+    eventId: walletEvent.id,
+  });
+
+  // Build Nutzap info event (kind 10019)
+  const infoEvent = new NDKEvent(ndk, {
+    kind: 10019,
+    content: "",
+    tags: [
+      ["relay", process.env.RELAYS?.split(",")[0] || "wss://relay.damus.io"],
+      ["mint", mintUrl],
+      ["pubkey", "02" + p2pkPub],
+    ],
+  });
+  await infoEvent.sign();
+  const infoRelays = await infoEvent.publish();
+  logger.info("Published Nutzap info event", { npub, eventId: infoEvent.id });
+
+  return {
+    wallet: {
+      id: walletEvent.id,
+      relays: [...walletRelays].map((r) => r.url),
+      encryption: detectEncryption(encryptedContent),
+    },
+    info: {
+      id: infoEvent.id,
+      relays: [...infoRelays].map((r) => r.url),
+    },
+  };
+}
+
+/**
+ * Re-encrypts a user's NIP-04 wallet metadata event (kind 17375) with
+ * NIP-44 and publishes it as the replacement, keeping content and tags.
+ * @param {NDK} ndk - Connected NDK instance whose signer is the wallet owner.
+ * @param {Object} wallet
+ * @param {string} wallet.npub - Owner's npub.
+ * @param {string} wallet.nsec - Owner's nsec.
+ * @returns {Promise<{ npub: string, status: string, eventId?: string, report?: Object }>}
+ *   `status` is "migrated", "already_nip44" or "missing"
+ */
+export async function reencryptWalletEvent(ndk, { npub, nsec }) {
+  const { data: privHex } = nip19.decode(nsec);
+  const { data: pubHex } = nip19.decode(npub);
+
+  const events = await ndk.fetchEvents({ authors: [pubHex], kinds: [17375] });
+  const [latest] = [...events].sort((a, b) => b.created_at - a.created_at);
+  if (!latest) return { npub, status: "missing" };
+  if (detectEncryption(latest.content) === ENCRYPTION.NIP44) {
+    return { npub, status: "already_nip44", eventId: latest.id };
+  }
+
+  const plaintext = await decryptPayload(privHex, pubHex, latest.content);
+  const replacement = new NDKEvent(ndk, {
+    kind: 17375,
+    content: await encryptPayload(privHex, pubHex, plaintext, ENCRYPTION.NIP44),
+    tags: latest.tags,
+  });
+  await replacement.sign();
+  const { id, report } = await publishWithReport(replacement);
+  logger.info("Re-encrypted wallet metadata event with NIP-44", {
+    npub,
+    previousEventId: latest.id,
+    eventId: id,
+  });
+  return { npub, status: "migrated", eventId: id, report };
+}
+
 /**
  * Test mint connectivity with comprehensive diagnostics
  * @param {string} mintUrl - Mint URL to test
@@ -443,7 +560,7 @@ export async function initializeWallet(npub, testConnectivity = false) {
         npub,
         mint_url: MINT_URL,
         p2pk_pubkey: pubkey,
-        p2pk_privkey: privkey, // In production, this should be encrypted
+        p2pk_privkey: privkey, // Encrypted at rest by the repository
         wallet_config: { unit: "sat" },
       });
 
@@ -988,6 +1105,27 @@ export async function sendTokens(npub, amount, recipientPubkey = null) {
   }
 }
 
+/**
+ * Checks whether any proof in an encoded token is P2PK-locked to a pubkey.
+ * @param {string} encodedToken - Encoded token string
+ * @param {string} p2pkPubkey - P2PK public key (hex, with or without '02' prefix)
+ * @returns {boolean} True if at least one proof is locked to the pubkey
+ */
+function isTokenLockedTo(encodedToken, p2pkPubkey) {
+  if (!p2pkPubkey) return false;
+  try {
+    const { proofs = [] } = getDecodedToken(encodedToken);
+    return proofs.some((proof) => {
+      const secret = JSON.parse(proof.secret);
+      if (!Array.isArray(secret) || secret[0] !== "P2PK") return false;
+      const lockKey = secret[1]?.data || "";
+      return lockKey === p2pkPubkey || lockKey.slice(2) === p2pkPubkey;
+    });
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Receive tokens from encoded token
  * @param {string} npub - Receiver's Nostr npub string
@@ -1004,8 +1142,17 @@ export async function receiveTokens(npub, encodedToken, privateKey = null) {
 
     const { wallet, walletDoc } = await initializeWallet(npub);
 
+    // Tokens locked to this wallet's own P2PK key are unlocked with the stored key
+    let signingKey = privateKey;
+    if (!signingKey && isTokenLockedTo(encodedToken, walletDoc.p2pk_pubkey)) {
+      signingKey = await walletRepositoryService.getWalletPrivateKey(
+        npub,
+        MINT_URL
+      );
+    }
+
     // Receive tokens with optional private key for P2PK
-    const receiveOptions = privateKey ? { privkey: privateKey } : {};
+    const receiveOptions = signingKey ? { privkey: signingKey } : {};
     const receivedProofs = await wallet.receive(encodedToken, receiveOptions);
 
     const totalAmount = receivedProofs.reduce(
@@ -1034,7 +1181,7 @@ export async function receiveTokens(npub, encodedToken, privateKey = null) {
         source: "p2p",
         encoded_token: encodedToken,
         encoded_token_length: encodedToken.length,
-        used_private_key: !!privateKey,
+        used_private_key: !!signingKey,
       },
     });
 
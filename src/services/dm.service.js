@@ -0,0 +1,379 @@
+import { createHash } from "crypto";
+import { NDKEvent, NDKPrivateKeySigner, normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { nip19, nip44, getEventHash, verifyEvent } from "nostr-tools";
+import * as nip59 from "nostr-tools/nip59";
+import DirectMessage from "../models/DirectMessage.model.js";
+import { getSigningKey } from "./identity.service.js";
+import { acquireNdk, withTemporaryNdk } from "./ndkPool.service.js";
+import { publishWithReport } from "./relayPublish.service.js";
+import { selectPublishRelays } from "./relayRegistry.service.js";
+import { getAuthorDmRelays, toHexPubkey } from "./relayList.service.js";
+import { getConfiguredRelayUrls } from "./nostr.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * NIP-17 private direct messages.
+ *
+ * A message is an unsigned kind 14 event (the rumor) listing every
+ * recipient in `p` tags. For each recipient, and for the sender's own copy,
+ * it is sealed (kind 13, NIP-44 encrypted and signed by the sender) and
+ * gift-wrapped (kind 1059, signed by a one-off key), then published to that
+ * participant's DM inbox relays (see getAuthorDmRelays()). Received and
+ * sent messages are unwrapped into the direct_messages collection, which
+ * backs the inbox and conversation listings. Seals and wraps must use
+ * NIP-44; other payloads are rejected.
+ *
+ * Inbox relays come from other authors' relay lists, so only the configured
+ * relays are pooled: other inbox relays get a connection closed once the
+ * message is published or the inbox read.
+ */
+
+const DM_KIND = 14;
+const SEAL_KIND = 13;
+export const GIFT_WRAP_KIND = 1059;
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const MAX_FETCH = 500;
+
+// Gift wraps are backdated by up to two days (NIP-59)
+export const WRAP_BACKDATE_SECONDS = 2 * 24 * 60 * 60;
+
+function decodeNsec(keyObj) {
+  return nip19.decode(keyObj.nsec).data;
+}
+
+async function loadIdentity(npub) {
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), {
+      status: 404,
+    });
+  }
+  const privateKey = decodeNsec(keyObj);
+  return {
+    privateKey,
+    pubkey: nip19.decode(npub).data,
+    signer: new NDKPrivateKeySigner(privateKey),
+  };
+}
+
+// Pools configured relay sets only (see the module description)
+async function withInboxNdk(relayUrls, signer, fn) {
+  const configured = new Set(getConfiguredRelayUrls().map((url) => normalizeRelayUrl(url)));
+  if (relayUrls.every((url) => configured.has(normalizeRelayUrl(url)))) {
+    return fn(await acquireNdk(relayUrls, DEFAULT_TIMEOUT, { authSigner: signer }));
+  }
+  return withTemporaryNdk(relayUrls, DEFAULT_TIMEOUT, fn, { authSigner: signer });
+}
+
+function nip44Decrypt(privateKey, pubkey, payload) {
+  return nip44.decrypt(payload, nip44.getConversationKey(privateKey, pubkey));
+}
+
+/**
+ * Identifies a conversation by its set of participants.
+ * @param {string[]} participants - Hex pubkeys
+ * @returns {string}
+ */
+export function conversationIdOf(participants) {
+  const sorted = [...new Set(participants)].sort();
+  return createHash("sha256").update(sorted.join(",")).digest("hex");
+}
+
+function participantsOf(rumor) {
+  const tagged = rumor.tags.filter((t) => t[0] === "p" && t[1]).map((t) => t[1]);
+  return [...new Set([rumor.pubkey, ...tagged])].sort();
+}
+
+/**
+ * Public representation of a stored message.
+ * @param {DirectMessage} message
+ * @returns {Object}
+ */
+export function toMessageJSON(message) {
+  return {
+    id: message.rumor_id,
+    owner: message.owner,
+    conversationId: message.conversation_id,
+    sender: nip19.npubEncode(message.sender),
+    participants: message.participants.map((pubkey) => nip19.npubEncode(pubkey)),
+    content: message.content,
+    subject: message.subject || null,
+    replyTo: message.reply_to || null,
+    createdAt: message.created_at,
+    direction: message.direction,
+    wrapId: message.wrap_id || null,
+  };
+}
+
+/**
+ * Opens a gift wrap addressed to us and returns the kind 14 rumor. Both
+ * layers must be NIP-44 encrypted; the seal signature is verified and must
+ * match the rumor's author.
+ * @param {Object} wrap - Kind 1059 event
+ * @param {Uint8Array} privateKey - Recipient's private key
+ * @returns {Promise<Object>} Rumor (unsigned kind 14 event with id)
+ * @throws {Error} When the wrap cannot be opened or is not a valid NIP-17 DM
+ */
+export async function unwrapGiftWrap(wrap, privateKey) {
+  const seal = JSON.parse(nip44Decrypt(privateKey, wrap.pubkey, wrap.content));
+  if (seal.kind !== SEAL_KIND || !verifyEvent(seal)) {
+    throw new Error("Gift wrap does not contain a valid seal");
+  }
+  const rumor = JSON.parse(nip44Decrypt(privateKey, seal.pubkey, seal.content));
+  if (rumor.pubkey !== seal.pubkey) {
+    throw new Error("Seal and message authors differ");
+  }
+  if (rumor.kind !== DM_KIND) {
+    throw new Error(`Unsupported sealed kind ${rumor.kind}`);
+  }
+  if (getEventHash(rumor) !== rumor.id) {
+    throw new Error("Message id does not match its content");
+  }
+  return rumor;
+}
+
+async function storeMessage(owner, ownerPubkey, rumor, { wrapId } = {}) {
+  const participants = participantsOf(rumor);
+  const tagValue = (name) => rumor.tags.find((t) => t[0] === name)?.[1];
+  const replyTo = rumor.tags.find((t) => t[0] === "e" && (t[3] === "reply" || !t[3]))?.[1];
+  const result = await DirectMessage.updateOne(
+    { owner, rumor_id: rumor.id },
+    {
+      $setOnInsert: {
+        owner,
+        rumor_id: rumor.id,
+        conversation_id: conversationIdOf(participants),
+        sender: rumor.pubkey,
+        participants,
+        content: rumor.content,
+        subject: tagValue("subject"),
+        reply_to: replyTo,
+        created_at: rumor.created_at,
+        direction: rumor.pubkey === ownerPubkey ? "out" : "in",
+        // The first gift wrap the message arrived in
+        wrap_id: wrapId,
+      },
+    },
+    { upsert: true }
+  );
+  const message = await DirectMessage.findOne({ owner, rumor_id: rumor.id }).lean();
+  return { message, created: result.upsertedCount > 0 };
+}
+
+async function receive(owner, identity, wrap) {
+  try {
+    const rumor = await unwrapGiftWrap(wrap, identity.privateKey);
+    return await storeMessage(owner, identity.pubkey, rumor, { wrapId: wrap.id });
+  } catch (error) {
+    logger.debug("Skipping gift wrap", { owner, wrapId: wrap.id, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Stores a gift wrap addressed to one of our identities, e.g. from a stream.
+ * @param {Object} wrap - Kind 1059 event
+ * @returns {Promise<Object|null>} The message (toMessageJSON) when it is new, else null
+ */
+export async function receiveGiftWrap(wrap) {
+  const recipient = wrap.tags.find((t) => t[0] === "p")?.[1];
+  if (!recipient) return null;
+  const owner = nip19.npubEncode(recipient);
+  let identity;
+  try {
+    identity = await loadIdentity(owner);
+  } catch {
+    return null;
+  }
+  const stored = await receive(owner, identity, wrap);
+  return stored?.created ? toMessageJSON(stored.message) : null;
+}
+
+async function publishWrap(wrap, pubkey, { signer, timeoutMs, minAccepted }) {
+  const relayUrls = selectPublishRelays(await getAuthorDmRelays(pubkey));
+  const npub = nip19.npubEncode(pubkey);
+  try {
+    // Inbox relays often require NIP-42 AUTH; authenticate as the sender
+    const { relays, report } = await withInboxNdk(relayUrls, signer, (ndk) =>
+      publishWithReport(new NDKEvent(ndk, wrap), { timeoutMs, minAccepted })
+    );
+    return { npub, wrapId: wrap.id, delivered: true, relays, report };
+  } catch (error) {
+    if (error.name !== "PublishQuorumError") throw error;
+    return { npub, wrapId: wrap.id, delivered: false, ...error.details, error: error.message };
+  }
+}
+
+/**
+ * Sends a NIP-17 DM from one of our identities to one or more recipients.
+ * Each recipient gets its own gift wrap on their DM inbox relays; the
+ * sender's copy goes to the sender's inbox relays and is stored locally.
+ * @param {Object} params
+ * @param {string} params.fromNpub - Sending identity
+ * @param {string|string[]} params.to - Recipient npub(s) or hex pubkey(s)
+ * @param {string} params.content - Message text
+ * @param {string} [params.subject] - Conversation subject
+ * @param {string} [params.replyTo] - Id of the message replied to
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted] - Quorum per gift wrap
+ * @returns {Promise<{ id: string, conversationId: string, recipients: Object[], senderCopy: Object, message: Object }>}
+ * @throws {Error} 400 for invalid input, 404 for unknown senders, 502 when no recipient's relays accepted the message
+ */
+export async function sendDirectMessage({
+  fromNpub,
+  to,
+  content,
+  subject,
+  replyTo,
+  timeoutMs = DEFAULT_TIMEOUT,
+  minAccepted,
+}) {
+  if (typeof content !== "string" || content.length === 0) {
+    throw Object.assign(new Error("content is required"), { status: 400 });
+  }
+  const recipients = [...new Set((Array.isArray(to) ? to : [to]).filter(Boolean).map(toHexPubkey))];
+  if (recipients.length === 0) {
+    throw Object.assign(new Error("to must name at least one recipient"), { status: 400 });
+  }
+  if (replyTo !== undefined && !/^[0-9a-f]{64}$/.test(replyTo)) {
+    throw Object.assign(new Error("replyTo must be a hex event id"), { status: 400 });
+  }
+
+  const sender = await loadIdentity(fromNpub);
+  const tags = recipients.map((pubkey) => ["p", pubkey]);
+  if (replyTo) tags.push(["e", replyTo, "", "reply"]);
+  if (subject) tags.push(["subject", String(subject)]);
+  const rumor = nip59.createRumor({ kind: DM_KIND, content, tags }, sender.privateKey);
+
+  const wrapFor = (pubkey) =>
+    nip59.createWrap(nip59.createSeal(rumor, sender.privateKey, pubkey), pubkey);
+  const options = { signer: sender.signer, timeoutMs, minAccepted };
+  const results = await Promise.all(
+    recipients
+      .filter((pubkey) => pubkey !== sender.pubkey)
+      .map((pubkey) => publishWrap(wrapFor(pubkey), pubkey, options))
+  );
+  const selfWrap = wrapFor(sender.pubkey);
+  const senderCopy = await publishWrap(selfWrap, sender.pubkey, options);
+  const { message } = await storeMessage(fromNpub, sender.pubkey, rumor, {
+    wrapId: selfWrap.id,
+  });
+
+  const result = {
+    id: rumor.id,
+    conversationId: message.conversation_id,
+    recipients: results,
+    senderCopy,
+    message: toMessageJSON(message),
+  };
+  if (results.length > 0 && !results.some((r) => r.delivered)) {
+    throw Object.assign(new Error("No recipient's relays accepted the message"), {
+      name: "PublishQuorumError",
+      status: 502,
+      details: result,
+    });
+  }
+  logger.info("Sent direct message", {
+    from: fromNpub,
+    id: rumor.id,
+    recipients: results.map((r) => ({ npub: r.npub, delivered: r.delivered })),
+  });
+  return result;
+}
+
+/**
+ * Fetches an identity's gift wraps from its DM inbox relays and stores the
+ * messages they contain.
+ * @param {string} npub - Identity
+ * @param {Object} [options]
+ * @param {number} [options.since] - Only messages after this unix time (wraps are fetched two days earlier)
+ * @param {number} [options.limit=500] - Maximum gift wraps to fetch
+ * @returns {Promise<{ relays: string[], fetched: number, stored: number, skipped: number }>}
+ */
+export async function fetchInbox(npub, { since, limit = MAX_FETCH } = {}) {
+  const identity = await loadIdentity(npub);
+  const relays = await getAuthorDmRelays(identity.pubkey);
+  const filter = {
+    kinds: [GIFT_WRAP_KIND],
+    "#p": [identity.pubkey],
+    limit: Math.min(limit, MAX_FETCH),
+    ...(since ? { since: Math.max(0, since - WRAP_BACKDATE_SECONDS) } : {}),
+  };
+  // Reading gift wraps usually requires NIP-42 AUTH as the recipient
+  const wraps = await withInboxNdk(relays, identity.signer, (ndk) =>
+    ndk.fetchEvents(filter, { timeoutSec: DEFAULT_TIMEOUT / 1000 })
+  );
+
+  let stored = 0;
+  let skipped = 0;
+  for (const wrap of wraps) {
+    const result = await receive(npub, identity, wrap.rawEvent());
+    if (!result) skipped++;
+    else if (result.created) stored++;
+  }
+  return { relays, fetched: wraps.size, stored, skipped };
+}
+
+/**
+ * Lists stored messages of an identity, newest first.
+ * @param {string} npub - Identity
+ * @param {Object} [filters]
+ * @param {string} [filters.with] - Only the one-to-one conversation with this npub or hex pubkey
+ * @param {string} [filters.conversationId] - Only this conversation
+ * @param {number} [filters.since] - Unix time lower bound
+ * @param {number} [filters.until] - Unix time upper bound
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<Object[]>}
+ */
+export async function listMessages(npub, { with: other, conversationId, since, until, limit = 50 } = {}) {
+  const query = { owner: npub };
+  if (other) {
+    query.conversation_id = conversationIdOf([nip19.decode(npub).data, toHexPubkey(other)]);
+  }
+  if (conversationId) query.conversation_id = conversationId;
+  if (since || until) {
+    query.created_at = {
+      ...(since ? { $gte: since } : {}),
+      ...(until ? { $lte: until } : {}),
+    };
+  }
+  const messages = await DirectMessage.find(query)
+    .sort({ created_at: -1 })
+    .limit(limit)
+    .lean();
+  return messages.map(toMessageJSON);
+}
+
+/**
+ * Lists an identity's conversations with their latest message, most recent
+ * first.
+ * @param {string} npub - Identity
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>} `{ conversationId, participants, subject, messages, lastMessage }`
+ */
+export async function listConversations(npub, { limit = 50 } = {}) {
+  const conversations = await DirectMessage.aggregate([
+    { $match: { owner: npub } },
+    { $sort: { created_at: -1 } },
+    {
+      $group: {
+        _id: "$conversation_id",
+        last: { $first: "$$ROOT" },
+        messages: { $sum: 1 },
+        // The newest subject names the conversation (NIP-17)
+        subjects: { $push: "$subject" },
+      },
+    },
+    { $sort: { "last.created_at": -1 } },
+    { $limit: limit },
+  ]);
+  return conversations.map(({ _id, last, messages, subjects }) => ({
+    conversationId: _id,
+    participants: last.participants.map((pubkey) => nip19.npubEncode(pubkey)),
+    subject: subjects.find(Boolean) || null,
+    messages,
+    lastMessage: toMessageJSON(last),
+  }));
+}
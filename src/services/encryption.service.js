@@ -0,0 +1,95 @@
+import { nip04, nip44 } from "nostr-tools";
+
+/**
+ * Payload encryption between two keys with NIP-44 v2 or the deprecated
+ * NIP-04.
+ *
+ * New payloads use NOSTR_ENCRYPTION (NIP-44 unless configured otherwise);
+ * endpoints accept an `encryption` option to override it per request.
+ * Decryption detects the scheme from the payload, so both kinds keep
+ * working: NIP-04 payloads carry an `?iv=` suffix, NIP-44 payloads are
+ * plain base64.
+ *
+ * Configuration:
+ *  - NOSTR_ENCRYPTION: default scheme, "nip44" (default) or "nip04"
+ */
+
+export const ENCRYPTION = Object.freeze({
+  NIP04: "nip04",
+  NIP44: "nip44",
+});
+
+const SCHEMES = Object.values(ENCRYPTION);
+const DEFAULT_ENCRYPTION = SCHEMES.includes(process.env.NOSTR_ENCRYPTION)
+  ? process.env.NOSTR_ENCRYPTION
+  : ENCRYPTION.NIP44;
+
+// NIP-04 payloads are "<base64 ciphertext>?iv=<base64 iv>"
+const NIP04_PATTERN = /^[A-Za-z0-9+/=]+\?iv=[A-Za-z0-9+/=]+$/;
+
+function toBytes(privateKey) {
+  return typeof privateKey === "string"
+    ? Uint8Array.from(Buffer.from(privateKey, "hex"))
+    : privateKey;
+}
+
+/**
+ * Resolves the encryption scheme of a request.
+ * @param {string} [requested] - "nip44" or "nip04"; defaults to NOSTR_ENCRYPTION
+ * @returns {string}
+ * @throws {Error} 400 for unknown schemes
+ */
+export function resolveEncryption(requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    return DEFAULT_ENCRYPTION;
+  }
+  const scheme = String(requested).toLowerCase();
+  if (!SCHEMES.includes(scheme)) {
+    throw Object.assign(
+      new Error(`encryption must be one of: ${SCHEMES.join(", ")}`),
+      { status: 400 }
+    );
+  }
+  return scheme;
+}
+
+/**
+ * Tells which scheme produced a payload.
+ * @param {string} payload - Encrypted payload
+ * @returns {string} "nip04" or "nip44"
+ */
+export function detectEncryption(payload) {
+  return NIP04_PATTERN.test(payload) ? ENCRYPTION.NIP04 : ENCRYPTION.NIP44;
+}
+
+/**
+ * Encrypts a plaintext from one key to another.
+ * @param {Uint8Array|string} privateKey - Sender's private key (bytes or hex)
+ * @param {string} pubkey - Recipient's hex pubkey
+ * @param {string} plaintext
+ * @param {string} [encryption] - Scheme; defaults to NOSTR_ENCRYPTION
+ * @returns {Promise<string>}
+ */
+export async function encryptPayload(privateKey, pubkey, plaintext, encryption) {
+  const scheme = resolveEncryption(encryption);
+  if (scheme === ENCRYPTION.NIP04) {
+    return nip04.encrypt(privateKey, pubkey, plaintext);
+  }
+  const conversationKey = nip44.v2.utils.getConversationKey(toBytes(privateKey), pubkey);
+  return nip44.v2.encrypt(plaintext, conversationKey);
+}
+
+/**
+ * Decrypts a payload, detecting whether it is NIP-04 or NIP-44.
+ * @param {Uint8Array|string} privateKey - Recipient's private key (bytes or hex)
+ * @param {string} pubkey - Sender's hex pubkey
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+export async function decryptPayload(privateKey, pubkey, payload) {
+  if (detectEncryption(payload) === ENCRYPTION.NIP04) {
+    return nip04.decrypt(privateKey, pubkey, payload);
+  }
+  const conversationKey = nip44.v2.utils.getConversationKey(toBytes(privateKey), pubkey);
+  return nip44.v2.decrypt(payload, conversationKey);
+}
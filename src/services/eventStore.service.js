@@ -0,0 +1,305 @@
+import mongoose from "mongoose";
+import { normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { nip19, verifyEvent } from "nostr-tools";
+import StoredEvent from "../models/StoredEvent.model.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Local event store.
+ *
+ * Keeps a copy of every event our identities publish (see
+ * relayPublish.service.js) and every event received from relays: the pooled
+ * NDK instances use eventCacheAdapter, so events of any subscription,
+ * including streams, are stored as they arrive. Reads that can be served
+ * locally use findEvents(); cachedQuery() in query.service.js adds the
+ * freshness window and relay refreshes on top.
+ *
+ * Replaceable (kind 0, 3, 10000-19999) and addressable (30000-39999) events
+ * follow NIP-01: only the newest version per coordinate is kept, and an
+ * older version arriving later is ignored. Ephemeral events are not stored.
+ * Received events are stored only with a valid signature, so a forged
+ * version cannot take the place of a replaceable event.
+ * Events deleted through this service are kept but no longer returned.
+ *
+ * searchStoredEvents() runs full-text searches over content and the values
+ * of SEARCHABLE_TAGS (see search.service.js).
+ *
+ * Storing is best effort: it is skipped while MongoDB is not connected and
+ * failures are logged, never raised to the caller.
+ */
+
+const MAX_RESULTS = 500;
+
+// Tags whose values are covered by full-text search
+export const SEARCHABLE_TAGS = ["t", "title", "summary", "subject", "alt"];
+
+function isAddressable(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+function isEphemeral(kind) {
+  return kind >= 20000 && kind < 30000;
+}
+
+/**
+ * NIP-01 coordinate (`kind:pubkey:d`) of a replaceable or addressable event.
+ * @param {{ kind: number, pubkey: string, tags: string[][] }} event
+ * @returns {string|null} Null for regular events
+ */
+export function eventCoordinate(event) {
+  if (isAddressable(event.kind)) {
+    const d = event.tags.find((t) => t[0] === "d")?.[1] ?? "";
+    return `${event.kind}:${event.pubkey}:${d}`;
+  }
+  if (isReplaceable(event.kind)) return `${event.kind}:${event.pubkey}:`;
+  return null;
+}
+
+/**
+ * Index entries for the single-letter tags of an event ("name:value").
+ * @param {string[][]} tags
+ * @returns {string[]}
+ */
+export function tagIndex(tags = []) {
+  const entries = tags
+    .filter((t) => /^[a-zA-Z]$/.test(t[0]) && typeof t[1] === "string")
+    .map((t) => `${t[0]}:${t[1]}`);
+  return [...new Set(entries)];
+}
+
+/**
+ * Values of the tags covered by full-text search.
+ * @param {string[][]} tags
+ * @returns {string[]}
+ */
+export function searchTags(tags = []) {
+  const values = tags
+    .filter((t) => SEARCHABLE_TAGS.includes(t[0]) && typeof t[1] === "string" && t[1] !== "")
+    .map((t) => t[1]);
+  return [...new Set(values)];
+}
+
+function toRawEvent(doc) {
+  return {
+    id: doc.event_id,
+    pubkey: doc.pubkey,
+    created_at: doc.created_at,
+    kind: doc.kind,
+    tags: doc.tags,
+    content: doc.content,
+    sig: doc.sig,
+  };
+}
+
+/**
+ * Whether the store can be used (MongoDB is connected).
+ * @returns {boolean}
+ */
+export function isStoreConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Whether an event's id and signature are valid. verifyEvent() throws on
+ * malformed events and trusts a result cached on the object, so a fresh
+ * copy is checked.
+ * @param {Object} event - Raw event
+ * @returns {boolean}
+ */
+export function hasValidSignature({ id, pubkey, created_at, kind, tags, content, sig }) {
+  try {
+    return verifyEvent({ id, pubkey, created_at, kind, tags, content, sig });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stores an event, or records another relay for a stored one.
+ * @param {Object} event - Signed raw event or NDKEvent
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Relays the event was seen on or accepted by
+ * @param {boolean} [options.published=false] - Published by one of our identities (signed here, so not verified again)
+ * @returns {Promise<boolean>} Whether the event is stored (false for ephemeral events, invalid signatures, older versions of replaceable events and failures)
+ */
+export async function storeEvent(event, { relays = [], published = false } = {}) {
+  if (!isStoreConnected()) return false;
+  const raw = typeof event.rawEvent === "function" ? event.rawEvent() : event;
+  if (!raw?.id || !raw.sig || isEphemeral(raw.kind)) return false;
+  if (!published && !hasValidSignature(raw)) {
+    logger.debug("Not storing event with an invalid signature", { eventId: raw.id, kind: raw.kind });
+    return false;
+  }
+  const relayUrls = relays.filter(Boolean).map((url) => normalizeRelayUrl(url));
+
+  try {
+    // Already stored: only add the relays
+    const seen = await StoredEvent.updateOne(
+      { event_id: raw.id },
+      {
+        $addToSet: { relays: { $each: relayUrls } },
+        ...(published ? { $set: { published: true } } : {}),
+      }
+    );
+    if (seen.matchedCount > 0) return true;
+
+    const doc = {
+      event_id: raw.id,
+      pubkey: raw.pubkey,
+      kind: raw.kind,
+      created_at: raw.created_at,
+      tags: raw.tags,
+      content: raw.content,
+      sig: raw.sig,
+      tag_index: tagIndex(raw.tags),
+      search_tags: searchTags(raw.tags),
+      relays: relayUrls,
+      published,
+    };
+    const coordinate = eventCoordinate(raw);
+    if (!coordinate) {
+      await StoredEvent.updateOne({ event_id: raw.id }, { $setOnInsert: doc }, { upsert: true });
+      return true;
+    }
+
+    // Replace an older version (on equal created_at the lower id wins); when
+    // a newer version is stored the upsert hits the unique coordinate index
+    await StoredEvent.updateOne(
+      {
+        coordinate,
+        $or: [
+          { created_at: { $lt: raw.created_at } },
+          { created_at: raw.created_at, event_id: { $gt: raw.id } },
+        ],
+      },
+      { $set: { ...doc, coordinate }, $unset: { deleted_at: "", deletion_id: "" } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    logger.warn("Failed to store event", { eventId: raw.id, kind: raw.kind, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * NDK cache adapter storing every event the pooled instances receive (see
+ * ndkPool.service.js). Queries are not answered from it, so subscriptions
+ * always reach the relays.
+ */
+export const eventCacheAdapter = {
+  locking: false,
+  query() {
+    return [];
+  },
+  setEvent(event, filters, relay) {
+    storeEvent(event, { relays: relay?.url ? [relay.url] : [] });
+  },
+};
+
+function filterToQuery(filter) {
+  const query = { deleted_at: { $exists: false } };
+  if (filter.ids) query.event_id = { $in: filter.ids };
+  if (filter.authors) query.pubkey = { $in: filter.authors };
+  if (filter.kinds) query.kind = { $in: filter.kinds };
+  if (filter.since !== undefined || filter.until !== undefined) {
+    query.created_at = {};
+    if (filter.since !== undefined) query.created_at.$gte = filter.since;
+    if (filter.until !== undefined) query.created_at.$lte = filter.until;
+  }
+  const tagFilters = Object.entries(filter)
+    .filter(([key]) => /^#[a-zA-Z]$/.test(key))
+    .map(([key, values]) => ({ tag_index: { $in: values.map((v) => `${key[1]}:${v}`) } }));
+  if (tagFilters.length > 0) query.$and = tagFilters;
+  return query;
+}
+
+/**
+ * Reads stored events matching NIP-01 filters, newest first. Each filter's
+ * `limit` applies to that filter, as on relays.
+ * @param {Object[]} filters - Filters with hex ids and pubkeys
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Cap on the merged results
+ * @returns {Promise<Object[]>} Raw events
+ */
+export async function findEvents(filters, { limit = MAX_RESULTS } = {}) {
+  const batches = await Promise.all(
+    filters.map((filter) =>
+      StoredEvent.find(filterToQuery(filter))
+        .sort({ created_at: -1, event_id: 1 })
+        .limit(Math.min(filter.limit ?? limit, limit))
+        .lean()
+    )
+  );
+  const events = new Map();
+  for (const doc of batches.flat()) events.set(doc.event_id, toRawEvent(doc));
+  return [...events.values()]
+    .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? -1 : 1))
+    .slice(0, limit);
+}
+
+/**
+ * Full-text search over stored events, through the text index on content
+ * and searchable tags. Words match whole (no stemming); "quoted phrases"
+ * must appear as such and -word excludes events containing the word.
+ * @param {string} text - Search terms
+ * @param {Object} [filter] - NIP-01 filter narrowing the results (`authors`, `kinds`, `since`, `until`)
+ * @param {Object} [options]
+ * @param {string} [options.sort="newest"] - "newest" or "relevance"
+ * @param {number} [options.limit=50]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{ events: Array<{ event: Object, score: number, relays: string[] }>, total: number }>}
+ */
+export async function searchStoredEvents(text, filter = {}, { sort = "newest", limit = 50, skip = 0 } = {}) {
+  const query = { ...filterToQuery(filter), $text: { $search: text } };
+  const order =
+    sort === "relevance"
+      ? { score: { $meta: "textScore" }, created_at: -1, event_id: 1 }
+      : { created_at: -1, event_id: 1 };
+  const [docs, total] = await Promise.all([
+    StoredEvent.find(query, { score: { $meta: "textScore" } })
+      .sort(order)
+      .skip(skip)
+      .limit(Math.min(limit, MAX_RESULTS))
+      .lean(),
+    StoredEvent.countDocuments(query),
+  ]);
+  return {
+    events: docs.map((doc) => ({ event: toRawEvent(doc), score: doc.score, relays: doc.relays })),
+    total,
+  };
+}
+
+/**
+ * Marks stored events deleted after their author published a NIP-09
+ * deletion request.
+ * @param {Object} params
+ * @param {string} params.npub - Author's npub
+ * @param {string} params.deletionId - Id of the kind 5 event
+ * @param {string[]} [params.eventIds] - Deleted event ids
+ * @param {Array<{ kind: number, identifier: string }>} [params.addresses] - Deleted addressable events (versions up to the deletion)
+ * @param {number} params.createdAt - created_at of the deletion request
+ * @returns {Promise<number>} Events marked
+ */
+export async function markStoredEventsDeleted({ npub, deletionId, eventIds = [], addresses = [], createdAt }) {
+  if (!isStoreConnected()) return 0;
+  const pubkey = nip19.decode(npub).data;
+  const targets = [
+    ...(eventIds.length > 0 ? [{ event_id: { $in: eventIds } }] : []),
+    ...addresses.map(({ kind, identifier }) => ({
+      coordinate: `${kind}:${pubkey}:${identifier}`,
+      created_at: { $lte: createdAt },
+    })),
+  ];
+  if (targets.length === 0) return 0;
+  const { modifiedCount } = await StoredEvent.updateMany(
+    { pubkey, deleted_at: { $exists: false }, $or: targets },
+    { $set: { deleted_at: new Date(), deletion_id: deletionId } }
+  );
+  return modifiedCount;
+}
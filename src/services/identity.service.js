@@ -2,22 +2,190 @@ import NostrIdentity from '../models/NostrIdentity.model.js';
 import { NDKPrivateKeySigner } from "@nostr-dev-kit/ndk";
 import { nip19, getPublicKey } from 'nostr-tools';
 import { logger } from '../utils/logger.js';
-import { validateNsec, decodeNsec } from '../utils/validation.js';
+import * as nip06 from 'nostr-tools/nip06';
+import * as nip49 from 'nostr-tools/nip49';
+import { validateNsec, decodePrivateKey } from '../utils/validation.js';
+import { encryptFields, decryptFields, needsEncryption } from './keyEncryption.service.js';
+import walletRepositoryService from './walletRepository.service.js';
+
+// Identity fields holding private key material, encrypted at rest
+const SECRET_FIELDS = ['privkey', 'nsec'];
+
+// Matches identities that have not been archived (documents created before
+// the `archived` field existed have no value for it)
+const ACTIVE = { archived: { $ne: true } };
+
+// Gateway type the legacy wa_gate_id field maps to
+const WHATSAPP_GATEWAY = 'whatsapp';
+
+// Placeholder wa_gate_id of identities not linked to a WhatsApp account
+const DEFAULT_WA_GATE_ID = 'default';
+
+// Upper bound on accounts derived in a single recovery request
+const MAX_RECOVERY_ACCOUNTS = 100;
+
+/**
+ * Returns a copy of an identity with its private key fields decrypted.
+ * Plaintext (not yet migrated) identities are returned unchanged. The copy
+ * leaves out the wrapped data key (`encryption`), which only belongs in the
+ * stored record.
+ * @param {Object} identity - Identity document or plain object
+ * @returns {Object} Identity with plaintext privkey and nsec
+ */
+export function decryptIdentity(identity) {
+    const plain = decryptFields(identity, SECRET_FIELDS);
+    if (plain) delete plain.encryption;
+    return plain;
+}
+
+/**
+ * Builds the public view of an identity, without any private key material.
+ * @param {Object} identity - Identity document or plain object
+ * @returns {{ name: string, npub: string, pubkey: string, wa_gate_id: string, gateways: Array<{type: string, externalId: string}>, relayList: Array<{url: string, read: boolean, write: boolean}>|null, wallet: Object|null, archived: boolean, rotatedTo: string|null, createdAt: Date }}
+ */
+export function toPublicIdentity(identity) {
+    return {
+        name: identity.name,
+        npub: identity.npub,
+        pubkey: identity.pubkey,
+        wa_gate_id: identity.wa_gate_id,
+        wallet: identity.wallet?.mint
+            ? { mint: identity.wallet.mint, p2pkPub: identity.wallet.p2pkPub }
+            : null,
+        gateways: (identity.gateways || []).map(({ type, externalId }) => ({ type, externalId })),
+        relayList: identity.relayList?.relays?.length
+            ? identity.relayList.relays.map(({ url, read, write }) => ({ url, read, write }))
+            : null,
+        archived: !!identity.archived,
+        rotatedTo: identity.rotatedTo || null,
+        createdAt: identity.createdAt
+    };
+}
+
+/**
+ * Validates and normalizes a gateway reference.
+ * @param {{ type: string, externalId: string }} gateway
+ * @returns {{ type: string, externalId: string }}
+ */
+function normalizeGateway({ type, externalId } = {}) {
+    if (!type || typeof type !== 'string' || !type.trim()) {
+        throw Object.assign(new Error("Gateway type is required and must be a non-empty string."), { status: 400 });
+    }
+    if (!externalId || typeof externalId !== 'string' || !externalId.trim()) {
+        throw Object.assign(new Error("Gateway externalId is required and must be a non-empty string."), { status: 400 });
+    }
+    return { type: type.trim().toLowerCase(), externalId: externalId.trim() };
+}
+
+/**
+ * Gateways implied by a legacy wa_gate_id (none for the "default" placeholder).
+ * @param {string} wa_gate_id
+ * @returns {Array<{type: string, externalId: string}>}
+ */
+function gatewaysForWaGateId(wa_gate_id) {
+    if (!wa_gate_id || wa_gate_id === DEFAULT_WA_GATE_ID) return [];
+    return [{ type: WHATSAPP_GATEWAY, externalId: wa_gate_id }];
+}
+
+/**
+ * Maps a MongoDB duplicate key error to a 409 with a readable message.
+ * @param {Error} error - Error with code 11000
+ * @returns {Error}
+ */
+function duplicateKeyError(error) {
+    const message = error.keyPattern && 'gateways.type' in error.keyPattern
+        ? "Gateway is already linked to another identity."
+        : "An identity with one of these unique keys already exists.";
+    return Object.assign(new Error(message), { status: 409 });
+}
 
 /**
- * Retrieves all Nostr identities from MongoDB.
+ * Retrieves all Nostr identities from MongoDB, including decrypted private keys.
+ * Only for privileged callers (CLI, key export); HTTP handlers should use
+ * getPublicIdentities() or getSigningKey().
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived identities
  * @returns {Promise<Array<Object>>} Array of identity objects
  */
-export async function getAllKeys() {
+export async function getAllKeys({ includeArchived = false } = {}) {
     try {
-        const keys = await NostrIdentity.find({}).lean();
-        console.log(`DEBUG getAllKeys found ${keys.length} keys, npubs: ${keys.map(k => k.npub).join(', ')}`);
-        return keys;
+        const keys = await NostrIdentity.find(includeArchived ? {} : ACTIVE).lean();
+        return keys.map(decryptIdentity);
     } catch (error) {
         console.error("Error fetching all keys:", error);
         throw new Error("Failed to retrieve keys from database.");
     }
 }
+
+/**
+ * Retrieves the public view of all Nostr identities.
+ * Private key fields are never loaded from the database.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived identities
+ * @returns {Promise<Array<Object>>} Array of public identity objects
+ */
+export async function getPublicIdentities({ includeArchived = false } = {}) {
+    try {
+        const identities = await NostrIdentity.find(includeArchived ? {} : ACTIVE)
+            .select('-privkey -nsec -encryption')
+            .lean();
+        return identities.map(toPublicIdentity);
+    } catch (error) {
+        console.error("Error fetching identities:", error);
+        throw new Error("Failed to retrieve identities from database.");
+    }
+}
+
+/**
+ * Retrieves the public view of a single identity by npub.
+ * @param {string} npub
+ * @returns {Promise<Object|null>} Public identity object or null
+ */
+export async function getIdentityByNpub(npub) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    try {
+        const identity = await NostrIdentity.findOne({ npub })
+            .select('-privkey -nsec -encryption')
+            .lean();
+        return identity ? toPublicIdentity(identity) : null;
+    } catch (error) {
+        console.error(`Error fetching identity for npub ${npub}:`, error);
+        throw new Error("Database lookup failed.");
+    }
+}
+
+/**
+ * Retrieves a single identity with decrypted private keys, for signing.
+ * The result can be passed straight to connect().
+ * @param {string} npub
+ * @returns {Promise<Object|null>} Identity with plaintext privkey and nsec, or null
+ */
+export async function getSigningKey(npub) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    try {
+        const identity = await NostrIdentity.findOne({ npub }).lean();
+        return identity ? decryptIdentity(identity) : null;
+    } catch (error) {
+        console.error(`Error fetching signing key for npub ${npub}:`, error);
+        throw new Error("Database lookup failed.");
+    }
+}
+
+/**
+ * Retrieves the default identity used when no signer is specified
+ * (the oldest non-archived identity), with decrypted private keys.
+ * @returns {Promise<Object|null>} Identity with plaintext privkey and nsec, or null
+ */
+export async function getDefaultSigningKey() {
+    try {
+        const identity = await NostrIdentity.findOne(ACTIVE).sort({ _id: 1 }).lean();
+        return identity ? decryptIdentity(identity) : null;
+    } catch (error) {
+        console.error("Error fetching default signing key:", error);
+        throw new Error("Database lookup failed.");
+    }
+}
+
 export async function updateWalletInfo(npub, walletData) {
     if (!npub || !walletData) throw new Error("NPUB and wallet data must be provided.");
     try {
@@ -50,17 +218,18 @@ export async function generateKeyPair(name, wa_gate_id) {
         pubkey: signer.pubkey,
         nsec: signer.nsec,
         npub: signer.userSync.npub,
-        wa_gate_id
+        wa_gate_id,
+        gateways: gatewaysForWaGateId(wa_gate_id)
     };
     try {
-        const newIdentity = new NostrIdentity(keyData);
+        const newIdentity = new NostrIdentity(encryptFields(keyData, SECRET_FIELDS));
         await newIdentity.save();
-        logger.info('New user created in database:', { user: newIdentity.toObject() });
-        return newIdentity.toObject();
+        logger.info('New user created in database:', { name: newIdentity.name, npub: newIdentity.npub });
+        return decryptIdentity(newIdentity);
     } catch (error) {
         console.error("Error saving generated key pair:", error);
         if (error.code === 11000) {
-            throw new Error("An identity with one of these unique keys already exists.");
+            throw duplicateKeyError(error);
         }
         throw new Error("Failed to save new key pair to database.");
     }
@@ -74,11 +243,11 @@ export async function generateKeyPair(name, wa_gate_id) {
 export async function getPrivateKeyByNpub(npub) {
     if (!npub) throw new Error("NPUB must be provided.");
     try {
-        const identity = await NostrIdentity.findOne({ npub }).select('nsec').lean();
+        const identity = await NostrIdentity.findOne({ npub }).select('nsec encryption').lean();
         if (!identity) {
             throw new Error(`No key found for npub: ${npub}`);
         }
-        return identity.nsec;
+        return decryptIdentity(identity).nsec;
     } catch (error) {
         console.error(`Error fetching key for npub ${npub}:`, error);
         throw new Error("Database lookup failed.");
@@ -86,14 +255,39 @@ export async function getPrivateKeyByNpub(npub) {
 }
 
 /**
- * Retrieves a Nostr identity by WhatsApp Gate ID.
+ * Retrieves the active (non-archived) Nostr identity linked to a gateway account.
+ * @param {string} type - Gateway type (e.g. "whatsapp", "telegram")
+ * @param {string} externalId - Account ID on that gateway
+ * @returns {Promise<Object|null>} Identity object or null
+ */
+export async function getIdentityByGateway(type, externalId) {
+    const gateway = normalizeGateway({ type, externalId });
+    try {
+        return await NostrIdentity.findOne({
+            gateways: { $elemMatch: gateway },
+            ...ACTIVE
+        }).select('-privkey -nsec -encryption').lean();
+    } catch (error) {
+        console.error(`Error fetching identity for gateway ${gateway.type}:${gateway.externalId}:`, error);
+        throw new Error("Database lookup failed.");
+    }
+}
+
+/**
+ * Retrieves the active (non-archived) Nostr identity by WhatsApp Gate ID.
+ * Falls back to the legacy wa_gate_id field for records not yet migrated
+ * into `gateways` (see migrateWaGateIds()).
  * @param {string} wa_gate_id
  * @returns {Promise<Object|null>} Identity object or null
  */
 export async function getIdentityByWaGateId(wa_gate_id) {
     if (!wa_gate_id) throw new Error("WhatsApp Gate ID must be provided.");
+    const identity = await getIdentityByGateway(WHATSAPP_GATEWAY, wa_gate_id);
+    if (identity) return identity;
     try {
-        return await NostrIdentity.findOne({ wa_gate_id }).lean();
+        return await NostrIdentity.findOne({ wa_gate_id, ...ACTIVE })
+            .select('-privkey -nsec -encryption')
+            .lean();
     } catch (error) {
         console.error(`Error fetching identity for wa_gate_id ${wa_gate_id}:`, error);
         throw new Error("Database lookup failed.");
@@ -104,53 +298,103 @@ export async function getIdentityByWaGateId(wa_gate_id) {
  * Imports a Nostr identity from an existing nsec private key
  * @param {string} name - Name for the imported identity
  * @param {string} nsec - The nsec private key to import
+ * @param {string} [wa_gate_id='default'] - Gateway ID to associate with the identity
  * @returns {Promise<Object>} Created identity object
  * @throws {Error} If nsec is invalid or key already exists
  */
-export async function importKeyFromNsec(name, nsec) {
+export async function importKeyFromNsec(name, nsec, wa_gate_id = 'default') {
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        throw new Error("Name is required and must be a non-empty string.");
+        throw Object.assign(new Error("Name is required and must be a non-empty string."), { status: 400 });
     }
-    
+
     if (!nsec || typeof nsec !== 'string') {
-        throw new Error("nsec is required and must be a string.");
+        throw Object.assign(new Error("nsec is required and must be a string."), { status: 400 });
+    }
+    try {
+        validateNsec(nsec);
+    } catch (error) {
+        logger.error('Failed to process nsec during import', { error: error.message });
+        throw Object.assign(new Error(`Invalid nsec: ${error.message}`), { status: 400 });
+    }
+    return importIdentity(name, nsec, { wa_gate_id });
+}
+
+/**
+ * Imports a Nostr identity from a private key in nsec, hex or NIP-49 ncryptsec format
+ * @param {string} name - Name for the imported identity
+ * @param {string} key - The private key to import
+ * @param {Object} [options]
+ * @param {string} [options.wa_gate_id='default'] - Gateway ID to associate with the identity
+ * @param {string} [options.passphrase] - Passphrase for ncryptsec keys
+ * @returns {Promise<Object>} Created identity object
+ * @throws {Error} If the key is invalid (status 400) or already exists (status 409)
+ */
+export async function importIdentity(name, key, { wa_gate_id = 'default', passphrase } = {}) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw Object.assign(new Error("Name is required and must be a non-empty string."), { status: 400 });
     }
 
     let privateKeyBytes;
+    let format;
+    try {
+        // Validate and decode the private key
+        ({ privateKeyBytes, format } = decodePrivateKey(key, passphrase));
+    } catch (error) {
+        logger.error('Failed to process private key during import', { error: error.message });
+        throw Object.assign(new Error(`Invalid private key: ${error.message}`), { status: 400 });
+    }
+
+    return saveIdentityFromPrivateKey(name, privateKeyBytes, { wa_gate_id, source: format });
+}
+
+/**
+ * Persists an identity derived from raw private key bytes. Checks for
+ * duplicates by public key, encrypts the private key fields and clears
+ * the key bytes once saved.
+ * @param {string} name - Name for the identity
+ * @param {Uint8Array} privateKeyBytes - Raw secp256k1 private key
+ * @param {Object} options
+ * @param {string} [options.wa_gate_id='default'] - Gateway ID to associate with the identity
+ * @param {string} options.source - How the key was obtained, for logging
+ * @param {Object} [options.derivation] - NIP-06 derivation info to store with the identity
+ * @returns {Promise<Object>} Created identity object
+ * @throws {Error} If the key already exists (status 409) or cannot be saved
+ */
+async function saveIdentityFromPrivateKey(name, privateKeyBytes, { wa_gate_id = 'default', source, derivation } = {}) {
+    if (!wa_gate_id || typeof wa_gate_id !== 'string') {
+        privateKeyBytes.fill(0);
+        throw Object.assign(new Error("wa_gate_id must be a non-empty string."), { status: 400 });
+    }
+
     let publicKeyHex;
     let npub;
-    
     try {
-        // Validate and decode the nsec
-        validateNsec(nsec);
-        privateKeyBytes = decodeNsec(nsec);
-        
-        // Derive public key from private key
+        // Derive public key from private key and encode it as npub
         publicKeyHex = getPublicKey(privateKeyBytes);
-        
-        // Encode public key as npub
         npub = nip19.npubEncode(publicKeyHex);
-        
     } catch (error) {
-        logger.error('Failed to process nsec during import', { error: error.message });
-        throw new Error(`Invalid nsec: ${error.message}`);
+        privateKeyBytes.fill(0);
+        throw Object.assign(new Error(`Invalid private key: ${error.message}`), { status: 400 });
     }
 
-    // Check for duplicate keys before saving
+    // Check for duplicate keys before saving (private key fields are encrypted,
+    // so duplicates are detected via the public key)
     try {
         const existingIdentity = await NostrIdentity.findOne({
             $or: [
-                { privkey: Buffer.from(privateKeyBytes).toString('hex') },
                 { pubkey: publicKeyHex },
-                { nsec: nsec },
                 { npub: npub }
             ]
         }).select('name').lean();
 
         if (existingIdentity) {
-            throw new Error(`Key already exists with identity name: ${existingIdentity.name}`);
+            throw Object.assign(
+                new Error(`Key already exists with identity name: ${existingIdentity.name}`),
+                { status: 409, npub }
+            );
         }
     } catch (error) {
+        privateKeyBytes.fill(0);
         if (error.message.includes('Key already exists')) {
             throw error;
         }
@@ -163,38 +407,418 @@ export async function importKeyFromNsec(name, nsec) {
         name: name.trim(),
         privkey: Buffer.from(privateKeyBytes).toString('hex'),
         pubkey: publicKeyHex,
-        nsec: nsec,
+        nsec: nip19.nsecEncode(privateKeyBytes),
         npub: npub,
-        wa_gate_id: 'default'
+        wa_gate_id,
+        gateways: gatewaysForWaGateId(wa_gate_id),
+        ...(derivation && { derivation })
     };
 
     try {
-        const newIdentity = new NostrIdentity(keyData);
+        const newIdentity = new NostrIdentity(encryptFields(keyData, SECRET_FIELDS));
         await newIdentity.save();
         
-        logger.info('Imported identity from nsec', {
+        logger.info('Imported identity', {
             name: keyData.name,
             npub: keyData.npub,
-            wa_gate_id: keyData.wa_gate_id
+            wa_gate_id: keyData.wa_gate_id,
+            source
         });
         
+        return decryptIdentity(newIdentity);
+    } catch (error) {
+        logger.error('Failed to save imported identity', { error: error.message });
+        if (error.code === 11000) {
+            throw duplicateKeyError(error);
+        }
+        throw new Error("Failed to save imported identity to database.");
+    } finally {
         // Clear sensitive data from memory
         privateKeyBytes.fill(0);
         keyData.privkey = '[CLEARED]';
         keyData.nsec = '[CLEARED]';
-        
-        return newIdentity.toObject();
+    }
+}
+
+/**
+ * Generates a new identity from a fresh BIP-39 mnemonic using NIP-06
+ * derivation (m/44'/1237'/<account>'/0/0).
+ * The mnemonic is not stored: it is returned once and must be backed up by the caller.
+ * @param {string} name - Name for the identity
+ * @param {string} wa_gate_id - Gateway ID to associate with the identity
+ * @param {Object} [options]
+ * @param {number} [options.accountIndex=0] - NIP-06 account index
+ * @param {string} [options.passphrase] - Optional BIP-39 passphrase
+ * @returns {Promise<{identity: Object, mnemonic: string}>}
+ */
+export async function generateMnemonicKeyPair(name, wa_gate_id, { accountIndex = 0, passphrase } = {}) {
+    if (!name || !wa_gate_id) {
+        throw Object.assign(new Error("Name and wa_gate_id are required to generate a key pair."), { status: 400 });
+    }
+    validateAccountIndex(accountIndex);
+
+    const mnemonic = nip06.generateSeedWords();
+    const privateKeyBytes = nip06.privateKeyFromSeedWords(mnemonic, passphrase, accountIndex);
+    const identity = await saveIdentityFromPrivateKey(name, privateKeyBytes, {
+        wa_gate_id,
+        source: 'nip06',
+        derivation: { scheme: 'nip06', account: accountIndex }
+    });
+    return { identity, mnemonic };
+}
+
+/**
+ * Re-derives NIP-06 accounts from a mnemonic and imports those that are not
+ * already stored, so identities can be rebuilt after losing the database.
+ * @param {string} mnemonic - BIP-39 mnemonic
+ * @param {Object} [options]
+ * @param {number} [options.startIndex=0] - First account index to derive
+ * @param {number} [options.count=1] - Number of consecutive accounts to derive
+ * @param {string} [options.passphrase] - Optional BIP-39 passphrase
+ * @param {string} [options.name='Recovered'] - Name prefix, suffixed with the account index
+ * @param {string} [options.wa_gate_id='default'] - Gateway ID for recovered identities
+ * @returns {Promise<{recovered: Object[], existing: Object[]}>} Public views of imported and already stored accounts
+ */
+export async function recoverFromMnemonic(mnemonic, {
+    startIndex = 0,
+    count = 1,
+    passphrase,
+    name = 'Recovered',
+    wa_gate_id = 'default'
+} = {}) {
+    const words = typeof mnemonic === 'string' ? mnemonic.trim().split(/\s+/).join(' ') : '';
+    if (!words || !nip06.validateWords(words)) {
+        throw Object.assign(new Error("Invalid BIP-39 mnemonic."), { status: 400 });
+    }
+    validateAccountIndex(startIndex);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RECOVERY_ACCOUNTS) {
+        throw Object.assign(new Error(`count must be an integer between 1 and ${MAX_RECOVERY_ACCOUNTS}.`), { status: 400 });
+    }
+
+    const recovered = [];
+    const existing = [];
+    for (let account = startIndex; account < startIndex + count; account++) {
+        const privateKeyBytes = nip06.privateKeyFromSeedWords(words, passphrase, account);
+        try {
+            const identity = await saveIdentityFromPrivateKey(`${name} #${account}`, privateKeyBytes, {
+                wa_gate_id,
+                source: 'nip06',
+                derivation: { scheme: 'nip06', account }
+            });
+            recovered.push({ account, ...toPublicIdentity(identity) });
+        } catch (error) {
+            if (error.status !== 409) throw error;
+            existing.push({ account, npub: error.npub });
+        }
+    }
+
+    logger.info('Recovered identities from mnemonic', { recovered: recovered.length, existing: existing.length });
+    return { recovered, existing };
+}
+
+function validateAccountIndex(accountIndex) {
+    if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex >= 2 ** 31) {
+        throw Object.assign(new Error("accountIndex must be a non-negative integer."), { status: 400 });
+    }
+}
+
+/**
+ * Exports an identity's private key encrypted with a passphrase (NIP-49 ncryptsec)
+ * @param {string} npub - Identity to export
+ * @param {string} passphrase - Passphrase used to encrypt the key
+ * @returns {Promise<string|null>} ncryptsec string, or null if the identity does not exist
+ */
+export async function exportNcryptsec(npub, passphrase) {
+    if (!passphrase || typeof passphrase !== 'string') {
+        throw Object.assign(new Error("A passphrase is required to export an ncryptsec key."), { status: 400 });
+    }
+    const identity = await getSigningKey(npub);
+    if (!identity) return null;
+
+    const privateKeyBytes = Uint8Array.from(Buffer.from(identity.privkey, 'hex'));
+    try {
+        return nip49.encrypt(privateKeyBytes, passphrase);
+    } finally {
+        privateKeyBytes.fill(0);
+    }
+}
+
+/**
+ * Updates the mutable fields of an identity (name, wa_gate_id).
+ * @param {string} npub
+ * @param {Object} updates
+ * @param {string} [updates.name]
+ * @param {string} [updates.wa_gate_id]
+ * @returns {Promise<Object|null>} Public view of the updated identity, or null if not found
+ */
+export async function updateIdentity(npub, { name, wa_gate_id } = {}) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const updates = {};
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw Object.assign(new Error("Name must be a non-empty string."), { status: 400 });
+        }
+        updates.name = name.trim();
+    }
+    if (wa_gate_id !== undefined) {
+        if (typeof wa_gate_id !== 'string' || wa_gate_id.trim().length === 0) {
+            throw Object.assign(new Error("wa_gate_id must be a non-empty string."), { status: 400 });
+        }
+        updates.wa_gate_id = wa_gate_id.trim();
+    }
+    if (Object.keys(updates).length === 0) {
+        throw Object.assign(new Error("Nothing to update: provide name and/or wa_gate_id."), { status: 400 });
+    }
+
+    if (updates.wa_gate_id) {
+        // Keep the mirrored "whatsapp" gateway in step with wa_gate_id
+        const current = await NostrIdentity.findOne({ npub }).select('gateways').lean();
+        if (!current) return null;
+        updates.gateways = [
+            ...(current.gateways || []).filter(g => g.type !== WHATSAPP_GATEWAY),
+            ...gatewaysForWaGateId(updates.wa_gate_id)
+        ];
+    }
+
+    let identity;
+    try {
+        identity = await NostrIdentity.findOneAndUpdate({ npub }, { $set: updates }, { new: true, runValidators: true })
+            .select('-privkey -nsec -encryption')
+            .lean();
     } catch (error) {
-        logger.error('Failed to save imported identity', { error: error.message });
-        
-        // Clear sensitive data from memory on error
-        if (privateKeyBytes) {
-            privateKeyBytes.fill(0);
+        if (error.code === 11000) throw duplicateKeyError(error);
+        throw error;
+    }
+    if (identity) {
+        logger.info('Updated identity', { npub, fields: Object.keys(updates) });
+    }
+    return identity ? toPublicIdentity(identity) : null;
+}
+
+/**
+ * Stores an identity's NIP-65 relay list. Entries must already be
+ * normalized (see relayList.service.js).
+ * @param {string} npub
+ * @param {Array<{url: string, read: boolean, write: boolean}>} relays - Empty to clear the list
+ * @param {Object} [options]
+ * @param {string} [options.eventId] - Id of the published kind 10002 event
+ * @returns {Promise<Object|null>} Public view of the identity, or null if not found
+ */
+export async function setRelayList(npub, relays, { eventId } = {}) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const update = relays.length > 0
+        ? { $set: { relayList: { relays, eventId, updatedAt: new Date() } } }
+        : { $unset: { relayList: 1 } };
+    const identity = await NostrIdentity.findOneAndUpdate({ npub }, update, { new: true, runValidators: true })
+        .select('-privkey -nsec -encryption')
+        .lean();
+    if (identity) {
+        logger.info('Updated relay list', { npub, relays: relays.length, eventId });
+    }
+    return identity ? toPublicIdentity(identity) : null;
+}
+
+/**
+ * Links a gateway account to an identity. Linking a "whatsapp" gateway also
+ * sets the legacy wa_gate_id.
+ * @param {string} npub
+ * @param {{ type: string, externalId: string }} gateway
+ * @returns {Promise<Object|null>} Public view of the identity, or null if not found
+ * @throws {Error} If the gateway is linked to another identity (status 409)
+ */
+export async function addGateway(npub, gateway) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const normalized = normalizeGateway(gateway);
+    if (normalized.type === WHATSAPP_GATEWAY) {
+        // wa_gate_id holds a single account, so this replaces any previous WhatsApp link
+        return updateIdentity(npub, { wa_gate_id: normalized.externalId });
+    }
+
+    let identity;
+    try {
+        identity = await NostrIdentity.findOneAndUpdate(
+            { npub },
+            { $addToSet: { gateways: normalized } },
+            { new: true, runValidators: true }
+        ).select('-privkey -nsec -encryption').lean();
+    } catch (error) {
+        if (error.code === 11000) throw duplicateKeyError(error);
+        throw error;
+    }
+    if (identity) {
+        logger.info('Linked gateway to identity', { npub, type: normalized.type });
+    }
+    return identity ? toPublicIdentity(identity) : null;
+}
+
+/**
+ * Unlinks a gateway account from an identity. Unlinking the "whatsapp"
+ * gateway resets the legacy wa_gate_id to "default".
+ * @param {string} npub
+ * @param {{ type: string, externalId: string }} gateway
+ * @returns {Promise<Object|null>} Public view of the identity, or null if not found
+ */
+export async function removeGateway(npub, gateway) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const normalized = normalizeGateway(gateway);
+    const update = { $pull: { gateways: normalized } };
+    if (normalized.type === WHATSAPP_GATEWAY) {
+        update.$set = { wa_gate_id: DEFAULT_WA_GATE_ID };
+    }
+
+    const identity = await NostrIdentity.findOneAndUpdate(
+        // Only reset wa_gate_id when it is the account being unlinked
+        normalized.type === WHATSAPP_GATEWAY ? { npub, wa_gate_id: normalized.externalId } : { npub },
+        update,
+        { new: true }
+    ).select('-privkey -nsec -encryption').lean();
+    if (identity) {
+        logger.info('Unlinked gateway from identity', { npub, type: normalized.type });
+        return toPublicIdentity(identity);
+    }
+    return getIdentityByNpub(npub);
+}
+
+/**
+ * Moves all gateway links (and the legacy wa_gate_id) from one identity to
+ * another, e.g. after a key rotation.
+ * @param {string} fromNpub
+ * @param {string} toNpub
+ * @returns {Promise<Array<{type: string, externalId: string}>>} Moved gateways
+ */
+export async function transferGateways(fromNpub, toNpub) {
+    const source = await NostrIdentity.findOne({ npub: fromNpub }).select('wa_gate_id gateways').lean();
+    if (!source) throw Object.assign(new Error(`Identity not found for npub ${fromNpub}`), { status: 404 });
+    const gateways = (source.gateways || []).map(({ type, externalId }) => ({ type, externalId }));
+
+    // Release the links first: the unique index allows each pair on one identity only
+    await NostrIdentity.updateOne({ npub: fromNpub }, { $set: { gateways: [] } });
+    try {
+        await NostrIdentity.updateOne(
+            { npub: toNpub },
+            { $set: { wa_gate_id: source.wa_gate_id }, $addToSet: { gateways: { $each: gateways } } }
+        );
+    } catch (error) {
+        // Restore the source links so they are not lost
+        await NostrIdentity.updateOne({ npub: fromNpub }, { $set: { gateways } });
+        if (error.code === 11000) throw duplicateKeyError(error);
+        throw error;
+    }
+
+    logger.info('Transferred gateways', { fromNpub, toNpub, count: gateways.length });
+    return gateways;
+}
+
+/**
+ * Archives or restores an identity. Archived identities keep their keys but
+ * are excluded from getAllKeys(), the default signer and wa_gate_id lookups.
+ * @param {string} npub
+ * @param {boolean} [archived=true]
+ * @param {Object} [options]
+ * @param {string} [options.rotatedTo] - npub of the identity replacing this one
+ * @returns {Promise<Object|null>} Public view of the identity, or null if not found
+ */
+export async function setIdentityArchived(npub, archived = true, { rotatedTo } = {}) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const update = archived
+        ? { $set: { archived: true, archivedAt: new Date(), ...(rotatedTo && { rotatedTo }) } }
+        : { $set: { archived: false }, $unset: { archivedAt: 1 } };
+
+    const identity = await NostrIdentity.findOneAndUpdate({ npub }, update, { new: true })
+        .select('-privkey -nsec -encryption')
+        .lean();
+    if (identity) {
+        logger.info(archived ? 'Archived identity' : 'Restored identity', { npub, rotatedTo });
+    }
+    return identity ? toPublicIdentity(identity) : null;
+}
+
+/**
+ * Permanently deletes an identity and its encrypted keys.
+ * Refused while Cashu wallets still belong to the identity, since their
+ * funds could no longer be reached through the API.
+ * @param {string} npub
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteIdentity(npub) {
+    if (!npub) throw new Error("NPUB must be provided.");
+    const wallets = await walletRepositoryService.findWalletsByNpub(npub);
+    if (wallets.length > 0) {
+        throw Object.assign(
+            new Error(`Identity still owns ${wallets.length} Cashu wallet(s); rotate the key to move them first.`),
+            { status: 409 }
+        );
+    }
+
+    const result = await NostrIdentity.deleteOne({ npub });
+    if (result.deletedCount > 0) {
+        logger.warn('Deleted identity', { npub });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Encrypts private key material of existing identities in place.
+ * Plaintext identities are encrypted and identities wrapped with an older
+ * master key version are re-wrapped with the current one.
+ * @returns {Promise<{ scanned: number, encrypted: number }>} Migration summary
+ */
+export async function encryptStoredIdentities() {
+    const identities = await NostrIdentity.find({}).lean();
+    let encrypted = 0;
+
+    for (const identity of identities) {
+        if (!needsEncryption(identity)) continue;
+        const updated = encryptFields(identity, SECRET_FIELDS);
+        await NostrIdentity.updateOne(
+            { _id: identity._id },
+            {
+                $set: {
+                    privkey: updated.privkey,
+                    nsec: updated.nsec,
+                    encryption: updated.encryption
+                }
+            }
+        );
+        encrypted++;
+    }
+
+    logger.info('Encrypted stored identities', { scanned: identities.length, encrypted });
+    return { scanned: identities.length, encrypted };
+}
+
+/**
+ * Maps legacy wa_gate_id values into `gateways` as { type: "whatsapp" }.
+ * The "default" placeholder is skipped. When several identities share a
+ * wa_gate_id, the oldest active one gets the gateway and the others are
+ * reported as conflicts. Safe to run repeatedly.
+ * @returns {Promise<{ scanned: number, migrated: number, conflicts: Array<{npub: string, wa_gate_id: string}> }>}
+ */
+export async function migrateWaGateIds() {
+    await NostrIdentity.syncIndexes();
+    const identities = await NostrIdentity.find({ wa_gate_id: { $ne: DEFAULT_WA_GATE_ID } })
+        .select('npub wa_gate_id gateways archived')
+        .sort({ archived: 1, _id: 1 })
+        .lean();
+    let migrated = 0;
+    const conflicts = [];
+
+    for (const identity of identities) {
+        const [gateway] = gatewaysForWaGateId(identity.wa_gate_id);
+        if (!gateway) continue;
+        if ((identity.gateways || []).some(g => g.type === gateway.type && g.externalId === gateway.externalId)) {
+            continue;
         }
-        
-        if (error.code === 11000) {
-            throw new Error("An identity with one of these unique keys already exists.");
+        try {
+            await NostrIdentity.updateOne({ _id: identity._id }, { $addToSet: { gateways: gateway } });
+            migrated++;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            conflicts.push({ npub: identity.npub, wa_gate_id: identity.wa_gate_id });
         }
-        throw new Error("Failed to save imported identity to database.");
     }
+
+    logger.info('Migrated wa_gate_id values to gateways', { scanned: identities.length, migrated, conflicts: conflicts.length });
+    return { scanned: identities.length, migrated, conflicts };
 }
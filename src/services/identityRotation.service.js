@@ -0,0 +1,179 @@
+import { NDKEvent, NDKKind } from "@nostr-dev-kit/ndk";
+import { connect } from "./nostr.service.js";
+import {
+  getSigningKey,
+  generateKeyPair,
+  updateWalletInfo,
+  setIdentityArchived,
+  transferGateways,
+  getIdentityByNpub,
+} from "./identity.service.js";
+import walletRepositoryService from "./walletRepository.service.js";
+import { publishWalletEvents } from "./cashu.service.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+
+/**
+ * Fetches the newest kind 0 profile of a pubkey.
+ * @param {NDK} ndk - Connected NDK instance.
+ * @param {string} pubkey - Hex pubkey.
+ * @returns {Promise<Object>} Parsed profile content, or an empty object.
+ */
+async function fetchLatestProfile(ndk, pubkey) {
+  const events = await ndk.fetchEvents(
+    { kinds: [NDKKind.Metadata], authors: [pubkey], limit: 1 },
+    { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+  );
+  const [latest] = [...events].sort((a, b) => b.created_at - a.created_at);
+  if (!latest) return {};
+  try {
+    return JSON.parse(latest.content) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Signs and publishes an event with the NDK instance's signer.
+ * @returns {Promise<{ id: string, relays: string[] }>}
+ */
+async function publishEvent(ndk, kind, content, tags = []) {
+  const event = new NDKEvent(ndk, { kind, content, tags });
+  await event.sign();
+  const okRelays = await event.publish(undefined, DEFAULT_TIMEOUT);
+  return { id: event.id, relays: [...okRelays].map((r) => r.url) };
+}
+
+/**
+ * Publishes the migration notices for a rotation:
+ *  - kind 1 note from the old key pointing to the new npub
+ *  - kind 0 profile update from the old key announcing the move
+ *  - kind 0 profile for the new key, copied from the old profile
+ *  - wallet events (kinds 17375/10019) for moved Cashu wallets, from the new key
+ * Failures are collected rather than thrown: by this point the rotation is
+ * committed and the old key must stay retired.
+ */
+async function publishMigrationNotices(oldKey, newKey, reason, movedWallets) {
+  const published = { note: null, profile: null, newProfile: null, wallets: [] };
+  const errors = [];
+  const pointer = `nostr:${newKey.npub}`;
+  const notice = `This account has moved to ${pointer}${reason ? ` (${reason})` : ""}`;
+
+  try {
+    const { ndk } = await connect(oldKey);
+    const profile = await fetchLatestProfile(ndk, oldKey.pubkey);
+
+    published.note = await publishEvent(ndk, NDKKind.Text, notice, [
+      ["p", newKey.pubkey, "", "mention"],
+    ]);
+    published.profile = await publishEvent(
+      ndk,
+      NDKKind.Metadata,
+      JSON.stringify({
+        ...profile,
+        about: profile.about ? `${notice}\n\n${profile.about}` : notice,
+      })
+    );
+
+    if (Object.keys(profile).length > 0 || movedWallets.length > 0) {
+      const { ndk: newNdk } = await connect(newKey);
+      if (Object.keys(profile).length > 0) {
+        published.newProfile = await publishEvent(
+          newNdk,
+          NDKKind.Metadata,
+          JSON.stringify(profile)
+        );
+      }
+      for (const wallet of movedWallets) {
+        const p2pkPriv = await walletRepositoryService.getWalletPrivateKey(
+          newKey.npub,
+          wallet.mint_url
+        );
+        published.wallets.push(
+          await publishWalletEvents(newNdk, {
+            npub: newKey.npub,
+            nsec: newKey.nsec,
+            mintUrl: wallet.mint_url,
+            p2pkPriv,
+            p2pkPub: wallet.p2pk_pubkey,
+          })
+        );
+      }
+    }
+  } catch (error) {
+    logger.error("Failed to publish key rotation notices", {
+      oldNpub: oldKey.npub,
+      newNpub: newKey.npub,
+      error: error.message,
+    });
+    errors.push(error.message);
+  }
+
+  return { published, errors };
+}
+
+/**
+ * Rotates an identity to a freshly generated key.
+ * Creates the new identity (same name unless overridden), moves gateway
+ * links, Cashu wallets and the wallet summary to the new npub, archives the
+ * old identity with `rotatedTo`, then publishes signed migration notices
+ * from the old key.
+ * @param {string} npub - Identity to rotate.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name for the new identity (default: old name).
+ * @param {string} [options.reason] - Optional reason included in the notices.
+ * @returns {Promise<Object>} Old and new public identities, moved wallet counts and published events.
+ */
+export async function rotateIdentity(npub, { name, reason } = {}) {
+  const oldKey = await getSigningKey(npub);
+  if (!oldKey) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), {
+      status: 404,
+    });
+  }
+  if (oldKey.archived) {
+    throw Object.assign(
+      new Error(`Identity ${npub} is archived and cannot be rotated`),
+      { status: 409 }
+    );
+  }
+
+  // Gateways (and wa_gate_id) are moved over below, since each gateway
+  // account can only be linked to one identity at a time
+  const newKey = await generateKeyPair(name || oldKey.name, "default");
+  logger.info("Rotating identity", { oldNpub: npub, newNpub: newKey.npub });
+
+  await transferGateways(npub, newKey.npub);
+
+  const moved = await walletRepositoryService.reassignWallets(npub, newKey.npub);
+  if (oldKey.wallet?.mint) {
+    await updateWalletInfo(newKey.npub, {
+      mint: oldKey.wallet.mint,
+      p2pkPub: oldKey.wallet.p2pkPub,
+    });
+  }
+  const movedWallets =
+    moved.wallets > 0
+      ? await walletRepositoryService.findWalletsByNpub(newKey.npub)
+      : [];
+
+  const archived = await setIdentityArchived(npub, true, {
+    rotatedTo: newKey.npub,
+  });
+
+  const { published, errors } = await publishMigrationNotices(
+    oldKey,
+    newKey,
+    reason,
+    movedWallets
+  );
+
+  return {
+    old: archived,
+    new: await getIdentityByNpub(newKey.npub),
+    moved,
+    events: published,
+    errors,
+  };
+}
@@ -0,0 +1,303 @@
+import { nip19 } from "nostr-tools";
+import OutboxEvent from "../models/OutboxEvent.model.js";
+import { connect, signAndPublish } from "./nostr.service.js";
+import { getSigningKey } from "./identity.service.js";
+import { markOutboxEventsDeleted } from "./outbox.service.js";
+import { eventCoordinate, markStoredEventsDeleted } from "./eventStore.service.js";
+import { parseEventReference, fetchReferencedEvent } from "./thread.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Reactions (NIP-25), reposts (NIP-18) and deletion requests (NIP-09)
+ * published by our identities.
+ *
+ * Reactions and reposts reference the target event by `e` tag (and `a` tag
+ * for addressable events), its author by `p` tag and its kind by `k` tag.
+ * Deletion requests are only accepted for events the identity authored;
+ * once published, the deleted events are marked as such in the local
+ * caches (the outbox and the event store), which also stops their
+ * redelivery.
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+
+const REACTION_KIND = 7;
+const REPOST_KIND = 6;
+const GENERIC_REPOST_KIND = 16;
+const DELETION_KIND = 5;
+
+const MAX_REACTION_LENGTH = 64;
+const MAX_DELETE_TARGETS = 100;
+// NIP-30 shortcodes: alphanumerics and underscores
+const CUSTOM_EMOJI = /^:([a-zA-Z0-9_]+):$/;
+
+function targetTags(target, relay) {
+  const coordinate = eventCoordinate(target);
+  return [
+    ["e", target.id, relay, target.pubkey],
+    ...(coordinate ? [["a", coordinate, relay]] : []),
+    ["p", target.pubkey, ...(relay ? [relay] : [])],
+  ];
+}
+
+/**
+ * Kind 7 reaction to an event.
+ * @param {Object} target - Raw event reacted to
+ * @param {Object} [options]
+ * @param {string} [options.content="+"] - "+", "-", an emoji or a `:shortcode:` custom emoji
+ * @param {string} [options.emojiUrl] - Image URL of a custom emoji (NIP-30)
+ * @param {string} [options.relay] - Relay the target was seen on
+ * @returns {{ kind: number, content: string, tags: string[][] }}
+ * @throws {Error} 400 for invalid content
+ */
+export function buildReactionTemplate(target, { content = "+", emojiUrl, relay = "" } = {}) {
+  if (typeof content !== "string" || content.length === 0 || content.length > MAX_REACTION_LENGTH) {
+    throw Object.assign(
+      new Error(`content must be "+", "-", an emoji or a :shortcode: of up to ${MAX_REACTION_LENGTH} characters`),
+      { status: 400 }
+    );
+  }
+  const tags = targetTags(target, relay);
+  tags.push(["k", String(target.kind)]);
+
+  const shortcode = content.match(CUSTOM_EMOJI)?.[1];
+  if (shortcode) {
+    if (!/^https?:\/\/\S+$/.test(emojiUrl || "")) {
+      throw Object.assign(new Error("emojiUrl is required for custom emoji reactions"), {
+        status: 400,
+      });
+    }
+    tags.push(["emoji", shortcode, emojiUrl]);
+  }
+  return { kind: REACTION_KIND, content, tags };
+}
+
+/**
+ * Repost of an event: kind 6 for text notes, kind 16 (generic repost) for
+ * other kinds. The reposted event is embedded unless it is protected
+ * (NIP-70).
+ * @param {Object} target - Raw event reposted
+ * @param {Object} [options]
+ * @param {string} [options.relay] - Relay the target was seen on
+ * @returns {{ kind: number, content: string, tags: string[][] }}
+ */
+export function buildRepostTemplate(target, { relay = "" } = {}) {
+  const isNote = target.kind === 1;
+  const isProtected = target.tags.some((t) => t.length === 1 && t[0] === "-");
+  const tags = targetTags(target, relay);
+  if (!isNote) tags.push(["k", String(target.kind)]);
+  return {
+    kind: isNote ? REPOST_KIND : GENERIC_REPOST_KIND,
+    content: isProtected ? "" : JSON.stringify(target),
+    tags,
+  };
+}
+
+/**
+ * Kind 5 deletion request.
+ * @param {Object} params
+ * @param {Object[]} [params.events] - Raw events to delete
+ * @param {Array<{ kind: number, pubkey: string, identifier: string }>} [params.addresses] - Addressable events to delete (all versions up to the request)
+ * @param {string} [params.reason] - Why they are deleted
+ * @returns {{ kind: number, content: string, tags: string[][] }}
+ */
+export function buildDeletionTemplate({ events = [], addresses = [], reason = "" }) {
+  const kinds = new Set();
+  const tags = [];
+  for (const event of events) {
+    tags.push(["e", event.id]);
+    kinds.add(event.kind);
+  }
+  for (const { kind, pubkey, identifier } of addresses) {
+    tags.push(["a", `${kind}:${pubkey}:${identifier}`]);
+    kinds.add(kind);
+  }
+  for (const kind of kinds) tags.push(["k", String(kind)]);
+  return { kind: DELETION_KIND, content: reason, tags };
+}
+
+/**
+ * Decodes a reference to an addressable event.
+ * @param {string} value - `naddr1...` or a `kind:pubkey:d` coordinate
+ * @returns {{ kind: number, pubkey: string, identifier: string }}
+ * @throws {Error} 400 when invalid
+ */
+export function parseAddress(value) {
+  const input = typeof value === "string" ? value.replace(/^nostr:/, "") : "";
+  const match = input.match(/^(\d+):([0-9a-f]{64}):(.*)$/);
+  if (match) {
+    return { kind: Number(match[1]), pubkey: match[2], identifier: match[3] };
+  }
+  try {
+    const { type, data } = nip19.decode(input);
+    if (type === "naddr") {
+      return { kind: data.kind, pubkey: data.pubkey, identifier: data.identifier };
+    }
+  } catch {
+    // fall through
+  }
+  throw Object.assign(new Error(`Invalid event address: ${value}`), { status: 400 });
+}
+
+async function loadIdentity(npub) {
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), { status: 404 });
+  }
+  return keyObj;
+}
+
+async function fetchTarget(eventId) {
+  return fetchReferencedEvent(parseEventReference(eventId, { allowAddress: true }));
+}
+
+/**
+ * Publishes a reaction to an event.
+ * @param {Object} params
+ * @param {string} params.npub - Reacting identity
+ * @param {string} params.eventId - Target (hex, note, nevent or naddr)
+ * @param {string} [params.content="+"] - Reaction
+ * @param {string} [params.emojiUrl] - Image URL of a `:shortcode:` reaction
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @returns {Promise<Object>} Publish result with the signed `event`
+ */
+export async function publishReaction({ npub, eventId, content, emojiUrl, timeoutMs = DEFAULT_TIMEOUT, minAccepted }) {
+  const keyObj = await loadIdentity(npub);
+  const { event: target, relay } = await fetchTarget(eventId);
+  const template = buildReactionTemplate(target, { content, emojiUrl, relay });
+  return signAndPublish(keyObj, template, { source: "reaction", timeoutMs, minAccepted });
+}
+
+/**
+ * Publishes a repost of an event.
+ * @param {Object} params
+ * @param {string} params.npub - Reposting identity
+ * @param {string} params.eventId - Target (hex, note, nevent or naddr)
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @returns {Promise<Object>} Publish result with the signed `event`
+ */
+export async function publishRepost({ npub, eventId, timeoutMs = DEFAULT_TIMEOUT, minAccepted }) {
+  const keyObj = await loadIdentity(npub);
+  const { event: target, relay } = await fetchTarget(eventId);
+  const template = buildRepostTemplate(target, { relay });
+  return signAndPublish(keyObj, template, { source: "repost", timeoutMs, minAccepted });
+}
+
+/**
+ * Loads events to delete from the outbox and the identity's relays.
+ * @returns {Promise<Object[]>} Raw events
+ * @throws {Error} 404 for events not found, 403 for events by other authors
+ */
+async function loadOwnEvents(keyObj, ids) {
+  const found = new Map();
+  const entries = await OutboxEvent.find({ event_id: { $in: ids } }).lean();
+  for (const entry of entries) found.set(entry.event_id, entry.event);
+
+  const remaining = ids.filter((id) => !found.has(id));
+  if (remaining.length > 0) {
+    const { ndk } = await connect(keyObj);
+    const events = await ndk.fetchEvents(
+      { ids: remaining },
+      { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+    );
+    for (const event of events) found.set(event.id, event.rawEvent());
+  }
+
+  const missing = ids.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Events not found: ${missing.join(", ")}`), {
+      status: 404,
+      details: { missing },
+    });
+  }
+  const notAuthored = ids.filter((id) => found.get(id).pubkey !== keyObj.pubkey);
+  if (notAuthored.length > 0) {
+    throw Object.assign(new Error("Only events authored by the identity can be deleted"), {
+      status: 403,
+      details: { notAuthored },
+    });
+  }
+  return ids.map((id) => found.get(id));
+}
+
+/**
+ * Marks events deleted in the local caches.
+ * @param {Object} params - See markOutboxEventsDeleted()
+ * @returns {Promise<{ outbox: number, store: number }>} Entries marked per cache
+ */
+export async function markEventsDeleted(params) {
+  const [outbox, store] = await Promise.all([
+    markOutboxEventsDeleted(params),
+    markStoredEventsDeleted(params),
+  ]);
+  return { outbox, store };
+}
+
+/**
+ * Publishes a deletion request for events the identity authored and marks
+ * them deleted locally.
+ * @param {Object} params
+ * @param {string} params.npub - Author
+ * @param {string[]} [params.eventIds] - Events to delete (hex, note or nevent)
+ * @param {string[]} [params.addresses] - Addressable events to delete (naddr or `kind:pubkey:d`)
+ * @param {string} [params.reason]
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @returns {Promise<Object>} Publish result with the signed `event` and `cached` (entries marked per cache)
+ * @throws {Error} 400 for invalid input, 403/404 for events the identity did not author or that were not found
+ */
+export async function publishDeletion({
+  npub,
+  eventIds = [],
+  addresses = [],
+  reason = "",
+  timeoutMs = DEFAULT_TIMEOUT,
+  minAccepted,
+}) {
+  if (!Array.isArray(eventIds) || !Array.isArray(addresses)) {
+    throw Object.assign(new Error("eventIds and addresses must be arrays"), { status: 400 });
+  }
+  const total = eventIds.length + addresses.length;
+  if (total === 0 || total > MAX_DELETE_TARGETS) {
+    throw Object.assign(
+      new Error(`Between 1 and ${MAX_DELETE_TARGETS} eventIds or addresses are required`),
+      { status: 400 }
+    );
+  }
+  if (typeof reason !== "string") {
+    throw Object.assign(new Error("reason must be a string"), { status: 400 });
+  }
+
+  const keyObj = await loadIdentity(npub);
+  const ids = [...new Set(eventIds.map((value) => parseEventReference(value).id))];
+  const coordinates = addresses.map(parseAddress);
+  if (coordinates.some((address) => address.pubkey !== keyObj.pubkey)) {
+    throw Object.assign(new Error("Only events authored by the identity can be deleted"), {
+      status: 403,
+    });
+  }
+  const events = ids.length > 0 ? await loadOwnEvents(keyObj, ids) : [];
+
+  const template = buildDeletionTemplate({ events, addresses: coordinates, reason });
+  const result = await signAndPublish(keyObj, template, {
+    source: "deletion",
+    timeoutMs,
+    minAccepted,
+  });
+  const cached = await markEventsDeleted({
+    npub,
+    deletionId: result.event.id,
+    eventIds: ids,
+    addresses: coordinates,
+    createdAt: result.event.created_at,
+  });
+  logger.info("Published deletion request", {
+    npub,
+    deletionId: result.event.id,
+    events: ids.length,
+    addresses: coordinates.length,
+  });
+  return { ...result, cached };
+}
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { ROOT_DIR } from "../config/paths.js";
+
+/**
+ * Key Encryption Service
+ *
+ * Envelope encryption for private key material stored in MongoDB.
+ * Each record gets its own random data key (DEK) which encrypts the secret
+ * fields with AES-256-GCM. The DEK is itself wrapped by a master key (KEK)
+ * loaded from `NCTOOL_MASTER_KEY` or a local keyfile, and the master key
+ * version is stored alongside the record so master keys can be rotated.
+ *
+ * Outside production, a missing keyfile is generated on first use
+ * (`.keys/master.key` in the repository root by default). In production
+ * (`NODE_ENV=production`) a master key must be configured: the server
+ * refuses to start without one rather than create a key nobody backs up.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const VALUE_PREFIX = "enc:";
+
+const DEFAULT_KEYFILE = path.join(ROOT_DIR, ".keys", "master.key");
+
+let cachedKeyring = null;
+
+/**
+ * Parses a master key from hex or base64 into a 32-byte buffer.
+ * @param {string} raw - Encoded key material
+ * @param {string} source - Description of where the key came from (for errors)
+ * @returns {Buffer} 32-byte key
+ */
+function parseMasterKey(raw, source) {
+  const value = String(raw).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(
+      `Master key from ${source} must be 32 bytes (64 hex chars or base64)`
+    );
+  }
+  return key;
+}
+
+/**
+ * Loads the current master key from the environment or the keyfile,
+ * generating a new keyfile on first use when neither is present (outside
+ * production only).
+ * @returns {Buffer} Current master key
+ * @throws {Error} In production when no master key is configured
+ */
+function loadCurrentMasterKey() {
+  if (process.env.NCTOOL_MASTER_KEY) {
+    return parseMasterKey(process.env.NCTOOL_MASTER_KEY, "NCTOOL_MASTER_KEY");
+  }
+
+  const keyfile = process.env.NCTOOL_MASTER_KEY_FILE || DEFAULT_KEYFILE;
+  if (fs.existsSync(keyfile)) {
+    return parseMasterKey(fs.readFileSync(keyfile, "utf8"), keyfile);
+  }
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      `No master key configured: set NCTOOL_MASTER_KEY or NCTOOL_MASTER_KEY_FILE (${keyfile} does not exist)`
+    );
+  }
+
+  const key = crypto.randomBytes(KEY_LENGTH);
+  fs.mkdirSync(path.dirname(keyfile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyfile, key.toString("hex"), { mode: 0o600 });
+  logger.warn("Generated new master key file for key encryption", {
+    keyfile,
+  });
+  return key;
+}
+
+/**
+ * Builds the keyring of master keys indexed by version.
+ * The current key is registered under `NCTOOL_MASTER_KEY_VERSION` (default 1);
+ * retired keys can be supplied as `NCTOOL_MASTER_KEY_V<version>`.
+ * @returns {{ currentVersion: number, keys: Map<number, Buffer> }}
+ */
+function getKeyring() {
+  if (cachedKeyring) return cachedKeyring;
+
+  const currentVersion = Number(process.env.NCTOOL_MASTER_KEY_VERSION) || 1;
+  const keys = new Map();
+
+  for (const [name, value] of Object.entries(process.env)) {
+    const match = /^NCTOOL_MASTER_KEY_V(\d+)$/.exec(name);
+    if (match && value) {
+      keys.set(Number(match[1]), parseMasterKey(value, name));
+    }
+  }
+  keys.set(currentVersion, loadCurrentMasterKey());
+
+  cachedKeyring = { currentVersion, keys };
+  return cachedKeyring;
+}
+
+/**
+ * Loads the master keys, so a missing or invalid key stops the server at
+ * startup instead of failing the first request that needs key material.
+ * @returns {number} Current master key version
+ * @throws {Error} When a master key is missing or invalid
+ */
+export function checkMasterKey() {
+  return getKeyring().currentVersion;
+}
+
+/**
+ * Clears the cached keyring so configuration changes are picked up.
+ * Intended for tests and key rotation tooling.
+ */
+export function resetKeyring() {
+  cachedKeyring = null;
+}
+
+/**
+ * Returns the master key version new records are encrypted with.
+ * @returns {number}
+ */
+export function getCurrentKeyVersion() {
+  return getKeyring().currentVersion;
+}
+
+function getMasterKey(version) {
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new Error(`No master key available for key version ${version}`);
+  }
+  return key;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Checks whether a stored field value is an encrypted envelope value.
+ * @param {*} value - Stored field value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(VALUE_PREFIX);
+}
+
+/**
+ * Checks whether a record carries encryption metadata.
+ * @param {Object} record - Plain object or mongoose document
+ * @returns {boolean}
+ */
+export function isEncryptedRecord(record) {
+  return Boolean(record?.encryption?.wrapped_key);
+}
+
+/**
+ * Checks whether a record still needs to be encrypted, or re-wrapped because
+ * its data key was wrapped with an older master key version.
+ * @param {Object} record - Plain object or mongoose document
+ * @returns {boolean}
+ */
+export function needsEncryption(record) {
+  return (
+    !isEncryptedRecord(record) ||
+    record.encryption.key_version !== getCurrentKeyVersion()
+  );
+}
+
+/**
+ * Encrypts the given secret fields of a record with a fresh data key.
+ * Already encrypted records are decrypted first, so this also re-wraps
+ * records onto the current master key version.
+ * @param {Object} record - Plain object holding the secrets
+ * @param {string[]} fields - Names of the fields to encrypt
+ * @returns {Object} Copy of the record with encrypted fields and an `encryption` block
+ */
+export function encryptFields(record, fields) {
+  const source = decryptFields(record, fields);
+  const keyVersion = getCurrentKeyVersion();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const result = { ...source };
+
+  try {
+    for (const field of fields) {
+      const value = source[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      result[field] = VALUE_PREFIX + seal(dataKey, Buffer.from(String(value)));
+    }
+    result.encryption = {
+      key_version: keyVersion,
+      wrapped_key: seal(getMasterKey(keyVersion), dataKey),
+    };
+    return result;
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypts the given secret fields of a record.
+ * Records without encryption metadata are returned unchanged, so callers can
+ * pass both legacy plaintext documents and encrypted ones.
+ * @param {Object} record - Plain object or mongoose document
+ * @param {string[]} fields - Names of the fields to decrypt
+ * @returns {Object} Plain copy of the record with plaintext fields
+ */
+export function decryptFields(record, fields) {
+  if (!record) return record;
+  const plain =
+    typeof record.toObject === "function" ? record.toObject() : { ...record };
+  if (!isEncryptedRecord(plain)) return plain;
+
+  const { key_version: keyVersion, wrapped_key: wrappedKey } = plain.encryption;
+  const dataKey = open(getMasterKey(keyVersion), wrappedKey);
+
+  try {
+    for (const field of fields) {
+      const value = plain[field];
+      if (isEncryptedValue(value)) {
+        plain[field] = open(dataKey, value.slice(VALUE_PREFIX.length)).toString(
+          "utf8"
+        );
+      }
+    }
+    return plain;
+  } catch (error) {
+    throw new Error(`Failed to decrypt key material: ${error.message}`);
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
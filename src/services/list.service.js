@@ -0,0 +1,632 @@
+import { nip19 } from "nostr-tools";
+import NostrList from "../models/NostrList.model.js";
+import {
+  connect,
+  getConfiguredRelayUrls,
+  getIdentityWriteRelayUrls,
+  signAndPublish,
+} from "./nostr.service.js";
+import { getSigningKey } from "./identity.service.js";
+import { getIndexerRelayUrls, toHexPubkey } from "./relayList.service.js";
+import { ENCRYPTION, encryptPayload, decryptPayload } from "./encryption.service.js";
+import { parseEventReference } from "./thread.service.js";
+import { parseAddress } from "./interaction.service.js";
+import { hasValidSignature } from "./eventStore.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Contact lists (kind 3), mute lists (kind 10000) and NIP-51 sets
+ * (follow sets, kind 30000; bookmark sets, kind 30003) of our identities.
+ *
+ * Lists are replaced as a whole on every change, so an update built from a
+ * stale copy would drop entries added elsewhere (e.g. by another client).
+ * Every update therefore reads the list from the identity's write relays
+ * and the indexer relays first, takes the newest of those versions and the
+ * local copy (see NostrList.model.js), applies the requested additions and
+ * removals to it and publishes the result with a later `created_at`. Other
+ * entries, unknown tags and the kind 3 content are kept as they are. Updates
+ * are refused while no relay can be reached, and updates of the same list
+ * run one at a time. Only versions signed by the identity itself are read,
+ * so a relay cannot slip a forged list in to be re-signed with our key.
+ *
+ * Mute lists and sets can hold private entries: a JSON array of tags
+ * encrypted to the identity itself with NIP-44 in the event content (NIP-04
+ * content written by older clients is still read). When that content cannot
+ * be decrypted it is kept unchanged and only public entries can be changed.
+ */
+
+export const CONTACTS_KIND = 3;
+export const MUTE_LIST_KIND = 10000;
+export const FOLLOW_SET_KIND = 30000;
+export const BOOKMARK_SET_KIND = 30003;
+export const SET_KINDS = [FOLLOW_SET_KIND, BOOKMARK_SET_KIND];
+
+const LIST_TYPES = {
+  [CONTACTS_KIND]: { name: "contact list", entries: ["p"], source: "contacts" },
+  [MUTE_LIST_KIND]: {
+    name: "mute list",
+    entries: ["p", "t", "word", "e"],
+    private: true,
+    source: "mute_list",
+  },
+  [FOLLOW_SET_KIND]: {
+    name: "follow set",
+    entries: ["p"],
+    private: true,
+    addressable: true,
+    source: "list_set",
+  },
+  [BOOKMARK_SET_KIND]: {
+    name: "bookmark set",
+    entries: ["e", "a", "t", "r"],
+    private: true,
+    addressable: true,
+    source: "list_set",
+  },
+};
+
+// Descriptive tags of sets (NIP-51)
+const SET_METADATA = ["title", "description", "image"];
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const MAX_IDENTIFIER_LENGTH = 128;
+const MAX_CHANGES = 500;
+
+// Updates in progress, per list, so concurrent updates apply one after the other
+const listLocks = new Map();
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+async function loadIdentity(npub) {
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), { status: 404 });
+  }
+  return keyObj;
+}
+
+function listSpec(kind) {
+  const spec = LIST_TYPES[kind];
+  if (!spec) {
+    throw badRequest(`Unsupported list kind: ${kind}`);
+  }
+  return spec;
+}
+
+/**
+ * Validates the kind of a NIP-51 set.
+ * @param {number|string} kind
+ * @returns {number} 30000 or 30003
+ * @throws {Error} 400 for other kinds
+ */
+export function parseSetKind(kind) {
+  const value = Number(kind);
+  if (!SET_KINDS.includes(value)) {
+    throw badRequest(`Set kind must be one of: ${SET_KINDS.join(", ")}`);
+  }
+  return value;
+}
+
+function validateIdentifier(identifier) {
+  if (typeof identifier !== "string" || !identifier || identifier.length > MAX_IDENTIFIER_LENGTH) {
+    throw badRequest(`identifier must be a string of 1 to ${MAX_IDENTIFIER_LENGTH} characters`);
+  }
+  return identifier;
+}
+
+// Drops trailing empty values, e.g. ["p", pubkey, "", ""] -> ["p", pubkey]
+function trimTag(tag) {
+  const trimmed = [...tag];
+  while (trimmed.length > 2 && !trimmed[trimmed.length - 1]) trimmed.pop();
+  return trimmed;
+}
+
+function tagKey(tag) {
+  return `${tag[0]}:${tag[1]}`;
+}
+
+/**
+ * Builds the tag of a list entry.
+ * @param {Object} entry
+ * @param {string} entry.type - Tag name: "p", "e", "a", "t", "word" or "r"
+ * @param {string} entry.value - npub or hex pubkey (p), note/nevent or hex id (e), naddr or coordinate (a), hashtag (t), word, or URL (r)
+ * @param {string} [entry.relay] - Relay hint (p, e, a)
+ * @param {string} [entry.petname] - Petname (p)
+ * @param {string[]} allowed - Tag names the list accepts
+ * @returns {string[]}
+ * @throws {Error} 400 for invalid entries
+ */
+export function toEntryTag({ type, value, relay, petname } = {}, allowed) {
+  if (!allowed.includes(type)) {
+    throw badRequest(`Entry type must be one of: ${allowed.join(", ")}`);
+  }
+  if (typeof value !== "string" || value.trim() === "") {
+    throw badRequest(`${type} entries need a value`);
+  }
+  if (relay !== undefined && relay !== "" && !/^wss?:\/\/\S+$/.test(relay)) {
+    throw badRequest(`Invalid relay URL: ${relay}`);
+  }
+  if (petname !== undefined && typeof petname !== "string") {
+    throw badRequest("petname must be a string");
+  }
+  const input = value.trim();
+  switch (type) {
+    case "p":
+      return trimTag(["p", toHexPubkey(input.replace(/^nostr:/, "")), relay || "", petname || ""]);
+    case "e": {
+      const ref = parseEventReference(input);
+      return trimTag(["e", ref.id, relay || ref.relays[0] || ""]);
+    }
+    case "a": {
+      const { kind, pubkey, identifier } = parseAddress(input);
+      return trimTag(["a", `${kind}:${pubkey}:${identifier}`, relay || ""]);
+    }
+    case "t": {
+      const hashtag = input.replace(/^#/, "").toLowerCase();
+      if (!hashtag) throw badRequest("t entries need a value");
+      return ["t", hashtag];
+    }
+    case "word":
+      return ["word", input.toLowerCase()];
+    default:
+      if (!/^https?:\/\/\S+$/.test(input)) {
+        throw badRequest(`Invalid URL: ${value}`);
+      }
+      return ["r", input];
+  }
+}
+
+/**
+ * Describes an entry tag.
+ * @param {string[]} tag
+ * @returns {{ type: string, value: string, npub?: string, relay?: string, petname?: string }}
+ */
+export function tagToEntry([type, value, relay, petname]) {
+  const entry = { type, value };
+  if (type === "p" && /^[0-9a-f]{64}$/.test(value)) entry.npub = nip19.npubEncode(value);
+  if (relay) entry.relay = relay;
+  if (type === "p" && petname) entry.petname = petname;
+  return entry;
+}
+
+// Request entries: { type, value, ... }. Lists of one entry type (contact
+// lists, follow sets) also take { pubkey, ... } objects or plain strings.
+function normalizeEntry(entry, spec) {
+  const single = spec.entries.length === 1 ? spec.entries[0] : undefined;
+  const input = typeof entry === "string" && single ? { type: single, value: entry } : entry;
+  if (!input || typeof input !== "object") {
+    throw badRequest("Entries must be objects with a type and a value");
+  }
+  const type = input.type ?? single;
+  const value = input.value ?? (type === "p" ? input.pubkey : undefined);
+  return {
+    tag: toEntryTag({ ...input, type, value }, spec.entries),
+    private: input.private === true,
+  };
+}
+
+// New values of an entry replace the existing ones; values not given (e.g.
+// a petname when only the relay changes) are kept
+function mergeTag(existing, tag) {
+  if (!existing) return tag;
+  const merged = [...existing];
+  tag.forEach((value, i) => {
+    if (value) merged[i] = value;
+  });
+  return merged.map((value) => value ?? "");
+}
+
+/**
+ * Applies additions and removals to a list's tags. Entries are matched by
+ * tag name and value; adding an existing entry updates its relay hint or
+ * petname, and adding a public entry as private (or the reverse) moves it.
+ * All other tags are kept in place.
+ * @param {{ publicTags: string[][], privateTags?: string[][] }} list
+ * @param {{ add?: Array<{ tag: string[], private?: boolean }>, remove?: Array<{ tag: string[] }> }} changes
+ * @returns {{ publicTags: string[][], privateTags: string[][], privateChanged: boolean }}
+ */
+export function applyListChanges({ publicTags, privateTags = [] }, { add = [], remove = [] }) {
+  const lists = { public: publicTags.map((t) => [...t]), private: privateTags.map((t) => [...t]) };
+  let privateChanged = false;
+
+  const removeKeys = new Set(remove.map(({ tag }) => tagKey(tag)));
+  const kept = lists.private.filter((t) => !removeKeys.has(tagKey(t)));
+  privateChanged = kept.length !== lists.private.length;
+  lists.private = kept;
+  lists.public = lists.public.filter((t) => !removeKeys.has(tagKey(t)));
+
+  for (const { tag, private: isPrivate } of add) {
+    const key = tagKey(tag);
+    const target = isPrivate ? "private" : "public";
+    const other = isPrivate ? "public" : "private";
+
+    const movedIndex = lists[other].findIndex((t) => tagKey(t) === key);
+    let existing;
+    if (movedIndex !== -1) {
+      [existing] = lists[other].splice(movedIndex, 1);
+      if (other === "private") privateChanged = true;
+    }
+    const index = lists[target].findIndex((t) => tagKey(t) === key);
+    if (index !== -1) {
+      lists[target][index] = mergeTag(lists[target][index], tag);
+    } else {
+      lists[target].push(mergeTag(existing, tag));
+    }
+    if (isPrivate) privateChanged = true;
+  }
+  return { publicTags: lists.public, privateTags: lists.private, privateChanged };
+}
+
+/**
+ * Sets, replaces or (with an empty string) removes the descriptive tags of a
+ * set.
+ * @param {string[][]} tags
+ * @param {{ title?: string, description?: string, image?: string }} metadata
+ * @returns {string[][]}
+ */
+export function setMetadataTags(tags, metadata) {
+  let result = [...tags];
+  for (const name of SET_METADATA) {
+    const value = metadata[name];
+    if (value === undefined) continue;
+    const index = result.findIndex((t) => t[0] === name);
+    if (value === "") {
+      result = result.filter((t) => t[0] !== name);
+    } else if (index !== -1) {
+      result[index] = [name, value];
+    } else {
+      // After the d tag
+      const at = result.findIndex((t) => t[0] === "d") + 1;
+      result.splice(at, 0, [name, value]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Picks the current version of a replaceable event: the newest, or on equal
+ * `created_at` the one with the lowest id (NIP-01).
+ * @param {Object[]} events - Raw events (null entries are skipped)
+ * @returns {Object|null}
+ */
+export function pickNewest(events) {
+  let newest = null;
+  for (const event of events) {
+    if (!event) continue;
+    if (
+      !newest ||
+      event.created_at > newest.created_at ||
+      (event.created_at === newest.created_at && event.id < newest.id)
+    ) {
+      newest = event;
+    }
+  }
+  return newest;
+}
+
+function identifierOf(event) {
+  return event.tags.find((t) => t[0] === "d")?.[1] ?? "";
+}
+
+/**
+ * Tells whether an event is a genuine version of an identity's list: its
+ * kind, signed by the identity, and for sets with the given `d` tag.
+ * @param {Object|null} event - Raw event
+ * @param {Object} list
+ * @param {string} list.pubkey - Hex pubkey of the identity
+ * @param {number} list.kind
+ * @param {string} [list.identifier] - `d` tag of a set; any set when omitted
+ * @returns {boolean}
+ */
+export function isListVersion(event, { pubkey, kind, identifier }) {
+  if (!event || event.pubkey !== pubkey || event.kind !== kind || !Array.isArray(event.tags)) return false;
+  if (LIST_TYPES[kind].addressable && identifier !== undefined && identifierOf(event) !== identifier) {
+    return false;
+  }
+  return hasValidSignature(event);
+}
+
+async function fetchFromRelays(keyObj, filter) {
+  const writeRelays = getIdentityWriteRelayUrls(keyObj);
+  const relayUrls = [
+    ...new Set([
+      ...(writeRelays.length > 0 ? writeRelays : getConfiguredRelayUrls()),
+      ...getIndexerRelayUrls(),
+    ]),
+  ];
+  const { ndk } = await connect(keyObj, { relayUrls, includeDemoted: true });
+  const events = await ndk.fetchEvents(filter, { timeoutSec: DEFAULT_TIMEOUT / 1000 });
+  // Counted after the fetch, which waits for relays still connecting
+  const reachable = ndk.pool.connectedRelays().length;
+  return { events: [...events].map((event) => event.rawEvent()), reachable };
+}
+
+// Keeps the local copy at the newest version seen
+async function remember(npub, event) {
+  await NostrList.findOneAndUpdate(
+    { owner: npub, kind: event.kind, identifier: LIST_TYPES[event.kind].addressable ? identifierOf(event) : "" },
+    {
+      $set: {
+        event_id: event.id,
+        event_created_at: event.created_at,
+        event,
+      },
+    },
+    { upsert: true, runValidators: true }
+  );
+}
+
+async function loadLatest(keyObj, npub, kind, identifier, { requireRelays = false } = {}) {
+  const filter = { kinds: [kind], authors: [keyObj.pubkey] };
+  if (LIST_TYPES[kind].addressable) filter["#d"] = [identifier];
+
+  const [local, remote] = await Promise.all([
+    NostrList.findOne({ owner: npub, kind, identifier }).lean(),
+    fetchFromRelays(keyObj, filter),
+  ]);
+  if (requireRelays && remote.reachable === 0) {
+    throw Object.assign(
+      new Error(`Cannot update the ${LIST_TYPES[kind].name}: no relay could be reached to read its current version`),
+      { status: 503 }
+    );
+  }
+  const list = { pubkey: keyObj.pubkey, kind, identifier };
+  const event = pickNewest([local?.event, ...remote.events].filter((e) => isListVersion(e, list)));
+  if (event && event.id !== local?.event_id) await remember(npub, event);
+  const source = !event ? null : remote.events.some((e) => e.id === event.id) ? "relays" : "local";
+  return { event, source };
+}
+
+async function readPrivateTags(keyObj, event) {
+  if (!event?.content) return { privateTags: [] };
+  try {
+    const tags = JSON.parse(
+      await decryptPayload(nip19.decode(keyObj.nsec).data, keyObj.pubkey, event.content)
+    );
+    if (!Array.isArray(tags) || tags.some((t) => !Array.isArray(t))) {
+      throw new Error("content is not a tag array");
+    }
+    return { privateTags: tags };
+  } catch (error) {
+    logger.warn("Failed to read private list entries", {
+      kind: event.kind,
+      eventId: event.id,
+      error: error.message,
+    });
+    return { privateTags: [], privateError: "Private entries could not be decrypted" };
+  }
+}
+
+/**
+ * Public representation of a list.
+ * @param {Object|null} event - List event (null when the identity has none)
+ * @param {Object} options
+ * @param {number} options.kind
+ * @param {string} [options.identifier] - `d` tag of sets
+ * @param {string[][]} [options.privateTags] - Decrypted private entries
+ * @param {string} [options.privateError] - Why private entries are missing
+ * @param {string|null} [options.source] - Where the version came from: "relays", "local" or "published"
+ * @returns {Object}
+ */
+export function toListJSON(event, { kind, identifier, privateTags = [], privateError, source = null }) {
+  const spec = LIST_TYPES[kind];
+  const tags = event?.tags || [];
+  const isEntry = (t) => spec.entries.includes(t[0]) && typeof t[1] === "string" && t[1] !== "";
+  const json = {
+    kind,
+    ...(spec.addressable ? { identifier } : {}),
+    eventId: event?.id || null,
+    createdAt: event?.created_at || null,
+    source,
+  };
+  if (spec.addressable) {
+    for (const name of SET_METADATA) {
+      json[name] = tags.find((t) => t[0] === name)?.[1] || null;
+    }
+  }
+  json.entries = tags.filter(isEntry).map(tagToEntry);
+  if (spec.private) {
+    json.private = privateTags.filter(isEntry).map(tagToEntry);
+    if (privateError) json.privateError = privateError;
+  }
+  return json;
+}
+
+/**
+ * Returns an identity's current contact list, mute list or set. Private
+ * entries are decrypted.
+ * @param {string} npub
+ * @param {number} kind - 3, 10000, 30000 or 30003
+ * @param {Object} [options]
+ * @param {string} [options.identifier] - `d` tag (sets)
+ * @returns {Promise<Object>} See toListJSON(); contact and mute lists the identity never published are empty
+ * @throws {Error} 404 for unknown identities and sets
+ */
+export async function getList(npub, kind, { identifier } = {}) {
+  const spec = listSpec(kind);
+  const d = spec.addressable ? validateIdentifier(identifier) : "";
+  const keyObj = await loadIdentity(npub);
+  const { event, source } = await loadLatest(keyObj, npub, kind, d);
+  if (!event && spec.addressable) {
+    throw Object.assign(new Error(`No ${spec.name} ${d} found`), { status: 404 });
+  }
+  const secret = spec.private ? await readPrivateTags(keyObj, event) : {};
+  return toListJSON(event, { kind, identifier: d, ...secret, source });
+}
+
+/**
+ * Lists an identity's sets of a kind, most recently updated first.
+ * @param {string} npub
+ * @param {number} kind - 30000 or 30003
+ * @returns {Promise<Object[]>} See toListJSON()
+ */
+export async function listSets(npub, kind) {
+  const setKind = parseSetKind(kind);
+  const keyObj = await loadIdentity(npub);
+  const [local, remote] = await Promise.all([
+    NostrList.find({ owner: npub, kind: setKind }).lean(),
+    fetchFromRelays(keyObj, { kinds: [setKind], authors: [keyObj.pubkey] }),
+  ]);
+
+  const versions = new Map();
+  const candidates = [...local.map((entry) => entry.event), ...remote.events].filter((e) =>
+    isListVersion(e, { pubkey: keyObj.pubkey, kind: setKind })
+  );
+  for (const event of candidates) {
+    const d = identifierOf(event);
+    versions.set(d, [...(versions.get(d) || []), event]);
+  }
+  const remoteIds = new Set(remote.events.map((e) => e.id));
+  const localIds = new Set(local.map((entry) => entry.event_id));
+
+  const sets = [];
+  for (const [d, events] of versions) {
+    const event = pickNewest(events);
+    if (!localIds.has(event.id)) await remember(npub, event);
+    const secret = await readPrivateTags(keyObj, event);
+    sets.push(
+      toListJSON(event, {
+        kind: setKind,
+        identifier: d,
+        ...secret,
+        source: remoteIds.has(event.id) ? "relays" : "local",
+      })
+    );
+  }
+  return sets.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function withListLock(key, fn) {
+  const previous = listLocks.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  listLocks.set(key, tail);
+  try {
+    return await run;
+  } finally {
+    if (listLocks.get(key) === tail) listLocks.delete(key);
+  }
+}
+
+/**
+ * Adds and removes entries of an identity's contact list, mute list or set
+ * and publishes the updated list (see the module description for how the
+ * current version is found).
+ * @param {Object} params
+ * @param {string} params.npub
+ * @param {number} params.kind - 3, 10000, 30000 or 30003
+ * @param {string} [params.identifier] - `d` tag (sets; created when missing)
+ * @param {Array<Object|string>} [params.add] - Entries (see toEntryTag()); `private: true` encrypts them (mute lists and sets)
+ * @param {Array<Object|string>} [params.remove] - Entries to remove, public or private
+ * @param {string} [params.title] - Set title ("" removes it)
+ * @param {string} [params.description] - Set description ("" removes it)
+ * @param {string} [params.image] - Set image URL ("" removes it)
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @returns {Promise<Object>} Publish result with the signed `event` and the updated `list`
+ * @throws {Error} 400 for invalid input, 404 for unknown identities, 422 when private entries cannot be decrypted, 503 when no relay can be reached
+ */
+export async function updateList({
+  npub,
+  kind,
+  identifier,
+  add = [],
+  remove = [],
+  title,
+  description,
+  image,
+  timeoutMs = DEFAULT_TIMEOUT,
+  minAccepted,
+}) {
+  const spec = listSpec(kind);
+  const d = spec.addressable ? validateIdentifier(identifier) : "";
+  if (!Array.isArray(add) || !Array.isArray(remove)) {
+    throw badRequest("add and remove must be arrays");
+  }
+  if (add.length + remove.length > MAX_CHANGES) {
+    throw badRequest(`At most ${MAX_CHANGES} entries can be changed at once`);
+  }
+  const metadata = {};
+  if (spec.addressable) {
+    for (const [name, value] of Object.entries({ title, description, image })) {
+      if (value === undefined) continue;
+      if (typeof value !== "string") throw badRequest(`${name} must be a string`);
+      metadata[name] = value;
+    }
+    if (metadata.image && !/^https?:\/\/\S+$/.test(metadata.image)) {
+      throw badRequest("image must be an http(s) URL");
+    }
+  }
+  if (add.length + remove.length + Object.keys(metadata).length === 0) {
+    throw badRequest("Nothing to change: give entries to add or remove");
+  }
+  const changes = {
+    add: add.map((entry) => normalizeEntry(entry, spec)),
+    remove: remove.map((entry) => normalizeEntry(entry, spec)),
+  };
+  if (!spec.private && changes.add.some((entry) => entry.private)) {
+    throw badRequest(`${spec.name} entries cannot be private`);
+  }
+
+  const keyObj = await loadIdentity(npub);
+  return withListLock(`${npub}:${kind}:${d}`, async () => {
+    const { event: base } = await loadLatest(keyObj, npub, kind, d, { requireRelays: true });
+    const secret = spec.private ? await readPrivateTags(keyObj, base) : { privateTags: [] };
+    if (secret.privateError && changes.add.some((entry) => entry.private)) {
+      throw Object.assign(
+        new Error(`The ${spec.name}'s private entries could not be decrypted, so none can be added`),
+        { status: 422 }
+      );
+    }
+
+    const next = applyListChanges(
+      { publicTags: base?.tags || (spec.addressable ? [["d", d]] : []), privateTags: secret.privateTags },
+      changes
+    );
+    const tags = spec.addressable ? setMetadataTags(next.publicTags, metadata) : next.publicTags;
+
+    // Private entries are re-encrypted only when they changed, so content
+    // this service cannot read is kept
+    let content = base?.content || "";
+    if (spec.private && next.privateChanged && !secret.privateError) {
+      content =
+        next.privateTags.length > 0
+          ? await encryptPayload(
+              nip19.decode(keyObj.nsec).data,
+              keyObj.pubkey,
+              JSON.stringify(next.privateTags),
+              ENCRYPTION.NIP44
+            )
+          : "";
+    }
+
+    // Later than the version it replaces, even with clock skew between clients
+    const createdAt = Math.max(Math.floor(Date.now() / 1000), (base?.created_at || 0) + 1);
+    const published = await signAndPublish(
+      keyObj,
+      { kind, content, tags, created_at: createdAt },
+      { source: spec.source, timeoutMs, minAccepted }
+    );
+    await remember(npub, published.event);
+    logger.info("Updated list", {
+      npub,
+      kind,
+      identifier: d || undefined,
+      added: changes.add.length,
+      removed: changes.remove.length,
+      replaced: base?.id || null,
+    });
+    return {
+      ...published,
+      list: toListJSON(published.event, {
+        kind,
+        identifier: d,
+        privateTags: next.privateTags,
+        privateError: secret.privateError,
+        source: "published",
+      }),
+    };
+  });
+}
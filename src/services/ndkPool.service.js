@@ -0,0 +1,370 @@
+import NDK, { NDKRelayStatus, normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { recordConnect } from "./relayRegistry.service.js";
+import { eventCacheAdapter } from "./eventStore.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * NDK connection manager.
+ *
+ * Keeps one long-lived NDK instance per relay set so requests reuse warm
+ * relay sockets instead of reconnecting every time. Identities share the
+ * pooled instance through lightweight per-request views carrying their own
+ * signer (see withSigner()), so concurrent requests never swap each other's
+ * signer. Disconnected relays are reconnected with exponential backoff and
+ * pools without activity or open subscriptions are closed. Connection
+ * outcomes are reported to the relay registry (relayRegistry.service.js).
+ * Relay sets that are not worth pooling use withTemporaryNdk() instead.
+ * Both keep NDK's default of verifying the signature of every received
+ * event.
+ *
+ * Relays that require NIP-42 AUTH authenticate the socket as one pubkey,
+ * so relay sets containing such relays get one pool per identity, whose
+ * instance answers AUTH challenges with that identity's signer. NDK
+ * re-authenticates on every reconnect, since relays send a new challenge.
+ *
+ * Configuration:
+ *  - NDK_POOL_IDLE_MS: close a pool after this long without use (default 5 minutes)
+ *  - NDK_RECONNECT_BASE_MS: first reconnect delay (default 1000)
+ *  - NDK_RECONNECT_MAX_MS: maximum reconnect delay (default 5 minutes)
+ *  - NOSTR_AUTH_MODE: answer AUTH challenges "always", "never" or only for
+ *    relays in NOSTR_AUTH_RELAYS ("listed", the default)
+ *  - NOSTR_AUTH_RELAYS: comma-separated relays to authenticate with in "listed" mode
+ */
+
+const IDLE_TIMEOUT_MS = Number(process.env.NDK_POOL_IDLE_MS) || 5 * 60 * 1000;
+const RECONNECT_BASE_MS = Number(process.env.NDK_RECONNECT_BASE_MS) || 1000;
+const RECONNECT_MAX_MS = Number(process.env.NDK_RECONNECT_MAX_MS) || 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Event ids remembered by the shared subscription manager; trimmed during
+// sweeps so a long-lived instance does not grow without bound
+const MAX_SEEN_EVENTS = 10000;
+
+const AUTH_MODES = ["always", "never", "listed"];
+const AUTH_MODE = AUTH_MODES.includes(process.env.NOSTR_AUTH_MODE)
+  ? process.env.NOSTR_AUTH_MODE
+  : "listed";
+const AUTH_RELAYS = new Set(
+  (process.env.NOSTR_AUTH_RELAYS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => normalizeRelayUrl(url))
+);
+
+const { DISCONNECTED, CONNECTED, AUTHENTICATED } = NDKRelayStatus;
+
+const pools = new Map();
+let sweepTimer = null;
+
+// Keyed by normalized URL so "wss://a" and "wss://a/" (as reported by
+// relay.url) resolve to the same pool
+function poolKey(relayUrls) {
+  return [...new Set(relayUrls.map((url) => normalizeRelayUrl(url)))]
+    .sort()
+    .join(",");
+}
+
+/**
+ * Whether AUTH challenges from a relay are answered (see NOSTR_AUTH_MODE).
+ * @param {string} url - Relay URL
+ * @returns {boolean}
+ */
+export function shouldAuthenticate(url) {
+  if (AUTH_MODE === "always") return true;
+  if (AUTH_MODE === "never") return false;
+  return AUTH_RELAYS.has(normalizeRelayUrl(url));
+}
+
+function authPolicy(relay) {
+  const allowed = shouldAuthenticate(relay.url);
+  logger.info("Relay requested authentication", {
+    relay: relay.url,
+    authenticating: allowed,
+  });
+  // true lets NDK sign the kind 22242 event with the pool's signer
+  return allowed;
+}
+
+function isRelayConnected(relay) {
+  return relay.status >= CONNECTED;
+}
+
+function scheduleReconnect(entry, relay) {
+  if (entry.closed) return;
+  const state = entry.reconnects.get(relay.url) || { attempts: 0, timer: null };
+  if (state.timer) return;
+
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** state.attempts, RECONNECT_MAX_MS);
+  // Jitter keeps many pools from hammering a relay at the same moment
+  const jittered = Math.round(delay * (0.75 + Math.random() * 0.5));
+  state.attempts++;
+  state.nextAttemptAt = Date.now() + jittered;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    if (entry.closed || relay.status !== DISCONNECTED) return;
+    logger.info("Reconnecting relay", { relay: relay.url, attempt: state.attempts });
+    entry.connecting.set(relay.url, Date.now());
+    relay.connect().catch((error) => {
+      logger.warn("Relay reconnect failed", { relay: relay.url, error: error.message });
+      entry.connecting.delete(relay.url);
+      recordConnect(relay.url, { ok: false, error: error.message });
+      scheduleReconnect(entry, relay);
+    });
+  }, jittered);
+  state.timer.unref?.();
+  entry.reconnects.set(relay.url, state);
+}
+
+function resetReconnect(entry, relay) {
+  const state = entry.reconnects.get(relay.url);
+  if (!state) return;
+  if (state.timer) clearTimeout(state.timer);
+  entry.reconnects.delete(relay.url);
+}
+
+function createEntry(key, relayUrls, timeoutMs, authSigner) {
+  const ndk = new NDK({
+    explicitRelayUrls: relayUrls,
+    // Received events are kept in the event store
+    cacheAdapter: eventCacheAdapter,
+    ...(authSigner ? { relayAuthDefaultPolicy: authPolicy } : {}),
+  });
+  // Only per-identity pools carry a signer, used for AUTH events. Set the
+  // field directly: the `signer` setter also makes NDK load the user's
+  // relays and mute list into the pool.
+  if (authSigner) ndk._signer = authSigner;
+  const entry = {
+    key,
+    ndk,
+    relayUrls,
+    authPubkey: authSigner?.pubkey || null,
+    createdAt: Date.now(),
+    lastUsed: Date.now(),
+    reconnects: new Map(),
+    // Start of the pending connection attempt per relay, for the registry
+    connecting: new Map(),
+    closed: false,
+    ready: null,
+  };
+
+  ndk.pool.on("relay:connect", (relay) => {
+    resetReconnect(entry, relay);
+    const startedAt = entry.connecting.get(relay.url);
+    entry.connecting.delete(relay.url);
+    recordConnect(relay.url, {
+      ok: true,
+      latencyMs: startedAt ? Date.now() - startedAt : undefined,
+    });
+    logger.info("Relay connected", { relay: relay.url });
+  });
+  ndk.pool.on("relay:disconnect", (relay) => {
+    if (entry.closed) return;
+    // A socket closing before it opened is a failed connection attempt
+    if (entry.connecting.delete(relay.url)) {
+      recordConnect(relay.url, { ok: false, error: "Connection failed" });
+    }
+    // Only log the first drop; failed reconnect attempts disconnect again
+    if (!entry.reconnects.has(relay.url)) {
+      logger.warn("Relay disconnected", { relay: relay.url });
+    }
+    scheduleReconnect(entry, relay);
+  });
+  ndk.pool.on("relay:authed", (relay) => {
+    logger.info("Relay authenticated", { relay: relay.url, pubkey: entry.authPubkey });
+  });
+  for (const relay of ndk.pool.relays.values()) {
+    relay.on("auth:failed", (error) =>
+      logger.warn("Relay authentication failed", {
+        relay: relay.url,
+        pubkey: entry.authPubkey,
+        error: error?.message,
+      })
+    );
+  }
+  ndk.on("publish:result", ({ relay, ok, reason }) =>
+    logger.debug("Publish result", { relay: relay.url, ok, reason })
+  );
+
+  logger.info("Opening NDK pool", { relays: relayUrls });
+  for (const relay of ndk.pool.relays.values()) {
+    entry.connecting.set(relay.url, Date.now());
+  }
+  entry.ready = ndk.connect(timeoutMs).then(() => {
+    // Relays that did not come up within the timeout keep retrying in the background
+    for (const relay of ndk.pool.relays.values()) {
+      if (relay.status === DISCONNECTED) scheduleReconnect(entry, relay);
+    }
+  });
+  return entry;
+}
+
+// Disconnects a relay for good: NDK's own retry of a timed-out connection is
+// cancelled, and the validation-ratio timer every NDKRelay reschedules
+// forever is stopped at its next run, so the instance can be collected
+function releaseRelay(relay) {
+  clearTimeout(relay.connectivity?.connectTimeout);
+  clearTimeout(relay.connectivity?.reconnectTimeout);
+  relay.updateValidationRatio = () => {};
+  try {
+    relay.disconnect();
+  } catch (error) {
+    logger.warn("Failed to disconnect relay", { relay: relay.url, error: error.message });
+  }
+}
+
+function closeEntry(entry, reason) {
+  entry.closed = true;
+  for (const state of entry.reconnects.values()) {
+    if (state.timer) clearTimeout(state.timer);
+  }
+  entry.reconnects.clear();
+  for (const relay of entry.ndk.pool.relays.values()) {
+    releaseRelay(relay);
+  }
+  pools.delete(entry.key);
+  logger.info("Closed NDK pool", { relays: entry.relayUrls, reason });
+}
+
+function sweep() {
+  const now = Date.now();
+  for (const entry of pools.values()) {
+    const { subscriptions, seenEvents } = entry.ndk.subManager;
+    if (seenEvents.size > MAX_SEEN_EVENTS) seenEvents.clear();
+    if (subscriptions.size === 0 && now - entry.lastUsed > IDLE_TIMEOUT_MS) {
+      closeEntry(entry, "idle");
+    }
+  }
+  if (pools.size === 0 && sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+function ensureSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref?.();
+}
+
+/**
+ * Returns the pooled NDK instance for a relay set, connecting it on first use.
+ * When `authSigner` is given and a relay of the set is configured for NIP-42
+ * AUTH, the pool is specific to the signer's identity.
+ * @param {string[]} relayUrls - Relay set
+ * @param {number} timeoutMs - Timeout for the initial connection
+ * @param {Object} [options]
+ * @param {import("@nostr-dev-kit/ndk").NDKSigner} [options.authSigner] - Identity answering AUTH challenges
+ * @returns {Promise<NDK>} Pooled NDK instance (do not set its signer; use withSigner())
+ */
+export async function acquireNdk(relayUrls, timeoutMs, { authSigner } = {}) {
+  const signer = authSigner && relayUrls.some(shouldAuthenticate) ? authSigner : null;
+  const key = signer
+    ? `${poolKey(relayUrls)}#${signer.pubkey}`
+    : poolKey(relayUrls);
+  let entry = pools.get(key);
+  if (!entry) {
+    entry = createEntry(key, relayUrls, timeoutMs, signer);
+    pools.set(key, entry);
+    ensureSweeper();
+  }
+  entry.lastUsed = Date.now();
+  await entry.ready;
+
+  // Nudge relays that dropped while the pool sat unused
+  for (const relay of entry.ndk.pool.relays.values()) {
+    if (relay.status === DISCONNECTED) scheduleReconnect(entry, relay);
+  }
+  return entry.ndk;
+}
+
+/**
+ * Runs `fn` with a short-lived NDK instance for relays not worth pooling
+ * (relays named by a caller, relay hints from events), so each new set of
+ * such relays does not keep a pool open for NDK_POOL_IDLE_MS. The relays are
+ * disconnected, without reconnecting, once `fn` settles. Received events are
+ * still stored; connections are not reported to the relay registry.
+ * `authSigner` answers AUTH challenges as in acquireNdk().
+ * @template T
+ * @param {string[]} relayUrls - Relay set
+ * @param {number} timeoutMs - Timeout for the connection
+ * @param {(ndk: NDK) => Promise<T>} fn - Uses the instance (do not keep it)
+ * @param {Object} [options]
+ * @param {import("@nostr-dev-kit/ndk").NDKSigner} [options.authSigner] - Identity answering AUTH challenges
+ * @returns {Promise<T>} What `fn` returns
+ */
+export async function withTemporaryNdk(relayUrls, timeoutMs, fn, { authSigner } = {}) {
+  const signer = authSigner && relayUrls.some(shouldAuthenticate) ? authSigner : null;
+  const ndk = new NDK({
+    explicitRelayUrls: relayUrls,
+    cacheAdapter: eventCacheAdapter,
+    ...(signer ? { relayAuthDefaultPolicy: authPolicy } : {}),
+  });
+  // See createEntry()
+  if (signer) ndk._signer = signer;
+  try {
+    await ndk.connect(timeoutMs);
+    return await fn(ndk);
+  } finally {
+    for (const relay of ndk.pool.relays.values()) {
+      releaseRelay(relay);
+    }
+  }
+}
+
+/**
+ * Creates a per-request view of a pooled NDK instance with its own signer.
+ * The view shares relays, subscriptions and listeners with the pooled
+ * instance; only `signer` differs, so `event.sign()` uses the given identity.
+ * @param {NDK} ndk - Pooled NDK instance
+ * @param {import("@nostr-dev-kit/ndk").NDKSigner} signer
+ * @returns {NDK}
+ */
+export function withSigner(ndk, signer) {
+  const view = Object.create(ndk);
+  view._signer = signer;
+  return view;
+}
+
+/**
+ * Reports the state of every pool and its relays.
+ * @returns {Array<Object>}
+ */
+export function getPoolStatus() {
+  const now = Date.now();
+  return [...pools.values()].map((entry) => {
+    const relays = [...entry.ndk.pool.relays.values()].map((relay) => {
+      const reconnect = entry.reconnects.get(relay.url);
+      return {
+        url: relay.url,
+        status: (NDKRelayStatus[relay.status] || String(relay.status)).toLowerCase(),
+        connected: isRelayConnected(relay),
+        authenticated: relay.status === AUTHENTICATED,
+        reconnectAttempts: reconnect?.attempts || 0,
+        nextReconnectAt: reconnect?.timer ? new Date(reconnect.nextAttemptAt) : null,
+      };
+    });
+    return {
+      relays,
+      authPubkey: entry.authPubkey,
+      connectedRelays: relays.filter((r) => r.connected).length,
+      activeSubscriptions: entry.ndk.subManager.subscriptions.size,
+      createdAt: new Date(entry.createdAt),
+      lastUsed: new Date(entry.lastUsed),
+      idleMs: now - entry.lastUsed,
+    };
+  });
+}
+
+/**
+ * Closes every pool, e.g. on shutdown.
+ */
+export function closeAllPools() {
+  for (const entry of [...pools.values()]) {
+    closeEntry(entry, "shutdown");
+  }
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
@@ -0,0 +1,289 @@
+import { nip19 } from "nostr-tools";
+import Nip05Name from "../models/Nip05Name.model.js";
+import { getIdentityByNpub } from "./identity.service.js";
+import { toHexPubkey } from "./relayList.service.js";
+import { getProfile } from "./profile.service.js";
+import { logger } from "../utils/logger.js";
+import { isPublicHostname } from "../utils/validation.js";
+
+/**
+ * NIP-05 identifiers.
+ *
+ * Names claimed for our identities are served from
+ * /.well-known/nostr.json, so `name@NIP05_DOMAIN` resolves to the
+ * identity's pubkey, with its NIP-65 write relays as relay hints. Names are
+ * claimed and released by admins. Names of archived or deleted identities
+ * are not served.
+ *
+ * verifyAddress() checks any `name@domain` the other way round: it looks the
+ * name up in the domain's nostr.json and checks that the profile of the
+ * pubkey found there lists the same address in its `nip05` field.
+ *
+ * Configuration:
+ *  - NIP05_DOMAIN: domain this server answers nostr.json for, used to show full addresses
+ *  - NIP05_RELAYS: comma-separated relay hints for identities without a relay list
+ *  - NIP05_TIMEOUT_MS: timeout for fetching another domain's nostr.json (default 5000)
+ */
+
+const FETCH_TIMEOUT_MS = Number(process.env.NIP05_TIMEOUT_MS) || 5000;
+// NIP-05 local parts: a-z0-9-_. ("_" is the domain's root name)
+const NAME = /^[a-z0-9._-]{1,64}$/;
+const HEX64 = /^[0-9a-f]{64}$/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Validates a NIP-05 name (the local part of an address).
+ * @param {string} name
+ * @returns {string} Lowercase name
+ * @throws {Error} 400 when invalid
+ */
+export function normalizeName(name) {
+  const normalized = typeof name === "string" ? name.trim().toLowerCase() : "";
+  if (!NAME.test(normalized)) {
+    throw badRequest("name must be 1 to 64 characters of a-z, 0-9, '.', '_' or '-'");
+  }
+  return normalized;
+}
+
+/**
+ * Splits a NIP-05 address. A bare domain stands for `_@domain`.
+ * @param {string} address - `name@domain` or `domain`
+ * @returns {{ name: string, domain: string }}
+ * @throws {Error} 400 when invalid
+ */
+export function parseAddress(address) {
+  const value = typeof address === "string" ? address.trim().toLowerCase() : "";
+  const at = value.lastIndexOf("@");
+  const name = at === -1 ? "_" : value.slice(0, at);
+  const domain = at === -1 ? value : value.slice(at + 1);
+  // Public hostnames only, so verification cannot be pointed at IPs or localhost
+  if (!NAME.test(name) || !isPublicHostname(domain)) {
+    throw badRequest(`Invalid NIP-05 address: ${address}`);
+  }
+  return { name, domain };
+}
+
+function sameAddress(a, b) {
+  try {
+    const left = parseAddress(a);
+    const right = parseAddress(b);
+    return left.name === right.name && left.domain === right.domain;
+  } catch {
+    return false;
+  }
+}
+
+function formatAddress(name) {
+  const domain = process.env.NIP05_DOMAIN;
+  if (!domain) return null;
+  return name === "_" ? domain : `${name}@${domain}`;
+}
+
+function fallbackRelays() {
+  return (process.env.NIP05_RELAYS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * API view of a claimed name.
+ * @param {Object} entry - Nip05Name document
+ * @returns {{ name: string, address: string|null, npub: string, pubkey: string, claimedBy: string|null, createdAt: Date }}
+ */
+export function toNameJSON(entry) {
+  return {
+    name: entry.name,
+    address: formatAddress(entry.name),
+    npub: entry.npub,
+    pubkey: entry.pubkey,
+    claimedBy: entry.claimed_by || null,
+    createdAt: entry.createdAt,
+  };
+}
+
+/**
+ * Lists claimed names, alphabetically.
+ * @param {Object} [filters]
+ * @param {string} [filters.npub] - Only this identity's names
+ * @returns {Promise<Object[]>} See toNameJSON()
+ */
+export async function listNames({ npub } = {}) {
+  const entries = await Nip05Name.find(npub ? { npub } : {}).sort({ name: 1 }).lean();
+  return entries.map(toNameJSON);
+}
+
+/**
+ * Claims a name for an identity. Claiming a name the identity already holds
+ * changes nothing.
+ * @param {string} name
+ * @param {string} npub
+ * @param {Object} [options]
+ * @param {string} [options.claimedBy] - npub of the admin
+ * @returns {Promise<{ entry: Object, created: boolean }>} `entry` as toNameJSON()
+ * @throws {Error} 400 for invalid names and archived identities, 404 for unknown identities, 409 when another identity holds the name
+ */
+export async function claimName(name, npub, { claimedBy } = {}) {
+  const normalized = normalizeName(name);
+  if (!npub) throw badRequest("npub is required");
+  const identity = await getIdentityByNpub(npub);
+  if (!identity) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), { status: 404 });
+  }
+  if (identity.archived) {
+    throw badRequest(`Identity ${npub} is archived`);
+  }
+
+  const taken = () =>
+    Object.assign(new Error(`Name ${normalized} is already claimed by another identity`), { status: 409 });
+  const existing = await Nip05Name.findOne({ name: normalized }).lean();
+  if (existing) {
+    if (existing.npub !== npub) throw taken();
+    return { entry: toNameJSON(existing), created: false };
+  }
+  try {
+    const entry = await Nip05Name.create({
+      name: normalized,
+      npub,
+      pubkey: identity.pubkey,
+      claimed_by: claimedBy,
+    });
+    logger.info("Claimed NIP-05 name", { name: normalized, npub, claimedBy });
+    return { entry: toNameJSON(entry), created: true };
+  } catch (error) {
+    // Claimed concurrently
+    if (error.code === 11000) throw taken();
+    throw error;
+  }
+}
+
+/**
+ * Releases a name.
+ * @param {string} name
+ * @returns {Promise<Object>} The released entry (see toNameJSON())
+ * @throws {Error} 400 for invalid names, 404 when the name is not claimed
+ */
+export async function releaseName(name) {
+  const normalized = normalizeName(name);
+  const entry = await Nip05Name.findOneAndDelete({ name: normalized }).lean();
+  if (!entry) {
+    throw Object.assign(new Error(`Name ${normalized} is not claimed`), { status: 404 });
+  }
+  logger.info("Released NIP-05 name", { name: normalized, npub: entry.npub });
+  return toNameJSON(entry);
+}
+
+/**
+ * Builds the nostr.json document for a name. Unknown or invalid names, and
+ * requests without a name, get an empty `names` object.
+ * @param {string} [name] - `name` query parameter
+ * @returns {Promise<{ names: Object<string, string>, relays?: Object<string, string[]> }>}
+ */
+export async function getNostrJson(name) {
+  let normalized;
+  try {
+    normalized = normalizeName(name);
+  } catch {
+    return { names: {} };
+  }
+  const entry = await Nip05Name.findOne({ name: normalized }).lean();
+  const identity = entry ? await getIdentityByNpub(entry.npub) : null;
+  if (!identity || identity.archived) return { names: {} };
+
+  const writeRelays = (identity.relayList || []).filter((relay) => relay.write).map((relay) => relay.url);
+  const relays = writeRelays.length > 0 ? writeRelays : fallbackRelays();
+  return {
+    names: { [normalized]: identity.pubkey },
+    ...(relays.length > 0 ? { relays: { [identity.pubkey]: relays } } : {}),
+  };
+}
+
+/**
+ * Looks a name up in a domain's nostr.json. Redirects are not followed
+ * (NIP-05).
+ * @param {string} name
+ * @param {string} domain
+ * @returns {Promise<{ pubkey: string, relays: string[] }|null>} Null when the name is not listed
+ * @throws {Error} When the document cannot be fetched or parsed
+ */
+export async function fetchNostrJson(name, domain) {
+  const url = `https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`;
+  const response = await fetch(url, {
+    headers: { accept: "application/json" },
+    redirect: "error",
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const document = await response.json();
+  const pubkey = document?.names?.[name];
+  if (typeof pubkey !== "string" || !HEX64.test(pubkey.toLowerCase())) return null;
+  const hex = pubkey.toLowerCase();
+  const relays = document.relays?.[hex] ?? document.relays?.[pubkey];
+  return {
+    pubkey: hex,
+    relays: Array.isArray(relays) ? relays.filter((url) => typeof url === "string") : [],
+  };
+}
+
+/**
+ * Verifies a NIP-05 address: the domain's nostr.json must map the name to
+ * a pubkey whose profile lists the same address in `nip05`. With `npub`,
+ * the address must also resolve to that pubkey.
+ * @param {string} address - `name@domain` (or a bare domain for `_@domain`)
+ * @param {Object} [options]
+ * @param {string} [options.npub] - Profile the address should belong to (npub or hex)
+ * @returns {Promise<{ address: string, name: string, domain: string, pubkey: string|null, npub: string|null, relays: string[], profileNip05: string|null, verified: boolean, error?: string }>}
+ * @throws {Error} 400 for invalid addresses or npubs
+ */
+export async function verifyAddress(address, { npub } = {}) {
+  const { name, domain } = parseAddress(address);
+  const expected = npub ? toHexPubkey(npub) : null;
+  const result = {
+    address: name === "_" ? domain : `${name}@${domain}`,
+    name,
+    domain,
+    pubkey: null,
+    npub: null,
+    relays: [],
+    profileNip05: null,
+    verified: false,
+  };
+
+  let resolved;
+  try {
+    resolved = await fetchNostrJson(name, domain);
+  } catch (error) {
+    logger.warn("Failed to fetch nostr.json", { domain, error: error.message });
+    return { ...result, error: `Could not read nostr.json from ${domain}: ${error.message}` };
+  }
+  if (!resolved) {
+    return { ...result, error: `${name} is not listed in the nostr.json of ${domain}` };
+  }
+  Object.assign(result, {
+    pubkey: resolved.pubkey,
+    npub: nip19.npubEncode(resolved.pubkey),
+    relays: resolved.relays,
+  });
+  if (expected && expected !== resolved.pubkey) {
+    return { ...result, error: "The address resolves to a different pubkey" };
+  }
+
+  let profile = null;
+  try {
+    profile = await getProfile(resolved.pubkey);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  const nip05 = profile?.profile.nip05;
+  result.profileNip05 = typeof nip05 === "string" ? nip05 : null;
+  if (!result.profileNip05 || !sameAddress(result.profileNip05, address)) {
+    return {
+      ...result,
+      error: profile ? "The profile's nip05 field does not match the address" : "No profile found for the pubkey",
+    };
+  }
+  return { ...result, verified: true };
+}
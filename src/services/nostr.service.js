@@ -1,11 +1,24 @@
-import NDK, {
+import {
   NDKPrivateKeySigner,
   NDKEvent,
   NDKKind,
+  NDKRelayStatus,
 } from "@nostr-dev-kit/ndk";
-import { nip19, nip04 } from "nostr-tools";
-import { getAllKeys } from "./identity.service.js";
+import { nip19 } from "nostr-tools";
+import {
+  getDefaultSigningKey,
+  getSigningKey,
+  decryptIdentity,
+} from "./identity.service.js";
 import { mineEventPow } from "./pow.service.js";
+import { acquireNdk, withSigner } from "./ndkPool.service.js";
+import { publishOrQueue } from "./outbox.service.js";
+import { resolvePowDifficulty } from "./relayInfo.service.js";
+import { encryptPayload, resolveEncryption } from "./encryption.service.js";
+import {
+  applyRelayOverrides,
+  selectPublishRelays,
+} from "./relayRegistry.service.js";
 
 // Read and parse relay configurations from environment variables with normalization
 const stripQuotes = (s) =>
@@ -81,93 +94,146 @@ const DEFAULT_POW = Number(process.env.POW_BITS) || 0;
 const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 5000;
 
 /**
- * Connects to Nostr relays with a singleton NDK instance.
- * @returns {Promise<{ ndk: NDK, signer: NDKPrivateKeySigner, npub: string }>}
+ * Returns the relay set for the configured relay mode, including relays
+ * added and excluding relays removed at runtime (POST /relays).
+ * @returns {string[]}
  */
-export async function connect(keyObj) {
+export function getConfiguredRelayUrls() {
+  const selectedRelays = applyRelayOverrides(
+    nostrRelayMode === "remote" ? remoteRelayUrls : localRelayUrls
+  );
+  if (!selectedRelays || selectedRelays.length === 0) {
+    console.warn(
+      `Warning: No relays configured for mode '${nostrRelayMode}'. Please check your .env settings (NOSTR_LOCAL_RELAYS, NOSTR_REMOTE_RELAYS).`
+    );
+    return [];
+  }
+  return selectedRelays;
+}
+
+/**
+ * Returns the write relays of an identity's NIP-65 relay list.
+ * @param {Object} [keyObj] - Identity document
+ * @returns {string[]} Empty when the identity has no relay list
+ */
+export function getIdentityWriteRelayUrls(keyObj) {
+  return (keyObj?.relayList?.relays || [])
+    .filter((relay) => relay.write)
+    .map((relay) => relay.url);
+}
+
+/**
+ * Returns a connection signing as the given identity. Unless `relayUrls` is
+ * given, it targets the identity's NIP-65 write relays, or the configured
+ * relays when the identity has no relay list.
+ * The relay sockets come from the pooled NDK instance for the relay set
+ * (see ndkPool.service.js); the returned `ndk` is a per-call view whose
+ * signer is the identity's, so `event.sign()` needs no arguments.
+ * @param {Object} [keyObj] - Identity with nsec; defaults to the oldest active identity
+ * Relays removed at runtime or demoted for failing are left out (see
+ * relayRegistry.service.js) unless `includeDemoted` is set.
+ * @param {Object} [options]
+ * @param {string[]} [options.relayUrls] - Explicit relay set
+ * @param {boolean} [options.includeDemoted=false] - Keep demoted relays, e.g. for reading
+ * @returns {Promise<{ ndk: NDK, signer: NDKPrivateKeySigner, npub: string, relayUrls: string[] }>}
+ */
+export async function connect(keyObj, { relayUrls, includeDemoted = false } = {}) {
   if (!keyObj) {
-    const all = await getAllKeys();
-    if (!all.length) {
+    keyObj = await getDefaultSigningKey();
+    if (!keyObj) {
       throw new Error("No keys available; generate keys first");
     }
-    keyObj = all[0];
   }
-  const { nsec, npub } = keyObj;
+  const { nsec, npub } = decryptIdentity(keyObj);
   const { data: privhex } = nip19.decode(nsec);
   const signer = new NDKPrivateKeySigner(privhex);
 
-  let selectedRelays;
-  if (nostrRelayMode === "remote") {
-    selectedRelays = remoteRelayUrls;
-    console.log("Nostr Service: Using REMOTE relays:", selectedRelays);
-  } else {
-    // Default to local if mode is not 'remote' or is explicitly 'local'
-    selectedRelays = localRelayUrls;
-    console.log("Nostr Service: Using LOCAL relays:", selectedRelays);
+  if (!relayUrls) {
+    const writeRelays = getIdentityWriteRelayUrls(keyObj);
+    relayUrls = writeRelays.length > 0 ? writeRelays : getConfiguredRelayUrls();
   }
+  if (!includeDemoted) relayUrls = selectPublishRelays(relayUrls);
 
-  if (!selectedRelays || selectedRelays.length === 0) {
-    console.warn(
-      `Warning: No relays configured for mode '${nostrRelayMode}'. Please check your .env settings (NOSTR_LOCAL_RELAYS, NOSTR_REMOTE_RELAYS).`
-    );
-    // Fallback to a minimal default or throw an error if no relays are absolutely critical
-    selectedRelays = [];
-  }
-
-  const ndk = new NDK({
-    explicitRelayUrls: selectedRelays,
-    initialValidationRatio: 0.2, // Or your preferred setting
-  });
-  ndk.signer = signer;
-
-  console.log(
-    `Nostr Service: Attempting to connect to ${selectedRelays.length} relays...`
-  );
+  let pooledNdk;
   try {
-    await ndk.connect(DEFAULT_TIMEOUT); // Using DEFAULT_TIMEOUT
-
-    const connectedRelays = Array.from(ndk.pool.relays.values()).filter(
-      (r) => r.status === r.constructor.OPEN
-    );
-    if (connectedRelays.length > 0) {
-      console.log(
-        `Nostr Service: Successfully connected to ${connectedRelays.length} relay(s):`,
-        connectedRelays.map((r) => r.url)
-      );
-    } else {
-      console.warn(
-        "Nostr Service: No relays are connected after connect(). This may be normal for streaming, but will cause publishing to fail. Check relay URLs, network connectivity, and .env settings if you experience issues."
-      );
-      // Do not throw here; allow streaming and other uses to proceed.
-    }
+    // The identity also answers NIP-42 AUTH challenges of relays configured for it
+    pooledNdk = await acquireNdk(relayUrls, DEFAULT_TIMEOUT, { authSigner: signer });
   } catch (error) {
     console.error("Nostr Service: Error during NDK connect:", error);
     throw new Error(`Failed to connect to Nostr relays: ${error.message}`);
   }
 
-  ndk.on("publish:result", ({ relay, ok, reason }) =>
-    console.log(
-      `Nostr Service: Publish to ${relay.url} ${
-        ok ? "OK" : `failed: ${reason}`
-      }`
-    )
+  const connectedRelays = Array.from(pooledNdk.pool.relays.values()).filter(
+    (r) => r.status >= NDKRelayStatus.CONNECTED
   );
-  console.log("✅ NDK instance configured and signer set.");
+  if (connectedRelays.length === 0) {
+    console.warn(
+      "Nostr Service: No relays are connected. This may be normal for streaming, but will cause publishing to fail. Check relay URLs, network connectivity, and .env settings if you experience issues."
+    );
+    // Do not throw here; allow streaming and other uses to proceed.
+  }
+
+  return { ndk: withSigner(pooledNdk, signer), signer, npub, relayUrls };
+}
+
+/**
+ * Signs an event template as an identity, mines it to the difficulty its
+ * relays ask for and publishes it to the identity's write relays. When too
+ * few relays accept, the signed event is queued in the outbox.
+ * @param {Object} keyObj - Signing identity (see getSigningKey())
+ * @param {{ kind: number, content: string, tags: string[][] }} template
+ * @param {Object} [options]
+ * @param {string} [options.source] - What produced the event (outbox `source`)
+ * @param {number} [options.timeoutMs]
+ * @param {number|string} [options.minAccepted]
+ * @param {number} [options.powBits=0] - Requested difficulty
+ * @returns {Promise<{ id: string, relays: string[], report: Object, queued: boolean, outbox?: Object, event: Object }>} Result with the signed raw `event`
+ */
+export async function signAndPublish(
+  keyObj,
+  template,
+  { source, timeoutMs = DEFAULT_TIMEOUT, minAccepted, powBits = 0 } = {}
+) {
+  const { ndk, npub, relayUrls } = await connect(keyObj);
+  const event = new NDKEvent(ndk, template);
+  await event.sign();
 
-  return { ndk, signer, npub };
+  const powDifficulty = await resolvePowDifficulty(relayUrls, powBits);
+  let finalEvent = event;
+  if (powDifficulty > 0) {
+    finalEvent = new NDKEvent(ndk, await mineEventPow(event, powDifficulty));
+    await finalEvent.sign();
+  }
+
+  const published = await publishOrQueue(finalEvent, {
+    npub,
+    source,
+    timeoutMs,
+    minAccepted,
+  });
+  return { ...published, event: finalEvent.rawEvent() };
 }
 
+/**
+ * Publishes a kind 30078 event whose payload is encrypted to `callNpub` with
+ * NIP-44 (or NIP-04 when `encryption` is "nip04"; see encryption.service.js).
+ * When too few relays accept it, the signed event is queued in the outbox
+ * and retried in the background (the result then has `queued: true` and the
+ * outbox entry).
+ * @returns {Promise<{ id: string, relays: string[], report: Object, queued: boolean, outbox?: Object, encryption: string }>}
+ */
 export async function publishEncryptedEvent(
   senderNpub,
   callNpub,
   responseNpub,
   payloadObject,
   powBits = DEFAULT_POW,
-  timeoutMs = DEFAULT_TIMEOUT
+  timeoutMs = DEFAULT_TIMEOUT,
+  { minAccepted, encryption } = {}
 ) {
+  const scheme = resolveEncryption(encryption);
   // Find the sender's key object
-  const keys = await getAllKeys();
-  const senderKeyObj = keys.find((k) => k.npub === senderNpub);
+  const senderKeyObj = await getSigningKey(senderNpub);
   if (!senderKeyObj) {
     throw new Error(`Unknown sender npub: ${senderNpub}`);
   }
@@ -175,10 +241,11 @@ export async function publishEncryptedEvent(
   // Decode recipient public key hex
   const { data: recipientPubHex } = nip19.decode(callNpub);
   // Encrypt the payload
-  const encryptedPayload = await nip04.encrypt(
+  const encryptedPayload = await encryptPayload(
     senderPrivHex,
     recipientPubHex,
-    JSON.stringify(payloadObject)
+    JSON.stringify(payloadObject),
+    scheme
   );
   // Construct Nostr event content
   const content = JSON.stringify({
@@ -187,11 +254,11 @@ export async function publishEncryptedEvent(
     payload: encryptedPayload,
   });
   // Establish connection and signer
-  const { ndk, signer } = await connect(senderKeyObj);
+  const { ndk, signer, relayUrls } = await connect(senderKeyObj);
 
   // Log relay connection status before publishing
   const connectedRelays = Array.from(ndk.pool.relays.values()).filter(
-    (r) => r.status === r.constructor.OPEN
+    (r) => r.status >= NDKRelayStatus.CONNECTED
   );
   if (connectedRelays.length === 0) {
     console.warn(
@@ -207,26 +274,32 @@ export async function publishEncryptedEvent(
   // Create and sign the event
   const event = new NDKEvent(ndk, { kind: 30078, tags, content });
   await event.sign(signer);
-  // Apply proof-of-work if required
-  const shouldApplyPow = powBits > 0 && nostrRelayMode !== "local";
+  // Apply proof-of-work if required, at least what the relays ask for
+  const powDifficulty = await resolvePowDifficulty(
+    relayUrls,
+    nostrRelayMode !== "local" ? powBits : 0
+  );
+  const shouldApplyPow = powDifficulty > 0;
   const rawEvent = shouldApplyPow
-    ? await mineEventPow(event, powBits)
+    ? await mineEventPow(event, powDifficulty)
     : event.rawEvent();
   const finalEvent = shouldApplyPow ? new NDKEvent(ndk, rawEvent) : event;
   if (shouldApplyPow) {
     await finalEvent.sign(signer); // Re-sign if POW was applied and event changed
   }
-  // Publish and return result
+  // Publish (or queue in the outbox) and return result
   try {
-    const okRelays = await finalEvent.publish(
-      undefined,
-      Math.max(timeoutMs, 20000)
-    ); // Increase timeout to 20s min
+    const result = await publishOrQueue(finalEvent, {
+      npub: senderNpub,
+      source: "encrypted_event",
+      timeoutMs: Math.max(timeoutMs, 20000), // Increase timeout to 20s min
+      minAccepted,
+    });
     console.log(
-      `Nostr Service: Encrypted event published to relays:`,
-      [...okRelays].map((r) => r.url)
+      `Nostr Service: Encrypted event ${result.queued ? "queued; accepted by" : "published to"} relays:`,
+      result.relays
     );
-    return { id: finalEvent.id, relays: [...okRelays].map((r) => r.url) };
+    return { ...result, encryption: scheme };
   } catch (err) {
     console.error("Nostr Service: Error publishing encrypted event:", err);
     throw err;
@@ -1,7 +1,7 @@
 import { send, receive } from 'nostrmq';
 import { nip19 } from 'nostr-tools';
 import { logger } from '../utils/logger.js';
-import { getAllKeys } from './identity.service.js';
+import { getIdentityByNpub } from './identity.service.js';
 import { postNoteService } from '../controllers/post.controller.js';
 
 const DEFAULT_RELAYS = ['wss://relay.damus.io'];
@@ -44,9 +44,8 @@ export class NostrMQService {
       this.npub = npub;
 
       // Verify we have a private key stored for this npub
-      const keys = await getAllKeys();
-      const keyObj = keys.find((k) => k.npub === npub);
-      if (!keyObj) {
+      const identity = await getIdentityByNpub(npub);
+      if (!identity) {
         throw new Error('Private key not found for configured NOSTR_MQ_CALL npub');
       }
 
@@ -241,8 +240,11 @@ export class NostrMQService {
           const result = await postNoteService({
             npub: data.npub,
             content: data.content,
+            replyTo: data.replyTo,
+            quote: data.quote,
             powBits: data.powBits,
             timeoutMs: data.timeoutMs,
+            minAccepted: data.minAccepted,
           });
           await this.sendSuccessResponse(senderHex, action, result);
           break;
@@ -264,8 +266,10 @@ export class NostrMQService {
       });
       
       const statusCode = err.status || 500;
-      const code = statusCode === 400 ? 'ValidationError' : 'InternalError';
-      await this.sendErrorResponse(senderHex, payload.action, err.message || 'Internal server error', code);
+      const code = statusCode === 400
+        ? 'ValidationError'
+        : statusCode === 502 ? 'PublishQuorumError' : 'InternalError';
+      await this.sendErrorResponse(senderHex, payload.action, err.message || 'Internal server error', code, err.details);
     }
   }
 
@@ -287,13 +291,14 @@ export class NostrMQService {
     }
   }
 
-  async sendErrorResponse(targetHex, action, message, code = 'Error') {
+  async sendErrorResponse(targetHex, action, message, code = 'Error', details) {
     const response = {
       success: false,
       action,
       error: {
         code,
         message,
+        ...(details ? { details } : {}),
       },
     };
     try {
@@ -0,0 +1,421 @@
+import { NDKEvent, NDKPrivateKeySigner } from "@nostr-dev-kit/ndk";
+import { nip19 } from "nostr-tools";
+import OutboxEvent from "../models/OutboxEvent.model.js";
+import { acquireNdk } from "./ndkPool.service.js";
+import { getSigningKey } from "./identity.service.js";
+import {
+  publishWithReport,
+  publishToRelays,
+  PUBLISH_STATUS,
+} from "./relayPublish.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Durable outbox for signed events.
+ *
+ * When a publish does not reach its acceptance quorum (e.g. every relay is
+ * down), the signed event is stored in Mongo instead of being lost. A
+ * background worker retries the relays that have not accepted it yet with
+ * exponential backoff until the quorum is met or the attempts run out.
+ *
+ * Configuration:
+ *  - OUTBOX_ENABLED: queue events that miss the quorum (default true)
+ *  - OUTBOX_POLL_MS: how often the worker looks for due entries (default 15000)
+ *  - OUTBOX_RETRY_BASE_MS: delay before the first retry (default 30000)
+ *  - OUTBOX_RETRY_MAX_MS: maximum retry delay (default 1 hour)
+ *  - OUTBOX_MAX_ATTEMPTS: attempts before an entry is marked failed (default 20)
+ */
+
+const OUTBOX_ENABLED = process.env.OUTBOX_ENABLED !== "false";
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS) || 15000;
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = Number(process.env.OUTBOX_RETRY_MAX_MS) || 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 20;
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const BATCH_SIZE = 20;
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Delay before the next retry after a number of attempts.
+ * @param {number} attempts - Attempts made so far (>= 1).
+ * @returns {number} Delay in milliseconds.
+ */
+export function computeRetryDelay(attempts) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(RETRY_BASE_MS * 2 ** exponent, RETRY_MAX_MS);
+}
+
+/**
+ * Public representation of an outbox entry.
+ * @param {OutboxEvent} entry
+ * @returns {Object}
+ */
+export function toOutboxJSON(entry) {
+  return {
+    eventId: entry.event_id,
+    npub: entry.npub,
+    kind: entry.kind,
+    source: entry.source,
+    status: entry.status,
+    minAccepted: entry.min_accepted,
+    accepted: entry.relays.filter((r) => r.status === PUBLISH_STATUS.ACCEPTED)
+      .length,
+    attempts: entry.attempts,
+    nextAttemptAt: entry.status === "pending" ? entry.next_attempt_at : null,
+    lastError: entry.last_error || null,
+    relays: entry.relays.map((r) => ({
+      url: r.url,
+      status: r.status,
+      ...(r.reason ? { reason: r.reason } : {}),
+      ...(r.prefix ? { prefix: r.prefix } : {}),
+      attempts: r.attempts,
+      lastAttemptAt: r.last_attempt_at || null,
+      acceptedAt: r.accepted_at || null,
+    })),
+    deliveredAt: entry.delivered_at || null,
+    cancelledAt: entry.cancelled_at || null,
+    deletedAt: entry.deleted_at || null,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+function describeFailure(report) {
+  const failures = report.results
+    .filter((r) => r.status !== PUBLISH_STATUS.ACCEPTED)
+    .map((r) => `${r.url}: ${r.reason || r.status}`);
+  return `${report.accepted}/${report.required} accepted; ${failures.join("; ")}`;
+}
+
+/**
+ * Merges the results of a publish attempt into an entry's relay statuses.
+ * Relays that already accepted the event keep their status.
+ */
+function applyResults(entry, results, now) {
+  for (const result of results) {
+    let relay = entry.relays.find((r) => r.url === result.url);
+    if (!relay) {
+      entry.relays.push({ url: result.url });
+      relay = entry.relays[entry.relays.length - 1];
+    }
+    if (relay.status === PUBLISH_STATUS.ACCEPTED) continue;
+    relay.status = result.status;
+    relay.reason = result.reason;
+    relay.prefix = result.prefix;
+    relay.attempts = (relay.attempts || 0) + 1;
+    relay.last_attempt_at = now;
+    if (result.status === PUBLISH_STATUS.ACCEPTED) relay.accepted_at = now;
+  }
+}
+
+/**
+ * Stores a signed event that missed its quorum.
+ * @param {NDKEvent|Object} event - Signed event.
+ * @param {Object} options
+ * @param {string} options.npub - Author's npub.
+ * @param {string} [options.source] - What produced the event.
+ * @param {number} options.minAccepted - Resolved quorum.
+ * @param {Object} options.report - Report of the first publish attempt.
+ * @returns {Promise<OutboxEvent>}
+ */
+export async function enqueueEvent(event, { npub, source = "api", minAccepted, report }) {
+  const raw = typeof event.rawEvent === "function" ? event.rawEvent() : event;
+  const now = new Date();
+  const existing = await OutboxEvent.findOne({ event_id: raw.id });
+  const entry =
+    existing ||
+    new OutboxEvent({
+      event_id: raw.id,
+      event: raw,
+      npub,
+      kind: raw.kind,
+      source,
+      min_accepted: minAccepted,
+    });
+
+  applyResults(entry, report.results, now);
+  entry.attempts += 1;
+  entry.status = "pending";
+  entry.last_error = describeFailure(report);
+  entry.next_attempt_at = new Date(now.getTime() + computeRetryDelay(entry.attempts));
+  await entry.save();
+
+  logger.warn("Queued event in outbox", {
+    eventId: entry.event_id,
+    npub,
+    source,
+    accepted: report.accepted,
+    required: minAccepted,
+    nextAttemptAt: entry.next_attempt_at,
+  });
+  return entry;
+}
+
+/**
+ * Publishes an event with a per-relay report, queueing it in the outbox when
+ * the quorum is not met instead of failing.
+ * @param {NDKEvent} event - Signed event bound to an NDK instance.
+ * @param {Object} options
+ * @param {string} options.npub - Author's npub.
+ * @param {string} [options.source] - What produced the event.
+ * @param {number} [options.timeoutMs] - Per-relay timeout.
+ * @param {number|string} [options.minAccepted] - Quorum override.
+ * @returns {Promise<{ id: string, relays: string[], report: Object, queued: boolean, outbox?: Object }>}
+ * @throws {Error} 502 from publishWithReport when the outbox is disabled.
+ */
+export async function publishOrQueue(event, { npub, source, timeoutMs, minAccepted } = {}) {
+  try {
+    const result = await publishWithReport(event, { timeoutMs, minAccepted });
+    return { ...result, queued: false };
+  } catch (error) {
+    if (!OUTBOX_ENABLED || error.name !== "PublishQuorumError") throw error;
+    const { report } = error.details;
+    const entry = await enqueueEvent(event, {
+      npub,
+      source,
+      minAccepted: report.required,
+      report,
+    });
+    return { ...error.details, queued: true, outbox: toOutboxJSON(entry) };
+  }
+}
+
+/**
+ * Retries an entry's relays that have not accepted the event yet and
+ * records the outcome.
+ * @param {OutboxEvent} entry
+ * @returns {Promise<OutboxEvent>}
+ */
+export async function attemptDelivery(entry) {
+  const now = new Date();
+  const relayUrls = entry.relays.map((r) => r.url);
+  const pending = new Set(
+    entry.relays
+      .filter((r) => r.status !== PUBLISH_STATUS.ACCEPTED)
+      .map((r) => r.url)
+  );
+
+  let connectError;
+  try {
+    // Relays requiring NIP-42 AUTH expect the author's identity
+    const keyObj = await getSigningKey(entry.npub);
+    const authSigner = keyObj
+      ? new NDKPrivateKeySigner(nip19.decode(keyObj.nsec).data)
+      : undefined;
+    const ndk = await acquireNdk(relayUrls, DEFAULT_TIMEOUT, { authSigner });
+    const event = new NDKEvent(ndk, entry.event);
+    const targets = [...ndk.pool.relays.values()].filter((r) => pending.has(r.url));
+    const results = await publishToRelays(event, targets, DEFAULT_TIMEOUT);
+    applyResults(entry, results, now);
+  } catch (error) {
+    connectError = `Failed to connect to relays: ${error.message}`;
+  }
+
+  entry.attempts += 1;
+  const accepted = entry.acceptedCount();
+  if (accepted >= entry.min_accepted) {
+    entry.status = "delivered";
+    entry.delivered_at = now;
+    entry.last_error = undefined;
+    logger.info("Delivered outbox event", {
+      eventId: entry.event_id,
+      attempts: entry.attempts,
+      accepted,
+    });
+  } else {
+    entry.last_error =
+      connectError ||
+      describeFailure({
+        accepted,
+        required: entry.min_accepted,
+        results: entry.relays,
+      });
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.status = "failed";
+      logger.error("Outbox event failed after max attempts", {
+        eventId: entry.event_id,
+        attempts: entry.attempts,
+        lastError: entry.last_error,
+      });
+    } else {
+      entry.next_attempt_at = new Date(now.getTime() + computeRetryDelay(entry.attempts));
+    }
+  }
+  await entry.save();
+  return entry;
+}
+
+/**
+ * Claims and retries entries whose next attempt is due. Claiming pushes
+ * `next_attempt_at` forward first so concurrent workers skip the entry.
+ * @param {number} [limit] - Maximum entries to process.
+ * @returns {Promise<number>} Entries processed.
+ */
+export async function processDueEntries(limit = BATCH_SIZE) {
+  let processed = 0;
+  while (processed < limit) {
+    const now = new Date();
+    const entry = await OutboxEvent.findOneAndUpdate(
+      { status: "pending", next_attempt_at: { $lte: now } },
+      { $set: { next_attempt_at: new Date(now.getTime() + 2 * DEFAULT_TIMEOUT) } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    );
+    if (!entry) break;
+    await attemptDelivery(entry);
+    processed++;
+  }
+  return processed;
+}
+
+async function runWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  try {
+    await processDueEntries();
+  } catch (error) {
+    logger.error("Outbox worker run failed", { error: error.message });
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Starts the background retry worker (no-op when OUTBOX_ENABLED=false or
+ * already running).
+ */
+export function startOutboxWorker() {
+  if (!OUTBOX_ENABLED || workerTimer) return;
+  workerTimer = setInterval(runWorker, POLL_MS);
+  workerTimer.unref?.();
+  logger.info("Outbox worker started", { pollMs: POLL_MS, maxAttempts: MAX_ATTEMPTS });
+}
+
+/**
+ * Stops the background retry worker.
+ */
+export function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Lists outbox entries, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.status]
+ * @param {string} [filters.npub]
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.skip=0]
+ * @returns {Promise<{ entries: Object[], total: number }>}
+ */
+export async function listOutbox({ status, npub, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (npub) query.npub = npub;
+  const [entries, total] = await Promise.all([
+    OutboxEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Math.min(limit, 200)),
+    OutboxEvent.countDocuments(query),
+  ]);
+  return { entries: entries.map(toOutboxJSON), total };
+}
+
+/**
+ * Finds an outbox entry by event id.
+ * @param {string} eventId
+ * @returns {Promise<OutboxEvent>}
+ * @throws {Error} 404 when missing.
+ */
+export async function getOutboxEntry(eventId) {
+  const entry = await OutboxEvent.findOne({ event_id: eventId });
+  if (!entry) {
+    throw Object.assign(new Error(`Outbox entry not found for event ${eventId}`), {
+      status: 404,
+    });
+  }
+  return entry;
+}
+
+/**
+ * Retries an entry immediately. Failed and cancelled entries are re-opened
+ * with a fresh attempt budget.
+ * @param {string} eventId
+ * @returns {Promise<Object>} Updated entry.
+ * @throws {Error} 409 when the event was already delivered.
+ */
+export async function retryOutboxEntry(eventId) {
+  const entry = await getOutboxEntry(eventId);
+  if (entry.status === "delivered") {
+    throw Object.assign(new Error(`Event ${eventId} was already delivered`), {
+      status: 409,
+    });
+  }
+  if (entry.status !== "pending") {
+    entry.attempts = 0;
+    entry.cancelled_at = undefined;
+  }
+  entry.status = "pending";
+  return toOutboxJSON(await attemptDelivery(entry));
+}
+
+/**
+ * Cancels a pending or failed entry so the worker stops retrying it.
+ * @param {string} eventId
+ * @returns {Promise<Object>} Updated entry.
+ * @throws {Error} 409 when the event was already delivered.
+ */
+export async function cancelOutboxEntry(eventId) {
+  const entry = await getOutboxEntry(eventId);
+  if (entry.status === "delivered") {
+    throw Object.assign(new Error(`Event ${eventId} was already delivered`), {
+      status: 409,
+    });
+  }
+  entry.status = "cancelled";
+  entry.cancelled_at = new Date();
+  await entry.save();
+  logger.info("Cancelled outbox event", { eventId });
+  return toOutboxJSON(entry);
+}
+
+/**
+ * Marks outbox entries deleted after their author published a NIP-09
+ * deletion request; entries still being retried are cancelled.
+ * @param {Object} params
+ * @param {string} params.npub - Author's npub
+ * @param {string} params.deletionId - Id of the kind 5 event
+ * @param {string[]} [params.eventIds] - Deleted event ids
+ * @param {Array<{ kind: number, identifier: string }>} [params.addresses] - Deleted addressable events (versions up to the deletion)
+ * @param {number} params.createdAt - created_at of the deletion request
+ * @returns {Promise<number>} Entries marked
+ */
+export async function markOutboxEventsDeleted({ npub, deletionId, eventIds = [], addresses = [], createdAt }) {
+  const targets = [
+    ...(eventIds.length > 0 ? [{ event_id: { $in: eventIds } }] : []),
+    ...addresses.map(({ kind, identifier }) => ({
+      kind,
+      "event.tags": ["d", identifier],
+      "event.created_at": { $lte: createdAt },
+    })),
+  ];
+  if (targets.length === 0) return 0;
+  const query = { npub, deleted_at: { $exists: false }, $or: targets };
+  const now = new Date();
+
+  await OutboxEvent.updateMany(
+    { ...query, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "cancelled", cancelled_at: now } }
+  );
+  const { modifiedCount } = await OutboxEvent.updateMany(query, {
+    $set: { deleted_at: now, deletion_id: deletionId },
+  });
+  if (modifiedCount > 0) {
+    logger.info("Marked outbox events deleted", { npub, deletionId, entries: modifiedCount });
+  }
+  return modifiedCount;
+}
@@ -0,0 +1,306 @@
+import { nip19 } from "nostr-tools";
+import { NDKKind } from "@nostr-dev-kit/ndk";
+import {
+  getConfiguredRelayUrls,
+  getIdentityWriteRelayUrls,
+  signAndPublish,
+} from "./nostr.service.js";
+import { getSigningKey } from "./identity.service.js";
+import {
+  getAuthorWriteRelays,
+  getIndexerRelayUrls,
+  toHexPubkey,
+} from "./relayList.service.js";
+import { acquireNdk } from "./ndkPool.service.js";
+import { findEvents, hasValidSignature, isStoreConnected } from "./eventStore.service.js";
+import { pickNewest } from "./list.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Profiles (kind 0 metadata).
+ *
+ * A kind 0 event replaces the whole profile, so publishing only the fields
+ * a request names would wipe the others (`nip05`, `lud16`, `banner`...)
+ * set by other clients. Updates therefore read the newest kind 0 from the
+ * relays (the identity's write relays and the indexer relays) and the event
+ * store, merge the given fields into its content and publish the result
+ * with a later `created_at`. Fields the request does not name, unknown
+ * fields and the event's tags are kept. With `replace`, only the given
+ * fields are published. Only kind 0 events of the profile's own pubkey with
+ * a valid signature are read, so a forged version is never merged.
+ *
+ * Merging updates are refused while no relay can be reached, and updates of
+ * the same profile run one at a time.
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const DEFAULT_POW = Number(process.env.POW_BITS) || 20;
+const MAX_FIELD_LENGTH = 5000;
+
+// Common metadata fields (NIP-01, NIP-05, NIP-24, NIP-57) and how they are validated
+export const PROFILE_FIELDS = {
+  name: "text",
+  display_name: "text",
+  about: "text",
+  picture: "url",
+  banner: "url",
+  website: "url",
+  nip05: "address",
+  lud16: "address",
+  lud06: "lnurl",
+  bot: "boolean",
+  birthday: "birthday",
+};
+
+const ADDRESS = /^[a-z0-9._+-]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// Profile updates in progress, per npub
+const profileLocks = new Map();
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function validateField(name, value) {
+  switch (PROFILE_FIELDS[name]) {
+    case "boolean":
+      if (typeof value !== "boolean") throw badRequest(`${name} must be a boolean`);
+      return value;
+    case "birthday": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw badRequest("birthday must be an object with year, month and/or day");
+      }
+      const birthday = {};
+      for (const [part, max] of [["year", 9999], ["month", 12], ["day", 31]]) {
+        if (value[part] === undefined) continue;
+        if (!Number.isInteger(value[part]) || value[part] < 1 || value[part] > max) {
+          throw badRequest(`Invalid birthday ${part}`);
+        }
+        birthday[part] = value[part];
+      }
+      if (Object.keys(birthday).length === 0) {
+        throw badRequest("birthday must be an object with year, month and/or day");
+      }
+      return birthday;
+    }
+    default: {
+      if (typeof value !== "string") throw badRequest(`${name} must be a string`);
+      const text = value.trim();
+      if (text.length > MAX_FIELD_LENGTH) {
+        throw badRequest(`${name} must be at most ${MAX_FIELD_LENGTH} characters`);
+      }
+      if (PROFILE_FIELDS[name] === "url" && !/^https?:\/\/\S+$/.test(text)) {
+        throw badRequest(`${name} must be an http(s) URL`);
+      }
+      if (PROFILE_FIELDS[name] === "address" && !ADDRESS.test(text)) {
+        throw badRequest(`${name} must look like name@domain`);
+      }
+      if (PROFILE_FIELDS[name] === "lnurl" && !/^lnurl1[02-9ac-hj-np-z]+$/i.test(text)) {
+        throw badRequest("lud06 must be a bech32 LNURL");
+      }
+      return text;
+    }
+  }
+}
+
+/**
+ * Validates profile changes. `null` or "" removes a field.
+ * @param {Object} fields - Fields of PROFILE_FIELDS
+ * @returns {Object} Validated values, null for removals
+ * @throws {Error} 400 for unknown fields and invalid values
+ */
+export function normalizeProfileChanges(fields = {}) {
+  const changes = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (!PROFILE_FIELDS[name]) {
+      throw badRequest(
+        `Unsupported profile field: ${name} (supported: ${Object.keys(PROFILE_FIELDS).join(", ")})`
+      );
+    }
+    changes[name] = value === null || value === "" ? null : validateField(name, value);
+  }
+  return changes;
+}
+
+/**
+ * Applies changes to profile metadata.
+ * @param {Object} current - Current metadata
+ * @param {Object} changes - From normalizeProfileChanges()
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Start from an empty profile
+ * @returns {Object} New metadata
+ */
+export function mergeProfile(current, changes, { replace = false } = {}) {
+  const profile = replace ? {} : { ...current };
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) delete profile[name];
+    else profile[name] = value;
+  }
+  return profile;
+}
+
+/**
+ * Parses the content of a kind 0 event.
+ * @param {Object|null} event
+ * @returns {{ profile: Object, invalid: boolean }} `invalid` when the content is not a JSON object
+ */
+export function parseProfile(event) {
+  if (!event) return { profile: {}, invalid: false };
+  try {
+    const profile = JSON.parse(event.content);
+    if (profile && typeof profile === "object" && !Array.isArray(profile)) {
+      return { profile, invalid: false };
+    }
+  } catch {
+    // fall through
+  }
+  return { profile: {}, invalid: true };
+}
+
+/**
+ * API view of a kind 0 event.
+ * @param {Object} event - Raw kind 0 event
+ * @param {Object} [options]
+ * @param {string|null} [options.source] - "relays" or "store"
+ * @returns {Object}
+ */
+export function toProfileJSON(event, { source = null } = {}) {
+  const { profile, invalid } = parseProfile(event);
+  return {
+    npub: nip19.npubEncode(event.pubkey),
+    pubkey: event.pubkey,
+    profile,
+    ...(invalid ? { invalidContent: true } : {}),
+    eventId: event.id,
+    createdAt: event.created_at,
+    tags: event.tags,
+    source,
+  };
+}
+
+async function loadLatest(pubkey, relayUrls) {
+  const filter = { kinds: [NDKKind.Metadata], authors: [pubkey], limit: 1 };
+  const [stored, remote] = await Promise.all([
+    isStoreConnected() ? findEvents([filter]) : [],
+    (async () => {
+      const ndk = await acquireNdk(relayUrls, DEFAULT_TIMEOUT);
+      const events = await ndk.fetchEvents(filter, { timeoutSec: DEFAULT_TIMEOUT / 1000 });
+      // Counted after the fetch, which waits for relays still connecting
+      return {
+        events: [...events].map((event) => event.rawEvent()),
+        reachable: ndk.pool.connectedRelays().length,
+      };
+    })(),
+  ]);
+  const candidates = [...stored, ...remote.events].filter(
+    (e) => e.pubkey === pubkey && e.kind === NDKKind.Metadata && hasValidSignature(e)
+  );
+  const event = pickNewest(candidates);
+  const source = !event ? null : remote.events.some((e) => e.id === event.id) ? "relays" : "store";
+  return { event, source, reachable: remote.reachable };
+}
+
+/**
+ * Returns the newest profile of any author, read from their NIP-65 write
+ * relays, the indexer relays and the event store.
+ * @param {string} npub - npub or hex pubkey
+ * @returns {Promise<Object>} See toProfileJSON()
+ * @throws {Error} 400 for invalid npubs, 404 when no profile is found
+ */
+export async function getProfile(npub) {
+  const pubkey = toHexPubkey(npub);
+  const relayUrls = [
+    ...new Set([...(await getAuthorWriteRelays(pubkey)), ...getIndexerRelayUrls()]),
+  ];
+  const { event, source } = await loadLatest(pubkey, relayUrls);
+  if (!event) {
+    throw Object.assign(new Error(`No profile found for ${npub}`), { status: 404 });
+  }
+  return toProfileJSON(event, { source });
+}
+
+async function withProfileLock(key, fn) {
+  const previous = profileLocks.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  profileLocks.set(key, tail);
+  try {
+    return await run;
+  } finally {
+    if (profileLocks.get(key) === tail) profileLocks.delete(key);
+  }
+}
+
+/**
+ * Updates an identity's profile (see the module description).
+ * @param {Object} params
+ * @param {string} params.npub
+ * @param {Object} params.fields - Fields of PROFILE_FIELDS; `null` or "" removes one
+ * @param {boolean} [params.replace=false] - Publish only the given fields
+ * @param {number} [params.timeoutMs]
+ * @param {number|string} [params.minAccepted]
+ * @param {number} [params.powBits]
+ * @returns {Promise<Object>} Publish result with the signed `event` and the new `profile` (see toProfileJSON())
+ * @throws {Error} 400 for invalid fields, 404 for unknown identities, 503 when merging and no relay can be reached
+ */
+export async function updateProfile({
+  npub,
+  fields = {},
+  replace = false,
+  timeoutMs = DEFAULT_TIMEOUT,
+  minAccepted,
+  powBits = DEFAULT_POW,
+}) {
+  const changes = normalizeProfileChanges(fields);
+  if (Object.keys(changes).length === 0) {
+    throw badRequest("Nothing to change: give profile fields to set or remove");
+  }
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), { status: 404 });
+  }
+
+  return withProfileLock(npub, async () => {
+    const writeRelays = getIdentityWriteRelayUrls(keyObj);
+    const relayUrls = [
+      ...new Set([
+        ...(writeRelays.length > 0 ? writeRelays : getConfiguredRelayUrls()),
+        ...getIndexerRelayUrls(),
+      ]),
+    ];
+    // loadLatest() only returns verified events of keyObj.pubkey
+    const { event: base, reachable } = await loadLatest(keyObj.pubkey, relayUrls);
+    if (!replace && reachable === 0) {
+      throw Object.assign(
+        new Error("Cannot update the profile: no relay could be reached to read its current version"),
+        { status: 503 }
+      );
+    }
+    const current = parseProfile(base);
+    if (current.invalid && !replace) {
+      logger.warn("Replacing profile with unreadable content", { npub, eventId: base.id });
+    }
+
+    const profile = mergeProfile(current.profile, changes, { replace });
+    // Later than the version it replaces, even with clock skew between clients
+    const createdAt = Math.max(Math.floor(Date.now() / 1000), (base?.created_at || 0) + 1);
+    const published = await signAndPublish(
+      keyObj,
+      {
+        kind: NDKKind.Metadata,
+        content: JSON.stringify(profile),
+        tags: replace ? [] : base?.tags || [],
+        created_at: createdAt,
+      },
+      { source: "profile", timeoutMs, minAccepted, powBits }
+    );
+    logger.info("Updated profile", {
+      npub,
+      fields: Object.keys(changes),
+      replace,
+      replaced: base?.id || null,
+    });
+    return { ...published, profile: toProfileJSON(published.event) };
+  });
+}
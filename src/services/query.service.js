@@ -0,0 +1,443 @@
+import { normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { matchFilter, verifyEvent } from "nostr-tools";
+import { getConfiguredRelayUrls } from "./nostr.service.js";
+import { acquireNdk, withTemporaryNdk } from "./ndkPool.service.js";
+import { getAuthorWriteRelays, toHexPubkey } from "./relayList.service.js";
+import { parseEventReference } from "./thread.service.js";
+import { storeEvent, findEvents, isStoreConnected } from "./eventStore.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Generic NIP-01 queries (POST /query).
+ *
+ * Filters are validated and normalized (npubs and note ids become hex),
+ * sent to the requested relays (by default the configured relays plus the
+ * write relays of up to MAX_OUTBOX_AUTHORS queried authors) in one
+ * subscription, and the results merged: each event is returned once, with
+ * every relay it was seen on. Only the configured relays are queried through
+ * the connection pool; other relay sets get a connection closed after the
+ * query, so callers cannot keep pools open.
+ *
+ * Results are ordered newest first (by `created_at`, then id) and paged
+ * with opaque cursors. A cursor holds the position of the last event of a
+ * page; the next page asks the relays for events up to that second again
+ * and drops those already returned, so events sharing a second are neither
+ * skipped nor repeated. A page also ends at the oldest event of any relay
+ * that sent as many events as it was asked for, since that relay may hold
+ * more events older than it; pages can therefore be shorter than the limit
+ * while more pages follow.
+ *
+ * cachedQuery() answers internal reads from the event store
+ * (eventStore.service.js) instead: a filter set fetched from its relays
+ * within the freshness window is served from the store alone; after that
+ * the stored events are served while a refresh runs in the background.
+ * Filter sets not fetched since startup wait for the relays. Refreshes
+ * follow the same rule: only configured relay sets are pooled.
+ *
+ * Configuration:
+ *  - EVENT_CACHE_MAX_AGE_MS: freshness window of cached reads (default 60 seconds)
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+const MAX_FILTERS = 10;
+const MAX_FILTER_VALUES = 500;
+const MAX_RELAYS = 20;
+// Authors whose NIP-65 write relays are added to the default relay set
+const MAX_OUTBOX_AUTHORS = 5;
+
+const CACHE_MAX_AGE_MS = Number(process.env.EVENT_CACHE_MAX_AGE_MS) || 60 * 1000;
+// Filter sets whose last relay fetch is remembered
+const MAX_TRACKED_QUERIES = 1000;
+
+const HEX64 = /^[0-9a-f]{64}$/;
+
+// Last relay fetch per filter set and relay set, and fetches in progress
+const refreshedAt = new Map();
+const refreshing = new Map();
+const TAG_FILTER = /^#[a-zA-Z]$/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isTimestamp(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function valueList(filter, key, convert) {
+  const values = filter[key];
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_FILTER_VALUES) {
+    throw badRequest(`${key} must be a non-empty array of at most ${MAX_FILTER_VALUES} values`);
+  }
+  return [...new Set(values.map((value) => {
+    if (typeof value !== "string" && !(key === "kinds" && typeof value === "number")) {
+      throw badRequest(`Invalid value in ${key}: ${value}`);
+    }
+    return convert(value);
+  }))];
+}
+
+function toEventId(value) {
+  return parseEventReference(value).id;
+}
+
+// Tag filters on pubkeys and events take the same encodings as authors and ids
+const TAG_CONVERTERS = {
+  "#p": toHexPubkey,
+  "#P": toHexPubkey,
+  "#e": toEventId,
+  "#E": toEventId,
+  "#q": toEventId,
+};
+
+/**
+ * Validates a NIP-01 filter and converts npubs, note and nevent ids to hex.
+ * @param {Object} filter - `ids`, `authors`, `kinds`, `#<letter>` tag filters, `since`, `until`, `limit`
+ * @returns {Object} Normalized filter
+ * @throws {Error} 400 for unknown fields and invalid values
+ */
+export function normalizeFilter(filter) {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    throw badRequest("Each filter must be an object");
+  }
+  const normalized = {};
+  for (const key of Object.keys(filter)) {
+    switch (key) {
+      case "ids":
+        normalized.ids = valueList(filter, key, toEventId);
+        break;
+      case "authors":
+        normalized.authors = valueList(filter, key, toHexPubkey);
+        break;
+      case "kinds":
+        normalized.kinds = valueList(filter, key, (kind) => {
+          if (!Number.isInteger(kind) || kind < 0 || kind > 65535) {
+            throw badRequest(`Invalid kind: ${kind}`);
+          }
+          return kind;
+        });
+        break;
+      case "since":
+      case "until":
+        if (!isTimestamp(filter[key])) throw badRequest(`${key} must be a unix timestamp`);
+        normalized[key] = filter[key];
+        break;
+      case "limit":
+        if (!Number.isInteger(filter.limit) || filter.limit < 1) {
+          throw badRequest("limit must be a positive integer");
+        }
+        normalized.limit = filter.limit;
+        break;
+      default:
+        if (!TAG_FILTER.test(key)) throw badRequest(`Unsupported filter field: ${key}`);
+        normalized[key] = valueList(filter, key, TAG_CONVERTERS[key] || ((value) => value));
+    }
+  }
+  if (normalized.since !== undefined && normalized.until !== undefined && normalized.since > normalized.until) {
+    throw badRequest("since must not be after until");
+  }
+  return normalized;
+}
+
+/**
+ * Validates a list of filters (or a single filter).
+ * @param {Object|Object[]} filters
+ * @returns {Object[]}
+ * @throws {Error} 400 when invalid
+ */
+export function normalizeFilters(filters) {
+  const list = Array.isArray(filters) ? filters : [filters];
+  if (list.length === 0 || list.length > MAX_FILTERS) {
+    throw badRequest(`filters must hold 1 to ${MAX_FILTERS} filters`);
+  }
+  return list.map(normalizeFilter);
+}
+
+/**
+ * Encodes the position after an event for the next page.
+ * @param {{ until: number, id: string, skip: number }} position - `skip` counts the returned events of second `until`
+ * @returns {string}
+ */
+export function encodeCursor({ until, id, skip }) {
+  return Buffer.from(JSON.stringify([until, id, skip])).toString("base64url");
+}
+
+/**
+ * Decodes a cursor from encodeCursor().
+ * @param {string} cursor
+ * @returns {{ until: number, id: string, skip: number }}
+ * @throws {Error} 400 for malformed cursors
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [until, id, skip] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (isTimestamp(until) && HEX64.test(id) && Number.isInteger(skip) && skip > 0) {
+      return { until, id, skip };
+    }
+  } catch {
+    // fall through
+  }
+  throw badRequest("Invalid cursor");
+}
+
+/**
+ * Relay filters for a page. Every filter asks for a full page, so the
+ * newest page of the merged results is complete; later pages end at the
+ * cursor's second, with room for the events already returned.
+ * @param {Object[]} filters - Normalized filters
+ * @param {number} pageSize
+ * @param {Object} [after] - Decoded cursor
+ * @returns {Object[]}
+ */
+export function pageFilters(filters, pageSize, after) {
+  return filters.map((filter) => {
+    const paged = { ...filter, limit: pageSize };
+    if (after) {
+      paged.until = Math.min(filter.until ?? after.until, after.until);
+      paged.limit += after.skip;
+    }
+    return paged;
+  });
+}
+
+function compareNewestFirst(a, b) {
+  return b.event.created_at - a.event.created_at || (a.event.id < b.event.id ? -1 : a.event.id > b.event.id ? 1 : 0);
+}
+
+/**
+ * How far back merged results are complete. A relay that returned a full
+ * page for a filter may hold older matching events it did not send, so
+ * results older than its oldest event may have gaps.
+ * @param {Array<{ event: Object, relays: string[] }>} results
+ * @param {Object[]} filters - Filters sent to the relays, with their `limit`
+ * @returns {number|undefined} `created_at` down to which results are complete; undefined when no relay hit a limit
+ */
+export function completeUntil(results, filters) {
+  const pairs = new Map();
+  for (const { event, relays } of results) {
+    filters.forEach((filter, index) => {
+      if (!matchFilter(filter, event)) return;
+      for (const relay of relays) {
+        const key = `${index} ${relay}`;
+        const pair = pairs.get(key) || { index, count: 0, oldest: Infinity };
+        pair.count += 1;
+        pair.oldest = Math.min(pair.oldest, event.created_at);
+        pairs.set(key, pair);
+      }
+    });
+  }
+  let horizon;
+  for (const { index, count, oldest } of pairs.values()) {
+    if (count >= filters[index].limit) horizon = Math.max(horizon ?? 0, oldest);
+  }
+  return horizon;
+}
+
+/**
+ * Orders merged results newest first and cuts a page, stopping where the
+ * results stop being complete (see completeUntil()).
+ * @param {Array<{ event: Object, relays: string[] }>} results
+ * @param {number} pageSize
+ * @param {Object} [after] - Decoded cursor of the previous page
+ * @param {number} [horizon] - From completeUntil()
+ * @returns {{ events: Array<{ event: Object, relays: string[] }>, nextCursor: string|null }}
+ */
+export function paginate(results, pageSize, after, horizon) {
+  const sorted = [...results].sort(compareNewestFirst).filter(({ event }) =>
+    !after ||
+    event.created_at < after.until ||
+    (event.created_at === after.until && event.id > after.id)
+  );
+  const complete = horizon === undefined ? sorted : sorted.filter(({ event }) => event.created_at >= horizon);
+  const events = complete.slice(0, pageSize);
+  if (events.length === 0 || (events.length < pageSize && horizon === undefined)) {
+    return { events, nextCursor: null };
+  }
+
+  const last = events[events.length - 1].event;
+  let skip = events.filter(({ event }) => event.created_at === last.created_at).length;
+  if (after && after.until === last.created_at) skip += after.skip;
+  return { events, nextCursor: encodeCursor({ until: last.created_at, id: last.id, skip }) };
+}
+
+function toRawEvent(event) {
+  const { id, pubkey, created_at, kind, tags, content, sig } = event;
+  return { id, pubkey, created_at, kind, tags, content, sig };
+}
+
+// One subscription over all relays; `event:dup` reports the relays that
+// sent an event after the first one
+function collectEvents(ndk, filters, timeoutMs) {
+  return new Promise((resolve) => {
+    const found = new Map();
+    const record = (event, relay) => {
+      let entry = found.get(event.id);
+      if (!entry) {
+        entry = { event: toRawEvent(event), relays: new Set() };
+        found.set(event.id, entry);
+      }
+      if (relay?.url) entry.relays.add(normalizeRelayUrl(relay.url));
+    };
+    const subscription = ndk.subscribe(filters, { closeOnEose: true, groupable: false }, false);
+    let timer;
+    const finish = () => {
+      clearTimeout(timer);
+      subscription.stop();
+      resolve([...found.values()].map(({ event, relays }) => ({ event, relays: [...relays] })));
+    };
+    subscription.on("event", record);
+    subscription.on("event:dup", record);
+    subscription.on("eose", finish);
+    timer = setTimeout(finish, timeoutMs);
+    subscription.start();
+  });
+}
+
+async function resolveRelays(relays, filters) {
+  if (relays !== undefined) {
+    if (!Array.isArray(relays) || relays.length === 0 || relays.length > MAX_RELAYS) {
+      throw badRequest(`relays must be a non-empty array of at most ${MAX_RELAYS} URLs`);
+    }
+    for (const url of relays) {
+      if (typeof url !== "string" || !/^wss?:\/\/\S+$/.test(url)) {
+        throw badRequest(`Invalid relay URL: ${url}`);
+      }
+    }
+    return [...new Set(relays.map((url) => normalizeRelayUrl(url)))];
+  }
+
+  const urls = [...getConfiguredRelayUrls()];
+  const authors = [...new Set(filters.flatMap((filter) => filter.authors || []))];
+  if (authors.length <= MAX_OUTBOX_AUTHORS) {
+    for (const author of authors) {
+      try {
+        urls.push(...(await getAuthorWriteRelays(author)));
+      } catch (error) {
+        logger.warn("Failed to look up author relays", { pubkey: author, error: error.message });
+      }
+    }
+  }
+  return [...new Set(urls.map((url) => normalizeRelayUrl(url)))].slice(0, MAX_RELAYS);
+}
+
+/**
+ * Runs NIP-01 filters against relays and returns one page of results.
+ * @param {Object} params
+ * @param {Object|Object[]} params.filters - NIP-01 filters (see normalizeFilter())
+ * @param {string[]} [params.relays] - Relays to query instead of the default set
+ * @param {number} [params.limit] - Page size (max 500); defaults to the largest filter `limit`, or 100
+ * @param {string} [params.cursor] - `nextCursor` of the previous page
+ * @param {boolean} [params.verify=false] - Verify every signature and drop invalid events (pages may then hold fewer events)
+ * @param {number} [params.timeoutMs]
+ * @returns {Promise<{ events: Array<{ event: Object, relays: string[] }>, count: number, nextCursor: string|null, relays: string[], invalid?: number }>}
+ * @throws {Error} 400 for invalid filters, relays, limits or cursors
+ */
+export async function queryEvents({
+  filters,
+  relays,
+  limit,
+  cursor,
+  verify = false,
+  timeoutMs = DEFAULT_TIMEOUT,
+}) {
+  const normalized = normalizeFilters(filters);
+  const filterLimits = normalized.map((filter) => filter.limit).filter(Boolean);
+  limit ??= filterLimits.length > 0 ? Math.min(Math.max(...filterLimits), MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  const after = cursor ? decodeCursor(cursor) : undefined;
+  const relayUrls = await resolveRelays(relays, normalized);
+  if (relayUrls.length === 0) {
+    throw Object.assign(new Error("No relays to query"), { status: 503 });
+  }
+
+  const relayFilters = pageFilters(normalized, limit, after);
+  const results = await withQueryNdk(relayUrls, timeoutMs, (ndk) => collectEvents(ndk, relayFilters, timeoutMs));
+
+  // Invalid events still count for the page boundaries, since relays
+  // counted them against the limit too
+  const page = paginate(results, limit, after, completeUntil(results, relayFilters));
+  let events = page.events;
+  let invalid;
+  if (verify) {
+    events = events.filter(({ event }) => verifyEvent({ ...event }));
+    invalid = page.events.length - events.length;
+    if (invalid > 0) logger.warn("Dropped events with invalid signatures", { invalid });
+  }
+  return {
+    events,
+    count: events.length,
+    nextCursor: page.nextCursor,
+    relays: relayUrls,
+    ...(verify ? { invalid } : {}),
+  };
+}
+
+// Only the configured relays are pooled; other sets (explicit relays, author
+// relays) get a connection of their own, closed once fn settles
+async function withQueryNdk(relayUrls, timeoutMs, fn) {
+  const configured = new Set(getConfiguredRelayUrls().map((url) => normalizeRelayUrl(url)));
+  if (relayUrls.every((url) => configured.has(normalizeRelayUrl(url)))) {
+    return fn(await acquireNdk(relayUrls, timeoutMs));
+  }
+  return withTemporaryNdk(relayUrls, timeoutMs, fn);
+}
+
+function newestFirst(a, b) {
+  return b.created_at - a.created_at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+function refreshFromRelays(key, filters, relayUrls, timeoutMs) {
+  if (refreshing.has(key)) return refreshing.get(key);
+  const run = (async () => {
+    // Stored below, once, instead of by the cache adapter
+    const events = await withQueryNdk(relayUrls, timeoutMs, async (ndk) => [
+      ...(await ndk.fetchEvents(filters, { timeoutSec: timeoutMs / 1000, dontSaveToCache: true })),
+    ]);
+    await Promise.all(events.map((event) => storeEvent(event, { relays: event.relay ? [event.relay.url] : [] })));
+    refreshedAt.delete(key);
+    refreshedAt.set(key, Date.now());
+    if (refreshedAt.size > MAX_TRACKED_QUERIES) refreshedAt.delete(refreshedAt.keys().next().value);
+    return events.map((event) => event.rawEvent());
+  })().finally(() => refreshing.delete(key));
+  refreshing.set(key, run);
+  return run;
+}
+
+/**
+ * Reads events through the event store (see the module description). Used
+ * by internal lookups that used to go to relays on every call.
+ * @param {Object[]} filters - NIP-01 filters with hex ids and pubkeys
+ * @param {Object} options
+ * @param {string[]} options.relayUrls - Relays to refresh from
+ * @param {number} [options.limit] - Cap on the merged results
+ * @param {number} [options.maxAgeMs] - Freshness window (default EVENT_CACHE_MAX_AGE_MS)
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ events: Object[], source: string, refreshedAt: Date|null }>} Raw events, newest first; `source` is "cache" or "relays"
+ */
+export async function cachedQuery(
+  filters,
+  { relayUrls, limit = MAX_PAGE_SIZE, maxAgeMs = CACHE_MAX_AGE_MS, timeoutMs = DEFAULT_TIMEOUT }
+) {
+  const key = JSON.stringify([filters, relayUrls.map((url) => normalizeRelayUrl(url)).sort()]);
+  const last = refreshedAt.get(key);
+
+  if (isStoreConnected() && last) {
+    if (Date.now() - last >= maxAgeMs) {
+      refreshFromRelays(key, filters, relayUrls, timeoutMs).catch((error) =>
+        logger.warn("Failed to refresh cached events", { error: error.message })
+      );
+    }
+    return { events: await findEvents(filters, { limit }), source: "cache", refreshedAt: new Date(last) };
+  }
+
+  const fetched = await refreshFromRelays(key, filters, relayUrls, timeoutMs);
+  // The store also drops deleted events and outdated replaceable versions
+  const events = isStoreConnected()
+    ? await findEvents(filters, { limit })
+    : fetched.sort(newestFirst).slice(0, limit);
+  return { events, source: "relays", refreshedAt: new Date(refreshedAt.get(key) ?? Date.now()) };
+}
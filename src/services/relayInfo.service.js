@@ -0,0 +1,264 @@
+import { normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { getPow } from "nostr-tools/nip13";
+import RelayInfo from "../models/RelayInfo.model.js";
+import { shouldAuthenticate } from "./ndkPool.service.js";
+import { logger } from "../utils/logger.js";
+import { isPublicHostname } from "../utils/validation.js";
+
+/**
+ * NIP-11 relay information and limit-aware publishing.
+ *
+ * Each relay's information document is fetched over HTTP(S) with
+ * `Accept: application/nostr+json`, kept in memory and in Mongo, and
+ * refetched once stale. Its `limitation` object decides where an event is
+ * sent: relays whose `min_pow_difficulty`, `max_content_length`,
+ * `auth_required` or `payment_required` the event cannot meet are skipped
+ * instead of rejecting it, and events are mined to the highest difficulty
+ * their relays ask for. The in-memory cache keeps the most recently used
+ * documents; stored documents of relays not fetched for 30 days expire.
+ *
+ * Configuration:
+ *  - RELAY_INFO_CACHE_MS: how long a fetched document is reused (default 24 hours)
+ *  - RELAY_INFO_RETRY_MS: how long a failed fetch is remembered (default 10 minutes)
+ *  - RELAY_INFO_TIMEOUT_MS: HTTP timeout of a fetch (default 3000)
+ *  - RELAY_INFO_CACHE_SIZE: documents kept in memory (default 1000)
+ *  - NOSTR_MAX_POW: highest relay-requested difficulty mined for; relays
+ *    asking for more are skipped (default 28)
+ *  - NOSTR_PAID_RELAYS: comma-separated relays our identities have paid for;
+ *    other relays with `payment_required` are skipped
+ */
+
+const CACHE_MS = Number(process.env.RELAY_INFO_CACHE_MS) || 24 * 60 * 60 * 1000;
+const RETRY_MS = Number(process.env.RELAY_INFO_RETRY_MS) || 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = Number(process.env.RELAY_INFO_TIMEOUT_MS) || 3000;
+const CACHE_SIZE = Number(process.env.RELAY_INFO_CACHE_SIZE) || 1000;
+const MAX_POW = Number(process.env.NOSTR_MAX_POW) || 28;
+const PAID_RELAYS = new Set(
+  (process.env.NOSTR_PAID_RELAYS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => normalizeRelayUrl(url))
+);
+
+const cache = new Map();
+const inflight = new Map();
+
+/**
+ * HTTP(S) URL serving a relay's NIP-11 document.
+ * @param {string} url - Relay URL (ws:// or wss://)
+ * @returns {string}
+ */
+export function toInfoUrl(url) {
+  return url.trim().replace(/^ws(s?):\/\//i, "http$1://");
+}
+
+/**
+ * Whether a relay URL names a public host (see isPublicHostname()), as
+ * required for relays looked up on a caller's behalf.
+ * @param {string} url - Relay URL
+ * @returns {boolean}
+ */
+export function isPublicRelayUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === "ws:" || protocol === "wss:") && isPublicHostname(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Map order tracks use: the first key is the least recently used
+function remember(url, entry) {
+  cache.delete(url);
+  cache.set(url, entry);
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+function isFresh(entry) {
+  const maxAge = entry.document ? CACHE_MS : RETRY_MS;
+  return Date.now() - entry.fetched_at.getTime() < maxAge;
+}
+
+function toResult(entry, source) {
+  return {
+    url: entry.url,
+    info: entry.document,
+    limits: toLimits(entry.document),
+    fetchedAt: entry.fetched_at,
+    error: entry.error || null,
+    source,
+  };
+}
+
+function toLimits(document) {
+  const limitation = document?.limitation || {};
+  const positive = (value) =>
+    Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  return {
+    minPowDifficulty: positive(limitation.min_pow_difficulty),
+    maxContentLength: positive(limitation.max_content_length),
+    authRequired: limitation.auth_required === true,
+    paymentRequired: limitation.payment_required === true,
+  };
+}
+
+async function fetchDocument(url) {
+  const response = await fetch(toInfoUrl(url), {
+    headers: { Accept: "application/nostr+json" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const document = await response.json();
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    throw new Error("Response is not a NIP-11 document");
+  }
+  return document;
+}
+
+async function refresh(url) {
+  const entry = { url, document: null, fetched_at: new Date(), error: undefined };
+  try {
+    entry.document = await fetchDocument(url);
+  } catch (error) {
+    entry.error = error.message;
+    // Keep a previously fetched document when the relay cannot be reached
+    entry.document = cache.get(url)?.document || null;
+    logger.warn("Failed to fetch relay information", { relay: url, error: error.message });
+  }
+  remember(url, entry);
+  RelayInfo.updateOne(
+    { url },
+    { $set: { document: entry.document, fetched_at: entry.fetched_at, error: entry.error } },
+    { upsert: true }
+  ).catch((error) =>
+    logger.warn("Failed to store relay information", { relay: url, error: error.message })
+  );
+  return entry;
+}
+
+/**
+ * Returns a relay's NIP-11 document, fetching it when missing or stale.
+ * @param {string} url - Relay URL
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache
+ * @returns {Promise<{ url: string, info: Object|null, limits: Object, fetchedAt: Date, error: string|null, source: string }>}
+ */
+export async function getRelayInfo(url, { refresh: force = false } = {}) {
+  const key = normalizeRelayUrl(url);
+  const cached = cache.get(key);
+  if (cached && !force && isFresh(cached)) {
+    remember(key, cached);
+    return toResult(cached, "cache");
+  }
+
+  // One fetch per relay at a time, however many publishes are waiting on it
+  if (!inflight.has(key)) {
+    inflight.set(key, refresh(key).finally(() => inflight.delete(key)));
+  }
+  return toResult(await inflight.get(key), "relay");
+}
+
+/**
+ * Publishing limits of a relay from its NIP-11 `limitation` object.
+ * @param {string} url - Relay URL
+ * @returns {Promise<{ minPowDifficulty: number|null, maxContentLength: number|null, authRequired: boolean, paymentRequired: boolean }>}
+ */
+export async function getRelayLimits(url) {
+  return (await getRelayInfo(url)).limits;
+}
+
+function checkAccess(url, limits) {
+  if (limits.authRequired && !shouldAuthenticate(url)) {
+    return {
+      reason: "auth-required: relay requires NIP-42 AUTH, which is not enabled for it (NOSTR_AUTH_MODE)",
+      prefix: "auth-required",
+    };
+  }
+  if (limits.paymentRequired && !PAID_RELAYS.has(normalizeRelayUrl(url))) {
+    return {
+      reason: "restricted: relay requires payment (not listed in NOSTR_PAID_RELAYS)",
+      prefix: "restricted",
+    };
+  }
+  if (limits.minPowDifficulty > MAX_POW) {
+    return {
+      reason: `pow: relay requires difficulty ${limits.minPowDifficulty}, above NOSTR_MAX_POW ${MAX_POW}`,
+      prefix: "pow",
+    };
+  }
+  return null;
+}
+
+/**
+ * Proof-of-work difficulty to mine an event for, given its relays: the
+ * requested difficulty or the highest `min_pow_difficulty` among the relays
+ * the event can be sent to, whichever is higher.
+ * @param {string[]} relayUrls - Target relays
+ * @param {number} [requestedBits=0] - Difficulty asked for by the caller
+ * @returns {Promise<number>}
+ */
+export async function resolvePowDifficulty(relayUrls, requestedBits = 0) {
+  const limits = await Promise.all(relayUrls.map(getRelayLimits));
+  return limits.reduce((bits, relayLimits, i) => {
+    if (checkAccess(relayUrls[i], relayLimits)) return bits;
+    return Math.max(bits, relayLimits.minPowDifficulty || 0);
+  }, Math.max(0, Number(requestedBits) || 0));
+}
+
+/**
+ * Checks a signed event against a relay's limits.
+ * @param {string} url - Relay URL
+ * @param {{ id: string, content?: string }} event - Signed event
+ * @returns {Promise<{ reason: string, prefix: string }|null>} Why the relay would reject the event, or null
+ */
+export async function checkRelayLimits(url, event) {
+  const limits = await getRelayLimits(url);
+  const denied = checkAccess(url, limits);
+  if (denied) return denied;
+
+  const contentLength = (event.content || "").length;
+  if (limits.maxContentLength && contentLength > limits.maxContentLength) {
+    return {
+      reason: `invalid: content length ${contentLength} exceeds relay limit ${limits.maxContentLength}`,
+      prefix: "invalid",
+    };
+  }
+  const pow = event.id ? getPow(event.id) : 0;
+  if (limits.minPowDifficulty && pow < limits.minPowDifficulty) {
+    return {
+      reason: `pow: difficulty ${pow} < ${limits.minPowDifficulty}`,
+      prefix: "pow",
+    };
+  }
+  return null;
+}
+
+/**
+ * Lists the cached NIP-11 documents.
+ * @returns {Object[]}
+ */
+export function listRelayInfo() {
+  return [...cache.values()]
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .map((entry) => toResult(entry, "cache"));
+}
+
+/**
+ * Loads stored NIP-11 documents into memory, so publishing after a restart
+ * does not wait on relay HTTP endpoints.
+ */
+export async function loadRelayInfoCache() {
+  try {
+    const docs = await RelayInfo.find().sort({ fetched_at: -1 }).limit(CACHE_SIZE).lean();
+    // Oldest first, so the most recently fetched end up most recently used
+    for (const doc of docs.reverse()) {
+      if (!cache.has(doc.url)) remember(doc.url, doc);
+    }
+    logger.info("Relay information cache loaded", { relays: docs.length });
+  } catch (error) {
+    logger.warn("Failed to load relay information", { error: error.message });
+  }
+}
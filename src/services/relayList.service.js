@@ -0,0 +1,412 @@
+import { NDKEvent, NDKKind, normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { nip19 } from "nostr-tools";
+import NostrIdentity from "../models/NostrIdentity.model.js";
+import AuthorRelayList from "../models/AuthorRelayList.model.js";
+import { connect, getConfiguredRelayUrls } from "./nostr.service.js";
+import { getSigningKey, setRelayList } from "./identity.service.js";
+import { acquireNdk } from "./ndkPool.service.js";
+import { publishWithReport } from "./relayPublish.service.js";
+import { isPublicRelayUrl } from "./relayInfo.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * NIP-65 relay lists (kind 10002).
+ *
+ * Each identity can have its own read/write relay list, stored on the
+ * identity and published as kind 10002 to its write relays and the indexer
+ * relays. connect() publishes to the identity's write relays. Reading an
+ * author's events goes to that author's write relays, looked up from the
+ * indexer relays and cached in Mongo. Anyone can publish a relay list, so
+ * only public relays and the configured relays of an author's list are
+ * connected to.
+ *
+ * NIP-17 DM inbox relays (kind 10050) are looked up the same way and cached
+ * in memory (at most DM_RELAY_CACHE_SIZE authors, each for
+ * RELAY_LIST_CACHE_MS); authors without one receive DMs on their NIP-65 read
+ * relays.
+ *
+ * Configuration:
+ *  - NOSTR_INDEXER_RELAYS: relays queried for other authors' relay lists
+ *    (default purplepag.es, user.kindpag.es, relay.nostr.band)
+ *  - RELAY_LIST_CACHE_MS: how long a fetched relay list is reused (default 1 hour)
+ *  - DM_RELAY_CACHE_SIZE: authors whose DM relays are kept in memory (default 1000)
+ */
+
+const DEFAULT_INDEXER_RELAYS =
+  "wss://purplepag.es,wss://user.kindpag.es,wss://relay.nostr.band";
+const INDEXER_RELAYS = (process.env.NOSTR_INDEXER_RELAYS || DEFAULT_INDEXER_RELAYS)
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean);
+const CACHE_MS = Number(process.env.RELAY_LIST_CACHE_MS) || 60 * 60 * 1000;
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const DM_RELAY_CACHE_SIZE = Number(process.env.DM_RELAY_CACHE_SIZE) || 1000;
+
+// Upper bound for a stored list, and for the relays used to read one author
+const MAX_RELAYS = 20;
+const MAX_AUTHOR_READ_RELAYS = 8;
+
+const RELAY_LIST_KIND = NDKKind.RelayList; // 10002
+const DM_RELAY_LIST_KIND = 10050;
+
+// DM relays per author, oldest entry first
+const dmRelayCache = new Map();
+
+function cacheDmRelays(pubkey, relays) {
+  const now = Date.now();
+  dmRelayCache.delete(pubkey);
+  dmRelayCache.set(pubkey, { relays, fetchedAt: now });
+  for (const [key, entry] of dmRelayCache) {
+    if (dmRelayCache.size <= DM_RELAY_CACHE_SIZE && now - entry.fetchedAt < CACHE_MS) break;
+    dmRelayCache.delete(key);
+  }
+}
+
+/**
+ * Returns the indexer relays used for relay list lookups.
+ * @returns {string[]}
+ */
+export function getIndexerRelayUrls() {
+  return [...INDEXER_RELAYS];
+}
+
+/**
+ * Validates and normalizes a relay list. Entries may be URLs (read and
+ * write) or `{ url, read, write }` objects; duplicates are merged.
+ * @param {Array<string|{url: string, read?: boolean, write?: boolean}>} relays
+ * @returns {Array<{url: string, read: boolean, write: boolean}>}
+ * @throws {Error} 400 for invalid entries
+ */
+export function normalizeRelayList(relays) {
+  if (!Array.isArray(relays)) {
+    throw Object.assign(new Error("relays must be an array"), { status: 400 });
+  }
+  const byUrl = new Map();
+  for (const entry of relays) {
+    const { url, read = true, write = true } =
+      typeof entry === "string" ? { url: entry } : entry || {};
+    if (typeof url !== "string" || !/^wss?:\/\/[^\s/]+/i.test(url.trim())) {
+      throw Object.assign(
+        new Error(`Invalid relay URL: ${url}; expected ws:// or wss://`),
+        { status: 400 }
+      );
+    }
+    if (!read && !write) {
+      throw Object.assign(
+        new Error(`Relay ${url} must be marked read, write or both`),
+        { status: 400 }
+      );
+    }
+    const normalized = normalizeRelayUrl(url.trim());
+    const existing = byUrl.get(normalized);
+    byUrl.set(normalized, {
+      url: normalized,
+      read: Boolean(read) || Boolean(existing?.read),
+      write: Boolean(write) || Boolean(existing?.write),
+    });
+  }
+  if (byUrl.size > MAX_RELAYS) {
+    throw Object.assign(
+      new Error(`A relay list may contain at most ${MAX_RELAYS} relays`),
+      { status: 400 }
+    );
+  }
+  return [...byUrl.values()];
+}
+
+/**
+ * Builds kind 10002 `r` tags from a relay list.
+ * @param {Array<{url: string, read: boolean, write: boolean}>} relays
+ * @returns {string[][]}
+ */
+export function relayListToTags(relays) {
+  return relays.map(({ url, read, write }) => {
+    if (read && write) return ["r", url];
+    return ["r", url, read ? "read" : "write"];
+  });
+}
+
+/**
+ * Parses the `r` tags of a kind 10002 event, skipping invalid URLs.
+ * @param {string[][]} tags
+ * @returns {Array<{url: string, read: boolean, write: boolean}>}
+ */
+export function parseRelayListTags(tags = []) {
+  const entries = tags
+    .filter((tag) => tag[0] === "r" && typeof tag[1] === "string")
+    .map(([, url, marker]) => ({
+      url,
+      read: marker !== "write",
+      write: marker !== "read",
+    }));
+  const valid = [];
+  for (const entry of entries) {
+    try {
+      valid.push(...normalizeRelayList([entry]));
+    } catch {
+      // ignore malformed relay URLs published by other clients
+    }
+  }
+  return normalizeRelayList(valid.slice(0, MAX_RELAYS));
+}
+
+function describeRelayList(npub, relayList) {
+  const relays = relayList?.relays || [];
+  return {
+    npub,
+    relays: relays.map(({ url, read, write }) => ({ url, read, write })),
+    read: relays.filter((r) => r.read).map((r) => r.url),
+    write: relays.filter((r) => r.write).map((r) => r.url),
+    eventId: relayList?.eventId || null,
+    updatedAt: relayList?.updatedAt || null,
+  };
+}
+
+/**
+ * Returns an identity's stored relay list.
+ * @param {string} npub
+ * @returns {Promise<Object>} `{ npub, relays, read, write, eventId, updatedAt }`
+ * @throws {Error} 404 for unknown identities
+ */
+export async function getIdentityRelayList(npub) {
+  const identity = await NostrIdentity.findOne({ npub })
+    .select("npub relayList")
+    .lean();
+  if (!identity) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), {
+      status: 404,
+    });
+  }
+  return describeRelayList(npub, identity.relayList);
+}
+
+/**
+ * Replaces an identity's relay list and publishes it as kind 10002 to the
+ * new write relays and the indexer relays.
+ * @param {string} npub
+ * @param {Array} relays - Relay list (see normalizeRelayList); empty clears it
+ * @param {Object} [options]
+ * @param {boolean} [options.publish=true] - Publish the kind 10002 event
+ * @param {number|string} [options.minAccepted] - Publish quorum override
+ * @returns {Promise<Object>} Stored relay list plus `publish` ({ id, relays, report }) when published
+ */
+export async function updateIdentityRelayList(
+  npub,
+  relays,
+  { publish = true, minAccepted } = {}
+) {
+  const normalized = normalizeRelayList(relays);
+  const keyObj = await getSigningKey(npub);
+  if (!keyObj) {
+    throw Object.assign(new Error(`Identity not found for npub ${npub}`), {
+      status: 404,
+    });
+  }
+
+  let published = null;
+  if (publish) {
+    const writeRelays = normalized.filter((r) => r.write).map((r) => r.url);
+    const targets = [
+      ...new Set([
+        ...(writeRelays.length > 0 ? writeRelays : getConfiguredRelayUrls()),
+        ...INDEXER_RELAYS,
+      ]),
+    ];
+    const { ndk } = await connect(keyObj, { relayUrls: targets });
+    const event = new NDKEvent(ndk, {
+      kind: RELAY_LIST_KIND,
+      content: "",
+      tags: relayListToTags(normalized),
+    });
+    await event.sign();
+    published = await publishWithReport(event, {
+      timeoutMs: DEFAULT_TIMEOUT,
+      minAccepted,
+    });
+  }
+
+  await setRelayList(npub, normalized, { eventId: published?.id });
+  const identity = await NostrIdentity.findOne({ npub }).select("relayList").lean();
+  return {
+    ...describeRelayList(npub, identity?.relayList),
+    ...(published ? { publish: published } : {}),
+  };
+}
+
+async function fetchRelayListFromIndexers(pubkey) {
+  const ndk = await acquireNdk(INDEXER_RELAYS, DEFAULT_TIMEOUT);
+  const events = await ndk.fetchEvents(
+    { kinds: [RELAY_LIST_KIND], authors: [pubkey], limit: 1 },
+    { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+  );
+  const [latest] = [...events].sort((a, b) => b.created_at - a.created_at);
+  return latest || null;
+}
+
+/**
+ * Returns the NIP-65 relay list of any author. Identities managed here use
+ * their stored list; other authors are looked up on the indexer relays and
+ * cached for RELAY_LIST_CACHE_MS. A stale cache entry is served when the
+ * indexers cannot be reached.
+ * @param {string} pubkey - Hex pubkey
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache
+ * @returns {Promise<{ pubkey: string, relays: Array, eventId: string|null, createdAt: number|null, fetchedAt: Date|null, source: string }>}
+ */
+export async function getAuthorRelayList(pubkey, { refresh = false } = {}) {
+  const identity = await NostrIdentity.findOne({ pubkey })
+    .select("relayList")
+    .lean();
+  if (identity?.relayList?.relays?.length) {
+    return {
+      pubkey,
+      relays: describeRelayList(null, identity.relayList).relays,
+      eventId: identity.relayList.eventId || null,
+      createdAt: null,
+      fetchedAt: null,
+      source: "identity",
+    };
+  }
+
+  const cached = await AuthorRelayList.findOne({ pubkey }).lean();
+  const toResult = (entry, source) => ({
+    pubkey,
+    relays: (entry?.relays || []).map(({ url, read, write }) => ({ url, read, write })),
+    eventId: entry?.event_id || null,
+    createdAt: entry?.event_created_at || null,
+    fetchedAt: entry?.fetched_at || null,
+    source,
+  });
+  if (cached && !refresh && Date.now() - cached.fetched_at.getTime() < CACHE_MS) {
+    return toResult(cached, "cache");
+  }
+
+  let event;
+  try {
+    event = await fetchRelayListFromIndexers(pubkey);
+  } catch (error) {
+    logger.warn("Failed to fetch relay list from indexers", {
+      pubkey,
+      error: error.message,
+    });
+    return toResult(cached, "cache");
+  }
+
+  // Keep the cached list when the indexers only return an older event
+  const isNewer = event && (!cached?.event_created_at || event.created_at > cached.event_created_at);
+  const update = isNewer
+    ? {
+        relays: parseRelayListTags(event.tags),
+        event_id: event.id,
+        event_created_at: event.created_at,
+        fetched_at: new Date(),
+      }
+    : { fetched_at: new Date() };
+  const entry = await AuthorRelayList.findOneAndUpdate(
+    { pubkey },
+    { $set: update, $setOnInsert: { pubkey } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+  return toResult(entry, "indexer");
+}
+
+/**
+ * Keeps the relays of an author's list the server may connect to: relays on
+ * public hosts and the configured relays. Private and loopback addresses
+ * listed by an author are dropped.
+ * @param {string[]} urls - Normalized relay URLs
+ * @returns {string[]}
+ */
+export function filterAuthorRelays(urls) {
+  const configured = new Set(getConfiguredRelayUrls().map((url) => normalizeRelayUrl(url)));
+  return urls.filter((url) => configured.has(url) || isPublicRelayUrl(url));
+}
+
+/**
+ * Returns the relays to read an author's events from: their NIP-65 write
+ * relays (see filterAuthorRelays()), or the configured relays when they
+ * have not published a list or none of its relays can be used.
+ * @param {string} pubkey - Hex pubkey
+ * @returns {Promise<string[]>}
+ */
+export async function getAuthorWriteRelays(pubkey) {
+  const { relays } = await getAuthorRelayList(pubkey);
+  const write = filterAuthorRelays(relays.filter((r) => r.write).map((r) => r.url));
+  return write.length > 0
+    ? write.slice(0, MAX_AUTHOR_READ_RELAYS)
+    : getConfiguredRelayUrls();
+}
+
+/**
+ * Returns the relays to send an author NIP-17 DMs to, and to read their DM
+ * inbox from: their kind 10050 relays, else their NIP-65 read relays, else
+ * the configured relays. Both lists are filtered with filterAuthorRelays().
+ * @param {string} pubkey - Hex pubkey
+ * @returns {Promise<string[]>}
+ */
+export async function getAuthorDmRelays(pubkey) {
+  const cached = dmRelayCache.get(pubkey);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_MS) return cached.relays;
+
+  let relays = [];
+  try {
+    const lookupRelays = [
+      ...new Set([...INDEXER_RELAYS, ...(await getAuthorWriteRelays(pubkey))]),
+    ];
+    const ndk = await acquireNdk(lookupRelays, DEFAULT_TIMEOUT);
+    const events = await ndk.fetchEvents(
+      { kinds: [DM_RELAY_LIST_KIND], authors: [pubkey], limit: 1 },
+      { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+    );
+    const [latest] = [...events].sort((a, b) => b.created_at - a.created_at);
+    if (latest) {
+      relays = filterAuthorRelays(
+        parseRelayListTags(
+          latest.tags
+            .filter((tag) => tag[0] === "relay")
+            .map(([, url]) => ["r", url])
+        ).map((r) => r.url)
+      );
+    }
+  } catch (error) {
+    logger.warn("Failed to fetch DM relay list", { pubkey, error: error.message });
+  }
+
+  if (relays.length === 0) {
+    const { relays: listed } = await getAuthorRelayList(pubkey);
+    relays = filterAuthorRelays(listed.filter((r) => r.read).map((r) => r.url));
+  }
+  if (relays.length === 0) relays = getConfiguredRelayUrls();
+  relays = relays.slice(0, MAX_AUTHOR_READ_RELAYS);
+  cacheDmRelays(pubkey, relays);
+  return relays;
+}
+
+/**
+ * Returns a pooled NDK instance connected to an author's write relays, for
+ * reading their events.
+ * @param {string} pubkey - Hex pubkey
+ * @returns {Promise<NDK>}
+ */
+export async function acquireAuthorNdk(pubkey) {
+  return acquireNdk(await getAuthorWriteRelays(pubkey), DEFAULT_TIMEOUT);
+}
+
+/**
+ * Decodes an npub or hex pubkey.
+ * @param {string} value
+ * @returns {string} Hex pubkey
+ * @throws {Error} 400 when invalid
+ */
+export function toHexPubkey(value) {
+  if (/^[0-9a-f]{64}$/.test(value)) return value;
+  try {
+    const { type, data } = nip19.decode(value);
+    if (type === "npub") return data;
+  } catch {
+    // fall through
+  }
+  throw Object.assign(new Error(`Invalid npub or hex pubkey: ${value}`), {
+    status: 400,
+  });
+}
@@ -0,0 +1,194 @@
+import { NDKRelayStatus } from "@nostr-dev-kit/ndk";
+import { recordPublishResults } from "./relayRegistry.service.js";
+import { checkRelayLimits } from "./relayInfo.service.js";
+import { storeEvent } from "./eventStore.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Publishing with per-relay reporting.
+ *
+ * NDK's `event.publish()` only resolves with the relays that accepted an
+ * event; rejection reasons from relay OK messages are dropped. The helpers
+ * here publish to each relay of the event's pool individually and report
+ * what every relay said, so API responses can tell a PoW rejection apart
+ * from a timeout or a relay that was never connected. Relays whose NIP-11
+ * limits the event cannot meet are skipped (see relayInfo.service.js).
+ * Published events are kept in the event store (eventStore.service.js).
+ *
+ * Configuration:
+ *  - PUBLISH_MIN_ACCEPTED: relays that must accept an event before a publish
+ *    counts as successful (default 1); fewer accepting relays yields a 502
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const DEFAULT_MIN_ACCEPTED = parseMinAccepted(process.env.PUBLISH_MIN_ACCEPTED) ?? 1;
+
+export const PUBLISH_STATUS = Object.freeze({
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  TIMED_OUT: "timed_out",
+  NOT_CONNECTED: "not_connected",
+  SKIPPED: "skipped",
+});
+
+// NDK rejects relay publishes that outlive their timeout with "Timeout: <ms>ms"
+const TIMEOUT_PATTERN = /^(Publish )?timeout\b/i;
+// Machine-readable prefix of an OK/CLOSED message, e.g. "pow: difficulty 12 < 20"
+const PREFIX_PATTERN = /^([a-z-]+):\s?/;
+
+function parseMinAccepted(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) return undefined;
+  return parsed;
+}
+
+/**
+ * Resolves the acceptance quorum for a publish.
+ * @param {number|string} [requested] - Per-request override.
+ * @returns {number} Minimum number of accepting relays.
+ */
+export function resolveMinAccepted(requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    return DEFAULT_MIN_ACCEPTED;
+  }
+  const parsed = parseMinAccepted(requested);
+  if (parsed === undefined) {
+    throw Object.assign(
+      new Error("minAccepted must be a non-negative integer"),
+      { status: 400 }
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Turns a failed relay publish into a report entry.
+ * @param {string} url - Relay URL.
+ * @param {Error|string} error - Rejection from `relay.publish()`.
+ * @returns {{ url: string, status: string, reason: string, prefix?: string }}
+ */
+export function classifyPublishFailure(url, error) {
+  const reason = (typeof error === "string" ? error : error?.message) || "";
+  if (TIMEOUT_PATTERN.test(reason)) {
+    return { url, status: PUBLISH_STATUS.TIMED_OUT, reason };
+  }
+  const prefix = reason.match(PREFIX_PATTERN)?.[1];
+  return {
+    url,
+    status: PUBLISH_STATUS.REJECTED,
+    reason,
+    ...(prefix ? { prefix } : {}),
+  };
+}
+
+/**
+ * Summarises per-relay results.
+ * @param {Array<Object>} results - Entries from publishing to each relay.
+ * @param {number} minAccepted - Required number of accepting relays.
+ * @returns {{ accepted: number, required: number, quorum: boolean, results: Array<Object> }}
+ */
+export function summarizeReport(results, minAccepted) {
+  const accepted = results.filter(
+    (r) => r.status === PUBLISH_STATUS.ACCEPTED
+  ).length;
+  return {
+    accepted,
+    required: minAccepted,
+    quorum: accepted >= minAccepted,
+    results,
+  };
+}
+
+async function publishToRelay(relay, event, timeoutMs) {
+  const skip = await checkRelayLimits(relay.url, event);
+  if (skip) {
+    return { url: relay.url, status: PUBLISH_STATUS.SKIPPED, ...skip };
+  }
+  if (relay.status < NDKRelayStatus.CONNECTED) {
+    return { url: relay.url, status: PUBLISH_STATUS.NOT_CONNECTED };
+  }
+  const started = Date.now();
+  try {
+    await relay.publish(event, timeoutMs);
+    return {
+      url: relay.url,
+      status: PUBLISH_STATUS.ACCEPTED,
+      latencyMs: Date.now() - started,
+    };
+  } catch (error) {
+    return {
+      ...classifyPublishFailure(relay.url, error),
+      latencyMs: Date.now() - started,
+    };
+  }
+}
+
+/**
+ * Publishes a signed event to the given relays without waiting for relays
+ * that are not connected, skipping relays whose limits it does not meet.
+ * Outcomes feed the relay registry's health stats.
+ * @param {import("@nostr-dev-kit/ndk").NDKEvent} event - Signed event.
+ * @param {Array<import("@nostr-dev-kit/ndk").NDKRelay>} relays - Target relays.
+ * @param {number} [timeoutMs] - Per-relay timeout.
+ * @returns {Promise<Array<Object>>} One result per relay, in order.
+ */
+export async function publishToRelays(event, relays, timeoutMs = DEFAULT_TIMEOUT) {
+  const results = await Promise.all(
+    relays.map((relay) => publishToRelay(relay, event, timeoutMs))
+  );
+  recordPublishResults(results);
+  return results;
+}
+
+/**
+ * Publishes a signed event to every relay of its NDK pool and reports the
+ * outcome per relay.
+ * @param {import("@nostr-dev-kit/ndk").NDKEvent} event - Signed event bound to an NDK instance.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-relay timeout.
+ * @param {number|string} [options.minAccepted] - Quorum override (default PUBLISH_MIN_ACCEPTED).
+ * @returns {Promise<{ id: string, relays: string[], report: Object }>} `relays` lists the accepting relays.
+ * @throws {Error} 502 with the report in `details` when the quorum is not met.
+ */
+export async function publishWithReport(
+  event,
+  { timeoutMs = DEFAULT_TIMEOUT, minAccepted } = {}
+) {
+  const required = resolveMinAccepted(minAccepted);
+  const relays = [...event.ndk.pool.relays.values()];
+  const results = await publishToRelays(event, relays, timeoutMs);
+  const report = summarizeReport(results, required);
+
+  for (const result of results) {
+    if (result.status === PUBLISH_STATUS.ACCEPTED) continue;
+    logger.warn("Relay did not accept event", {
+      eventId: event.id,
+      kind: event.kind,
+      relay: result.url,
+      status: result.status,
+      reason: result.reason,
+    });
+  }
+
+  const accepted = results
+    .filter((r) => r.status === PUBLISH_STATUS.ACCEPTED)
+    .map((r) => r.url);
+  // Stored even when the quorum is missed: the event is signed and may be retried
+  await storeEvent(event, { relays: accepted, published: true });
+
+  if (!report.quorum) {
+    throw Object.assign(
+      new Error(
+        `Event ${event.id} was accepted by ${report.accepted} of ${relays.length} relays; ${required} required`
+      ),
+      {
+        name: "PublishQuorumError",
+        status: 502,
+        details: { id: event.id, relays: accepted, report },
+      }
+    );
+  }
+
+  return { id: event.id, relays: accepted, report };
+}
@@ -0,0 +1,378 @@
+import { normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import RelayStat from "../models/RelayStat.model.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Relay registry: health statistics and runtime relay configuration.
+ *
+ * The NDK pool reports connection attempts and relayPublish.service.js
+ * reports every per-relay publish outcome. Stats are kept in memory and
+ * flushed to Mongo periodically. A relay failing RELAY_DEMOTE_FAILURES
+ * times in a row is demoted: it is left out of publishing sets for
+ * RELAY_DEMOTE_MS, then tried again; one more failure demotes it again,
+ * any success restores it.
+ *
+ * Relays can also be added to or removed from the configured relay set at
+ * runtime (POST /relays); removed relays are left out of every publishing
+ * set, including identities' NIP-65 write relays.
+ *
+ * Configuration:
+ *  - RELAY_DEMOTE_FAILURES: consecutive failures before demotion (default 5)
+ *  - RELAY_DEMOTE_MS: how long a demotion lasts (default 30 minutes)
+ *  - RELAY_STATS_FLUSH_MS: how often stats are written to Mongo (default 30000)
+ */
+
+const DEMOTE_FAILURES = Number(process.env.RELAY_DEMOTE_FAILURES) || 5;
+const DEMOTE_MS = Number(process.env.RELAY_DEMOTE_MS) || 30 * 60 * 1000;
+const FLUSH_MS = Number(process.env.RELAY_STATS_FLUSH_MS) || 30000;
+
+// Weight of the newest sample in the latency moving averages
+const LATENCY_WEIGHT = 0.2;
+
+const COUNTERS = [
+  "connect_attempts",
+  "connect_successes",
+  "publish_attempts",
+  "publish_accepted",
+];
+
+const stats = new Map();
+const dirty = new Set();
+let flushTimer = null;
+
+function emptyStat(url) {
+  return {
+    url,
+    origin: "config",
+    removed: false,
+    connect_attempts: 0,
+    connect_successes: 0,
+    connect_latency_ms: null,
+    last_connected_at: null,
+    publish_attempts: 0,
+    publish_accepted: 0,
+    publish_latency_ms: null,
+    last_accepted_at: null,
+    last_error: null,
+    last_error_at: null,
+    consecutive_failures: 0,
+    demoted_until: null,
+    demotions: 0,
+  };
+}
+
+function getStat(url) {
+  const key = normalizeRelayUrl(url);
+  let stat = stats.get(key);
+  if (!stat) {
+    stat = emptyStat(key);
+    stats.set(key, stat);
+  }
+  return stat;
+}
+
+function averageLatency(previous, sample) {
+  if (typeof sample !== "number") return previous;
+  if (previous === null || previous === undefined) return sample;
+  return Math.round(previous * (1 - LATENCY_WEIGHT) + sample * LATENCY_WEIGHT);
+}
+
+function recordSuccess(stat) {
+  if (stat.demoted_until) {
+    logger.info("Relay restored to publishing sets", { relay: stat.url });
+  }
+  stat.consecutive_failures = 0;
+  stat.demoted_until = null;
+}
+
+function recordFailure(stat, error) {
+  const now = Date.now();
+  stat.consecutive_failures++;
+  stat.last_error = error;
+  stat.last_error_at = new Date(now);
+  const demoted = stat.demoted_until && stat.demoted_until.getTime() > now;
+  if (stat.consecutive_failures >= DEMOTE_FAILURES && !demoted) {
+    stat.demoted_until = new Date(now + DEMOTE_MS);
+    stat.demotions++;
+    logger.warn("Demoting failing relay from publishing sets", {
+      relay: stat.url,
+      consecutiveFailures: stat.consecutive_failures,
+      until: stat.demoted_until,
+      error,
+    });
+  }
+}
+
+/**
+ * Records the outcome of a connection attempt.
+ * @param {string} url - Relay URL
+ * @param {Object} outcome
+ * @param {boolean} outcome.ok - Whether the relay connected
+ * @param {number} [outcome.latencyMs] - Time from attempt to connection
+ * @param {string} [outcome.error] - Failure description
+ */
+export function recordConnect(url, { ok, latencyMs, error }) {
+  const stat = getStat(url);
+  stat.connect_attempts++;
+  if (ok) {
+    stat.connect_successes++;
+    stat.connect_latency_ms = averageLatency(stat.connect_latency_ms, latencyMs);
+    stat.last_connected_at = new Date();
+    recordSuccess(stat);
+  } else {
+    recordFailure(stat, error || "Connection failed");
+  }
+  dirty.add(stat.url);
+}
+
+/**
+ * Records per-relay publish results (see relayPublish.service.js). Relays
+ * that were not connected are left to the connection stats; relays skipped
+ * for their NIP-11 limits were not tried.
+ * @param {Array<{ url: string, status: string, reason?: string, latencyMs?: number }>} results
+ */
+export function recordPublishResults(results) {
+  for (const { url, status, reason, latencyMs } of results) {
+    if (status === "not_connected" || status === "skipped") continue;
+    const stat = getStat(url);
+    stat.publish_attempts++;
+    if (status === "accepted") {
+      stat.publish_accepted++;
+      stat.publish_latency_ms = averageLatency(stat.publish_latency_ms, latencyMs);
+      stat.last_accepted_at = new Date();
+      recordSuccess(stat);
+    } else {
+      if (status === "rejected") {
+        stat.publish_latency_ms = averageLatency(stat.publish_latency_ms, latencyMs);
+      }
+      recordFailure(stat, reason || status);
+    }
+    dirty.add(stat.url);
+  }
+}
+
+/**
+ * Whether a relay is currently demoted.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isDemoted(url) {
+  const until = stats.get(normalizeRelayUrl(url))?.demoted_until;
+  return Boolean(until && until.getTime() > Date.now());
+}
+
+/**
+ * Whether a relay was removed at runtime.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isRemoved(url) {
+  return Boolean(stats.get(normalizeRelayUrl(url))?.removed);
+}
+
+/**
+ * Applies runtime additions and removals to the configured relay set.
+ * @param {string[]} relayUrls - Relays from the environment
+ * @returns {string[]}
+ */
+export function applyRelayOverrides(relayUrls) {
+  const configured = relayUrls.filter((url) => !isRemoved(url));
+  const known = new Set(configured.map((url) => normalizeRelayUrl(url)));
+  const added = [...stats.values()]
+    .filter((stat) => stat.origin === "runtime" && !stat.removed && !known.has(stat.url))
+    .map((stat) => stat.url);
+  return [...configured, ...added];
+}
+
+/**
+ * Narrows a relay set for publishing: removed relays are dropped, and so are
+ * demoted relays unless every remaining relay is demoted.
+ * @param {string[]} relayUrls
+ * @returns {string[]}
+ */
+export function selectPublishRelays(relayUrls) {
+  const available = relayUrls.filter((url) => !isRemoved(url));
+  const healthy = available.filter((url) => !isDemoted(url));
+  return healthy.length > 0 ? healthy : available;
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Public representation of a relay's stats.
+ * @param {Object} stat
+ * @returns {Object}
+ */
+export function toRelayJSON(stat) {
+  return {
+    url: stat.url,
+    origin: stat.origin,
+    removed: stat.removed,
+    demoted: isDemoted(stat.url),
+    demotedUntil: isDemoted(stat.url) ? stat.demoted_until : null,
+    demotions: stat.demotions,
+    consecutiveFailures: stat.consecutive_failures,
+    connect: {
+      attempts: stat.connect_attempts,
+      successes: stat.connect_successes,
+      successRate: ratio(stat.connect_successes, stat.connect_attempts),
+      latencyMs: stat.connect_latency_ms,
+      lastConnectedAt: stat.last_connected_at || null,
+    },
+    publish: {
+      attempts: stat.publish_attempts,
+      accepted: stat.publish_accepted,
+      acceptanceRate: ratio(stat.publish_accepted, stat.publish_attempts),
+      latencyMs: stat.publish_latency_ms,
+      lastAcceptedAt: stat.last_accepted_at || null,
+    },
+    lastError: stat.last_error || null,
+    lastErrorAt: stat.last_error_at || null,
+  };
+}
+
+/**
+ * Lists every known relay with its stats.
+ * @param {string[]} [configuredUrls] - Current configured relay set, flagged as `configured`
+ * @returns {Object[]}
+ */
+export function listRelays(configuredUrls = []) {
+  const configured = new Set(configuredUrls.map((url) => normalizeRelayUrl(url)));
+  for (const url of configured) getStat(url);
+  return [...stats.values()]
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .map((stat) => ({ ...toRelayJSON(stat), configured: configured.has(stat.url) }));
+}
+
+function toRelayUrl(url) {
+  if (typeof url !== "string" || !/^wss?:\/\/[^\s/]+/i.test(url.trim())) {
+    throw Object.assign(
+      new Error(`Invalid relay URL: ${url}; expected ws:// or wss://`),
+      { status: 400 }
+    );
+  }
+  return normalizeRelayUrl(url.trim());
+}
+
+function toUpdate(stat) {
+  const { url, ...fields } = stat;
+  return { filter: { url }, update: { $set: fields }, upsert: true };
+}
+
+async function persist(stat) {
+  const { filter, update, upsert } = toUpdate(stat);
+  await RelayStat.updateOne(filter, update, { upsert });
+  dirty.delete(stat.url);
+}
+
+/**
+ * Adds relays to and removes relays from the configured relay set. Adding a
+ * relay also clears a demotion.
+ * @param {Object} changes
+ * @param {string[]} [changes.add] - Relay URLs to add
+ * @param {string[]} [changes.remove] - Relay URLs to remove
+ * @returns {Promise<Object[]>} The changed relays
+ * @throws {Error} 400 for invalid input
+ */
+export async function updateRelays({ add = [], remove = [] } = {}) {
+  if (!Array.isArray(add) || !Array.isArray(remove)) {
+    throw Object.assign(new Error("add and remove must be arrays of relay URLs"), {
+      status: 400,
+    });
+  }
+  if (add.length === 0 && remove.length === 0) {
+    throw Object.assign(new Error("Nothing to change; pass add or remove"), {
+      status: 400,
+    });
+  }
+  const toAdd = add.map(toRelayUrl);
+  const toRemove = remove.map(toRelayUrl);
+  const overlap = toAdd.find((url) => toRemove.includes(url));
+  if (overlap) {
+    throw Object.assign(new Error(`Relay ${overlap} is both added and removed`), {
+      status: 400,
+    });
+  }
+
+  const changed = [];
+  for (const url of toAdd) {
+    const stat = getStat(url);
+    // Re-adding a removed relay keeps its origin
+    if (!stat.removed) stat.origin = "runtime";
+    stat.removed = false;
+    stat.consecutive_failures = 0;
+    stat.demoted_until = null;
+    changed.push(stat);
+  }
+  for (const url of toRemove) {
+    const stat = getStat(url);
+    stat.removed = true;
+    changed.push(stat);
+  }
+  await Promise.all(changed.map(persist));
+  logger.info("Updated relay set", { added: toAdd, removed: toRemove });
+  return changed.map(toRelayJSON);
+}
+
+/**
+ * Writes changed stats to Mongo.
+ * @returns {Promise<number>} Number of relays written
+ */
+export async function flushRelayStats() {
+  const urls = [...dirty];
+  if (urls.length === 0) return 0;
+  dirty.clear();
+  const operations = urls.map((url) => ({ updateOne: toUpdate(stats.get(url)) }));
+  try {
+    await RelayStat.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    urls.forEach((url) => dirty.add(url));
+    logger.warn("Failed to persist relay stats", { error: error.message });
+  }
+  return urls.length;
+}
+
+/**
+ * Loads persisted stats and starts the periodic flush. Counters recorded
+ * before the load are added to the stored ones.
+ */
+export async function startRelayRegistry() {
+  if (flushTimer) return;
+  flushTimer = setInterval(flushRelayStats, FLUSH_MS);
+  flushTimer.unref?.();
+  try {
+    const docs = await RelayStat.find().lean();
+    for (const doc of docs) {
+      const stored = { ...emptyStat(doc.url) };
+      for (const field of Object.keys(stored)) {
+        if (doc[field] !== undefined) stored[field] = doc[field];
+      }
+      const current = stats.get(doc.url);
+      if (current) {
+        for (const field of COUNTERS) current[field] += stored[field];
+        current.origin = stored.origin;
+        current.removed = stored.removed;
+        current.demotions += stored.demotions;
+      } else {
+        stats.set(doc.url, stored);
+      }
+    }
+    logger.info("Relay registry loaded", { relays: docs.length });
+  } catch (error) {
+    logger.warn("Failed to load relay stats", { error: error.message });
+  }
+}
+
+/**
+ * Stops the periodic flush and writes pending stats.
+ * @returns {Promise<void>}
+ */
+export async function stopRelayRegistry() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  await flushRelayStats();
+}
@@ -0,0 +1,194 @@
+import { normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { acquireNdk, withTemporaryNdk } from "./ndkPool.service.js";
+import { getRelayInfo, isPublicRelayUrl } from "./relayInfo.service.js";
+import { normalizeFilter } from "./query.service.js";
+import {
+  isStoreConnected,
+  searchStoredEvents,
+  storeEvent,
+} from "./eventStore.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Full-text search over events.
+ *
+ * Searches the event store (eventStore.service.js), which holds every event
+ * published through this service or received from a relay, by content and
+ * by hashtags, titles, summaries, subjects and alt texts. Results can be
+ * narrowed to authors, kinds and a date range, and are ordered newest first
+ * or by relevance.
+ *
+ * With `nip50`, the search is also sent as a NIP-50 `search` filter to
+ * relays whose NIP-11 document lists NIP-50; the others are skipped. Relays
+ * match and rank by their own rules, so their results are returned apart
+ * from the local page. They are stored before the local search runs, so
+ * the ones the local index matches also show up in the local results.
+ * Relays named by the request must be on public hostnames and are searched
+ * over connections closed afterwards rather than pooled ones.
+ *
+ * Configuration:
+ *  - NOSTR_SEARCH_RELAYS: comma-separated NIP-50 relays searched by default
+ *    (default: wss://relay.nostr.band,wss://search.nos.today)
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCH_RELAYS = 10;
+const SORTS = ["newest", "relevance"];
+const SEARCH_NIP = 50;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Relays searched with NIP-50 when the request names none.
+ * @returns {string[]}
+ */
+export function getSearchRelayUrls() {
+  const raw = process.env.NOSTR_SEARCH_RELAYS || "wss://relay.nostr.band,wss://search.nos.today";
+  return raw
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates search parameters.
+ * @param {Object} params
+ * @param {string} params.q - Search terms
+ * @param {string[]} [params.authors] - npubs or hex pubkeys
+ * @param {number[]} [params.kinds]
+ * @param {number} [params.since] - Unix time
+ * @param {number} [params.until] - Unix time
+ * @param {string} [params.sort="newest"] - "newest" or "relevance"
+ * @param {number} [params.limit=50] - Max 100
+ * @param {number} [params.skip=0]
+ * @returns {{ text: string, filter: Object, sort: string, limit: number, skip: number }}
+ * @throws {Error} 400 when invalid
+ */
+export function normalizeSearch({ q, authors, kinds, since, until, sort = "newest", limit = DEFAULT_LIMIT, skip = 0 }) {
+  const text = typeof q === "string" ? q.trim() : "";
+  if (!text || text.length > MAX_QUERY_LENGTH) {
+    throw badRequest(`q must hold 1 to ${MAX_QUERY_LENGTH} characters`);
+  }
+  const filter = normalizeFilter(
+    Object.fromEntries(
+      Object.entries({ authors, kinds, since, until }).filter(([, value]) => value !== undefined)
+    )
+  );
+  if (!SORTS.includes(sort)) {
+    throw badRequest(`sort must be one of: ${SORTS.join(", ")}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(skip) || skip < 0) {
+    throw badRequest("skip must be a non-negative integer");
+  }
+  return { text, filter, sort, limit, skip };
+}
+
+function resolveSearchRelays(relays) {
+  if (relays === undefined) return getSearchRelayUrls().map((url) => normalizeRelayUrl(url));
+  if (!Array.isArray(relays) || relays.length === 0 || relays.length > MAX_SEARCH_RELAYS) {
+    throw badRequest(`relays must hold 1 to ${MAX_SEARCH_RELAYS} relay URLs`);
+  }
+  for (const url of relays) {
+    if (typeof url !== "string" || !/^wss?:\/\/\S+$/.test(url)) {
+      throw badRequest(`Invalid relay URL: ${url}`);
+    }
+    // Their NIP-11 documents are fetched, so no IPs or local names
+    if (!isPublicRelayUrl(url)) {
+      throw badRequest(`Relay must be on a public hostname: ${url}`);
+    }
+  }
+  return [...new Set(relays.map((url) => normalizeRelayUrl(url)))];
+}
+
+/**
+ * Splits relays by whether their NIP-11 document lists NIP-50. Relays whose
+ * document cannot be fetched count as not supporting it.
+ * @param {string[]} relayUrls
+ * @returns {Promise<{ supported: string[], skipped: string[] }>}
+ */
+export async function selectSearchRelays(relayUrls) {
+  const checks = await Promise.all(
+    relayUrls.map(async (url) => {
+      const { info } = await getRelayInfo(url);
+      return Array.isArray(info?.supported_nips) && info.supported_nips.includes(SEARCH_NIP);
+    })
+  );
+  return {
+    supported: relayUrls.filter((url, i) => checks[i]),
+    skipped: relayUrls.filter((url, i) => !checks[i]),
+  };
+}
+
+async function searchRelays(text, filter, relayUrls, limit, timeoutMs, { pooled }) {
+  // Stored below and awaited, so the local search sees them
+  const fetchMatches = async (ndk) => [
+    ...(await ndk.fetchEvents(
+      { ...filter, search: text, limit },
+      { timeoutSec: timeoutMs / 1000, dontSaveToCache: true }
+    )),
+  ];
+  const events = pooled
+    ? await fetchMatches(await acquireNdk(relayUrls, timeoutMs))
+    : await withTemporaryNdk(relayUrls, timeoutMs, fetchMatches);
+  const results = events.map((event) => ({
+    event: event.rawEvent(),
+    relays: event.relay ? [event.relay.url] : [],
+  }));
+  await Promise.all(results.map(({ event, relays }) => storeEvent(event, { relays })));
+  return results.sort(
+    (a, b) => b.event.created_at - a.event.created_at || (a.event.id < b.event.id ? -1 : 1)
+  );
+}
+
+/**
+ * Searches stored events and, with `nip50`, NIP-50 relays.
+ * @param {Object} params - See normalizeSearch()
+ * @param {boolean} [params.nip50=false] - Also search NIP-50 relays (first page only)
+ * @param {string[]} [params.relays] - NIP-50 relays instead of NOSTR_SEARCH_RELAYS
+ * @param {number} [params.timeoutMs]
+ * @returns {Promise<{ events: Array<{ event: Object, score: number, relays: string[] }>, count: number, total: number, store: boolean, nip50?: { relays: string[], skipped: string[], events: Array<{ event: Object, relays: string[] }> } }>}
+ * @throws {Error} 400 for invalid parameters, 503 when the store is down and relays were not asked
+ */
+export async function searchEvents({ nip50 = false, relays, timeoutMs = DEFAULT_TIMEOUT, ...params }) {
+  const { text, filter, sort, limit, skip } = normalizeSearch(params);
+  const store = isStoreConnected();
+  const askRelays = nip50 && skip === 0;
+  if (!store && !askRelays) {
+    throw Object.assign(new Error("Event store is not available"), { status: 503 });
+  }
+
+  let relayResult;
+  if (askRelays) {
+    const { supported, skipped } = await selectSearchRelays(resolveSearchRelays(relays));
+    let events = [];
+    if (supported.length > 0) {
+      try {
+        events = await searchRelays(text, filter, supported, limit, timeoutMs, {
+          pooled: relays === undefined,
+        });
+      } catch (error) {
+        logger.warn("NIP-50 search failed", { relays: supported, error: error.message });
+      }
+    }
+    relayResult = { relays: supported, skipped, events };
+  }
+
+  const local = store
+    ? await searchStoredEvents(text, filter, { sort, limit, skip })
+    : { events: [], total: 0 };
+  return {
+    events: local.events,
+    count: local.events.length,
+    total: local.total,
+    store,
+    ...(relayResult ? { nip50: relayResult } : {}),
+  };
+}
@@ -1,19 +1,122 @@
-import { connect } from './nostr.service.js';
-import { nip19, nip04 } from 'nostr-tools';
-import { getAllKeys } from './identity.service.js';
+import { connect, getConfiguredRelayUrls } from './nostr.service.js';
+import { nip19 } from 'nostr-tools';
+import { getSigningKey } from './identity.service.js';
+import { receiveGiftWrap, GIFT_WRAP_KIND, WRAP_BACKDATE_SECONDS } from './dm.service.js';
+import { getAuthorDmRelays } from './relayList.service.js';
 import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { NDKRelayStatus } from '@nostr-dev-kit/ndk';
+import { logger } from '../utils/logger.js';
 
 const sessions = new Map();
 
+// Event ids remembered per session to drop replays after a resubscribe
+const MAX_SEEN_EVENTS = 5000;
+
+/**
+ * Picks the identity a session authenticates with on NIP-42 relays: the first
+ * streamed npub we hold a key for, else the default identity.
+ */
+async function findSessionIdentity(npubs) {
+    for (const npub of npubs || []) {
+        try {
+            const keyObj = await getSigningKey(npub);
+            if (keyObj) return keyObj;
+        } catch {
+            // fall through to the default identity
+        }
+    }
+    return undefined;
+}
+
+function forwardEvent(session, ev) {
+    if (session.seen.has(ev.id)) return;
+    if (session.seen.size >= MAX_SEEN_EVENTS) session.seen.clear();
+    session.seen.add(ev.id);
+    if (ev.kind === GIFT_WRAP_KIND) {
+        receiveGiftWrap(ev.rawEvent())
+            .then((message) => message && session.events.emit('dm', message))
+            .catch((error) => logger.warn('Failed to store direct message', { wrapId: ev.id, error: error.message }));
+        return;
+    }
+    session.lastEventAt = Math.max(session.lastEventAt || 0, ev.created_at);
+    session.events.emit('event', ev);
+}
+
+/**
+ * Opens (or re-opens) the session's NDK subscription and forwards new events
+ * to `session.events`. Re-opened subscriptions only ask for events since the
+ * newest one already delivered.
+ */
+function subscribe(session) {
+    const filter = session.lastEventAt
+        ? { ...session.filter, since: session.lastEventAt }
+        : session.filter;
+    const sub = session.ndk.subscribe([filter], { closeOnEose: false });
+    sub.on('event', (ev) => forwardEvent(session, ev));
+    session.sub = sub;
+}
+
+/**
+ * Opens (or re-opens) the gift wrap subscription of one identity's DM inbox.
+ * Gift wraps are backdated, so the filter keeps a fixed `since`; already
+ * stored messages are not emitted again.
+ */
+function subscribeInbox(session, inbox) {
+    const sub = inbox.ndk.subscribe([inbox.filter], { closeOnEose: false });
+    sub.on('event', (ev) => forwardEvent(session, ev));
+    inbox.sub = sub;
+}
+
+/**
+ * Connects to the DM relays (kind 10050) of each streamed identity we hold
+ * a key for, authenticated as that identity, since inbox relays usually
+ * only serve gift wraps to their recipient.
+ */
+async function openInboxes(npubs, since) {
+    const inboxes = [];
+    for (const npub of npubs) {
+        const keyObj = await getSigningKey(npub).catch(() => null);
+        if (!keyObj) {
+            logger.warn('Not streaming direct messages of an identity without a key', { npub });
+            continue;
+        }
+        const relayUrls = await getAuthorDmRelays(keyObj.pubkey);
+        const { ndk } = await connect(keyObj, { relayUrls, includeDemoted: true });
+        inboxes.push({
+            npub,
+            ndk,
+            relayUrls,
+            filter: { kinds: [GIFT_WRAP_KIND], '#p': [keyObj.pubkey], since },
+            sub: null,
+            onAuthed: null
+        });
+    }
+    return inboxes;
+}
+
 /**
  * Start a streaming session by creating an NDK subscription.
+ * NIP-42 relays are authenticated as the first streamed npub we hold a key
+ * for. Relays send a new AUTH challenge after every reconnect; each
+ * confirmed AUTH re-opens the subscription on the authenticated socket.
+ * With `dms`, NIP-17 gift wraps addressed to the npubs are read from each
+ * identity's DM relays, unwrapped, stored and emitted as 'dm' events.
  * @param {string[]} npubs - Array of NIP-19 encoded public keys (npub...).
+ * @param {string|null} [owner] - Hex pubkey of the authenticated caller owning the session.
+ * @param {Object} [options]
+ * @param {boolean} [options.dms=false] - Also stream direct messages to the npubs.
  * @returns {string} sessionId
  */
-export async function startSession(npubs) {
+export async function startSession(npubs, owner = null, { dms = false } = {}) {
     const id = randomUUID();
-    const { ndk } = await connect();
+    // Listen on all configured relays rather than the identity's write relays
+    const { ndk, npub: authNpub } = await connect(await findSessionIdentity(npubs), {
+        relayUrls: getConfiguredRelayUrls(),
+        includeDemoted: true
+    });
     let filter = { kinds: [30078] }; // Default filter for kind 30078
+    let inboxes = [];
 
     // If npubs array is provided and not empty, decode them and add to authors filter
     if (Array.isArray(npubs) && npubs.length > 0) {
@@ -28,14 +131,51 @@ export async function startSession(npubs) {
 
         if (authorHexKeys.length > 0) {
             filter = { kinds: [30078], '#p': authorHexKeys };
+            if (dms) {
+                inboxes = await openInboxes(npubs, Math.floor(Date.now() / 1000) - WRAP_BACKDATE_SECONDS);
+            }
         }
     }
     // If no valid npubs are provided, the filter will just be { kinds: [30078] }
     // which might subscribe to all kind 30078 events depending on relay behavior.
     // Consider if a default behavior is needed when no authors are specified.
 
-    const sub = ndk.subscribe(filter, { closeOnEose: false });
-    sessions.set(id, { sub, clients: [], npubs });
+    const session = {
+        ndk,
+        filter,
+        inboxes,
+        sub: null,
+        events: new EventEmitter(),
+        seen: new Set(),
+        lastEventAt: null,
+        clients: [],
+        npubs,
+        owner
+    };
+    // NDK also emits "authed" before the relay confirms the AUTH event (and
+    // re-sends waiting subscriptions then); resubscribe once it is confirmed
+    session.onAuthed = (relay) => {
+        if (relay.status !== NDKRelayStatus.AUTHENTICATED) return;
+        logger.info('Relay authenticated; resubscribing stream', { sessionId: id, relay: relay.url, npub: authNpub });
+        const previous = session.sub;
+        subscribe(session);
+        previous.stop();
+    };
+    ndk.pool.on('relay:authed', session.onAuthed);
+    for (const inbox of inboxes) {
+        inbox.onAuthed = (relay) => {
+            if (relay.status !== NDKRelayStatus.AUTHENTICATED) return;
+            logger.info('DM relay authenticated; resubscribing inbox', { sessionId: id, relay: relay.url, npub: inbox.npub });
+            const previous = inbox.sub;
+            subscribeInbox(session, inbox);
+            previous.stop();
+        };
+        inbox.ndk.pool.on('relay:authed', inbox.onAuthed);
+        subscribeInbox(session, inbox);
+    }
+
+    subscribe(session);
+    sessions.set(id, session);
     return id;
 }
 
@@ -55,7 +195,13 @@ export function getSession(id) {
 export function stopSession(id) {
     const session = sessions.get(id);
     if (!session) return false;
+    session.ndk.pool.off('relay:authed', session.onAuthed);
     session.sub.stop();
+    for (const inbox of session.inboxes) {
+        inbox.ndk.pool.off('relay:authed', inbox.onAuthed);
+        inbox.sub.stop();
+    }
+    session.events.removeAllListeners();
     sessions.delete(id);
     return true;
 }
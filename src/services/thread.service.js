@@ -0,0 +1,406 @@
+import { NDKKind, normalizeRelayUrl } from "@nostr-dev-kit/ndk";
+import { nip19 } from "nostr-tools";
+import { getConfiguredRelayUrls } from "./nostr.service.js";
+import { acquireNdk, withTemporaryNdk } from "./ndkPool.service.js";
+import {
+  getAuthorRelayList,
+  getAuthorWriteRelays,
+} from "./relayList.service.js";
+import { isPublicRelayUrl } from "./relayInfo.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Replies, quotes, mentions and threads for text notes.
+ *
+ * Note content is scanned for NIP-27 references: `nostr:npub`/`nprofile`
+ * (and bare `@npub`, rewritten to `nostr:npub`) become `p` tags,
+ * `nostr:note`/`nevent`/`naddr` become NIP-18 `q` tags and `#hashtags`
+ * become `t` tags. Replies carry NIP-10 marked `e` tags (`root`, `reply`)
+ * and the `p` tags of everyone in the parent's thread.
+ *
+ * Threads are read from the configured relays, the relay hints of the
+ * requested event and the root author's relays, following `e` tags until
+ * no new replies turn up. Relay hints come from other people's events, so
+ * only MAX_RELAY_HINTS of them (on public hostnames) are used per lookup,
+ * and lookups reaching beyond the configured relays use connections that
+ * are closed afterwards instead of pools.
+ */
+
+const DEFAULT_TIMEOUT = Number(process.env.TIMEOUT_MS) || 10000;
+
+// Rounds of `#e` lookups when following a thread, and events per round
+const MAX_THREAD_ROUNDS = 4;
+const MAX_THREAD_EVENTS = 500;
+// Relay hints, and relays of an author, used per lookup
+const MAX_RELAY_HINTS = 5;
+
+const BECH32 = "[02-9ac-hj-np-z]+";
+const NOSTR_URI = new RegExp(`nostr:((?:npub|nprofile|note|nevent|naddr)1${BECH32})`, "g");
+const AT_MENTION = new RegExp(`(^|[^\\w/:])@((?:npub|nprofile)1${BECH32})`, "g");
+const HASHTAG = /(?:^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]+)/gu;
+
+function isRelayUrl(url) {
+  return typeof url === "string" && /^wss?:\/\/\S+$/i.test(url);
+}
+
+function decode(value) {
+  try {
+    return nip19.decode(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rewrites bare `@npub1...`/`@nprofile1...` mentions as NIP-27 `nostr:` URIs.
+ * @param {string} content
+ * @returns {string}
+ */
+export function normalizeMentions(content) {
+  return content.replace(AT_MENTION, (match, prefix, bech32) =>
+    decode(bech32) ? `${prefix}nostr:${bech32}` : match
+  );
+}
+
+/**
+ * Tags implied by a note's content: `p` for profile mentions, `q` (and the
+ * author's `p`) for quoted events, `t` for hashtags. Invalid references are
+ * ignored.
+ * @param {string} content
+ * @returns {string[][]}
+ */
+export function parseContentTags(content) {
+  const tags = [];
+  for (const [, bech32] of content.matchAll(NOSTR_URI)) {
+    const decoded = decode(bech32);
+    if (!decoded) continue;
+    const { type, data } = decoded;
+    if (type === "npub") {
+      tags.push(["p", data]);
+    } else if (type === "nprofile") {
+      tags.push(["p", data.pubkey, ...(isRelayUrl(data.relays?.[0]) ? [data.relays[0]] : [])]);
+    } else if (type === "note") {
+      tags.push(["q", data]);
+    } else if (type === "nevent") {
+      const relay = isRelayUrl(data.relays?.[0]) ? data.relays[0] : "";
+      tags.push(data.author ? ["q", data.id, relay, data.author] : ["q", data.id, relay]);
+      if (data.author) tags.push(["p", data.author]);
+    } else if (type === "naddr") {
+      const relay = isRelayUrl(data.relays?.[0]) ? data.relays[0] : "";
+      tags.push(["q", `${data.kind}:${data.pubkey}:${data.identifier}`, relay]);
+      tags.push(["p", data.pubkey]);
+    }
+  }
+  for (const [, hashtag] of content.matchAll(HASHTAG)) {
+    // "#1" is a number, not a topic
+    if (/^\d+$/.test(hashtag)) continue;
+    tags.push(["t", hashtag.toLowerCase()]);
+  }
+  return tags;
+}
+
+/**
+ * The root and replied-to events of a note from its `e` tags: NIP-10 marked
+ * tags, or the deprecated positional scheme (first is root, last is reply).
+ * @param {{ tags: string[][] }} event
+ * @returns {{ root: Object|null, reply: Object|null }} `{ id, relay, pubkey }` of each
+ */
+export function getThreadRefs(event) {
+  const eTags = (event.tags || []).filter((t) => t[0] === "e" && /^[0-9a-f]{64}$/.test(t[1]));
+  const toRef = (tag) =>
+    tag ? { id: tag[1], relay: tag[2] || "", pubkey: tag[4] || "" } : null;
+
+  if (eTags.some((t) => t[3] === "root" || t[3] === "reply")) {
+    const root = eTags.find((t) => t[3] === "root");
+    const reply = eTags.find((t) => t[3] === "reply");
+    return { root: toRef(root || reply), reply: toRef(reply || root) };
+  }
+  // Positional tags; "mention" markers are not part of the thread
+  const positional = eTags.filter((t) => t[3] !== "mention");
+  if (positional.length === 0) return { root: null, reply: null };
+  return { root: toRef(positional[0]), reply: toRef(positional[positional.length - 1]) };
+}
+
+/**
+ * NIP-10 tags for a reply to `parent`: a `root` marked `e` tag, a `reply`
+ * marked one when the parent is itself a reply, and `p` tags for the
+ * parent's author and everyone it tags.
+ * @param {{ id: string, pubkey: string, tags: string[][] }} parent
+ * @param {string} [relayHint] - Relay the parent was seen on
+ * @returns {string[][]}
+ */
+export function buildReplyTags(parent, relayHint = "") {
+  const { root } = getThreadRefs(parent);
+  const tags = root
+    ? [
+        ["e", root.id, root.relay, "root", ...(root.pubkey ? [root.pubkey] : [])],
+        ["e", parent.id, relayHint, "reply", parent.pubkey],
+      ]
+    : [["e", parent.id, relayHint, "root", parent.pubkey]];
+  tags.push(["p", parent.pubkey]);
+  for (const tag of parent.tags || []) {
+    if (tag[0] === "p" && /^[0-9a-f]{64}$/.test(tag[1])) tags.push(["p", tag[1]]);
+  }
+  return tags;
+}
+
+/**
+ * Drops repeated tags: one `p`, `q` or `t` tag per value, keeping the first
+ * (which may carry a relay hint).
+ * @param {string[][]} tags
+ * @returns {string[][]}
+ */
+export function dedupeTags(tags) {
+  const seen = new Set();
+  return tags.filter((tag) => {
+    if (!["p", "q", "t"].includes(tag[0])) return true;
+    const key = `${tag[0]}:${tag[1]}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Decodes a reference to an event.
+ * @param {string} value - Hex id, `note1...`, `nevent1...` (or `naddr1...` when allowed), optionally as a `nostr:` URI
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAddress=false] - Accept `naddr` references
+ * @returns {{ id?: string, address?: Object, relays: string[], author: string|null, bech32: string|null }}
+ * @throws {Error} 400 when invalid
+ */
+export function parseEventReference(value, { allowAddress = false } = {}) {
+  const input = typeof value === "string" ? value.replace(/^nostr:/, "") : "";
+  if (/^[0-9a-f]{64}$/.test(input)) {
+    return { id: input, relays: [], author: null, bech32: null };
+  }
+  const decoded = decode(input);
+  if (decoded?.type === "note") {
+    return { id: decoded.data, relays: [], author: null, bech32: input };
+  }
+  if (decoded?.type === "nevent") {
+    return {
+      id: decoded.data.id,
+      relays: (decoded.data.relays || []).filter(isRelayUrl),
+      author: decoded.data.author || null,
+      bech32: input,
+    };
+  }
+  if (decoded?.type === "naddr" && allowAddress) {
+    return {
+      address: decoded.data,
+      relays: (decoded.data.relays || []).filter(isRelayUrl),
+      author: decoded.data.pubkey,
+      bech32: input,
+    };
+  }
+  throw Object.assign(new Error(`Invalid event reference: ${value}`), { status: 400 });
+}
+
+function pickHints(urls) {
+  const hints = urls.filter(isPublicRelayUrl).map((url) => normalizeRelayUrl(url));
+  return [...new Set(hints)].slice(0, MAX_RELAY_HINTS);
+}
+
+async function lookupRelays(hints = [], author = null) {
+  const relays = [...pickHints(hints), ...getConfiguredRelayUrls()];
+  if (author) {
+    try {
+      relays.push(...pickHints(await getAuthorWriteRelays(author)));
+    } catch (error) {
+      logger.warn("Failed to look up author relays", { pubkey: author, error: error.message });
+    }
+  }
+  return [...new Set(relays.map((url) => normalizeRelayUrl(url)))];
+}
+
+// Pooled connections for the configured relays only
+async function withLookupNdk(relays, fn) {
+  const configured = new Set(getConfiguredRelayUrls().map((url) => normalizeRelayUrl(url)));
+  if (relays.every((url) => configured.has(url))) {
+    return fn(await acquireNdk(relays, DEFAULT_TIMEOUT));
+  }
+  return withTemporaryNdk(relays, DEFAULT_TIMEOUT, fn);
+}
+
+/**
+ * Fetches an event from its relay hints, its author's write relays and the
+ * configured relays. Address references resolve to the newest version of
+ * the addressable event.
+ * @param {{ id?: string, address?: Object, relays?: string[], author?: string|null }} ref - See parseEventReference()
+ * @returns {Promise<{ event: Object, relay: string }>} Raw event and a relay it was seen on
+ * @throws {Error} 404 when no relay has it
+ */
+export async function fetchReferencedEvent(ref) {
+  const relays = await lookupRelays(ref.relays, ref.author);
+  const event = await withLookupNdk(relays, async (ndk) => {
+    if (ref.address) {
+      const { kind, pubkey, identifier } = ref.address;
+      const events = await ndk.fetchEvents(
+        { kinds: [kind], authors: [pubkey], "#d": [identifier] },
+        { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+      );
+      return [...events].sort((a, b) => b.created_at - a.created_at)[0];
+    }
+    return ndk.fetchEvent(
+      { ids: [ref.id] },
+      { groupable: false, closeOnEose: true }
+    );
+  });
+  if (!event) {
+    const name = ref.id || `${ref.address.kind}:${ref.address.pubkey}:${ref.address.identifier}`;
+    throw Object.assign(new Error(`Event ${name} not found on relays`), { status: 404 });
+  }
+  return { event: event.rawEvent(), relay: event.relay?.url || ref.relays?.[0] || "" };
+}
+
+/**
+ * Content and tags of a text note: mentions and hashtags are tagged, a quoted
+ * event is linked at the end of the content (unless already referenced) and
+ * a reply gets NIP-10 thread tags.
+ * @param {Object} params
+ * @param {string} params.content - Note text
+ * @param {string} [params.replyTo] - Event replied to (hex, note or nevent)
+ * @param {string} [params.quote] - Event quoted (hex, note, nevent or naddr)
+ * @returns {Promise<{ content: string, tags: string[][] }>}
+ */
+export async function composeNote({ content, replyTo, quote }) {
+  let text = normalizeMentions(String(content ?? ""));
+  const tags = [];
+
+  if (replyTo) {
+    const { event: parent, relay } = await fetchReferencedEvent(parseEventReference(replyTo));
+    tags.push(...buildReplyTags(parent, relay));
+  }
+
+  if (quote) {
+    const ref = parseEventReference(quote, { allowAddress: true });
+    let uri = ref.bech32;
+    if (ref.id) {
+      // Link the quoted event with its author and a relay it is on
+      const { event, relay } = await fetchReferencedEvent(ref);
+      uri = nip19.neventEncode({
+        id: event.id,
+        author: event.pubkey,
+        kind: event.kind,
+        relays: relay ? [relay] : [],
+      });
+      if (ref.bech32 && text.includes(`nostr:${ref.bech32}`)) uri = ref.bech32;
+    }
+    if (!text.includes(`nostr:${uri}`)) {
+      text = `${text}\n\nnostr:${uri}`;
+    }
+  }
+
+  tags.push(...parseContentTags(text));
+  return { content: text, tags: dedupeTags(tags) };
+}
+
+/**
+ * Arranges a thread's events into a tree under its root. Each event hangs
+ * under the event it replies to; replies whose parent was not found hang
+ * under the root, or are returned as orphans when the root is missing too.
+ * @param {string} rootId
+ * @param {Object[]} events - Raw events, including the root when found
+ * @returns {{ root: Object|null, orphans: Object[], count: number }}
+ */
+export function buildThreadTree(rootId, events) {
+  const nodes = new Map();
+  for (const event of events) {
+    if (nodes.has(event.id)) continue;
+    nodes.set(event.id, {
+      id: event.id,
+      npub: nip19.npubEncode(event.pubkey),
+      pubkey: event.pubkey,
+      kind: event.kind,
+      content: event.content,
+      created_at: event.created_at,
+      tags: event.tags,
+      replies: [],
+    });
+  }
+
+  const root = nodes.get(rootId) || null;
+  const orphans = [];
+  for (const node of nodes.values()) {
+    if (node === root) continue;
+    const parent = nodes.get(getThreadRefs(node).reply?.id);
+    if (parent && parent !== node) parent.replies.push(node);
+    else if (root) root.replies.push(node);
+    else orphans.push(node);
+  }
+  for (const node of nodes.values()) {
+    node.replies.sort((a, b) => a.created_at - b.created_at);
+  }
+  orphans.sort((a, b) => a.created_at - b.created_at);
+  return { root, orphans, count: nodes.size };
+}
+
+/**
+ * Reconstructs the thread an event belongs to.
+ * @param {string} eventId - Hex id, note or nevent of any event in the thread
+ * @returns {Promise<{ rootId: string, eventId: string, relays: string[], count: number, root: Object|null, orphans: Object[] }>}
+ * @throws {Error} 400 for invalid references, 404 when the event is not found
+ */
+export async function getThread(eventId) {
+  const ref = parseEventReference(eventId);
+  const { event, relay } = await fetchReferencedEvent(ref);
+  const events = new Map([[event.id, event]]);
+
+  // Walk up to the root; a root tag may point at a reply when clients used
+  // the positional scheme
+  let rootRef = { id: event.id, relay, pubkey: event.pubkey };
+  let next = getThreadRefs(event).root;
+  for (let hop = 0; next && !events.has(next.id) && hop < MAX_THREAD_ROUNDS; hop++) {
+    rootRef = next;
+    try {
+      const { event: parent } = await fetchReferencedEvent({
+        id: next.id,
+        relays: [next.relay, relay].filter(isRelayUrl),
+        author: next.pubkey || null,
+      });
+      events.set(parent.id, parent);
+      next = getThreadRefs(parent).root;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      next = null;
+    }
+  }
+
+  // Replies are sent to the root author's read relays (outbox model)
+  const rootAuthor = events.get(rootRef.id)?.pubkey || rootRef.pubkey || null;
+  const hints = [...ref.relays, relay, rootRef.relay].filter(isRelayUrl);
+  if (rootAuthor) {
+    try {
+      const { relays } = await getAuthorRelayList(rootAuthor);
+      hints.push(...relays.filter((r) => r.read).map((r) => r.url));
+    } catch (error) {
+      logger.warn("Failed to look up root author relays", { pubkey: rootAuthor, error: error.message });
+    }
+  }
+  const relays = await lookupRelays(hints, rootAuthor);
+
+  // Follow replies of replies for clients that do not tag the root
+  await withLookupNdk(relays, async (ndk) => {
+    let frontier = [...events.keys()];
+    for (let round = 0; round < MAX_THREAD_ROUNDS && frontier.length > 0; round++) {
+      const found = await ndk.fetchEvents(
+        { kinds: [NDKKind.Text], "#e": frontier, limit: MAX_THREAD_EVENTS },
+        { timeoutSec: DEFAULT_TIMEOUT / 1000 }
+      );
+      frontier = [];
+      for (const reply of found) {
+        if (events.has(reply.id)) continue;
+        events.set(reply.id, reply.rawEvent());
+        frontier.push(reply.id);
+      }
+    }
+  });
+
+  return {
+    rootId: rootRef.id,
+    eventId: event.id,
+    relays,
+    ...buildThreadTree(rootRef.id, [...events.values()]),
+  };
+}
@@ -2,6 +2,14 @@ import CashuWallet from "../models/CashuWallet.model.js";
 import CashuToken from "../models/CashuToken.model.js";
 import mongoose from "mongoose";
 import crypto from "crypto";
+import {
+  encryptFields,
+  decryptFields,
+  needsEncryption,
+} from "./keyEncryption.service.js";
+
+// Wallet fields holding private key material, encrypted at rest
+const SECRET_FIELDS = ["p2pk_privkey"];
 
 /**
  * Wallet Repository Service
@@ -19,7 +27,7 @@ class WalletRepositoryService {
    * @param {string} walletData.npub - User's NPUB
    * @param {string} walletData.mint_url - Mint URL
    * @param {string} walletData.p2pk_pubkey - P2PK public key
-   * @param {string} walletData.p2pk_privkey - P2PK private key (should be encrypted)
+   * @param {string} walletData.p2pk_privkey - P2PK private key (encrypted before storage)
    * @param {Object} [walletData.wallet_config] - Wallet configuration
    * @returns {Promise<CashuWallet>} Created wallet document
    * @throws {Error} If wallet creation fails or wallet already exists
@@ -38,13 +46,63 @@ class WalletRepositoryService {
         );
       }
 
-      const wallet = new CashuWallet(walletData);
+      const wallet = new CashuWallet(encryptFields(walletData, SECRET_FIELDS));
       return await wallet.save();
     } catch (error) {
       throw new Error(`Failed to create wallet: ${error.message}`);
     }
   }
 
+  /**
+   * Get the decrypted P2PK private key for a wallet
+   * @param {string} npub - User's NPUB
+   * @param {string} mintUrl - Mint URL
+   * @returns {Promise<string|null>} P2PK private key (hex) or null if no wallet exists
+   */
+  async getWalletPrivateKey(npub, mintUrl) {
+    try {
+      const wallet = await CashuWallet.findByNpubAndMint(npub, mintUrl)
+        .select("p2pk_privkey encryption")
+        .lean();
+      if (!wallet) return null;
+      return decryptFields(wallet, SECRET_FIELDS).p2pk_privkey;
+    } catch (error) {
+      throw new Error(`Failed to get wallet private key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encrypt P2PK private keys of existing wallets in place
+   * Plaintext wallets are encrypted and wallets wrapped with an older master
+   * key version are re-wrapped with the current one.
+   * @returns {Promise<{ scanned: number, encrypted: number }>} Migration summary
+   */
+  async encryptStoredWalletKeys() {
+    try {
+      const wallets = await CashuWallet.find({}).lean();
+      let encrypted = 0;
+
+      for (const wallet of wallets) {
+        if (!needsEncryption(wallet)) continue;
+        const updated = encryptFields(wallet, SECRET_FIELDS);
+        await CashuWallet.updateOne(
+          { _id: wallet._id },
+          {
+            $set: {
+              p2pk_privkey: updated.p2pk_privkey,
+              encryption: updated.encryption,
+            },
+          }
+        );
+        encrypted++;
+      }
+
+      return { scanned: wallets.length, encrypted };
+    } catch (error) {
+      throw new Error(`Failed to encrypt wallet keys: ${error.message}`);
+    }
+  }
+
   /**
    * Find wallet by npub and mint URL
    * @param {string} npub - User's NPUB
@@ -91,6 +149,51 @@ class WalletRepositoryService {
     }
   }
 
+  /**
+   * Move all wallets and tokens of one npub to another (key rotation)
+   * The P2PK keys are unchanged, so locked tokens remain spendable.
+   * @param {string} fromNpub - Current owner NPUB
+   * @param {string} toNpub - New owner NPUB
+   * @returns {Promise<{ wallets: number, tokens: number }>} Number of moved documents
+   * @throws {Error} If the new npub already owns a wallet on the same mint
+   */
+  async reassignWallets(fromNpub, toNpub) {
+    try {
+      const wallets = await CashuWallet.find({ npub: fromNpub })
+        .select("mint_url")
+        .lean();
+      if (wallets.length === 0) {
+        return { wallets: 0, tokens: 0 };
+      }
+
+      const conflict = await CashuWallet.findOne({
+        npub: toNpub,
+        mint_url: { $in: wallets.map((w) => w.mint_url) },
+      }).lean();
+      if (conflict) {
+        throw new Error(
+          `npub ${toNpub} already has a wallet for mint ${conflict.mint_url}`
+        );
+      }
+
+      const walletResult = await CashuWallet.updateMany(
+        { npub: fromNpub },
+        { $set: { npub: toNpub } }
+      );
+      const tokenResult = await CashuToken.updateMany(
+        { npub: fromNpub },
+        { $set: { npub: toNpub } }
+      );
+
+      return {
+        wallets: walletResult.modifiedCount,
+        tokens: tokenResult.modifiedCount,
+      };
+    } catch (error) {
+      throw new Error(`Failed to reassign wallets: ${error.message}`);
+    }
+  }
+
   // ==================== TOKEN OPERATIONS ====================
 
   /**
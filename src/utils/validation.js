@@ -1,4 +1,5 @@
 import { nip19 } from 'nostr-tools';
+import * as nip49 from 'nostr-tools/nip49';
 import { logger } from './logger.js';
 
 /**
@@ -57,4 +58,56 @@ export function decodeNsec(nsec) {
     } catch (error) {
         throw new Error(`Failed to decode nsec: ${error.message}`);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Decodes a private key supplied as nsec, 64-char hex or NIP-49 ncryptsec
+ * @param {string} key - The private key in any supported format
+ * @param {string} [passphrase] - Passphrase, required for ncryptsec keys
+ * @returns {{ privateKeyBytes: Uint8Array, format: 'nsec'|'hex'|'ncryptsec' }}
+ * @throws {Error} - Throws descriptive error for unsupported or invalid keys
+ */
+export function decodePrivateKey(key, passphrase) {
+    if (!key || typeof key !== 'string') {
+        throw new Error('Private key must be a non-empty string');
+    }
+    const trimmed = key.trim();
+
+    if (trimmed.startsWith('nsec1')) {
+        return { privateKeyBytes: decodeNsec(trimmed), format: 'nsec' };
+    }
+
+    if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+        return { privateKeyBytes: Uint8Array.from(Buffer.from(trimmed, 'hex')), format: 'hex' };
+    }
+
+    if (trimmed.startsWith('ncryptsec1')) {
+        if (!passphrase || typeof passphrase !== 'string') {
+            throw new Error('A passphrase is required to decrypt an ncryptsec key');
+        }
+        try {
+            return { privateKeyBytes: nip49.decrypt(trimmed, passphrase), format: 'ncryptsec' };
+        } catch (error) {
+            throw new Error(`Failed to decrypt ncryptsec: ${error.message}`);
+        }
+    }
+
+    throw new Error('Unsupported key format: expected nsec, 64-char hex or ncryptsec');
+}
+
+// DNS names with an alphabetic TLD: rules out IP addresses and localhost
+const PUBLIC_HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,63}$/;
+const PRIVATE_SUFFIX = /\.(localhost|local|internal|lan|home\.arpa)$/;
+
+/**
+ * Checks that a hostname is a public DNS name, so that fetches made on a
+ * caller's behalf cannot be pointed at IP addresses, localhost or names
+ * reserved for private networks.
+ * @param {string} hostname - Hostname without port
+ * @returns {boolean}
+ */
+export function isPublicHostname(hostname) {
+    if (typeof hostname !== 'string') return false;
+    const name = hostname.toLowerCase();
+    return PUBLIC_HOSTNAME.test(name) && !PRIVATE_SUFFIX.test(name);
+}
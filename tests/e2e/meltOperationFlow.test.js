@@ -18,7 +18,8 @@ jest.mock("../../src/services/cashu.service.js", () => ({
 }));
 
 jest.mock("../../src/services/identity.service.js", () => ({
-  getAllKeys: jest.fn(),
+  getIdentityByNpub: jest.fn(),
+  getSigningKey: jest.fn(),
 }));
 
 import {
@@ -28,7 +29,10 @@ import {
   reconcileProofStates,
   initializeWallet,
 } from "../../src/services/cashu.service.js";
-import { getAllKeys } from "../../src/services/identity.service.js";
+import {
+  getIdentityByNpub,
+  getSigningKey,
+} from "../../src/services/identity.service.js";
 
 // Create a minimal Express app for testing
 const createTestApp = () => {
@@ -63,16 +67,16 @@ describe("Melt Operation Flow E2E Tests", () => {
     MonitoringService.resetMetrics();
 
     // Setup default mocks
-    getAllKeys.mockResolvedValue([
-      {
-        npub: testNpub,
-        nsec: "nsec1test123456789abcdef",
-        wallet: {
-          mint: testMintUrl,
-          p2pkPub: "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef",
-        },
+    const testIdentity = {
+      npub: testNpub,
+      nsec: "nsec1test123456789abcdef",
+      wallet: {
+        mint: testMintUrl,
+        p2pkPub: "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef",
       },
-    ]);
+    };
+    getIdentityByNpub.mockResolvedValue(testIdentity);
+    getSigningKey.mockResolvedValue(testIdentity);
 
     // Create test wallet
     testWallet = await CashuWallet.create({
@@ -16,7 +16,8 @@ jest.mock("../../src/services/cashu.service.js", () => ({
 }));
 
 jest.mock("../../src/services/identity.service.js", () => ({
-  getAllKeys: jest.fn(),
+  getIdentityByNpub: jest.fn(),
+  getSigningKey: jest.fn(),
 }));
 
 jest.mock("../../src/services/nostr.service.js", () => ({
@@ -28,7 +29,10 @@ import {
   completeMinting,
   getBalance,
 } from "../../src/services/cashu.service.js";
-import { getAllKeys } from "../../src/services/identity.service.js";
+import {
+  getIdentityByNpub,
+  getSigningKey,
+} from "../../src/services/identity.service.js";
 
 // Create a minimal Express app for testing
 const createTestApp = () => {
@@ -62,17 +66,17 @@ describe("Lightning Minting Integration Tests", () => {
     MonitoringService.resetMetrics();
 
     // Setup default mocks
-    getAllKeys.mockResolvedValue([
-      {
-        npub: testNpub,
-        nsec: "nsec1test123456789abcdef",
-        wallet: {
-          mint: testMintUrl,
-          p2pkPub:
-            "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef",
-        },
+    const testIdentity = {
+      npub: testNpub,
+      nsec: "nsec1test123456789abcdef",
+      wallet: {
+        mint: testMintUrl,
+        p2pkPub:
+          "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef",
       },
-    ]);
+    };
+    getIdentityByNpub.mockResolvedValue(testIdentity);
+    getSigningKey.mockResolvedValue(testIdentity);
 
     // Create test wallet
     await CashuWallet.create({
@@ -512,7 +516,8 @@ describe("Lightning Minting Integration Tests", () => {
 
   describe("Error Handling and Edge Cases", () => {
     it("should handle non-existent user gracefully", async () => {
-      getAllKeys.mockResolvedValue([]);
+      getIdentityByNpub.mockResolvedValue(null);
+      getSigningKey.mockResolvedValue(null);
 
       const response = await request(app)
         .post("/api/wallet/npub1nonexistent/mint")
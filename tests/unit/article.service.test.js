@@ -0,0 +1,69 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  signAndPublish: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+
+import { nip19 } from "nostr-tools";
+import {
+  slugify,
+  buildArticleTags,
+  toArticleJSON,
+} from "../../src/services/article.service.js";
+
+const alice = "a".repeat(64);
+
+describe("NIP-23 articles", () => {
+  it("should derive identifiers from titles", () => {
+    expect(slugify("Héllo, Wörld! 2025")).toBe("hello-world-2025");
+    expect(slugify("¿?")).toBe("");
+  });
+
+  it("should tag metadata, hashtags and mentions", () => {
+    const npub = nip19.npubEncode(alice);
+    expect(
+      buildArticleTags({
+        identifier: "intro",
+        title: "Intro",
+        summary: "Short",
+        image: "https://example.com/a.png",
+        publishedAt: 1714110000,
+        hashtags: ["nostr"],
+        content: `Thanks nostr:${npub} #Nostr #longform`,
+      })
+    ).toEqual([
+      ["d", "intro"],
+      ["title", "Intro"],
+      ["summary", "Short"],
+      ["image", "https://example.com/a.png"],
+      ["published_at", "1714110000"],
+      ["t", "nostr"],
+      ["p", alice],
+      ["t", "longform"],
+    ]);
+  });
+
+  it("should link revisions with naddr", () => {
+    const article = toArticleJSON({
+      identifier: "intro",
+      kind: 30024,
+      revision: 2,
+      event_id: "1".repeat(64),
+      event: { pubkey: alice },
+      relays: ["wss://relay.example.com/"],
+      hashtags: [],
+      content: "draft",
+      queued: false,
+    });
+    expect(article.status).toBe("draft");
+    expect(nip19.decode(article.naddr)).toEqual({
+      type: "naddr",
+      data: {
+        kind: 30024,
+        pubkey: alice,
+        identifier: "intro",
+        relays: ["wss://relay.example.com/"],
+      },
+    });
+  });
+});
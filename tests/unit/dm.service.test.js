@@ -0,0 +1,105 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+
+import { generateSecretKey, getPublicKey, finalizeEvent, nip04, nip44 } from "nostr-tools";
+import * as nip59 from "nostr-tools/nip59";
+import {
+  unwrapGiftWrap,
+  conversationIdOf,
+} from "../../src/services/dm.service.js";
+
+const alice = generateSecretKey();
+const bob = generateSecretKey();
+const carol = generateSecretKey();
+
+function rumorFrom(privateKey, content = "hi") {
+  return nip59.createRumor(
+    {
+      kind: 14,
+      content,
+      tags: [
+        ["p", getPublicKey(bob)],
+        ["p", getPublicKey(carol)],
+      ],
+    },
+    privateKey
+  );
+}
+
+describe("NIP-17 direct messages", () => {
+  it("should unwrap a message gift-wrapped for each participant", async () => {
+    const rumor = rumorFrom(alice);
+    for (const recipient of [bob, carol, alice]) {
+      const pubkey = getPublicKey(recipient);
+      const wrap = nip59.createWrap(nip59.createSeal(rumor, alice, pubkey), pubkey);
+      expect(wrap.kind).toBe(1059);
+      await expect(unwrapGiftWrap(wrap, recipient)).resolves.toEqual(rumor);
+    }
+  });
+
+  it("should reject seals whose signer is not the message author", async () => {
+    // Carol seals a message claiming to come from Alice
+    const forged = { ...rumorFrom(carol), pubkey: getPublicKey(alice) };
+    const bobPubkey = getPublicKey(bob);
+    const seal = finalizeEvent(
+      {
+        kind: 13,
+        content: nip44.v2.encrypt(
+          JSON.stringify(forged),
+          nip44.v2.utils.getConversationKey(carol, bobPubkey)
+        ),
+        tags: [],
+        created_at: Math.floor(Date.now() / 1000),
+      },
+      carol
+    );
+    const wrap = nip59.createWrap(seal, bobPubkey);
+    await expect(unwrapGiftWrap(wrap, bob)).rejects.toThrow(/authors differ/);
+  });
+
+  it("should reject NIP-04 encrypted seals and wraps", async () => {
+    const bobPubkey = getPublicKey(bob);
+    const rumor = rumorFrom(alice);
+    const seal = finalizeEvent(
+      {
+        kind: 13,
+        content: await nip04.encrypt(alice, bobPubkey, JSON.stringify(rumor)),
+        tags: [],
+        created_at: Math.floor(Date.now() / 1000),
+      },
+      alice
+    );
+    await expect(unwrapGiftWrap(nip59.createWrap(seal, bobPubkey), bob)).rejects.toThrow();
+
+    const wrapKey = generateSecretKey();
+    const wrap = finalizeEvent(
+      {
+        kind: 1059,
+        content: await nip04.encrypt(
+          wrapKey,
+          bobPubkey,
+          JSON.stringify(nip59.createSeal(rumor, alice, bobPubkey))
+        ),
+        tags: [["p", bobPubkey]],
+        created_at: Math.floor(Date.now() / 1000),
+      },
+      wrapKey
+    );
+    await expect(unwrapGiftWrap(wrap, bob)).rejects.toThrow();
+  });
+
+  it("should not open wraps addressed to someone else", async () => {
+    const bobPubkey = getPublicKey(bob);
+    const wrap = nip59.createWrap(nip59.createSeal(rumorFrom(alice), alice, bobPubkey), bobPubkey);
+    await expect(unwrapGiftWrap(wrap, carol)).rejects.toThrow();
+  });
+
+  it("should identify conversations by their participant set", () => {
+    const [a, b, c] = [alice, bob, carol].map((key) => getPublicKey(key));
+    expect(conversationIdOf([a, b, c])).toBe(conversationIdOf([c, a, b, a]));
+    expect(conversationIdOf([a, b])).not.toBe(conversationIdOf([a, b, c]));
+  });
+});
@@ -0,0 +1,42 @@
+import { generateSecretKey, getPublicKey } from "nostr-tools";
+import {
+  ENCRYPTION,
+  encryptPayload,
+  decryptPayload,
+  detectEncryption,
+  resolveEncryption,
+} from "../../src/services/encryption.service.js";
+
+describe("payload encryption", () => {
+  const alice = generateSecretKey();
+  const bob = generateSecretKey();
+
+  it("should encrypt with NIP-44 by default", async () => {
+    const payload = await encryptPayload(alice, getPublicKey(bob), "hello");
+
+    expect(detectEncryption(payload)).toBe(ENCRYPTION.NIP44);
+    expect(await decryptPayload(bob, getPublicKey(alice), payload)).toBe("hello");
+  });
+
+  it("should detect and decrypt NIP-04 payloads", async () => {
+    const payload = await encryptPayload(alice, getPublicKey(bob), "legacy", "nip04");
+
+    expect(payload).toContain("?iv=");
+    expect(detectEncryption(payload)).toBe(ENCRYPTION.NIP04);
+    expect(await decryptPayload(bob, getPublicKey(alice), payload)).toBe("legacy");
+  });
+
+  it("should accept hex private keys", async () => {
+    const hex = Buffer.from(alice).toString("hex");
+    const payload = await encryptPayload(hex, getPublicKey(bob), "hex key");
+
+    expect(await decryptPayload(bob, getPublicKey(alice), payload)).toBe("hex key");
+  });
+
+  it("should reject unknown schemes", () => {
+    expect(resolveEncryption("NIP04")).toBe(ENCRYPTION.NIP04);
+    expect(() => resolveEncryption("rot13")).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import { finalizeEvent, generateSecretKey, getPublicKey } from "nostr-tools";
+import StoredEvent from "../../src/models/StoredEvent.model.js";
+import {
+  eventCoordinate,
+  tagIndex,
+  searchTags,
+  storeEvent,
+  eventCacheAdapter,
+} from "../../src/services/eventStore.service.js";
+
+const secretKey = generateSecretKey();
+const alice = getPublicKey(secretKey);
+
+function rawEvent(fields) {
+  return finalizeEvent({ created_at: 100, tags: [], content: "", ...fields }, secretKey);
+}
+
+describe("event coordinates", () => {
+  it("should address replaceable and addressable events", () => {
+    expect(eventCoordinate({ kind: 0, pubkey: alice, tags: [] })).toBe(`0:${alice}:`);
+    expect(eventCoordinate({ kind: 10002, pubkey: alice, tags: [["d", "ignored"]] })).toBe(`10002:${alice}:`);
+    expect(eventCoordinate({ kind: 30023, pubkey: alice, tags: [["d", "post"]] })).toBe(`30023:${alice}:post`);
+    expect(eventCoordinate({ kind: 30023, pubkey: alice, tags: [] })).toBe(`30023:${alice}:`);
+    expect(eventCoordinate({ kind: 1, pubkey: alice, tags: [] })).toBeNull();
+  });
+
+  it("should index single-letter tags once", () => {
+    expect(
+      tagIndex([["e", "x"], ["p", alice, "wss://r"], ["e", "x"], ["title", "t"], ["t"], ["T", "Up"]])
+    ).toEqual(["e:x", `p:${alice}`, "T:Up"]);
+  });
+
+  it("should collect the values of searchable tags", () => {
+    expect(
+      searchTags([["t", "nostr"], ["title", "Refunds"], ["p", alice], ["t", "nostr"], ["alt", ""], ["subject", "Re: order"]])
+    ).toEqual(["nostr", "Refunds", "Re: order"]);
+  });
+});
+
+describe("storing events", () => {
+  let readyState;
+  let updateOne;
+
+  beforeEach(() => {
+    // Pretend MongoDB is connected; readyState is a non-configurable getter
+    readyState = 1;
+    Object.defineProperty(mongoose.connection, "readyState", { configurable: true, get: () => readyState });
+    updateOne = jest.spyOn(StoredEvent, "updateOne");
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+  });
+
+  it("should skip storing while MongoDB is not connected", async () => {
+    readyState = 0;
+    await expect(storeEvent(rawEvent({ kind: 1 }))).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should skip ephemeral and unsigned events", async () => {
+    await expect(storeEvent(rawEvent({ kind: 20001 }))).resolves.toBe(false);
+    await expect(storeEvent({ ...rawEvent({ kind: 1 }), sig: undefined })).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should not store received events with an invalid signature", async () => {
+    const event = rawEvent({ kind: 0, content: '{"name":"Alice"}' });
+    const forged = { ...event, content: '{"name":"Mallory"}', created_at: 200 };
+    await expect(storeEvent(forged)).resolves.toBe(false);
+    await expect(storeEvent({ ...event, sig: "f".repeat(128) })).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should only add relays to an event already stored", async () => {
+    updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+    await expect(storeEvent(rawEvent({ kind: 1 }), { relays: ["wss://relay.example.com"] })).resolves.toBe(true);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne.mock.calls[0][1]).toEqual({
+      $addToSet: { relays: { $each: ["wss://relay.example.com/"] } },
+    });
+  });
+
+  it("should replace only older versions of replaceable events", async () => {
+    updateOne.mockResolvedValueOnce({ matchedCount: 0 }).mockResolvedValueOnce({ upsertedCount: 1 });
+    const event = rawEvent({ kind: 0 });
+    await expect(storeEvent(event, { published: true })).resolves.toBe(true);
+    const [filter, update, options] = updateOne.mock.calls[1];
+    expect(filter).toEqual({
+      coordinate: `0:${alice}:`,
+      $or: [{ created_at: { $lt: 100 } }, { created_at: 100, event_id: { $gt: event.id } }],
+    });
+    expect(update.$set).toMatchObject({ coordinate: `0:${alice}:`, published: true });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  it("should ignore a version older than the stored one", async () => {
+    updateOne
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockRejectedValueOnce(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }));
+    await expect(storeEvent(rawEvent({ kind: 3 }))).resolves.toBe(false);
+  });
+
+  it("should store events received through NDK with their relay", async () => {
+    updateOne.mockResolvedValue({ matchedCount: 1 });
+    const raw = rawEvent({ kind: 1 });
+    eventCacheAdapter.setEvent({ rawEvent: () => raw }, [], { url: "wss://relay.example.com" });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(updateOne.mock.calls[0][0]).toEqual({ event_id: raw.id });
+    expect(eventCacheAdapter.query()).toEqual([]);
+  });
+});
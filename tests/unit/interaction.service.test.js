@@ -0,0 +1,84 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  signAndPublish: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+
+import {
+  buildReactionTemplate,
+  buildRepostTemplate,
+  buildDeletionTemplate,
+  parseAddress,
+} from "../../src/services/interaction.service.js";
+
+const alice = "a".repeat(64);
+const note = { id: "1".repeat(64), pubkey: alice, kind: 1, content: "gm", created_at: 1, tags: [] };
+const article = {
+  id: "2".repeat(64),
+  pubkey: alice,
+  kind: 30023,
+  content: "...",
+  created_at: 2,
+  tags: [["d", "intro"]],
+};
+
+describe("reactions", () => {
+  it("should tag the event, its author and kind", () => {
+    expect(buildReactionTemplate(note, { relay: "wss://r.example.com" })).toEqual({
+      kind: 7,
+      content: "+",
+      tags: [
+        ["e", note.id, "wss://r.example.com", alice],
+        ["p", alice, "wss://r.example.com"],
+        ["k", "1"],
+      ],
+    });
+  });
+
+  it("should reference addressable events by coordinate and attach custom emoji", () => {
+    const { tags } = buildReactionTemplate(article, {
+      content: ":soapbox:",
+      emojiUrl: "https://example.com/soapbox.png",
+    });
+    expect(tags).toContainEqual(["a", `30023:${alice}:intro`, ""]);
+    expect(tags).toContainEqual(["emoji", "soapbox", "https://example.com/soapbox.png"]);
+    expect(() => buildReactionTemplate(note, { content: ":soapbox:" })).toThrow(/emojiUrl/);
+  });
+});
+
+describe("reposts", () => {
+  it("should repost notes as kind 6 and other kinds as kind 16", () => {
+    const repost = buildRepostTemplate(note);
+    expect(repost.kind).toBe(6);
+    expect(JSON.parse(repost.content)).toEqual(note);
+
+    const generic = buildRepostTemplate(article);
+    expect(generic.kind).toBe(16);
+    expect(generic.tags).toContainEqual(["k", "30023"]);
+  });
+
+  it("should not embed protected events", () => {
+    expect(buildRepostTemplate({ ...note, tags: [["-"]] }).content).toBe("");
+  });
+});
+
+describe("deletions", () => {
+  it("should list events, addresses and their kinds", () => {
+    const address = parseAddress(`30023:${alice}:intro`);
+    expect(buildDeletionTemplate({ events: [note], addresses: [address], reason: "oops" })).toEqual({
+      kind: 5,
+      content: "oops",
+      tags: [
+        ["e", note.id],
+        ["a", `30023:${alice}:intro`],
+        ["k", "1"],
+        ["k", "30023"],
+      ],
+    });
+  });
+
+  it("should reject malformed addresses", () => {
+    expect(() => parseAddress("30023:nothex:intro")).toThrow(/Invalid event address/);
+  });
+});
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  checkMasterKey,
+  encryptFields,
+  decryptFields,
+  isEncryptedValue,
+  needsEncryption,
+  resetKeyring,
+} from "../../src/services/keyEncryption.service.js";
+
+describe("KeyEncryption Service", () => {
+  const originalEnv = { ...process.env };
+  const masterKeyV1 = crypto.randomBytes(32).toString("hex");
+  const masterKeyV2 = crypto.randomBytes(32).toString("hex");
+
+  const identity = {
+    name: "alice",
+    npub: "npub1alice",
+    privkey: "a".repeat(64),
+    nsec: "nsec1alicesecret",
+  };
+
+  beforeEach(() => {
+    process.env.NCTOOL_MASTER_KEY = masterKeyV1;
+    delete process.env.NCTOOL_MASTER_KEY_VERSION;
+    delete process.env.NCTOOL_MASTER_KEY_V1;
+    delete process.env.NCTOOL_MASTER_KEY_FILE;
+    process.env.NODE_ENV = "test";
+    resetKeyring();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    resetKeyring();
+  });
+
+  describe("encryptFields", () => {
+    it("should encrypt only the requested fields", () => {
+      const encrypted = encryptFields(identity, ["privkey", "nsec"]);
+
+      expect(isEncryptedValue(encrypted.privkey)).toBe(true);
+      expect(isEncryptedValue(encrypted.nsec)).toBe(true);
+      expect(encrypted.privkey).not.toContain(identity.privkey);
+      expect(encrypted.name).toBe(identity.name);
+      expect(encrypted.npub).toBe(identity.npub);
+      expect(encrypted.encryption.key_version).toBe(1);
+      expect(encrypted.encryption.wrapped_key).toBeDefined();
+    });
+
+    it("should use a fresh data key per record", () => {
+      const first = encryptFields(identity, ["privkey"]);
+      const second = encryptFields(identity, ["privkey"]);
+
+      expect(first.encryption.wrapped_key).not.toBe(
+        second.encryption.wrapped_key
+      );
+      expect(first.privkey).not.toBe(second.privkey);
+    });
+  });
+
+  describe("decryptFields", () => {
+    it("should round-trip encrypted fields", () => {
+      const encrypted = encryptFields(identity, ["privkey", "nsec"]);
+      const decrypted = decryptFields(encrypted, ["privkey", "nsec"]);
+
+      expect(decrypted.privkey).toBe(identity.privkey);
+      expect(decrypted.nsec).toBe(identity.nsec);
+    });
+
+    it("should return plaintext records unchanged", () => {
+      const decrypted = decryptFields(identity, ["privkey", "nsec"]);
+
+      expect(decrypted).toEqual(identity);
+    });
+
+    it("should fail with the wrong master key", () => {
+      const encrypted = encryptFields(identity, ["privkey"]);
+      process.env.NCTOOL_MASTER_KEY = masterKeyV2;
+      resetKeyring();
+
+      expect(() => decryptFields(encrypted, ["privkey"])).toThrow();
+    });
+  });
+
+  describe("key rotation", () => {
+    it("should decrypt records wrapped with a retired master key", () => {
+      const encrypted = encryptFields(identity, ["privkey"]);
+
+      process.env.NCTOOL_MASTER_KEY_V1 = masterKeyV1;
+      process.env.NCTOOL_MASTER_KEY = masterKeyV2;
+      process.env.NCTOOL_MASTER_KEY_VERSION = "2";
+      resetKeyring();
+
+      expect(needsEncryption(encrypted)).toBe(true);
+      expect(decryptFields(encrypted, ["privkey"]).privkey).toBe(
+        identity.privkey
+      );
+
+      const rewrapped = encryptFields(encrypted, ["privkey"]);
+      expect(rewrapped.encryption.key_version).toBe(2);
+      expect(needsEncryption(rewrapped)).toBe(false);
+      expect(decryptFields(rewrapped, ["privkey"]).privkey).toBe(
+        identity.privkey
+      );
+    });
+
+    it("should flag plaintext records for encryption", () => {
+      expect(needsEncryption(identity)).toBe(true);
+    });
+  });
+  describe("master key", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "nctool-keys-"));
+      delete process.env.NCTOOL_MASTER_KEY;
+      process.env.NCTOOL_MASTER_KEY_FILE = path.join(dir, "master.key");
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should generate a missing keyfile outside production", () => {
+      expect(checkMasterKey()).toBe(1);
+      expect(fs.readFileSync(process.env.NCTOOL_MASTER_KEY_FILE, "utf8")).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it("should refuse to start in production without a master key", () => {
+      process.env.NODE_ENV = "production";
+
+      expect(() => checkMasterKey()).toThrow(/No master key configured/);
+      expect(fs.existsSync(process.env.NCTOOL_MASTER_KEY_FILE)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  signAndPublish: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+  getIdentityWriteRelayUrls: jest.fn(() => []),
+}));
+
+import { finalizeEvent, generateSecretKey, getPublicKey, nip19 } from "nostr-tools";
+import {
+  toEntryTag,
+  tagToEntry,
+  applyListChanges,
+  setMetadataTags,
+  pickNewest,
+  isListVersion,
+  toListJSON,
+  parseSetKind,
+} from "../../src/services/list.service.js";
+
+const alice = "a".repeat(64);
+const bob = "b".repeat(64);
+const carol = "c".repeat(64);
+
+describe("list entries", () => {
+  it("should build entry tags from npubs, references and words", () => {
+    expect(toEntryTag({ type: "p", value: nip19.npubEncode(alice), petname: "alice" }, ["p"])).toEqual([
+      "p",
+      alice,
+      "",
+      "alice",
+    ]);
+    expect(toEntryTag({ type: "e", value: nip19.noteEncode(bob) }, ["e"])).toEqual(["e", bob]);
+    expect(toEntryTag({ type: "a", value: `30023:${carol}:post` }, ["a"])).toEqual(["a", `30023:${carol}:post`]);
+    expect(toEntryTag({ type: "t", value: "#Nostr" }, ["t"])).toEqual(["t", "nostr"]);
+    expect(toEntryTag({ type: "word", value: " Spam " }, ["word"])).toEqual(["word", "spam"]);
+  });
+
+  it("should reject entry types the list does not take", () => {
+    expect(() => toEntryTag({ type: "t", value: "nostr" }, ["p"])).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(() => toEntryTag({ type: "p", value: alice, relay: "https://r" }, ["p"])).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+
+  it("should describe pubkey entries with their npub", () => {
+    expect(tagToEntry(["p", alice, "wss://r.example.com", "alice"])).toEqual({
+      type: "p",
+      value: alice,
+      npub: nip19.npubEncode(alice),
+      relay: "wss://r.example.com",
+      petname: "alice",
+    });
+  });
+});
+
+describe("list merges", () => {
+  const contacts = [
+    ["p", alice, "wss://a.example.com", "alice"],
+    ["p", bob],
+    ["t", "unknown-follow"],
+  ];
+
+  it("should add and remove entries without touching the others", () => {
+    const { publicTags, privateChanged } = applyListChanges(
+      { publicTags: contacts },
+      { add: [{ tag: ["p", carol, "", "carol"] }], remove: [{ tag: ["p", bob] }] }
+    );
+    expect(publicTags).toEqual([
+      ["p", alice, "wss://a.example.com", "alice"],
+      ["t", "unknown-follow"],
+      ["p", carol, "", "carol"],
+    ]);
+    expect(privateChanged).toBe(false);
+  });
+
+  it("should update an existing entry in place, keeping values not given", () => {
+    const { publicTags } = applyListChanges(
+      { publicTags: contacts },
+      { add: [{ tag: ["p", alice, "", "al"] }, { tag: ["p", bob, "wss://b.example.com"] }] }
+    );
+    expect(publicTags.slice(0, 2)).toEqual([
+      ["p", alice, "wss://a.example.com", "al"],
+      ["p", bob, "wss://b.example.com"],
+    ]);
+  });
+
+  it("should move entries between the public and private parts", () => {
+    const result = applyListChanges(
+      { publicTags: [["p", alice], ["word", "gm"]], privateTags: [["t", "spoilers"]] },
+      { add: [{ tag: ["p", alice], private: true }, { tag: ["t", "spoilers"] }] }
+    );
+    expect(result.publicTags).toEqual([["word", "gm"], ["t", "spoilers"]]);
+    expect(result.privateTags).toEqual([["p", alice]]);
+    expect(result.privateChanged).toBe(true);
+  });
+
+  it("should set and remove set metadata after the d tag", () => {
+    const tags = setMetadataTags([["d", "reading"], ["title", "Old"], ["e", bob]], {
+      title: "",
+      description: "Later",
+    });
+    expect(tags).toEqual([["d", "reading"], ["description", "Later"], ["e", bob]]);
+  });
+
+  it("should take the newest version, then the lowest id", () => {
+    const older = { id: "2", created_at: 100 };
+    const newer = { id: "3", created_at: 200 };
+    const tie = { id: "1", created_at: 200 };
+    expect(pickNewest([older, null, newer])).toBe(newer);
+    expect(pickNewest([newer, tie, older])).toBe(tie);
+    expect(pickNewest([])).toBeNull();
+  });
+
+  it("should only take versions of the identity's own list with a valid signature", () => {
+    const secretKey = generateSecretKey();
+    const pubkey = getPublicKey(secretKey);
+    const set = finalizeEvent({ kind: 30000, created_at: 100, tags: [["d", "friends"]], content: "" }, secretKey);
+    const list = { pubkey, kind: 30000, identifier: "friends" };
+
+    expect(isListVersion(set, list)).toBe(true);
+    expect(isListVersion(set, { pubkey, kind: 30000 })).toBe(true);
+    expect(isListVersion(set, { ...list, identifier: "work" })).toBe(false);
+    expect(isListVersion(set, { ...list, kind: 30003 })).toBe(false);
+    expect(isListVersion(set, { ...list, pubkey: alice })).toBe(false);
+    expect(isListVersion({ ...set, created_at: 9999999999, tags: [["d", "friends"], ["p", bob]] }, list)).toBe(false);
+    expect(isListVersion(null, list)).toBe(false);
+  });
+});
+
+describe("list views", () => {
+  it("should list public and private entries of a set", () => {
+    const event = {
+      id: "f".repeat(64),
+      kind: 30003,
+      created_at: 100,
+      tags: [["d", "reading"], ["title", "Reading"], ["e", bob], ["r", "https://example.com"]],
+    };
+    const json = toListJSON(event, {
+      kind: 30003,
+      identifier: "reading",
+      privateTags: [["t", "secret"]],
+      source: "relays",
+    });
+    expect(json).toMatchObject({
+      kind: 30003,
+      identifier: "reading",
+      title: "Reading",
+      description: null,
+      eventId: event.id,
+      source: "relays",
+      entries: [
+        { type: "e", value: bob },
+        { type: "r", value: "https://example.com" },
+      ],
+      private: [{ type: "t", value: "secret" }],
+    });
+  });
+
+  it("should only accept set kinds", () => {
+    expect(parseSetKind("30000")).toBe(30000);
+    expect(() => parseSetKind(3)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,68 @@
+import { NDKEvent, NDKPrivateKeySigner } from "@nostr-dev-kit/ndk";
+import {
+  acquireNdk,
+  withTemporaryNdk,
+  withSigner,
+  getPoolStatus,
+  closeAllPools,
+  shouldAuthenticate,
+} from "../../src/services/ndkPool.service.js";
+
+describe("NDK pool service", () => {
+  afterEach(() => {
+    closeAllPools();
+  });
+
+  it("should reuse one NDK instance per relay set", async () => {
+    const first = await acquireNdk([], 100);
+    const second = await acquireNdk([], 100);
+
+    expect(second).toBe(first);
+    expect(getPoolStatus()).toHaveLength(1);
+  });
+
+  it("should sign with the view's signer without touching the pooled instance", async () => {
+    const ndk = await acquireNdk([], 100);
+    const alice = NDKPrivateKeySigner.generate();
+    const bob = NDKPrivateKeySigner.generate();
+
+    const aliceEvent = new NDKEvent(withSigner(ndk, alice), { kind: 1, content: "a" });
+    const bobEvent = new NDKEvent(withSigner(ndk, bob), { kind: 1, content: "b" });
+    await Promise.all([aliceEvent.sign(), bobEvent.sign()]);
+
+    expect(aliceEvent.pubkey).toBe(alice.pubkey);
+    expect(bobEvent.pubkey).toBe(bob.pubkey);
+    expect(ndk.signer).toBeUndefined();
+  });
+
+  it("should share pools across identities when no relay requires AUTH", async () => {
+    const shared = await acquireNdk([], 100);
+    const withAuth = await acquireNdk([], 100, {
+      authSigner: NDKPrivateKeySigner.generate(),
+    });
+
+    expect(withAuth).toBe(shared);
+    expect(shared.signer).toBeUndefined();
+    expect(shouldAuthenticate("wss://relay.example.com")).toBe(false);
+  });
+
+  it("should close temporary instances after use without pooling them", async () => {
+    const result = await withTemporaryNdk([], 100, async (ndk) => {
+      expect(ndk).not.toBe(await acquireNdk([], 100));
+      return "done";
+    });
+
+    expect(result).toBe("done");
+    expect(getPoolStatus()).toHaveLength(1);
+    await expect(withTemporaryNdk([], 100, async () => {
+      throw new Error("failed");
+    })).rejects.toThrow("failed");
+  });
+
+  it("should drop pools on close", async () => {
+    await acquireNdk([], 100);
+    closeAllPools();
+
+    expect(getPoolStatus()).toEqual([]);
+  });
+});
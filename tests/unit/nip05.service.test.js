@@ -0,0 +1,104 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  signAndPublish: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+  getIdentityWriteRelayUrls: jest.fn(() => []),
+}));
+jest.mock("../../src/services/profile.service.js", () => ({
+  getProfile: jest.fn(),
+}));
+
+import { nip19 } from "nostr-tools";
+import { getProfile } from "../../src/services/profile.service.js";
+import {
+  normalizeName,
+  parseAddress,
+  toNameJSON,
+  verifyAddress,
+} from "../../src/services/nip05.service.js";
+
+const alice = "a".repeat(64);
+const bob = "b".repeat(64);
+
+function mockNostrJson(document, status = 200) {
+  global.fetch = jest.fn(async () => ({ ok: status === 200, status, json: async () => document }));
+}
+
+describe("NIP-05 names and addresses", () => {
+  afterEach(() => {
+    delete process.env.NIP05_DOMAIN;
+  });
+
+  it("should lowercase names and reject invalid ones", () => {
+    expect(normalizeName(" Alice.Bot ")).toBe("alice.bot");
+    expect(normalizeName("_")).toBe("_");
+    for (const name of ["", "al ice", "alice@x", "a".repeat(65), 42]) {
+      expect(() => normalizeName(name)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  it("should split addresses, reading a bare domain as its root name", () => {
+    expect(parseAddress("Bob@Example.com")).toEqual({ name: "bob", domain: "example.com" });
+    expect(parseAddress("example.com")).toEqual({ name: "_", domain: "example.com" });
+    for (const address of ["bob@localhost", "bob@127.0.0.1", "bob@", "b b@example.com"]) {
+      expect(() => parseAddress(address)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  it("should show full addresses when the domain is configured", () => {
+    const entry = { name: "alice", npub: nip19.npubEncode(alice), pubkey: alice, createdAt: new Date(0) };
+    expect(toNameJSON(entry).address).toBeNull();
+    process.env.NIP05_DOMAIN = "example.com";
+    expect(toNameJSON(entry)).toMatchObject({ name: "alice", address: "alice@example.com", claimedBy: null });
+  });
+});
+
+describe("NIP-05 verification", () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    getProfile.mockReset();
+  });
+
+  it("should verify an address listed in nostr.json and in the profile", async () => {
+    mockNostrJson({ names: { bob }, relays: { [bob]: ["wss://relay.example.com"] } });
+    getProfile.mockResolvedValue({ profile: { nip05: "Bob@example.com" } });
+
+    const result = await verifyAddress("bob@example.com", { npub: nip19.npubEncode(bob) });
+
+    expect(global.fetch.mock.calls[0][0]).toBe("https://example.com/.well-known/nostr.json?name=bob");
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ redirect: "error" });
+    expect(result).toMatchObject({
+      pubkey: bob,
+      relays: ["wss://relay.example.com"],
+      profileNip05: "Bob@example.com",
+      verified: true,
+    });
+  });
+
+  it("should not verify a mismatching pubkey or profile", async () => {
+    mockNostrJson({ names: { bob } });
+    getProfile.mockResolvedValue({ profile: { nip05: "other@example.com" } });
+
+    await expect(verifyAddress("bob@example.com", { npub: alice })).resolves.toMatchObject({
+      verified: false,
+      error: "The address resolves to a different pubkey",
+    });
+    await expect(verifyAddress("bob@example.com")).resolves.toMatchObject({
+      verified: false,
+      profileNip05: "other@example.com",
+    });
+  });
+
+  it("should report names the domain does not list or cannot serve", async () => {
+    mockNostrJson({ names: {} });
+    await expect(verifyAddress("bob@example.com")).resolves.toMatchObject({ verified: false, pubkey: null });
+    mockNostrJson({}, 404);
+    const result = await verifyAddress("bob@example.com");
+    expect(result.verified).toBe(false);
+    expect(result.error).toMatch(/HTTP 404/);
+    expect(getProfile).not.toHaveBeenCalled();
+  });
+});
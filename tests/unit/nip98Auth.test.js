@@ -0,0 +1,254 @@
+import crypto from "crypto";
+import { generateSecretKey, getPublicKey, finalizeEvent, nip19 } from "nostr-tools";
+import {
+  nip98Auth,
+  requireNpubAccess,
+  requireNostrAdmin,
+} from "../../src/middlewares/nip98Auth.js";
+
+const HOST = "localhost:3000";
+
+const createAuthHeader = (secretKey, { url, method, body, createdAt } = {}) => {
+  const tags = [
+    ["u", url],
+    ["method", method],
+  ];
+  if (body) {
+    tags.push([
+      "payload",
+      crypto.createHash("sha256").update(body).digest("hex"),
+    ]);
+  }
+  const event = finalizeEvent(
+    {
+      kind: 27235,
+      tags,
+      content: "",
+      created_at: createdAt ?? Math.floor(Date.now() / 1000),
+    },
+    secretKey
+  );
+  return `Nostr ${Buffer.from(JSON.stringify(event)).toString("base64")}`;
+};
+
+const createReq = ({ path, method = "GET", authorization, body }) => ({
+  method,
+  path,
+  originalUrl: path,
+  protocol: "http",
+  rawBody: body ? Buffer.from(body) : undefined,
+  body: body ? JSON.parse(body) : undefined,
+  params: {},
+  get: (name) =>
+    ({ host: HOST, authorization })[name.toLowerCase()],
+});
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("NIP-98 auth middleware", () => {
+  const secretKey = generateSecretKey();
+  const pubkey = getPublicKey(secretKey);
+  const npub = nip19.npubEncode(pubkey);
+  const otherNpub = nip19.npubEncode(getPublicKey(generateSecretKey()));
+
+  beforeEach(() => {
+    delete process.env.NIP98_AUTH_ENABLED;
+    delete process.env.NIP98_ADMIN_PUBKEYS;
+    delete process.env.NIP98_BASE_URL;
+  });
+
+  describe("nip98Auth", () => {
+    it("should authenticate a valid signed request", () => {
+      const body = JSON.stringify({ npub, content: "hello" });
+      const req = createReq({
+        path: "/post/note",
+        method: "POST",
+        body,
+        authorization: createAuthHeader(secretKey, {
+          url: `http://${HOST}/post/note`,
+          method: "POST",
+          body,
+        }),
+      });
+      const next = jest.fn();
+
+      nip98Auth(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.nostrAuth).toEqual({ pubkey, npub, isAdmin: false });
+    });
+
+    it("should reject requests without an Authorization header", () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      nip98Auth(createReq({ path: "/id/getKeys" }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should let NIP-05 lookups through without authentication", () => {
+      const req = createReq({ path: "/.well-known/nostr.json" });
+      const next = jest.fn();
+
+      nip98Auth(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.nostrAuth).toBeUndefined();
+    });
+
+    it("should leave routes guarded by the admin key to requireAdmin", () => {
+      for (const path of ["/id/export", "/id/export/"]) {
+        const req = createReq({ path, authorization: "Bearer secret" });
+        const next = jest.fn();
+
+        nip98Auth(req, createRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.nostrAuth).toBeUndefined();
+      }
+    });
+
+    it("should reject a mismatched URL, method, payload or stale event", () => {
+      const body = JSON.stringify({ npub });
+      const cases = [
+        { url: `http://${HOST}/other`, method: "POST", body },
+        { url: `http://${HOST}/post/note`, method: "GET", body },
+        { url: `http://${HOST}/post/note`, method: "POST", body: "{}" },
+        {
+          url: `http://${HOST}/post/note`,
+          method: "POST",
+          body,
+          createdAt: Math.floor(Date.now() / 1000) - 600,
+        },
+      ];
+
+      for (const signed of cases) {
+        const res = createRes();
+        const next = jest.fn();
+        nip98Auth(
+          createReq({
+            path: "/post/note",
+            method: "POST",
+            body,
+            authorization: createAuthHeader(secretKey, signed),
+          }),
+          res,
+          next
+        );
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+      }
+    });
+
+    it("should reject a replayed authorization event", () => {
+      const authorization = createAuthHeader(secretKey, {
+        url: `http://${HOST}/id/getKeys`,
+        method: "GET",
+      });
+      const next = jest.fn();
+      const res = createRes();
+
+      nip98Auth(createReq({ path: "/id/getKeys", authorization }), createRes(), next);
+      nip98Auth(createReq({ path: "/id/getKeys", authorization }), res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it("should flag admin pubkeys", () => {
+      process.env.NIP98_ADMIN_PUBKEYS = npub;
+      const req = createReq({
+        path: "/id/getKeys",
+        authorization: createAuthHeader(secretKey, {
+          url: `http://${HOST}/id/getKeys`,
+          method: "GET",
+        }),
+      });
+
+      nip98Auth(req, createRes(), jest.fn());
+
+      expect(req.nostrAuth.isAdmin).toBe(true);
+    });
+
+    it("should pass through when disabled", () => {
+      process.env.NIP98_AUTH_ENABLED = "false";
+      const req = createReq({ path: "/id/getKeys" });
+      const next = jest.fn();
+
+      nip98Auth(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.nostrAuth).toBeUndefined();
+    });
+  });
+
+  describe("requireNpubAccess", () => {
+    it("should allow acting on the authenticated npub", () => {
+      const req = { nostrAuth: { pubkey, isAdmin: false }, params: { npub } };
+      const next = jest.fn();
+
+      requireNpubAccess("npub")(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it("should forbid acting on another npub", () => {
+      const req = {
+        nostrAuth: { pubkey, isAdmin: false },
+        params: {},
+        body: { senderNpub: otherNpub },
+      };
+      const res = createRes();
+      const next = jest.fn();
+
+      requireNpubAccess("senderNpub")(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should require every entry of an array field to match", () => {
+      const req = {
+        nostrAuth: { pubkey, isAdmin: false },
+        params: {},
+        body: { npubs: [npub, otherNpub] },
+      };
+      const res = createRes();
+
+      requireNpubAccess("npubs")(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should allow admins to act on any npub", () => {
+      const req = {
+        nostrAuth: { pubkey, isAdmin: true },
+        params: { npub: otherNpub },
+      };
+      const next = jest.fn();
+
+      requireNpubAccess("npub")(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe("requireNostrAdmin", () => {
+    it("should forbid non-admin pubkeys", () => {
+      const res = createRes();
+      const next = jest.fn();
+
+      requireNostrAdmin({ nostrAuth: { pubkey, isAdmin: false } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import OutboxEvent from "../../src/models/OutboxEvent.model.js";
+import {
+  computeRetryDelay,
+  toOutboxJSON,
+} from "../../src/services/outbox.service.js";
+
+describe("Outbox service", () => {
+  it("should back off exponentially up to the maximum delay", () => {
+    expect(computeRetryDelay(1)).toBe(30000);
+    expect(computeRetryDelay(2)).toBe(60000);
+    expect(computeRetryDelay(3)).toBe(120000);
+    expect(computeRetryDelay(50)).toBe(60 * 60 * 1000);
+  });
+
+  it("should expose per-relay delivery status", () => {
+    const entry = new OutboxEvent({
+      event_id: "abc123",
+      event: { id: "abc123", kind: 1 },
+      npub: "npub1test",
+      kind: 1,
+      min_accepted: 2,
+      attempts: 1,
+      relays: [
+        { url: "wss://a/", status: "accepted", attempts: 1 },
+        { url: "wss://b/", status: "rejected", reason: "pow: difficulty 8 < 20", prefix: "pow", attempts: 1 },
+        { url: "wss://c/", status: "not_connected", attempts: 1 },
+      ],
+    });
+
+    const json = toOutboxJSON(entry);
+
+    expect(json).toMatchObject({
+      eventId: "abc123",
+      status: "pending",
+      minAccepted: 2,
+      accepted: 1,
+      attempts: 1,
+    });
+    expect(json.relays[1]).toMatchObject({ status: "rejected", prefix: "pow" });
+    expect(json.nextAttemptAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,10 @@
+import fs from "fs";
+import path from "path";
+import { ROOT_DIR } from "../../src/config/paths.js";
+
+describe("paths", () => {
+  it("should resolve the repository root from the module location", () => {
+    expect(ROOT_DIR).toBe(path.resolve(__dirname, "..", ".."));
+    expect(fs.existsSync(path.join(ROOT_DIR, "package.json"))).toBe(true);
+  });
+});
@@ -0,0 +1,150 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  signAndPublish: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+  getIdentityWriteRelayUrls: jest.fn(() => []),
+}));
+jest.mock("../../src/services/identity.service.js", () => ({
+  getSigningKey: jest.fn(),
+}));
+jest.mock("../../src/services/ndkPool.service.js", () => ({
+  acquireNdk: jest.fn(),
+}));
+
+import { finalizeEvent, generateSecretKey, getPublicKey, nip19 } from "nostr-tools";
+import { signAndPublish } from "../../src/services/nostr.service.js";
+import { getSigningKey } from "../../src/services/identity.service.js";
+import { acquireNdk } from "../../src/services/ndkPool.service.js";
+import {
+  normalizeProfileChanges,
+  mergeProfile,
+  parseProfile,
+  toProfileJSON,
+  updateProfile,
+} from "../../src/services/profile.service.js";
+
+const alice = "a".repeat(64);
+
+describe("profile changes", () => {
+  it("should validate common fields and mark removals", () => {
+    expect(
+      normalizeProfileChanges({
+        name: " Alice ",
+        website: "https://alice.example.com",
+        nip05: "alice@example.com",
+        lud16: "",
+        lud06: null,
+        bot: false,
+        birthday: { year: 1990, month: 4 },
+        banner: undefined,
+      })
+    ).toEqual({
+      name: "Alice",
+      website: "https://alice.example.com",
+      nip05: "alice@example.com",
+      lud16: null,
+      lud06: null,
+      bot: false,
+      birthday: { year: 1990, month: 4 },
+    });
+  });
+
+  it("should reject unknown fields and invalid values", () => {
+    for (const fields of [
+      { displayName: "Alice" },
+      { picture: "javascript:alert(1)" },
+      { nip05: "alice" },
+      { lud06: "alice@example.com" },
+      { bot: "yes" },
+      { birthday: { month: 13 } },
+      { about: 42 },
+    ]) {
+      expect(() => normalizeProfileChanges(fields)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  it("should keep fields the update does not name", () => {
+    const current = { name: "Alice", nip05: "alice@example.com", lud16: "alice@wallet.example", custom: 1 };
+    expect(mergeProfile(current, { about: "hi", lud16: null })).toEqual({
+      name: "Alice",
+      nip05: "alice@example.com",
+      custom: 1,
+      about: "hi",
+    });
+    expect(current.lud16).toBe("alice@wallet.example");
+  });
+
+  it("should publish only the given fields when replacing", () => {
+    expect(mergeProfile({ name: "Alice", nip05: "alice@example.com" }, { about: "hi" }, { replace: true })).toEqual({
+      about: "hi",
+    });
+  });
+
+  it("should refuse updates without changes", async () => {
+    await expect(updateProfile({ npub: nip19.npubEncode(alice), fields: {} })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("profile views", () => {
+  it("should flag content that is not a JSON object", () => {
+    expect(parseProfile({ content: '{"name":"Alice"}' })).toEqual({ profile: { name: "Alice" }, invalid: false });
+    expect(parseProfile({ content: "[1]" })).toEqual({ profile: {}, invalid: true });
+    expect(parseProfile({ content: "not json" })).toEqual({ profile: {}, invalid: true });
+    expect(parseProfile(null)).toEqual({ profile: {}, invalid: false });
+  });
+
+  it("should describe the event a profile comes from", () => {
+    const event = { id: "f".repeat(64), pubkey: alice, created_at: 100, tags: [], content: '{"name":"Alice"}' };
+    expect(toProfileJSON(event, { source: "store" })).toEqual({
+      npub: nip19.npubEncode(alice),
+      pubkey: alice,
+      profile: { name: "Alice" },
+      eventId: event.id,
+      createdAt: 100,
+      tags: [],
+      source: "store",
+    });
+  });
+});
+
+describe("profile updates", () => {
+  const secretKey = generateSecretKey();
+  const pubkey = getPublicKey(secretKey);
+  const npub = nip19.npubEncode(pubkey);
+
+  function mockRelayEvents(events) {
+    acquireNdk.mockResolvedValue({
+      fetchEvents: async () => new Set(events.map((event) => ({ rawEvent: () => event }))),
+      pool: { connectedRelays: () => [{}] },
+    });
+  }
+
+  beforeEach(() => {
+    getSigningKey.mockResolvedValue({ npub, pubkey });
+    signAndPublish.mockImplementation(async (keyObj, event) => ({
+      event: { ...event, id: "e".repeat(64), pubkey: keyObj.pubkey },
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should merge into the newest genuine profile, ignoring forged and foreign events", async () => {
+    const genuine = finalizeEvent(
+      { kind: 0, created_at: 100, tags: [["alt", "profile"]], content: '{"name":"Alice","nip05":"alice@example.com"}' },
+      secretKey
+    );
+    const forged = { ...genuine, created_at: 200, content: '{"name":"Mallory"}' };
+    const foreign = finalizeEvent({ kind: 0, created_at: 300, tags: [], content: '{"name":"Bob"}' }, generateSecretKey());
+    mockRelayEvents([genuine, forged, { ...foreign, pubkey }, foreign]);
+
+    await updateProfile({ npub, fields: { about: "hi" } });
+
+    const [, event] = signAndPublish.mock.calls[0];
+    expect(JSON.parse(event.content)).toEqual({ name: "Alice", nip05: "alice@example.com", about: "hi" });
+    expect(event.tags).toEqual([["alt", "profile"]]);
+    expect(event.created_at).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,124 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+jest.mock("../../src/services/ndkPool.service.js", () => ({
+  acquireNdk: jest.fn(),
+  withTemporaryNdk: jest.fn(),
+}));
+
+import { nip19 } from "nostr-tools";
+import { acquireNdk, withTemporaryNdk } from "../../src/services/ndkPool.service.js";
+import {
+  cachedQuery,
+  normalizeFilter,
+  normalizeFilters,
+  encodeCursor,
+  decodeCursor,
+  pageFilters,
+  completeUntil,
+  paginate,
+} from "../../src/services/query.service.js";
+
+const alice = "a".repeat(64);
+const id = (n) => n.toString(16).padStart(64, "0");
+
+function result(n, createdAt, relays = ["wss://r1/"]) {
+  return { event: { id: id(n), pubkey: alice, kind: 1, created_at: createdAt, tags: [], content: "" }, relays };
+}
+
+describe("query filters", () => {
+  it("should convert npubs and note ids to hex", () => {
+    expect(
+      normalizeFilter({
+        authors: [nip19.npubEncode(alice), alice],
+        ids: [nip19.noteEncode(id(1))],
+        "#p": [nip19.npubEncode(alice)],
+        "#t": ["nostr"],
+        kinds: [1, 1],
+        since: 10,
+      })
+    ).toEqual({ authors: [alice], ids: [id(1)], "#p": [alice], "#t": ["nostr"], kinds: [1], since: 10 });
+  });
+
+  it("should reject unknown fields and invalid values", () => {
+    for (const filter of [{ search: "gm" }, { kinds: [-1] }, { authors: [] }, { since: 5, until: 4 }, { "#tag": ["x"] }]) {
+      expect(() => normalizeFilter(filter)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+    expect(() => normalizeFilters([])).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it("should end later pages at the cursor's second", () => {
+    const after = { until: 50, id: id(1), skip: 2 };
+    expect(pageFilters([{ kinds: [1], limit: 5 }, { until: 40 }], 10, after)).toEqual([
+      { kinds: [1], limit: 12, until: 50 },
+      { limit: 12, until: 40 },
+    ]);
+  });
+});
+
+describe("query pagination", () => {
+  it("should round-trip cursors and reject malformed ones", () => {
+    const cursor = encodeCursor({ until: 100, id: id(3), skip: 1 });
+    expect(decodeCursor(cursor)).toEqual({ until: 100, id: id(3), skip: 1 });
+    expect(() => decodeCursor("nope")).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it("should page through events sharing a second without gaps or repeats", () => {
+    const results = [result(1, 100), result(2, 102), result(3, 102), result(4, 102), result(5, 103)];
+    const seen = [];
+    let after;
+    for (let i = 0; i < 5; i += 1) {
+      const page = paginate(results, 2, after);
+      seen.push(...page.events.map(({ event }) => event.id));
+      if (!page.nextCursor) break;
+      after = decodeCursor(page.nextCursor);
+    }
+    expect(seen).toEqual([id(5), id(2), id(3), id(4), id(1)]);
+  });
+
+  it("should stop at the oldest event of a relay that returned a full page", () => {
+    const filters = [{ kinds: [1], limit: 2 }];
+    const results = [
+      result(1, 105, ["wss://r1/"]),
+      result(2, 104, ["wss://r1/", "wss://r2/"]),
+      result(3, 101, ["wss://r2/"]),
+    ];
+    const horizon = completeUntil(results, filters);
+    expect(horizon).toBe(104);
+
+    const page = paginate(results, 3, undefined, horizon);
+    expect(page.events.map(({ event }) => event.id)).toEqual([id(1), id(2)]);
+    expect(decodeCursor(page.nextCursor)).toEqual({ until: 104, id: id(2), skip: 1 });
+  });
+});
+
+describe("cached queries", () => {
+  const event = { id: id(1), pubkey: alice, kind: 1, created_at: 100, tags: [], content: "" };
+  const ndk = {
+    fetchEvents: jest.fn(async () => new Set([{ rawEvent: () => event, relay: null }])),
+  };
+
+  beforeEach(() => {
+    acquireNdk.mockResolvedValue(ndk);
+    withTemporaryNdk.mockImplementation(async (relayUrls, timeoutMs, fn) => fn(ndk));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should pool configured relays only", async () => {
+    await expect(cachedQuery([{ kinds: [1] }], { relayUrls: ["ws://127.0.0.1:8021"] })).resolves.toMatchObject({
+      events: [event],
+      source: "relays",
+    });
+    expect(acquireNdk).toHaveBeenCalledTimes(1);
+    expect(withTemporaryNdk).not.toHaveBeenCalled();
+
+    await cachedQuery([{ kinds: [1] }], { relayUrls: ["wss://author.example.com"] });
+    expect(acquireNdk).toHaveBeenCalledTimes(1);
+    expect(withTemporaryNdk.mock.calls[0][0]).toEqual(["wss://author.example.com"]);
+  });
+});
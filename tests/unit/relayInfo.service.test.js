@@ -0,0 +1,77 @@
+import {
+  toInfoUrl,
+  isPublicRelayUrl,
+  getRelayInfo,
+  checkRelayLimits,
+  resolvePowDifficulty,
+} from "../../src/services/relayInfo.service.js";
+
+jest.mock("../../src/models/RelayInfo.model.js", () => ({
+  __esModule: true,
+  default: { updateOne: () => Promise.resolve(), find: () => ({ lean: async () => [] }) },
+}));
+
+const documents = {
+  "https://pow.example.com/": { name: "pow", limitation: { min_pow_difficulty: 16 } },
+  "https://short.example.com/": { name: "short", limitation: { max_content_length: 10 } },
+  "https://paid.example.com/": { name: "paid", limitation: { payment_required: true, min_pow_difficulty: 24 } },
+};
+
+beforeAll(() => {
+  global.fetch = jest.fn(async (url) => ({
+    ok: true,
+    json: async () => documents[url] || { name: "open" },
+  }));
+});
+
+describe("relay information", () => {
+  it("should map relay URLs to their NIP-11 HTTP endpoint", () => {
+    expect(toInfoUrl("wss://relay.example.com/")).toBe("https://relay.example.com/");
+    expect(toInfoUrl("ws://127.0.0.1:8021")).toBe("http://127.0.0.1:8021");
+  });
+
+  it("should only treat relays on public hostnames as public", () => {
+    expect(isPublicRelayUrl("wss://relay.example.com/")).toBe(true);
+    expect(isPublicRelayUrl("ws://Relay.Example.com:7777/path")).toBe(true);
+    for (const url of [
+      "ws://127.0.0.1:8021",
+      "ws://localhost:7777",
+      "wss://[::1]",
+      "ws://10.0.0.5",
+      "wss://metadata",
+      "wss://relay.internal",
+      "https://relay.example.com",
+      "not a url",
+    ]) {
+      expect(isPublicRelayUrl(url)).toBe(false);
+    }
+  });
+
+  it("should cache fetched documents", async () => {
+    const first = await getRelayInfo("wss://pow.example.com");
+    const second = await getRelayInfo("wss://pow.example.com/");
+
+    expect(first.source).toBe("relay");
+    expect(second.source).toBe("cache");
+    expect(second.limits.minPowDifficulty).toBe(16);
+  });
+
+  it("should skip relays whose limits an event does not meet", async () => {
+    const event = { id: "f".repeat(64), content: "longer than ten" };
+
+    expect((await checkRelayLimits("wss://pow.example.com", event)).prefix).toBe("pow");
+    expect((await checkRelayLimits("wss://short.example.com", event)).prefix).toBe("invalid");
+    expect((await checkRelayLimits("wss://paid.example.com", event)).prefix).toBe("restricted");
+    expect(await checkRelayLimits("wss://open.example.com", event)).toBeNull();
+    expect(
+      await checkRelayLimits("wss://pow.example.com", { id: "0000" + "f".repeat(60), content: "" })
+    ).toBeNull();
+  });
+
+  it("should mine for the highest difficulty among usable relays", async () => {
+    const relays = ["wss://pow.example.com", "wss://paid.example.com", "wss://open.example.com"];
+
+    expect(await resolvePowDifficulty(relays, 8)).toBe(16);
+    expect(await resolvePowDifficulty(relays, 20)).toBe(20);
+  });
+});
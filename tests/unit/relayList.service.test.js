@@ -0,0 +1,66 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+
+import {
+  normalizeRelayList,
+  relayListToTags,
+  parseRelayListTags,
+  filterAuthorRelays,
+} from "../../src/services/relayList.service.js";
+
+describe("NIP-65 relay lists", () => {
+  it("should normalize URLs and merge duplicate entries", () => {
+    expect(
+      normalizeRelayList([
+        "wss://relay.example.com",
+        { url: "wss://relay.example.com/", read: true, write: false },
+        { url: "wss://inbox.example.com", write: false },
+      ])
+    ).toEqual([
+      { url: "wss://relay.example.com/", read: true, write: true },
+      { url: "wss://inbox.example.com/", read: true, write: false },
+    ]);
+  });
+
+  it("should reject non-websocket URLs and entries marked neither read nor write", () => {
+    expect(() => normalizeRelayList(["https://relay.example.com"])).toThrow(
+      /Invalid relay URL/
+    );
+    expect(() =>
+      normalizeRelayList([{ url: "wss://a.example.com", read: false, write: false }])
+    ).toThrow(/read, write or both/);
+  });
+
+  it("should round-trip relay lists through kind 10002 tags", () => {
+    const relays = [
+      { url: "wss://both.example.com/", read: true, write: true },
+      { url: "wss://read.example.com/", read: true, write: false },
+      { url: "wss://write.example.com/", read: false, write: true },
+    ];
+    const tags = relayListToTags(relays);
+
+    expect(tags).toEqual([
+      ["r", "wss://both.example.com/"],
+      ["r", "wss://read.example.com/", "read"],
+      ["r", "wss://write.example.com/", "write"],
+    ]);
+    expect(parseRelayListTags([...tags, ["r", "not a url"], ["p", "abc"]])).toEqual(
+      relays
+    );
+  });
+
+  it("should only keep author relays on public hosts or configured", () => {
+    expect(
+      filterAuthorRelays([
+        "wss://relay.example.com/",
+        "ws://127.0.0.1:8021/",
+        "ws://127.0.0.1:6379/",
+        "ws://10.0.0.5/",
+        "wss://relay.local/",
+      ])
+    ).toEqual(["wss://relay.example.com/", "ws://127.0.0.1:8021/"]);
+  });
+});
@@ -0,0 +1,87 @@
+import { NDKRelayStatus } from "@nostr-dev-kit/ndk";
+import {
+  classifyPublishFailure,
+  publishWithReport,
+  resolveMinAccepted,
+  PUBLISH_STATUS,
+} from "../../src/services/relayPublish.service.js";
+
+// NIP-11 limits are covered in relayInfo.service.test.js
+jest.mock("../../src/services/relayInfo.service.js", () => ({
+  checkRelayLimits: async () => null,
+}));
+
+function fakeRelay(url, { status = NDKRelayStatus.CONNECTED, publish } = {}) {
+  return { url, status, publish: publish || (async () => true) };
+}
+
+function fakeEvent(relays) {
+  return {
+    id: "abc123",
+    kind: 1,
+    ndk: { pool: { relays: new Map(relays.map((r) => [r.url, r])) } },
+  };
+}
+
+describe("Relay publish report", () => {
+  it("should classify relay OK rejections with their prefix", () => {
+    expect(
+      classifyPublishFailure("wss://a", new Error("pow: difficulty 8 < 20"))
+    ).toEqual({
+      url: "wss://a",
+      status: PUBLISH_STATUS.REJECTED,
+      reason: "pow: difficulty 8 < 20",
+      prefix: "pow",
+    });
+    expect(
+      classifyPublishFailure("wss://a", new Error("blocked: not on allowlist")).prefix
+    ).toBe("blocked");
+  });
+
+  it("should classify NDK timeouts as timed out", () => {
+    expect(
+      classifyPublishFailure("wss://a", new Error("Timeout: 5000ms")).status
+    ).toBe(PUBLISH_STATUS.TIMED_OUT);
+  });
+
+  it("should report every relay and list only accepting ones", async () => {
+    const event = fakeEvent([
+      fakeRelay("wss://ok"),
+      fakeRelay("wss://pow", {
+        publish: async () => {
+          throw new Error("pow: difficulty 8 < 20");
+        },
+      }),
+      fakeRelay("wss://down", { status: NDKRelayStatus.DISCONNECTED }),
+    ]);
+
+    const { relays, report } = await publishWithReport(event, { minAccepted: 1 });
+
+    expect(relays).toEqual(["wss://ok"]);
+    expect(report.accepted).toBe(1);
+    expect(report.results.map((r) => r.status)).toEqual([
+      PUBLISH_STATUS.ACCEPTED,
+      PUBLISH_STATUS.REJECTED,
+      PUBLISH_STATUS.NOT_CONNECTED,
+    ]);
+  });
+
+  it("should fail with 502 and the report when the quorum is not met", async () => {
+    const event = fakeEvent([
+      fakeRelay("wss://ok"),
+      fakeRelay("wss://down", { status: NDKRelayStatus.DISCONNECTED }),
+    ]);
+
+    await expect(
+      publishWithReport(event, { minAccepted: 2 })
+    ).rejects.toMatchObject({
+      status: 502,
+      details: { id: "abc123", relays: ["wss://ok"], report: { accepted: 1, required: 2 } },
+    });
+  });
+
+  it("should reject invalid quorum overrides", () => {
+    expect(() => resolveMinAccepted("two")).toThrow(/non-negative integer/);
+    expect(resolveMinAccepted("0")).toBe(0);
+  });
+});
@@ -0,0 +1,42 @@
+import {
+  recordConnect,
+  recordPublishResults,
+  isDemoted,
+  selectPublishRelays,
+  applyRelayOverrides,
+  listRelays,
+} from "../../src/services/relayRegistry.service.js";
+
+const fail = (url) => ({ url, status: "rejected", reason: "blocked: not allowed", latencyMs: 40 });
+
+describe("relay registry", () => {
+  it("should demote a relay after consecutive failures and restore it on success", () => {
+    const url = "wss://failing.example.com";
+    for (let i = 0; i < 5; i++) recordPublishResults([fail(url)]);
+
+    expect(isDemoted(url)).toBe(true);
+    const [stat] = listRelays().filter((r) => r.url === "wss://failing.example.com/");
+    expect(stat.lastError).toBe("blocked: not allowed");
+    expect(stat.publish.acceptanceRate).toBe(0);
+
+    recordConnect(url, { ok: true, latencyMs: 120 });
+    expect(isDemoted(url)).toBe(false);
+  });
+
+  it("should leave demoted relays out of publishing sets unless all are demoted", () => {
+    const bad = "wss://bad.example.com";
+    const good = "wss://good.example.com";
+    for (let i = 0; i < 5; i++) recordConnect(bad, { ok: false, error: "Connection failed" });
+
+    expect(selectPublishRelays([bad, good])).toEqual([good]);
+    expect(selectPublishRelays([bad])).toEqual([bad]);
+  });
+
+  it("should ignore relays that were not connected", () => {
+    const url = "wss://idle.example.com";
+    for (let i = 0; i < 5; i++) recordPublishResults([{ url, status: "not_connected" }]);
+
+    expect(isDemoted(url)).toBe(false);
+    expect(applyRelayOverrides([url])).toEqual([url]);
+  });
+});
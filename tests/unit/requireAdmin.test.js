@@ -0,0 +1,64 @@
+import { requireAdmin } from "../../src/middlewares/requireAdmin.js";
+
+const createReq = (headers = {}) => ({
+  method: "GET",
+  originalUrl: "/id/export",
+  ip: "127.0.0.1",
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("requireAdmin middleware", () => {
+  const originalKey = process.env.ADMIN_API_KEY;
+
+  afterEach(() => {
+    process.env.ADMIN_API_KEY = originalKey;
+    if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+  });
+
+  it("should reject all requests when ADMIN_API_KEY is not configured", () => {
+    delete process.env.ADMIN_API_KEY;
+    const res = createRes();
+    const next = jest.fn();
+
+    requireAdmin(createReq({ "x-admin-key": "anything" }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should reject a missing or wrong credential", () => {
+    process.env.ADMIN_API_KEY = "s3cret";
+    const next = jest.fn();
+
+    const resMissing = createRes();
+    requireAdmin(createReq(), resMissing, next);
+    expect(resMissing.status).toHaveBeenCalledWith(401);
+
+    const resWrong = createRes();
+    requireAdmin(createReq({ "x-admin-key": "wrong" }), resWrong, next);
+    expect(resWrong.status).toHaveBeenCalledWith(401);
+
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should accept the credential via X-Admin-Key or Bearer token", () => {
+    process.env.ADMIN_API_KEY = "s3cret";
+    const next = jest.fn();
+
+    requireAdmin(createReq({ "x-admin-key": "s3cret" }), createRes(), next);
+    requireAdmin(
+      createReq({ authorization: "Bearer s3cret" }),
+      createRes(),
+      next
+    );
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
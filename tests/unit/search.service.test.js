@@ -0,0 +1,70 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+jest.mock("../../src/services/relayInfo.service.js", () => ({
+  getRelayInfo: jest.fn(),
+  isPublicRelayUrl: jest.requireActual("../../src/services/relayInfo.service.js").isPublicRelayUrl,
+}));
+
+import { nip19 } from "nostr-tools";
+import { getRelayInfo } from "../../src/services/relayInfo.service.js";
+import {
+  normalizeSearch,
+  selectSearchRelays,
+  searchEvents,
+} from "../../src/services/search.service.js";
+
+const alice = "a".repeat(64);
+
+describe("search parameters", () => {
+  it("should trim the terms and convert authors to hex", () => {
+    expect(
+      normalizeSearch({ q: "  refund ", authors: [nip19.npubEncode(alice)], kinds: [1], since: 10, until: 20 })
+    ).toEqual({
+      text: "refund",
+      filter: { authors: [alice], kinds: [1], since: 10, until: 20 },
+      sort: "newest",
+      limit: 50,
+      skip: 0,
+    });
+  });
+
+  it("should reject invalid parameters", () => {
+    for (const params of [
+      { q: " " },
+      { q: "x".repeat(201) },
+      { q: "gm", authors: ["bob"] },
+      { q: "gm", since: 20, until: 10 },
+      { q: "gm", sort: "oldest" },
+      { q: "gm", limit: 101 },
+      { q: "gm", skip: -1 },
+    ]) {
+      expect(() => normalizeSearch(params)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+});
+
+describe("NIP-50 relays", () => {
+  it("should only search relays that list NIP-50", async () => {
+    const nips = { "wss://search/": [1, 50], "wss://plain/": [1, 11] };
+    getRelayInfo.mockImplementation(async (url) => ({ info: nips[url] ? { supported_nips: nips[url] } : null }));
+    await expect(selectSearchRelays(["wss://search/", "wss://plain/", "wss://down/"])).resolves.toEqual({
+      supported: ["wss://search/"],
+      skipped: ["wss://plain/", "wss://down/"],
+    });
+  });
+
+  it("should fail without the event store unless relays are searched", async () => {
+    await expect(searchEvents({ q: "gm" })).rejects.toMatchObject({ status: 503 });
+    await expect(searchEvents({ q: "gm", nip50: true, skip: 10 })).rejects.toMatchObject({ status: 503 });
+  });
+
+  it("should only search named relays on public hostnames", async () => {
+    for (const relays of [["ws://127.0.0.1:7777"], ["wss://localhost"], ["wss://relay.internal"]]) {
+      await expect(searchEvents({ q: "gm", nip50: true, relays })).rejects.toMatchObject({ status: 400 });
+    }
+    expect(getRelayInfo).not.toHaveBeenCalledWith("ws://127.0.0.1:7777/");
+  });
+});
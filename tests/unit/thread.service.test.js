@@ -0,0 +1,134 @@
+// Mocked: nostr.service pulls in pow.service, which Jest cannot parse (import.meta)
+jest.mock("../../src/services/nostr.service.js", () => ({
+  connect: jest.fn(),
+  getConfiguredRelayUrls: jest.fn(() => ["ws://127.0.0.1:8021"]),
+}));
+jest.mock("../../src/services/ndkPool.service.js", () => ({
+  acquireNdk: jest.fn(),
+  withTemporaryNdk: jest.fn(),
+}));
+jest.mock("../../src/services/relayList.service.js", () => ({
+  getAuthorRelayList: jest.fn(),
+  getAuthorWriteRelays: jest.fn(async () => []),
+}));
+
+import { nip19 } from "nostr-tools";
+import { acquireNdk, withTemporaryNdk } from "../../src/services/ndkPool.service.js";
+import {
+  normalizeMentions,
+  parseContentTags,
+  getThreadRefs,
+  buildReplyTags,
+  buildThreadTree,
+  fetchReferencedEvent,
+} from "../../src/services/thread.service.js";
+
+const alice = "a".repeat(64);
+const bob = "b".repeat(64);
+const carol = "c".repeat(64);
+const id = (n) => String(n).repeat(64);
+
+function note(n, pubkey, tags = [], createdAt = n) {
+  return { id: id(n), pubkey, kind: 1, content: `note ${n}`, created_at: createdAt, tags };
+}
+
+describe("note mentions and hashtags", () => {
+  it("should rewrite @npub mentions as nostr: URIs", () => {
+    const npub = nip19.npubEncode(alice);
+    expect(normalizeMentions(`hi @${npub}!`)).toBe(`hi nostr:${npub}!`);
+    expect(normalizeMentions(`mail me@${npub}`)).toBe(`mail me@${npub}`);
+    expect(normalizeMentions("hi @npub1notvalid")).toBe("hi @npub1notvalid");
+  });
+
+  it("should tag mentioned profiles, quoted events and hashtags", () => {
+    const nprofile = nip19.nprofileEncode({ pubkey: bob, relays: ["wss://r.example.com"] });
+    const nevent = nip19.neventEncode({ id: id(1), author: carol, relays: ["wss://e.example.com"] });
+    const content = `gm nostr:${nip19.npubEncode(alice)} and nostr:${nprofile} #Nostr #1 see nostr:${nevent}`;
+
+    expect(parseContentTags(content)).toEqual([
+      ["p", alice],
+      ["p", bob, "wss://r.example.com"],
+      ["q", id(1), "wss://e.example.com", carol],
+      ["p", carol],
+      ["t", "nostr"],
+    ]);
+  });
+});
+
+describe("NIP-10 threads", () => {
+  it("should mark a reply to a top-level note as root only", () => {
+    const root = note(1, alice, [["p", carol]]);
+    expect(buildReplyTags(root, "wss://r.example.com")).toEqual([
+      ["e", id(1), "wss://r.example.com", "root", alice],
+      ["p", alice],
+      ["p", carol],
+    ]);
+  });
+
+  it("should carry the root over and mark the parent as reply", () => {
+    const reply = note(2, bob, [["e", id(1), "", "root", alice], ["p", alice]]);
+    expect(buildReplyTags(reply)).toEqual([
+      ["e", id(1), "", "root", alice],
+      ["e", id(2), "", "reply", bob],
+      ["p", bob],
+      ["p", alice],
+    ]);
+  });
+
+  it("should read deprecated positional e tags", () => {
+    const refs = getThreadRefs(note(3, bob, [["e", id(1)], ["e", id(2)]]));
+    expect(refs.root.id).toBe(id(1));
+    expect(refs.reply.id).toBe(id(2));
+  });
+
+  it("should arrange replies under their parents", () => {
+    const events = [
+      note(3, carol, [["e", id(1), "", "root"], ["e", id(2), "", "reply"]]),
+      note(1, alice),
+      note(4, alice, [["e", id(1), "", "root"]]),
+      note(2, bob, [["e", id(1), "", "root"]]),
+      // Parent not found: hangs under the root
+      note(5, bob, [["e", id(1), "", "root"], ["e", id(9), "", "reply"]]),
+    ];
+    const { root, orphans, count } = buildThreadTree(id(1), events);
+
+    expect(count).toBe(5);
+    expect(orphans).toEqual([]);
+    expect(root.replies.map((n) => n.id)).toEqual([id(2), id(4), id(5)]);
+    expect(root.replies[0].replies.map((n) => n.id)).toEqual([id(3)]);
+  });
+});
+
+describe("event lookups", () => {
+  const found = note(1, alice);
+  const ndk = { fetchEvent: jest.fn(async () => ({ rawEvent: () => found, relay: { url: "wss://r0.example.com/" } })) };
+
+  beforeEach(() => {
+    acquireNdk.mockResolvedValue(ndk);
+    withTemporaryNdk.mockImplementation(async (relays, timeoutMs, fn) => fn(ndk));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should use pooled connections for the configured relays only", async () => {
+    await expect(fetchReferencedEvent({ id: id(1), relays: [] })).resolves.toEqual({
+      event: found,
+      relay: "wss://r0.example.com/",
+    });
+    expect(acquireNdk).toHaveBeenCalledWith(["ws://127.0.0.1:8021/"], expect.any(Number));
+    expect(withTemporaryNdk).not.toHaveBeenCalled();
+  });
+
+  it("should use a few public relay hints over a short-lived connection", async () => {
+    const hints = ["ws://10.0.0.1", "wss://localhost", ...[1, 2, 3, 4, 5, 6, 7].map((n) => `wss://r${n}.example.com`)];
+    await fetchReferencedEvent({ id: id(1), relays: hints });
+
+    expect(acquireNdk).not.toHaveBeenCalled();
+    expect(withTemporaryNdk.mock.calls[0][0]).toEqual([
+      ...[1, 2, 3, 4, 5].map((n) => `wss://r${n}.example.com/`),
+      "ws://127.0.0.1:8021/",
+    ]);
+  });
+});
@@ -0,0 +1,38 @@
+import { generateSecretKey, nip19 } from "nostr-tools";
+import * as nip49 from "nostr-tools/nip49";
+import { decodePrivateKey } from "../../src/utils/validation.js";
+
+describe("decodePrivateKey", () => {
+  const secretKey = generateSecretKey();
+  const hex = Buffer.from(secretKey).toString("hex");
+
+  it("should decode an nsec key", () => {
+    const { privateKeyBytes, format } = decodePrivateKey(nip19.nsecEncode(secretKey));
+    expect(format).toBe("nsec");
+    expect(Buffer.from(privateKeyBytes).toString("hex")).toBe(hex);
+  });
+
+  it("should decode a hex key", () => {
+    const { privateKeyBytes, format } = decodePrivateKey(hex.toUpperCase());
+    expect(format).toBe("hex");
+    expect(Buffer.from(privateKeyBytes).toString("hex")).toBe(hex);
+  });
+
+  it("should decrypt an ncryptsec key with the passphrase", () => {
+    const ncryptsec = nip49.encrypt(secretKey, "correct horse", 16);
+    const { privateKeyBytes, format } = decodePrivateKey(ncryptsec, "correct horse");
+    expect(format).toBe("ncryptsec");
+    expect(Buffer.from(privateKeyBytes).toString("hex")).toBe(hex);
+  });
+
+  it("should reject an ncryptsec key without passphrase or with a wrong one", () => {
+    const ncryptsec = nip49.encrypt(secretKey, "correct horse", 16);
+    expect(() => decodePrivateKey(ncryptsec)).toThrow("passphrase is required");
+    expect(() => decodePrivateKey(ncryptsec, "wrong")).toThrow("Failed to decrypt ncryptsec");
+  });
+
+  it("should reject unsupported formats", () => {
+    expect(() => decodePrivateKey("npub1abc")).toThrow("Unsupported key format");
+    expect(() => decodePrivateKey("")).toThrow("non-empty string");
+  });
+});